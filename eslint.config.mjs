@@ -30,6 +30,15 @@ export default defineConfig([
     },
   },
 
+  // Node server (CommonJS)
+  {
+    files: ["server.js", "server/**/*.js"],
+    languageOptions: {
+      sourceType: "commonjs",
+      globals: globals.node,
+    },
+  },
+
   // Disable ESLint formatting rules that conflict with Prettier
   prettierConfig,
 ]);
@@ -4,7 +4,7 @@ Heatmap Frame Receiver Client
 Connects to heatmap server via WebSocket and receives generated frames in real-time.
 
 Usage:
-    py heatmap_client.py --server http://localhost:5000 --output received_frames
+    py heatmap_client.py --server http://localhost:1234 --output received_frames
 """
 
 import argparse
@@ -16,8 +16,9 @@ from websocket import create_connection, WebSocketTimeoutException
 
 
 class HeatmapClient:
-    def __init__(self, server_url="https://knox-swainish-wonderingly.ngrok-free.dev", output_dir="output/received_frames"):
-        self.server_url = server_url.replace("http://", "").replace("https://", "")
+    def __init__(self, server_url="http://localhost:1234", output_dir="output/received_frames"):
+        self.server_url = server_url.rstrip("/")
+        self.ws_url = self.server_url.replace("https://", "wss://").replace("http://", "ws://")
         self.output_dir = Path(output_dir)
         self.output_dir.mkdir(parents=True, exist_ok=True)
         
@@ -45,7 +46,7 @@ class HeatmapClient:
         
         try:
             response = requests.post(
-                f"https://{self.server_url}/api/initialize",
+                f"{self.server_url}/api/initialize",
                 json=payload,
                 timeout=30
             )
@@ -76,7 +77,7 @@ class HeatmapClient:
         
         try:
             response = requests.post(
-                f"https://{self.server_url}/api/generate",
+                f"{self.server_url}/api/generate",
                 json=payload,
                 timeout=10
             )
@@ -95,7 +96,7 @@ class HeatmapClient:
     
     def receive_frames(self):
         """Connect to WebSocket and receive frames"""
-        ws_url = f"wss://{self.server_url}/ws/frames"
+        ws_url = f"{self.ws_url}/ws/frames"
         
         print(f"\nConnecting to WebSocket: {ws_url}")
         
@@ -163,7 +164,7 @@ class HeatmapClient:
 
 def main():
     parser = argparse.ArgumentParser(description="Heatmap Frame Receiver Client")
-    parser.add_argument("--server", default="https://knox-swainish-wonderingly.ngrok-free.dev", help="Server URL")
+    parser.add_argument("--server", default="http://localhost:1234", help="Server URL")
     parser.add_argument("--output", default="output/received_frames", help="Output directory")
     parser.add_argument("--satellite-file", help="Path to satellite JSON file (for initialization)")
     parser.add_argument("--duration", type=int, default=3600, help="Duration in seconds")
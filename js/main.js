@@ -4,6 +4,8 @@
 import * as THREE from "three";
 import { initScene, setupLighting, onWindowResize } from "./modules/scene.js";
 import { createEarth } from "./modules/earth.js";
+import { initSun, updateSun } from "./modules/sun.js";
+import { initStarfield, updateStarfield } from "./modules/starfield.js";
 import { setupControls, updateControls } from "./modules/controls.js";
 import { loadGroundStations } from "./modules/groundStations.js";
 import {
@@ -15,8 +17,11 @@ import {
   setupStationInteraction,
   setupInfoPanelHandlers,
 } from "./modules/groundStationInteraction.js";
+import { CONFIG } from "./modules/constants.js";
 import {
   loadSatelliteData,
+  buildSatelliteSources,
+  getLoadedSources,
   initializeSatelliteRecord,
   getSatelliteRecords,
   setSatelliteRecords,
@@ -36,10 +41,16 @@ import {
   setupSatelliteInfoPanelHandlers,
 } from "./modules/satelliteInteraction.js";
 import { initOrbitalPath } from "./modules/orbitalPath.js";
+import { initLinkRenderer, updateLinkLines } from "./modules/linkRenderer.js";
+import {
+  initCoverageFootprint,
+  updateCoverageFootprint,
+} from "./modules/coverageFootprint.js";
 import { onCombinedHover } from "./modules/combinedInteraction.js";
 
 // UI Control Panel Imports (Phase 1)
 import { initControlPanel, initAllButtons } from "./modules/ui/controlPanel.js";
+import { initTimelineBar } from "./modules/ui/timelineBar.js";
 import { initAddStationModal } from "./modules/ui/virtualGroundStation.js";
 import { initAddSatelliteModal } from "./modules/ui/customSatellite.js";
 import { initStationListPanel } from "./modules/ui/stationList.js";
@@ -48,7 +59,7 @@ import { initFilterPanel } from "./modules/ui/filterMenu.js";
 import { initSettingsPanel } from "./modules/ui/settingsPanel.js";
 import { initGraphicsPanel } from "./modules/ui/graphicsPanel.js";
 import { initLegend } from "./modules/ui/legend.js";
-import { loadState } from "./modules/ui/uiState.js";
+import { loadState, getSetting } from "./modules/ui/uiState.js";
 
 // Global Three.js objects
 let scene, camera, renderer;
@@ -79,11 +90,15 @@ async function init() {
   raycaster = new THREE.Raycaster();
 
   // Setup lighting
-  setupLighting(scene);
+  const { directionalLight } = setupLighting(scene);
 
   // Create Earth
   await createEarth(scene);
 
+  // Sun drives the light and the day/night terminator
+  initSun(scene, directionalLight);
+  initStarfield(scene);
+
   // Setup controls
   const controls = await setupControls(camera, renderer);
   window.controls = controls; // Expose controls globally for chaos mode
@@ -96,9 +111,18 @@ async function init() {
     // Don't setup station interaction yet - wait for satellites to load
   }
 
+  // Load saved UI state (it holds the satellite sources and limit)
+  loadState();
+  CONFIG.MAX_SATELLITES = getSetting("maxSatellites") ?? CONFIG.MAX_SATELLITES;
+
   // Load and initialize satellites
   console.log("Loading satellite data...");
-  const satellites = await loadSatelliteData();
+  const satellites = await loadSatelliteData(
+    buildSatelliteSources(
+      getSetting("satelliteSources"),
+      getSetting("customSourceUrl"),
+    ),
+  );
 
   if (satellites.length > 0) {
     console.log("✓ Satellite data ready:", satellites.length, "satellites");
@@ -119,10 +143,19 @@ async function init() {
       // Initialize orbital path module with scene reference
       initOrbitalPath(scene);
 
+      // Initialize link line rendering (latency routes)
+      initLinkRenderer(scene);
+
+      // Initialize coverage footprint for the selected satellite
+      initCoverageFootprint(scene);
+
       // Initialize heatmap overlay system
       import("./modules/heatmapOverlay.js").then((mod) => {
         mod.initHeatmapOverlay(scene);
       });
+      import("./modules/heatmapProbe.js").then((mod) => {
+        mod.initHeatmapProbe(camera, renderer);
+      });
 
       // Get satellite meshes and cache them
       cachedSatelliteMeshes = getSatelliteMeshes();
@@ -174,6 +207,7 @@ async function init() {
   console.log("Initializing UI Control Panel...");
   initControlPanel();
   initAllButtons();
+  initTimelineBar();
 
   // Initialize all modals and panels
   initAddStationModal();
@@ -190,8 +224,12 @@ async function init() {
     initLegend(legendContainer);
   }
 
-  // Load saved UI state
-  loadState();
+  // Let the filter panel and legend list the loaded sources
+  window.dispatchEvent(
+    new CustomEvent("satellites-loaded", {
+      detail: { sources: getLoadedSources() },
+    }),
+  );
 
   console.log("✓ UI Control Panel initialized");
 
@@ -257,8 +295,15 @@ function animate() {
       }
       updateSatellitePositions(cachedSatelliteMeshes, cachedSatelliteRecords);
     }
+
+    // Keep link lines and the footprint attached to the interpolated meshes
+    updateLinkLines();
+    updateCoverageFootprint();
   }
 
+  updateSun();
+  updateStarfield();
+
   // Sync heatmap rotation with Earth (non-blocking)
   if (window.syncHeatmapRotation) {
     window.syncHeatmapRotation();
@@ -294,6 +339,13 @@ try {
   console.error("Error during initialization:", error);
 }
 
+// Reloading satellites (sources, max satellites) replaces the meshes and records
+window.addEventListener("satellites-loaded", () => {
+  cachedSatelliteMeshes = getSatelliteMeshes();
+  cachedSatelliteRecords = getSatelliteRecords();
+  window.cachedSatelliteMeshes = cachedSatelliteMeshes;
+});
+
 // Listen for new ground station additions and update the globe
 window.addEventListener("add-ground-station", async (e) => {
   const newStation = e.detail;
@@ -0,0 +1,93 @@
+// ============================================
+// BENT-PIPE LATENCY
+// Station A -> satellite -> station B through a single transparent hop
+// ============================================
+
+import { CONFIG } from "./constants.js";
+import {
+  getStationGeodetic,
+  lightTimeMs,
+  propagateSatelliteEcf,
+} from "./linkGeometry.js";
+import { clearsHorizon } from "./horizonMask.js";
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Look angles and slant range from an observer to an ECF position
+ */
+function legTo(observer, stationEcf, satelliteEcf) {
+  const look = window.satellite.ecfToLookAngles(observer, satelliteEcf);
+  const dx = satelliteEcf.x - stationEcf.x;
+  const dy = satelliteEcf.y - stationEcf.y;
+  const dz = satelliteEcf.z - stationEcf.z;
+
+  return {
+    azimuth: look.azimuth * RAD_TO_DEG,
+    elevation: look.elevation * RAD_TO_DEG,
+    rangeKm: Math.sqrt(dx * dx + dy * dy + dz * dz),
+  };
+}
+
+/**
+ * Compute every bent-pipe path between two stations at a given time
+ * @param {Object} stationA - Uplink ground station
+ * @param {Object} stationB - Downlink ground station
+ * @param {Array<Object>} satRecords - Candidate satellite records
+ * @param {Date} time - Evaluation time
+ * @param {Object} options
+ * @param {number} options.minElevation - Elevation mask in degrees at both ends
+ *   (each station's horizon mask applies on top of it)
+ * @returns {{links:Array<Object>, best:Object|null}} Links sorted by RTT (fastest first)
+ */
+export function computeBentPipeLinks(
+  stationA,
+  stationB,
+  satRecords,
+  time,
+  options = {},
+) {
+  const minElevation = options.minElevation ?? CONFIG.MIN_LINK_ELEVATION_DEG;
+
+  const observerA = getStationGeodetic(stationA);
+  const observerB = getStationGeodetic(stationB);
+  const ecfA = window.satellite.geodeticToEcf(observerA);
+  const ecfB = window.satellite.geodeticToEcf(observerB);
+
+  const links = [];
+
+  satRecords.forEach((satRecord) => {
+    const state = propagateSatelliteEcf(satRecord, time);
+    if (!state) return;
+
+    const upLeg = legTo(observerA, ecfA, state.position);
+    if (
+      !clearsHorizon(stationA, upLeg.azimuth, upLeg.elevation, minElevation)
+    ) {
+      return;
+    }
+
+    const downLeg = legTo(observerB, ecfB, state.position);
+    if (
+      !clearsHorizon(stationB, downLeg.azimuth, downLeg.elevation, minElevation)
+    ) {
+      return;
+    }
+
+    const pathKm = upLeg.rangeKm + downLeg.rangeKm;
+    const oneWayMs = lightTimeMs(pathKm);
+
+    links.push({
+      satelliteName: satRecord.name,
+      upLeg,
+      downLeg,
+      pathKm,
+      oneWayMs,
+      rttMs: oneWayMs * 2,
+    });
+  });
+
+  links.sort((a, b) => a.rttMs - b.rttMs);
+
+  return { links, best: links[0] || null };
+}
@@ -34,7 +34,9 @@ export function onCombinedHover(
   raycaster.setFromCamera(mouse, camera);
 
   // Single raycasting pass - check both satellites and stations
-  const allMeshes = [...satelliteMeshes, ...stationMeshes];
+  const allMeshes = [...satelliteMeshes, ...stationMeshes].filter(
+    (mesh) => mesh.visible,
+  );
   const intersects = raycaster.intersectObjects(allMeshes);
 
   if (intersects.length > 0) {
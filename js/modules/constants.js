@@ -7,25 +7,72 @@ export const CONFIG = {
   EARTH_RADIUS: 1.0, // Globe radius in Three.js units
   EARTH_RADIUS_KM: 6371.0,
 
+  // Link budget / latency
+  SPEED_OF_LIGHT_KM_S: 299792.458,
+  EARTH_ROTATION_RAD_S: 7.292115e-5, // Sidereal rotation rate (WGS-84)
+  MIN_LINK_ELEVATION_DEG: 10, // Default ground-to-satellite elevation mask
+
+  // Terrestrial fiber baseline
+  FIBER: {
+    REFRACTIVE_INDEX: 1.468, // Typical single-mode fiber group index
+    ROUTE_INFLATION: 1.5, // Real routes are longer than the great circle
+  },
+
+  // Latency time series
+  LATENCY_SERIES: {
+    DEFAULT_DURATION_MINUTES: 60,
+    DEFAULT_STEP_SECONDS: 30,
+    MAX_SAMPLES: 2880,
+  },
+
+  // Inter-satellite links
+  ISL: {
+    MAX_RANGE_KM: 5000,
+    MIN_GRAZING_ALTITUDE_KM: 80, // Links must clear the atmosphere by this much
+  },
+
+  // Pass prediction
+  PASS_PREDICTION: {
+    DEFAULT_HORIZON_HOURS: 24,
+    MIN_ELEVATION_DEG: 10,
+    STEP_SECONDS: 60, // Coarse search step, refined by bisection
+    MAX_PASSES: 200, // Per satellite, per search
+  },
+
   // Interaction
   CLICK_THRESHOLD: 5,
 
   // Satellite update interval (milliseconds)
   SATELLITE_UPDATE_INTERVAL: 2000,
 
-  // Time acceleration factor (1.0 = normal speed, >1.0 = faster, <1.0 = slower)
-  // Lower update rate = faster movement along orbit
+  // Default simulation clock rate (1.0 = real time); the timeline bar changes
+  // the live rate in simulationClock.js
   TIME_ACCELERATION: 1.0,
 
+  // Simulated time allowed between propagations; at high clock rates satellites
+  // are propagated more often than SATELLITE_UPDATE_INTERVAL so they don't jump
+  MAX_PROPAGATION_STEP_SECONDS: 10,
+
+  // Shortest real time between propagations (milliseconds). Each one
+  // dispatches satellites-updated, which refreshes station visibility and the
+  // latency panel, so steps grow longer than MAX_PROPAGATION_STEP_SECONDS
+  // rather than running every animation frame
+  MIN_PROPAGATION_INTERVAL: 100,
+
+  // Timeline bar speed presets (simulated seconds per real second)
+  CLOCK_SPEED_PRESETS: [1, 10, 60, 300, 3600],
+
   // Interpolation
   INTERPOLATION_SPEED: 0.15,
 
-  // TLE cache duration (milliseconds)
-  TLE_CACHE_DURATION: 3600000, // 1 hour
-
   // Satellite limits
   MAX_SATELLITES: 50,
 
+  // Heatmap satellite sets and frames per run (must stay within the
+  // server's limits)
+  HEATMAP_MAX_SATELLITES: 15000,
+  HEATMAP_MAX_FRAMES: 2000,
+
   // Orbit visualization
   ORBIT_SAMPLES: {
     LEO: 120,
@@ -39,6 +86,9 @@ export const CONFIG = {
     MEO: 500, // minutes
     GEO: 2000, // minutes
   },
+
+  // Orbital paths drawn at most by the Filters panel "Orbital Paths" toggle
+  MAX_FILTER_ORBITS: 50,
 };
 
 export const COLORS = {
@@ -56,15 +106,89 @@ export const COLORS = {
   ORBIT_HOVER: 0x5e6a7a, // Gray
   ORBIT_SELECTED: 0x9bb3c9, // Light blue-gray
 
+  // Link paths
+  LINK_PATH: 0x37f0c6, // Orbit accent
+  LINK_HIGHLIGHT: 0xefcb68, // Best satellite halo
+  LINK_ROUTE: 0x00e5ff, // Multi-hop ISL route
+  LINK_PACKET: 0xffffff,
+
+  // Coverage footprint
+  FOOTPRINT: 0x52e38f,
+
+  // Satellites loaded from a custom URL or file (color by source)
+  SOURCE_CUSTOM_URL: 0xff6b9d,
+  SOURCE_CUSTOM_FILE: 0xc77dff,
+
   // Lighting
   AMBIENT_LIGHT: 0xffffff,
   DIRECTIONAL_LIGHT: 0xffffff,
 };
 
+// Heatmap metrics (values match the server's METRICS keys)
+export const HEATMAP_METRICS = [
+  { value: "latency", label: "Minimum one-way latency", units: "ms" },
+  { value: "visible_count", label: "Visible satellites", units: "sats" },
+  { value: "max_elevation", label: "Maximum elevation", units: "°" },
+  { value: "coverage_gap", label: "Coverage gap duration", units: "min" },
+];
+
+// CelesTrak groups offered for constellation heatmaps
+export const HEATMAP_GROUPS = [
+  { value: "starlink", label: "Starlink" },
+  { value: "oneweb", label: "OneWeb" },
+  { value: "kuiper", label: "Kuiper" },
+  { value: "iridium-NEXT", label: "Iridium NEXT" },
+  { value: "globalstar", label: "Globalstar" },
+  { value: "orbcomm", label: "ORBCOMM" },
+  { value: "gps-ops", label: "GPS" },
+  { value: "galileo", label: "Galileo" },
+];
+
+// CelesTrak groups offered as satellite sources (several can be loaded at once)
+export const SATELLITE_SOURCES = [
+  { value: "active", label: "All active", color: 0x00e5ff },
+  { value: "starlink", label: "Starlink", color: 0x4a9eff },
+  { value: "oneweb", label: "OneWeb", color: 0xefcb68 },
+  { value: "gps-ops", label: "GPS", color: 0x52e38f },
+  { value: "galileo", label: "Galileo", color: 0x37f0c6 },
+  { value: "geo", label: "Geostationary", color: 0x00dc7d },
+  { value: "stations", label: "Space stations", color: 0xffffff },
+  { value: "weather", label: "Weather", color: 0x9bb3c9 },
+  { value: "amateur", label: "Amateur radio", color: 0xffb039 },
+];
+
+// Sources loaded on first start
+export const DEFAULT_SATELLITE_SOURCES = ["active"];
+
+// Advanced satellite filter (satelliteQuery.js); null or "" means no limit
+export const DEFAULT_SATELLITE_QUERY = {
+  inclinationMin: null, // degrees
+  inclinationMax: null,
+  altitudeMin: null, // km, current altitude
+  altitudeMax: null,
+  eccentricityMin: null,
+  eccentricityMax: null,
+  pattern: "", // Regular expression matched against name and NORAD ID
+  maxEpochAgeDays: null, // TLE epoch distance from the simulation time
+  source: "", // Source group id
+};
+
 export const URLS = {
-  // TLE_DATA: 'https://celestrak.org/NORAD/elements/gp.php?GROUP=active&FORMAT=tle',
-  TLE_DATA:
-    "https://celestrak.org/NORAD/elements/gp.php?GROUP=active&FORMAT=tle",
+  // CelesTrak TLEs, fetched and cached by server.js
+  CELESTRAK_GROUP: "/api/tle?group=",
   GROUND_STATIONS: "./data/ground-stations.json",
   EARTH_TEXTURE: "./texture/nasa-blue-marble-1.png",
+  // Optional night-side city lights (same equirectangular layout as EARTH_TEXTURE)
+  EARTH_NIGHT_TEXTURE: "./texture/earth-night.jpg",
+  // Optional sky map: equirectangular J2000 equatorial, north up, RA 0h in
+  // the center increasing to the left (the NASA SVS Deep Star Maps layout)
+  MILKY_WAY_TEXTURE: "./texture/milky-way.jpg",
+};
+
+// Earth day textures for the Graphics panel quality levels, lowest first.
+// The globe starts at potato and then loads the saved quality.
+export const EARTH_TEXTURE_QUALITIES = {
+  potato: { url: "./texture/nasa-blue-marble-potato.jpg", label: "Potato" },
+  medium: { url: URLS.EARTH_TEXTURE, label: "Medium" },
+  high: { url: "./texture/nasa-blue-marble-4k.jpg", label: "High" },
 };
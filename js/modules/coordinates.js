@@ -1,17 +1,20 @@
 import * as THREE from "three";
 /**
  * Convert 3D Vector3 point on the globe to latitude and longitude
+ * Inverse of latLonToVector3 (Earth-local coordinates). Used by the heatmap
+ * probe and when picking a new station's location on the globe.
  * @param {THREE.Vector3|{x:number,y:number,z:number}} point - 3D point on globe
  * @param {number} radius - Sphere radius (default: CONFIG.EARTH_RADIUS)
- * @returns {{lat: number, lon: number}}
+ * @returns {{lat: number, lon: number}} Longitude in [-180, 180]
  */
 export function toLatLon(point, radius = CONFIG.EARTH_RADIUS) {
   // Accept either THREE.Vector3 or plain object
   const x = point.x,
     y = point.y,
     z = point.z;
-  const lat = 90 - (Math.acos(y / radius) * 180) / Math.PI;
-  const lon = (Math.atan2(z, x) * 180) / Math.PI - 180;
+  const cosPhi = Math.max(-1, Math.min(1, y / radius));
+  const lat = 90 - (Math.acos(cosPhi) * 180) / Math.PI;
+  const lon = (Math.atan2(-z, x) * 180) / Math.PI;
   return { lat, lon };
 }
 // ============================================
@@ -66,3 +69,23 @@ export function updateMousePosition(event, mouse, canvas) {
   mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
   mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
 }
+
+/**
+ * Great-circle (haversine) distance between two lat/lon points on a spherical Earth
+ * @param {number} lat1 - Latitude of the first point in degrees
+ * @param {number} lon1 - Longitude of the first point in degrees
+ * @param {number} lat2 - Latitude of the second point in degrees
+ * @param {number} lon2 - Longitude of the second point in degrees
+ * @returns {number} Surface distance in kilometers
+ */
+export function greatCircleDistanceKm(lat1, lon1, lat2, lon2) {
+  const toRad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * toRad;
+  const dLon = (lon2 - lon1) * toRad;
+
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * CONFIG.EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
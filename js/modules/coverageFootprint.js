@@ -0,0 +1,176 @@
+// ============================================
+// COVERAGE FOOTPRINT
+// Instantaneous ground coverage of the selected satellite
+// ============================================
+
+import * as THREE from "three";
+import { CONFIG, COLORS } from "./constants.js";
+import { latLonToVector3 } from "./coordinates.js";
+import { getSelectedSatellite } from "./satelliteInteraction.js";
+import { getSetting } from "./ui/uiState.js";
+
+// Rebuild the cap geometry only when its extent changes noticeably
+const REBUILD_THRESHOLD_RAD = 0.001;
+const CAP_RADIUS_SCALE = 1.003; // Lift the cap just above the Earth surface
+const OUTLINE_SEGMENTS = 128;
+
+let scene = null;
+let footprintGroup = null;
+let capMesh = null;
+let outlineLine = null;
+let currentHalfAngle = null;
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Initialize footprint module with scene reference
+ */
+export function initCoverageFootprint(sceneRef) {
+  scene = sceneRef;
+}
+
+/**
+ * Earth central half-angle of the coverage cap
+ * λ = acos(R / (R + h) · cos ε) − ε
+ * @param {number} altitudeKm - Satellite altitude
+ * @param {number} minElevationDeg - Minimum elevation at the edge of coverage
+ * @returns {number} Half-angle in radians (0 if no coverage)
+ */
+export function footprintHalfAngle(altitudeKm, minElevationDeg) {
+  const epsilon = (minElevationDeg * Math.PI) / 180;
+  const ratio = CONFIG.EARTH_RADIUS_KM / (CONFIG.EARTH_RADIUS_KM + altitudeKm);
+  const lambda = Math.acos(ratio * Math.cos(epsilon)) - epsilon;
+  return Math.max(0, lambda);
+}
+
+/**
+ * Footprint radius along the ground
+ * @returns {number} Great-circle radius in km
+ */
+export function footprintRadiusKm(altitudeKm, minElevationDeg) {
+  return (
+    footprintHalfAngle(altitudeKm, minElevationDeg) * CONFIG.EARTH_RADIUS_KM
+  );
+}
+
+/**
+ * Build cap + outline geometry around +Y for a given half-angle
+ */
+function buildFootprint(halfAngle) {
+  disposeFootprint();
+
+  const radius = CONFIG.EARTH_RADIUS * CAP_RADIUS_SCALE;
+
+  const capGeometry = new THREE.SphereGeometry(
+    radius,
+    64,
+    16,
+    0,
+    Math.PI * 2,
+    0,
+    halfAngle,
+  );
+  const capMaterial = new THREE.MeshBasicMaterial({
+    color: COLORS.FOOTPRINT,
+    transparent: true,
+    opacity: 0.18,
+    side: THREE.DoubleSide,
+    depthWrite: false,
+  });
+  capMesh = new THREE.Mesh(capGeometry, capMaterial);
+
+  const outlinePoints = [];
+  const ringRadius = radius * Math.sin(halfAngle);
+  const ringHeight = radius * Math.cos(halfAngle);
+  for (let i = 0; i < OUTLINE_SEGMENTS; i++) {
+    const theta = (i / OUTLINE_SEGMENTS) * Math.PI * 2;
+    outlinePoints.push(
+      new THREE.Vector3(
+        ringRadius * Math.cos(theta),
+        ringHeight,
+        ringRadius * Math.sin(theta),
+      ),
+    );
+  }
+  const outlineGeometry = new THREE.BufferGeometry().setFromPoints(
+    outlinePoints,
+  );
+  const outlineMaterial = new THREE.LineBasicMaterial({
+    color: COLORS.FOOTPRINT,
+    transparent: true,
+    opacity: 0.9,
+  });
+  outlineLine = new THREE.LineLoop(outlineGeometry, outlineMaterial);
+
+  footprintGroup = new THREE.Group();
+  footprintGroup.userData.isCoverageFootprint = true;
+  footprintGroup.add(capMesh);
+  footprintGroup.add(outlineLine);
+  scene.add(footprintGroup);
+
+  currentHalfAngle = halfAngle;
+}
+
+/**
+ * Remove footprint objects from the scene
+ */
+function disposeFootprint() {
+  if (!footprintGroup) return;
+
+  if (scene) scene.remove(footprintGroup);
+  [capMesh, outlineLine].forEach((obj) => {
+    if (obj) {
+      obj.geometry.dispose();
+      obj.material.dispose();
+    }
+  });
+
+  footprintGroup = null;
+  capMesh = null;
+  outlineLine = null;
+  currentHalfAngle = null;
+}
+
+/**
+ * Hide the footprint
+ */
+export function hideCoverageFootprint() {
+  if (footprintGroup) footprintGroup.visible = false;
+}
+
+/**
+ * Track the selected satellite (call in animation loop, after interpolation)
+ */
+export function updateCoverageFootprint() {
+  if (!scene) return;
+
+  const satellite = getSelectedSatellite();
+  if (!satellite || !(getSetting("showFootprint") ?? false)) {
+    hideCoverageFootprint();
+    return;
+  }
+
+  const { latitude, longitude, altitude } = satellite.userData;
+  if (typeof altitude !== "number") {
+    hideCoverageFootprint();
+    return;
+  }
+
+  const minElevation = getSetting("footprintMinElevation") ?? 10;
+  const halfAngle = footprintHalfAngle(altitude, minElevation);
+  if (halfAngle <= 0) {
+    hideCoverageFootprint();
+    return;
+  }
+
+  if (
+    !footprintGroup ||
+    Math.abs(halfAngle - currentHalfAngle) > REBUILD_THRESHOLD_RAD
+  ) {
+    buildFootprint(halfAngle);
+  }
+
+  // Rotate the +Y cap onto the sub-satellite point
+  const subPoint = latLonToVector3(latitude, longitude, 1).normalize();
+  footprintGroup.quaternion.setFromUnitVectors(UP, subPoint);
+  footprintGroup.visible = true;
+}
@@ -3,48 +3,263 @@ import * as THREE from "three";
 // EARTH MODEL CREATION
 // ============================================
 
-import { CONFIG, URLS } from "./constants.js";
+import { CONFIG, URLS, EARTH_TEXTURE_QUALITIES } from "./constants.js";
+
+const QUALITY_LEVELS = Object.keys(EARTH_TEXTURE_QUALITIES);
 
 let earth;
-let originalTexture = null;
+let originalTexture = null; // Current day texture (kept while chaos mode shows video)
+let currentQuality = null;
+let qualityRequestId = 0; // Lets a newer setEarthQuality() call supersede older ones
 let videoTexture = null;
 let videoElement = null;
 
+// Day/night shading: the night side is dimmed and, when the city-lights
+// texture is available, lit by it. sun.js keeps sunDirection current.
+const NIGHT_SIDE_BRIGHTNESS = 0.35;
+const dayNightUniforms = {
+  sunDirection: { value: new THREE.Vector3(1, 0, 0) },
+  nightMap: { value: null },
+  nightLightsIntensity: { value: 0 },
+};
+let cityLightsEnabled = true;
+
 /**
  * Create Earth sphere with texture
+ * Starts with the potato texture so the globe appears quickly; the saved
+ * quality is loaded afterwards with setEarthQuality()
  */
-export function createEarth(scene) {
+export async function createEarth(scene) {
+  const geometry = new THREE.SphereGeometry(CONFIG.EARTH_RADIUS, 64, 64);
+
+  let texture;
+  try {
+    texture = await loadDayTexture("potato");
+    currentQuality = "potato";
+  } catch (error) {
+    console.warn("[Earth] Potato texture unavailable, loading medium:", error);
+    try {
+      texture = await loadDayTexture("medium");
+      currentQuality = "medium";
+    } catch (mediumError) {
+      console.error("Error loading Earth texture:", mediumError);
+      throw mediumError;
+    }
+  }
+
+  const material = new THREE.MeshPhongMaterial({
+    map: texture,
+    emissive: 0x000000,
+    emissiveIntensity: 0.0,
+    shininess: 5,
+  });
+  material.onBeforeCompile = addDayNightShading;
+  originalTexture = texture;
+
+  earth = new THREE.Mesh(geometry, material);
+  scene.add(earth);
+
+  console.log("✓ Earth texture loaded successfully");
+  loadNightTexture(new THREE.TextureLoader());
+  return earth;
+}
+
+/**
+ * Load the day texture for a quality level
+ * The file is fetched first so download progress can be reported.
+ * @param {string} quality - Key of EARTH_TEXTURE_QUALITIES
+ * @param {Function} onProgress - Optional callback (loaded, total); total is 0 when unknown
+ * @returns {Promise<THREE.Texture>}
+ */
+function loadDayTexture(quality, onProgress = null) {
   return new Promise((resolve, reject) => {
-    const geometry = new THREE.SphereGeometry(CONFIG.EARTH_RADIUS, 64, 64);
-
-    const textureLoader = new THREE.TextureLoader();
-    textureLoader.load(
-      URLS.EARTH_TEXTURE,
-      (texture) => {
-        texture.colorSpace = THREE.SRGBColorSpace;
-
-        const material = new THREE.MeshPhongMaterial({
-          map: texture,
-          emissive: 0x000000,
-          emissiveIntensity: 0.0,
-          shininess: 5,
-        });
-
-        earth = new THREE.Mesh(geometry, material);
-        scene.add(earth);
-
-        console.log("✓ Earth texture loaded successfully");
-        resolve(earth);
+    const fileLoader = new THREE.FileLoader();
+    fileLoader.setResponseType("blob");
+    fileLoader.load(
+      EARTH_TEXTURE_QUALITIES[quality].url,
+      (blob) => {
+        const objectUrl = URL.createObjectURL(blob);
+        new THREE.TextureLoader().load(
+          objectUrl,
+          (texture) => {
+            URL.revokeObjectURL(objectUrl);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            resolve(texture);
+          },
+          undefined,
+          (error) => {
+            URL.revokeObjectURL(objectUrl);
+            reject(error);
+          },
+        );
       },
-      undefined,
-      (error) => {
-        console.error("Error loading Earth texture:", error);
-        reject(error);
+      (event) => {
+        if (onProgress) {
+          onProgress(event.loaded, event.lengthComputable ? event.total : 0);
+        }
       },
+      reject,
     );
   });
 }
 
+/**
+ * Show a new day texture and free the previous one
+ */
+function applyDayTexture(texture) {
+  const previous = originalTexture;
+  originalTexture = texture;
+
+  // While chaos mode shows the video, the new texture waits in originalTexture
+  if (!videoTexture || earth.material.map !== videoTexture) {
+    earth.material.map = texture;
+    earth.material.needsUpdate = true;
+  }
+
+  if (previous && previous !== texture) {
+    previous.dispose();
+  }
+}
+
+/**
+ * Get the Earth texture quality currently shown
+ * @returns {string|null} potato | medium | high
+ */
+export function getEarthQuality() {
+  return currentQuality;
+}
+
+/**
+ * Switch the Earth texture quality
+ * Upgrades load each level in between, so a sharper texture shows as soon
+ * as it arrives; an unavailable in-between level is skipped. A newer call
+ * supersedes this one: textures it is still loading are discarded.
+ * @param {string} quality - potato | medium | high
+ * @param {Function} onProgress - Optional callback (quality, loaded, total)
+ * @returns {Promise<string>} The quality now shown
+ */
+export async function setEarthQuality(quality, onProgress = null) {
+  if (!EARTH_TEXTURE_QUALITIES[quality]) {
+    throw new Error(`Unknown Earth texture quality: ${quality}`);
+  }
+  if (!earth) {
+    throw new Error("Earth has not been created");
+  }
+
+  const requestId = ++qualityRequestId;
+  const from = QUALITY_LEVELS.indexOf(currentQuality);
+  const to = QUALITY_LEVELS.indexOf(quality);
+  const steps = to > from ? QUALITY_LEVELS.slice(from + 1, to + 1) : [quality];
+
+  for (const step of steps) {
+    if (step === currentQuality) continue;
+
+    try {
+      const texture = await loadDayTexture(step, (loaded, total) => {
+        if (onProgress && requestId === qualityRequestId) {
+          onProgress(step, loaded, total);
+        }
+      });
+      if (requestId !== qualityRequestId) {
+        texture.dispose();
+        return currentQuality;
+      }
+      applyDayTexture(texture);
+      currentQuality = step;
+      console.log(`[Earth] Texture quality: ${step}`);
+    } catch (error) {
+      if (requestId !== qualityRequestId) return currentQuality;
+      if (step === quality) throw error;
+      console.warn(`[Earth] Skipping unavailable ${step} texture:`, error);
+    }
+  }
+
+  return currentQuality;
+}
+
+/**
+ * Load the optional city-lights texture for the night side
+ */
+function loadNightTexture(textureLoader) {
+  textureLoader.load(
+    URLS.EARTH_NIGHT_TEXTURE,
+    (texture) => {
+      texture.colorSpace = THREE.SRGBColorSpace;
+      dayNightUniforms.nightMap.value = texture;
+      setCityLights(cityLightsEnabled);
+      console.log("✓ City lights texture loaded");
+    },
+    undefined,
+    () => {
+      console.warn(
+        `[Earth] No city lights texture at ${URLS.EARTH_NIGHT_TEXTURE}; night side is only dimmed`,
+      );
+    },
+  );
+}
+
+/**
+ * Patch the Phong shader with the day/night terminator and city lights
+ */
+function addDayNightShading(shader) {
+  Object.assign(shader.uniforms, dayNightUniforms);
+
+  shader.vertexShader = shader.vertexShader
+    .replace(
+      "#include <common>",
+      "#include <common>\nvarying vec3 vEarthNormal;",
+    )
+    .replace(
+      "#include <beginnormal_vertex>",
+      "#include <beginnormal_vertex>\nvEarthNormal = normalize( mat3( modelMatrix ) * objectNormal );",
+    );
+
+  shader.fragmentShader = shader.fragmentShader
+    .replace(
+      "#include <common>",
+      [
+        "#include <common>",
+        "uniform vec3 sunDirection;",
+        "uniform sampler2D nightMap;",
+        "uniform float nightLightsIntensity;",
+        "varying vec3 vEarthNormal;",
+      ].join("\n"),
+    )
+    .replace(
+      "#include <map_fragment>",
+      [
+        "#include <map_fragment>",
+        // Twilight band of roughly ±6° around the terminator
+        "float nightFactor = 1.0 - smoothstep( -0.1, 0.1, dot( normalize( vEarthNormal ), sunDirection ) );",
+        `diffuseColor.rgb *= mix( 1.0, ${NIGHT_SIDE_BRIGHTNESS.toFixed(2)}, nightFactor );`,
+      ].join("\n"),
+    )
+    .replace(
+      "#include <emissivemap_fragment>",
+      [
+        "#include <emissivemap_fragment>",
+        "totalEmissiveRadiance += texture2D( nightMap, vMapUv ).rgb * nightFactor * nightLightsIntensity;",
+      ].join("\n"),
+    );
+}
+
+/**
+ * Point the day/night terminator at the sun
+ * @param {THREE.Vector3} direction - Unit vector from Earth's center to the sun
+ */
+export function setEarthSunDirection(direction) {
+  dayNightUniforms.sunDirection.value.copy(direction);
+}
+
+/**
+ * Show or hide city lights on the night side
+ */
+export function setCityLights(enabled) {
+  cityLightsEnabled = enabled;
+  dayNightUniforms.nightLightsIntensity.value =
+    enabled && dayNightUniforms.nightMap.value ? 1 : 0;
+}
+
 /**
  * Get Earth mesh
  */
@@ -0,0 +1,48 @@
+// ============================================
+// FIBER BASELINE
+// Terrestrial fiber latency for comparison with satellite paths
+// ============================================
+
+import { CONFIG } from "./constants.js";
+import { greatCircleDistanceKm } from "./coordinates.js";
+
+/**
+ * Estimate fiber latency between two points or ground stations
+ * Light in fiber travels at c / n, over a route inflated from the great circle.
+ * @param {{lat:number, lon:number}} a - First point or station
+ * @param {{lat:number, lon:number}} b - Second point or station
+ * @param {Object} options
+ * @param {number} options.inflationFactor - Route length / great-circle length
+ * @param {number} options.refractiveIndex - Fiber group index
+ * @returns {{greatCircleKm:number, routeKm:number, oneWayMs:number, rttMs:number, inflationFactor:number}}
+ */
+export function computeFiberBaseline(a, b, options = {}) {
+  const inflationFactor =
+    options.inflationFactor ?? CONFIG.FIBER.ROUTE_INFLATION;
+  const refractiveIndex =
+    options.refractiveIndex ?? CONFIG.FIBER.REFRACTIVE_INDEX;
+
+  const greatCircleKm = greatCircleDistanceKm(a.lat, a.lon, b.lat, b.lon);
+  const routeKm = greatCircleKm * inflationFactor;
+  const speedKmS = CONFIG.SPEED_OF_LIGHT_KM_S / refractiveIndex;
+  const oneWayMs = (routeKm / speedKmS) * 1000;
+
+  return {
+    greatCircleKm,
+    routeKm,
+    oneWayMs,
+    rttMs: oneWayMs * 2,
+    inflationFactor,
+  };
+}
+
+/**
+ * Compare a satellite one-way latency with the fiber baseline
+ * @param {number} satelliteOneWayMs - Satellite path one-way latency
+ * @param {Object} baseline - Result of computeFiberBaseline
+ * @returns {{deltaMs:number, satelliteWins:boolean}} deltaMs < 0 when the satellite is faster
+ */
+export function compareWithFiber(satelliteOneWayMs, baseline) {
+  const deltaMs = satelliteOneWayMs - baseline.oneWayMs;
+  return { deltaMs, satelliteWins: deltaMs < 0 };
+}
@@ -83,6 +83,7 @@ import { COLORS } from "./constants.js";
 import { updateMousePosition } from "./coordinates.js";
 import { getStationMeshes } from "./groundStationRenderer.js";
 import { getSatelliteMeshes } from "./satelliteRenderer.js";
+import { setLinkStation } from "./linkInfo.js";
 
 let selectedStation = null;
 let mouseDownPos = { x: 0, y: 0 };
@@ -122,9 +123,16 @@ function onStationClick(
   updateMousePosition(event, mouse, event.target);
   raycaster.setFromCamera(mouse, camera);
 
-  // Intersections
-  const stationIntersects = raycaster.intersectObjects(stationMeshes, true);
-  const satelliteIntersects = raycaster.intersectObjects(satelliteMeshes, true);
+  // Intersections (filtered-out objects can't be picked)
+  const isVisible = (mesh) => mesh.visible;
+  const stationIntersects = raycaster.intersectObjects(
+    stationMeshes.filter(isVisible),
+    true,
+  );
+  const satelliteIntersects = raycaster.intersectObjects(
+    satelliteMeshes.filter(isVisible),
+    true,
+  );
 
   // Combine + sort by distance to camera
   const combined = [...stationIntersects, ...satelliteIntersects];
@@ -227,6 +235,12 @@ export function displayStationInfo(stationData) {
   if (elevEl) elevEl.textContent = stationData.elevation + " m";
   if (typeEl) typeEl.textContent = stationData.type;
 
+  // Show satellite link geometry if a satellite is also selected
+  setLinkStation(stationData);
+  window.dispatchEvent(
+    new CustomEvent("station-selection-changed", { detail: { stationData } }),
+  );
+
   // Show panel only if showInfo setting is enabled
   const showInfo = getSetting('showInfo') ?? true;
   if (showInfo) {
@@ -244,6 +258,12 @@ function hideStationInfo() {
     panel.classList.add("hidden");
     panel.style.display = "none";
   }
+  setLinkStation(null);
+  window.dispatchEvent(
+    new CustomEvent("station-selection-changed", {
+      detail: { stationData: null },
+    }),
+  );
 }
 
 // -------- Listener Guard --------
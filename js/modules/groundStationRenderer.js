@@ -6,6 +6,11 @@ import { COLORS } from "./constants.js";
 import { latLonToVector3 } from "./coordinates.js";
 
 let stationMeshes = [];
+let badgeSprite = null;
+let badgeStationId = null;
+let badgeCount = null;
+
+const BADGE_TEXTURE_SIZE = 64;
 
 /**
  * Create geometry for ground station marker
@@ -95,10 +100,99 @@ export function getStationMeshes() {
   return stationMeshes;
 }
 
+/**
+ * Draw a count into the badge texture
+ */
+function drawBadge(canvas, count) {
+  const ctx = canvas.getContext("2d");
+  const size = canvas.width;
+  const text = count > 999 ? "999+" : String(count);
+
+  ctx.clearRect(0, 0, size, size);
+  ctx.beginPath();
+  ctx.arc(size / 2, size / 2, size / 2 - 2, 0, Math.PI * 2);
+  ctx.fillStyle = "rgba(10, 14, 26, 0.85)";
+  ctx.fill();
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = "#00e5ff";
+  ctx.stroke();
+
+  ctx.fillStyle = "#ffffff";
+  ctx.font = `bold ${text.length > 2 ? 18 : 26}px sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(text, size / 2, size / 2 + 1);
+}
+
+/**
+ * Remove the badge sprite from its station
+ */
+function disposeBadge() {
+  if (!badgeSprite) return;
+
+  if (badgeSprite.parent) badgeSprite.parent.remove(badgeSprite);
+  badgeSprite.material.map.dispose();
+  badgeSprite.material.dispose();
+
+  badgeSprite = null;
+  badgeStationId = null;
+  badgeCount = null;
+}
+
+/**
+ * Show a count badge (e.g. satellites in view) above one station
+ * @param {string|null} stationId - Station to badge, or null to clear
+ * @param {number} count - Number to display
+ */
+export function setStationBadge(stationId, count) {
+  const mesh = stationId
+    ? stationMeshes.find((m) => m.userData.stationId === stationId)
+    : null;
+
+  if (!mesh) {
+    disposeBadge();
+    return;
+  }
+
+  if (badgeSprite && badgeStationId === stationId && badgeCount === count) {
+    return;
+  }
+
+  if (!badgeSprite || badgeStationId !== stationId) {
+    disposeBadge();
+
+    const canvas = document.createElement("canvas");
+    canvas.width = BADGE_TEXTURE_SIZE;
+    canvas.height = BADGE_TEXTURE_SIZE;
+
+    const material = new THREE.SpriteMaterial({
+      map: new THREE.CanvasTexture(canvas),
+      depthTest: false,
+      transparent: true,
+    });
+    badgeSprite = new THREE.Sprite(material);
+    badgeSprite.userData.isStationBadge = true;
+    badgeSprite.scale.set(0.035, 0.035, 1);
+    // Offset outward from the globe so the badge floats above the marker
+    badgeSprite.position.copy(mesh.position).normalize().multiplyScalar(0.03);
+    badgeSprite.renderOrder = 10;
+    // Clicks pick the station (raycasts are recursive), not its badge
+    badgeSprite.raycast = () => {};
+    mesh.add(badgeSprite);
+
+    badgeStationId = stationId;
+  }
+
+  drawBadge(badgeSprite.material.map.image, count);
+  badgeSprite.material.map.needsUpdate = true;
+  badgeCount = count;
+}
+
 /**
  * Clear all station meshes
  */
 export function clearStationMeshes(scene) {
+  disposeBadge();
   stationMeshes.forEach((mesh) => {
     scene.remove(mesh);
     mesh.geometry.dispose();
@@ -4,6 +4,9 @@
 export function addGroundStation(station) {
   // Prevent duplicates by id
   if (!groundStations.find((s) => s.id === station.id)) {
+    if (station.horizonMask) {
+      station.horizonMask = normalizeHorizonMask(station.horizonMask);
+    }
     groundStations.push(station);
     console.log("✓ Added ground station to session:", station);
   } else {
@@ -15,6 +18,7 @@ export function addGroundStation(station) {
 // ============================================
 
 import { URLS } from "./constants.js";
+import { normalizeHorizonMask } from "./horizonMask.js";
 
 let groundStations = [];
 
@@ -55,6 +59,12 @@ export async function loadGroundStations() {
       return isValid;
     });
 
+    groundStations.forEach((station) => {
+      if (station.horizonMask) {
+        station.horizonMask = normalizeHorizonMask(station.horizonMask);
+      }
+    });
+
     console.log(`✓ Loaded ${groundStations.length} ground stations`);
     return groundStations;
   } catch (error) {
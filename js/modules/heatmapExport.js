@@ -0,0 +1,521 @@
+// ============================================
+// HEATMAP EXPORT
+// ZIP of frames + metadata, animated GIF and WebM of a heatmap run
+// ============================================
+
+import { URLS } from "./constants.js";
+import { getHeatmapRunInfo, getFrameUrl } from "./heatmapManager.js";
+
+// Rendered size of GIF/WebM exports (equirectangular, 2:1)
+const EXPORT_WIDTH = 720;
+const EXPORT_HEIGHT = 360;
+const DEFAULT_FRAME_DELAY_MS = 500;
+const BACKGROUND_COLOR = "#0b1020";
+
+// ============================================
+// SHARED HELPERS
+// ============================================
+
+/**
+ * Trigger a browser download for a blob
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Base name for export files, e.g. heatmap-latency-2024-10-16
+ */
+function exportBaseName(runInfo) {
+  const startTime = runInfo.parameters.startTime || new Date().toISOString();
+  const date = startTime.split("T")[0];
+  return `heatmap-${runInfo.parameters.metric || "frames"}-${date}`;
+}
+
+/**
+ * Run info with at least one cached frame, or an error
+ */
+function requireFrames() {
+  const runInfo = getHeatmapRunInfo();
+  const frames = runInfo
+    ? runInfo.frames.filter((frame) => getFrameUrl(frame.index))
+    : [];
+  if (frames.length === 0) {
+    throw new Error("No heatmap frames to export");
+  }
+  return { ...runInfo, frames };
+}
+
+/**
+ * Load an image from a URL (resolves null on failure)
+ */
+function loadImage(url) {
+  return new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = url;
+  });
+}
+
+/**
+ * Canvas that draws frames over the Earth texture with a caption
+ */
+async function createFrameRenderer(runInfo) {
+  const canvas = document.createElement("canvas");
+  canvas.width = EXPORT_WIDTH;
+  canvas.height = EXPORT_HEIGHT;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+
+  // Exports still work without the texture (plain background)
+  const background = await loadImage(URLS.EARTH_TEXTURE);
+  const caption = runInfo.legend
+    ? `${runInfo.legend.label} (${runInfo.legend.units})`
+    : runInfo.parameters.metric || "";
+
+  /**
+   * Draw one frame and return the canvas
+   */
+  async function drawFrame(frame) {
+    ctx.fillStyle = BACKGROUND_COLOR;
+    ctx.fillRect(0, 0, EXPORT_WIDTH, EXPORT_HEIGHT);
+    if (background) {
+      ctx.drawImage(background, 0, 0, EXPORT_WIDTH, EXPORT_HEIGHT);
+    }
+
+    // Frame rows run south to north (the globe samples them with flipY = false)
+    const image = await loadImage(getFrameUrl(frame.index));
+    if (image) {
+      ctx.save();
+      ctx.translate(0, EXPORT_HEIGHT);
+      ctx.scale(1, -1);
+      ctx.globalAlpha = 0.85;
+      ctx.drawImage(image, 0, 0, EXPORT_WIDTH, EXPORT_HEIGHT);
+      ctx.restore();
+    }
+
+    const label = [caption, frame.timestamp].filter(Boolean).join("  ·  ");
+    ctx.font = "14px sans-serif";
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(0, EXPORT_HEIGHT - 24, ctx.measureText(label).width + 16, 24);
+    ctx.fillStyle = "#ffffff";
+    ctx.fillText(label, 8, EXPORT_HEIGHT - 7);
+
+    return canvas;
+  }
+
+  return { canvas, ctx, drawFrame };
+}
+
+// ============================================
+// ZIP
+// ============================================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build an uncompressed ("stored") ZIP archive
+ * PNG frames are already deflated, so compressing again gains nothing.
+ * @param {Array<{name:string, data:Uint8Array}>} files
+ * @returns {Blob}
+ */
+export function buildZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime =
+    (now.getHours() << 11) |
+    (now.getMinutes() << 5) |
+    Math.floor(now.getSeconds() / 2);
+  const dosDate =
+    ((now.getFullYear() - 1980) << 9) |
+    ((now.getMonth() + 1) << 5) |
+    now.getDate();
+
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+    const size = file.data.length;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // Stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local, name, file.data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // Central directory signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true); // Local header offset
+    centralDirectory.push(central, name);
+
+    offset += 30 + name.length + size;
+  });
+
+  const centralSize = centralDirectory.reduce(
+    (sum, part) => sum + part.byteLength,
+    0,
+  );
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end], {
+    type: "application/zip",
+  });
+}
+
+/**
+ * Export all frames plus a metadata.json as a ZIP
+ * @param {Function} onProgress - Optional callback (done, total)
+ */
+export async function exportFramesZip(onProgress = null) {
+  const runInfo = requireFrames();
+  const files = [];
+
+  for (let i = 0; i < runInfo.frames.length; i++) {
+    const frame = runInfo.frames[i];
+    const response = await fetch(getFrameUrl(frame.index));
+    const filename =
+      frame.filename || `heatmap_${String(frame.index).padStart(4, "0")}.png`;
+    files.push({
+      name: `frames/${filename}`,
+      data: new Uint8Array(await response.arrayBuffer()),
+    });
+    frame.filename = filename;
+    if (onProgress) onProgress(i + 1, runInfo.frames.length);
+  }
+
+  const metadata = {
+    exported_at: new Date().toISOString(),
+    parameters: {
+      metric: runInfo.parameters.metric,
+      duration_seconds: runInfo.parameters.duration,
+      step_seconds: runInfo.parameters.step,
+      start_time: runInfo.parameters.startTime,
+    },
+    satellite_count: runInfo.satelliteCount,
+    satellites: runInfo.satellites,
+    legend: runInfo.legend,
+    frames: runInfo.frames.map((frame) => ({
+      index: frame.index,
+      file: `frames/${frame.filename}`,
+      timestamp: frame.timestamp,
+    })),
+  };
+  files.push({
+    name: "metadata.json",
+    data: new TextEncoder().encode(JSON.stringify(metadata, null, 2)),
+  });
+
+  const filename = `${exportBaseName(runInfo)}.zip`;
+  downloadBlob(buildZip(files), filename);
+  console.log(
+    `[HeatmapExport] ✓ Exported ${runInfo.frames.length} frames to ${filename}`,
+  );
+}
+
+// ============================================
+// GIF
+// ============================================
+
+// Fixed 6×7×6 color cube; good enough for smooth ramps over a texture
+const GIF_LEVELS = [6, 7, 6];
+
+function gifPalette() {
+  const palette = new Uint8Array(256 * 3);
+  let i = 0;
+  for (let r = 0; r < GIF_LEVELS[0]; r++) {
+    for (let g = 0; g < GIF_LEVELS[1]; g++) {
+      for (let b = 0; b < GIF_LEVELS[2]; b++) {
+        palette[i++] = Math.round((r * 255) / (GIF_LEVELS[0] - 1));
+        palette[i++] = Math.round((g * 255) / (GIF_LEVELS[1] - 1));
+        palette[i++] = Math.round((b * 255) / (GIF_LEVELS[2] - 1));
+      }
+    }
+  }
+  return palette;
+}
+
+/**
+ * Map RGBA pixels onto the color cube
+ */
+function quantizeToPalette(rgba) {
+  const [levelsR, levelsG, levelsB] = GIF_LEVELS;
+  const indices = new Uint8Array(rgba.length / 4);
+  for (let i = 0; i < indices.length; i++) {
+    const r = Math.round((rgba[i * 4] * (levelsR - 1)) / 255);
+    const g = Math.round((rgba[i * 4 + 1] * (levelsG - 1)) / 255);
+    const b = Math.round((rgba[i * 4 + 2] * (levelsB - 1)) / 255);
+    indices[i] = (r * levelsG + g) * levelsB + b;
+  }
+  return indices;
+}
+
+/**
+ * GIF LZW compression of palette indices (8-bit minimum code size)
+ * @returns {Array<number>} Code stream bytes (before sub-blocking)
+ */
+function lzwEncode(indices) {
+  const minCodeSize = 8;
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+
+  const bytes = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = eoiCode + 1;
+  let table = new Map();
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+
+  for (let i = 1; i < indices.length; i++) {
+    const pixel = indices[i];
+    const key = (prefix << 8) | pixel;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = eoiCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = pixel;
+  }
+
+  emit(prefix);
+  emit(eoiCode);
+  if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+  return bytes;
+}
+
+/**
+ * Incremental animated GIF writer (GIF89a, looping, global palette)
+ */
+export function createGifEncoder(width, height, delayMs) {
+  const chunks = [];
+  const header = new Uint8Array(13 + 768 + 19);
+  const view = new DataView(header.buffer);
+
+  header.set([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // "GIF89a"
+  view.setUint16(6, width, true);
+  view.setUint16(8, height, true);
+  header[10] = 0xf7; // Global color table, 8 bits per channel, 256 entries
+  header.set(gifPalette(), 13);
+  // NETSCAPE2.0 application extension: loop forever
+  header.set(
+    [
+      0x21, 0xff, 0x0b, 0x4e, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32,
+      0x2e, 0x30, 0x03, 0x01, 0x00, 0x00, 0x00,
+    ],
+    13 + 768,
+  );
+  chunks.push(header);
+
+  const delay = Math.max(2, Math.round(delayMs / 10)); // Centiseconds
+
+  return {
+    /**
+     * Append one frame from RGBA pixels (width × height)
+     */
+    addFrame(rgba) {
+      const control = new Uint8Array([
+        0x21,
+        0xf9,
+        0x04,
+        0x00,
+        delay & 0xff,
+        delay >> 8,
+        0x00,
+        0x00,
+      ]);
+      const descriptor = new Uint8Array(10);
+      const descriptorView = new DataView(descriptor.buffer);
+      descriptor[0] = 0x2c;
+      descriptorView.setUint16(5, width, true);
+      descriptorView.setUint16(7, height, true);
+
+      const data = lzwEncode(quantizeToPalette(rgba));
+      const blocks = new Uint8Array(
+        1 + data.length + Math.ceil(data.length / 255) + 1,
+      );
+      let offset = 0;
+      blocks[offset++] = 8; // LZW minimum code size
+      for (let i = 0; i < data.length; i += 255) {
+        const block = data.slice(i, i + 255);
+        blocks[offset++] = block.length;
+        blocks.set(block, offset);
+        offset += block.length;
+      }
+      blocks[offset] = 0x00; // Block terminator
+
+      chunks.push(control, descriptor, blocks);
+    },
+
+    /**
+     * Finish the file
+     * @returns {Blob}
+     */
+    finish() {
+      chunks.push(new Uint8Array([0x3b])); // Trailer
+      return new Blob(chunks, { type: "image/gif" });
+    },
+  };
+}
+
+/**
+ * Export the run as an animated GIF over the Earth texture
+ * @param {Object} options
+ * @param {number} options.frameDelayMs - Delay between frames (default 500)
+ * @param {Function} onProgress - Optional callback (done, total)
+ */
+export async function exportGif(options = {}, onProgress = null) {
+  const runInfo = requireFrames();
+  const renderer = await createFrameRenderer(runInfo);
+  const encoder = createGifEncoder(
+    EXPORT_WIDTH,
+    EXPORT_HEIGHT,
+    options.frameDelayMs ?? DEFAULT_FRAME_DELAY_MS,
+  );
+
+  for (let i = 0; i < runInfo.frames.length; i++) {
+    await renderer.drawFrame(runInfo.frames[i]);
+    encoder.addFrame(
+      renderer.ctx.getImageData(0, 0, EXPORT_WIDTH, EXPORT_HEIGHT).data,
+    );
+    if (onProgress) onProgress(i + 1, runInfo.frames.length);
+
+    // Yield so the page stays responsive between frames
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  const filename = `${exportBaseName(runInfo)}.gif`;
+  downloadBlob(encoder.finish(), filename);
+  console.log(`[HeatmapExport] ✓ Exported ${filename}`);
+}
+
+// ============================================
+// WEBM
+// ============================================
+
+/**
+ * Pick a WebM codec the browser can record
+ */
+function webmMimeType() {
+  if (typeof MediaRecorder === "undefined") return null;
+  return (
+    ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find(
+      (type) => MediaRecorder.isTypeSupported(type),
+    ) || null
+  );
+}
+
+/**
+ * Export the run as a WebM clip (recorded in real time from a canvas)
+ * @param {Object} options
+ * @param {number} options.frameDelayMs - Time each frame stays on screen (default 500)
+ * @param {Function} onProgress - Optional callback (done, total)
+ */
+export async function exportWebm(options = {}, onProgress = null) {
+  const runInfo = requireFrames();
+  const mimeType = webmMimeType();
+  if (!mimeType) {
+    throw new Error("This browser cannot record WebM video");
+  }
+
+  const frameDelayMs = options.frameDelayMs ?? DEFAULT_FRAME_DELAY_MS;
+  const renderer = await createFrameRenderer(runInfo);
+  await renderer.drawFrame(runInfo.frames[0]);
+
+  const stream = renderer.canvas.captureStream(
+    Math.max(1, Math.ceil(1000 / frameDelayMs)),
+  );
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  const stopped = new Promise((resolve) => {
+    recorder.onstop = resolve;
+  });
+
+  recorder.start();
+  for (let i = 0; i < runInfo.frames.length; i++) {
+    await renderer.drawFrame(runInfo.frames[i]);
+    if (onProgress) onProgress(i + 1, runInfo.frames.length);
+    await new Promise((resolve) => setTimeout(resolve, frameDelayMs));
+  }
+  recorder.stop();
+  await stopped;
+  stream.getTracks().forEach((track) => track.stop());
+
+  const filename = `${exportBaseName(runInfo)}.webm`;
+  downloadBlob(new Blob(chunks, { type: "video/webm" }), filename);
+  console.log(`[HeatmapExport] ✓ Exported ${filename}`);
+}
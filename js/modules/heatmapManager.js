@@ -4,13 +4,18 @@
 // ============================================
 
 import { getSatelliteRecords } from "./satelliteData.js";
+import { CONFIG } from "./constants.js";
 import {
   updateHeatmapFrame,
   showHeatmapOverlay,
   hideHeatmapOverlay,
   clearHeatmapOverlay,
   syncHeatmapRotation,
+  setHeatmapFrameValues,
+  getHeatmapFrameValues,
 } from "./heatmapOverlay.js";
+import { saveHeatmapRun, loadHeatmapRun } from "./heatmapStore.js";
+import { getSimulationTime } from "./simulationClock.js";
 
 // API base URL - can be configured
 const API_BASE_URL = "/api";
@@ -20,11 +25,12 @@ const WS_BASE_URL = (() => {
   return `${protocol}//${host}`;
 })();
 
-let pythonProcess = null;
 let frameMonitorInterval = null;
 let websocket = null;
 let isGenerating = false;
-let selectedSatellite = null;
+let generationError = null; // Why the last run ended early, if it did
+let selectedSatellites = []; // Satellite set of the current run
+let satelliteCount = 0; // Satellites the backend accepted
 let outputDirectory = null;
 let expectedFrames = 0;
 let currentFrame = 0;
@@ -38,17 +44,23 @@ let framesReceivedSet = new Set(); // Track which frame indices have been receiv
 let framesRenderedSet = new Set(); // Track which frame indices have been successfully rendered
 let totalExpectedFrames = 0; // Total frames expected from WebSocket
 let animationTriggered = false; // Flag to prevent multiple animation starts
+let heatmapLegend = null; // Color scale of the current run (from /api/generate)
+let runParameters = null; // { duration, step, metric, startTime } of the current run
+let frameInfo = new Map(); // frameIndex -> { filename, timestamp }
 
 // Animation loop variables
 let animationInterval = null;
 let isAnimating = false;
 let animationFrameInterval = 500; // Default: 500ms per frame (0.5 seconds)
 let animationCurrentFrame = 1; // Current frame index in animation (1-based)
+let clockSyncInterval = null; // Set while frames follow the simulation clock
+let clockSyncBusy = false;
 
 // Default configuration
 const DEFAULT_CONFIG = {
   duration: 600, // 10 minutes
   step: 10, // 10 seconds per frame
+  metric: "latency",
   outputDir: "./heatmapReciever/output/received_frames",
 };
 
@@ -78,35 +90,95 @@ function updateStatus(message, progress = null) {
 
 /**
  * Prepare satellite data JSON
+ * Keeps only what the heatmap server propagates (name + TLE) so large
+ * constellations stay within the request size limit.
+ * @param {Array<Object>} satellites - Satellites with tle1/tle2 (or tle.line1/line2)
  */
-function prepareSatelliteData(satellite) {
+function prepareSatelliteData(satellites) {
   updateStatus("Preparing satellite data...");
 
-  const satelliteData = {
-    satellites: [
-      {
-        id: satellite.id || satellite.name,
-        name: satellite.name,
-        tle1: satellite.tle1 || satellite.tle?.line1 || "",
-        tle2: satellite.tle2 || satellite.tle?.line2 || "",
-      },
-    ],
-  };
+  if (satellites.length > CONFIG.HEATMAP_MAX_SATELLITES) {
+    throw new Error(
+      `Too many satellites (${satellites.length}); the limit is ${CONFIG.HEATMAP_MAX_SATELLITES}`,
+    );
+  }
+
+  const prepared = [];
+  let skipped = 0;
+
+  satellites.forEach((satellite) => {
+    const tle1 = satellite.tle1 || satellite.tle?.line1 || "";
+    const tle2 = satellite.tle2 || satellite.tle?.line2 || "";
+
+    // Validate TLE
+    if (tle1.length < 69 || tle2.length < 69) {
+      skipped++;
+      return;
+    }
+
+    const entry = { name: satellite.name, tle1, tle2 };
+    if (satellite.id && satellite.id !== satellite.name) {
+      entry.id = satellite.id;
+    }
+    prepared.push(entry);
+  });
+
+  if (prepared.length === 0) {
+    throw new Error(
+      "Invalid TLE data: no satellite has two 69-character TLE lines",
+    );
+  }
+
+  updateStatus(
+    `Satellite data prepared (${prepared.length} satellites` +
+      (skipped > 0 ? `, ${skipped} skipped` : "") +
+      ")",
+  );
+  return { satellites: prepared };
+}
+
+/**
+ * Decode a frame's numeric grid (format "float32le", base64 data)
+ * Rows are returned south to north to match the overlay texture.
+ * @returns {Object} { width, height, resolutionDeg, bounds, units, metric, values:Float32Array }
+ */
+function decodeValueGrid(grid) {
+  if (grid.format !== "float32le") {
+    throw new Error(`Unsupported grid format: ${grid.format}`);
+  }
 
-  // Validate TLE
-  if (!satelliteData.satellites[0].tle1 || !satelliteData.satellites[0].tle2) {
-    throw new Error("Invalid TLE data: Missing TLE lines");
+  const binaryString = atob(grid.data);
+  const view = new DataView(new ArrayBuffer(binaryString.length));
+  for (let i = 0; i < binaryString.length; i++) {
+    view.setUint8(i, binaryString.charCodeAt(i));
   }
 
-  if (
-    satelliteData.satellites[0].tle1.length < 69 ||
-    satelliteData.satellites[0].tle2.length < 69
-  ) {
-    throw new Error("Invalid TLE format: TLE lines must be 69 characters");
+  const { width, height } = grid;
+  if (view.byteLength !== width * height * 4) {
+    throw new Error("Grid data does not match its dimensions");
+  }
+
+  const values = new Float32Array(width * height);
+  const northFirst = grid.row_order === "north_to_south";
+  for (let row = 0; row < height; row++) {
+    const sourceRow = northFirst ? height - 1 - row : row;
+    for (let col = 0; col < width; col++) {
+      values[row * width + col] = view.getFloat32(
+        (sourceRow * width + col) * 4,
+        true,
+      );
+    }
   }
 
-  updateStatus("Satellite data prepared");
-  return satelliteData;
+  return {
+    width,
+    height,
+    resolutionDeg: grid.resolution_deg,
+    bounds: grid.bounds || { west: -180, south: -90, east: 180, north: 90 },
+    units: grid.units || "",
+    metric: grid.metric || null,
+    values,
+  };
 }
 
 /**
@@ -134,10 +206,13 @@ async function initializeBackend(satelliteData) {
     }
 
     const result = await response.json();
+    satelliteCount = result.satellite_count || satelliteData.satellites.length;
     console.log(
       `[HeatmapManager] ✓ Backend initialized, satellites: ${result.satellite_count || 0}`,
     );
-    updateStatus("Backend initialized");
+    updateStatus(
+      `Backend initialized with ${result.satellite_count || 0} satellites`,
+    );
     return true;
   } catch (error) {
     const errorMsg = `Failed to initialize backend. Error: ${error.message}`;
@@ -162,7 +237,8 @@ async function startGeneration(config) {
       body: JSON.stringify({
         duration_seconds: config.duration,
         step_seconds: config.step,
-        start_time: null,
+        start_time: getSimulationTime().toISOString(),
+        metric: config.metric,
       }),
     });
 
@@ -173,6 +249,13 @@ async function startGeneration(config) {
 
     const result = await response.json();
     expectedFrames = result.total_frames || expectedFrames;
+    heatmapLegend = result.legend || null;
+    runParameters = {
+      duration: config.duration,
+      step: config.step,
+      metric: result.metric || config.metric,
+      startTime: result.start_time || null,
+    };
 
     console.log(
       `[HeatmapManager] ✓ Generation started, total frames: ${expectedFrames}`,
@@ -189,12 +272,14 @@ async function startGeneration(config) {
 /**
  * Connect to WebSocket and receive frames
  * WebSocket /ws/frames
- * REQUIRED: All frames must come from WebSocket (heatmap_client.py)
+ * REQUIRED: All frames must come from WebSocket
+ * @returns {Promise<void>} Resolves once the socket is open, so generation
+ *   can start without frames being sent before anyone listens
  */
 function startFrameMonitoring() {
   if (websocket) {
     console.warn("[HeatmapManager] WebSocket already connected");
-    return;
+    return Promise.resolve();
   }
 
   updateStatus("Connecting to WebSocket for frame streaming...");
@@ -202,12 +287,22 @@ function startFrameMonitoring() {
   const wsUrl = `${WS_BASE_URL}/ws/frames`;
   console.log(`[HeatmapManager] Connecting to WebSocket: ${wsUrl}`);
 
+  let resolveOpen;
+  let rejectOpen;
+  const opened = new Promise((resolve, reject) => {
+    resolveOpen = resolve;
+    rejectOpen = reject;
+  });
+  let isOpen = false;
+
   try {
     websocket = new WebSocket(wsUrl);
 
     websocket.onopen = () => {
+      isOpen = true;
       console.log("[HeatmapManager] ✓ WebSocket connected");
       updateStatus("WebSocket connected, receiving frames...");
+      resolveOpen();
 
       // Set binary type if needed (though we're using JSON messages)
       // websocket.binaryType = 'arraybuffer';
@@ -233,6 +328,9 @@ function startFrameMonitoring() {
           const statusMsg = status.status || "Processing...";
           updateStatus(statusMsg);
           console.log(`[HeatmapManager] Status: ${statusMsg}`);
+        } else if (msgType === "error") {
+          // Terminal: the server gave up on the run
+          failGeneration(data.error || "Heatmap generation failed");
         } else if (msgType === "frame") {
           const index = data.index;
           const total = data.total;
@@ -241,6 +339,7 @@ function startFrameMonitoring() {
 
           // Track frame receipt (network event)
           framesReceivedSet.add(index);
+          frameInfo.set(index, { filename, timestamp: data.timestamp || null });
           currentFrame = index;
           console.log(
             `[HeatmapManager] Received frame ${index}/${total} (received: ${framesReceivedSet.size}/${total})`,
@@ -260,6 +359,17 @@ function startFrameMonitoring() {
               // Store frame in cache for slider navigation
               frameCache.set(index, frameUrl);
 
+              // Keep the raw values for hover probing (optional in the protocol)
+              if (data.grid) {
+                try {
+                  setHeatmapFrameValues(index, decodeValueGrid(data.grid));
+                } catch (error) {
+                  console.warn(
+                    `[HeatmapManager] Frame ${index} grid ignored: ${error.message}`,
+                  );
+                }
+              }
+
               // Process frame rendering asynchronously (separate from receipt)
               // Use requestAnimationFrame to batch render operations
               requestAnimationFrame(async () => {
@@ -421,10 +531,15 @@ function startFrameMonitoring() {
       );
       websocket = null;
 
-      if (isGenerating && event.code !== 1000) {
+      if (!isOpen) {
+        rejectOpen(
+          new Error(
+            "Failed to connect to WebSocket /ws/frames. Please ensure the server is running",
+          ),
+        );
+      } else if (isGenerating && event.code !== 1000) {
         // Unexpected close
-        updateStatus("WebSocket connection lost", null);
-        isGenerating = false;
+        failGeneration("WebSocket connection lost");
       }
     };
   } catch (error) {
@@ -433,6 +548,21 @@ function startFrameMonitoring() {
     updateStatus(`Error: ${errorMsg}`, null);
     throw new Error(errorMsg);
   }
+
+  return opened;
+}
+
+/**
+ * End the current run after a server error or a lost connection
+ * Frames received so far are kept; the run is not saved.
+ * @param {string} message - Reason shown in the status line
+ */
+function failGeneration(message) {
+  console.error(`[HeatmapManager] Generation failed: ${message}`);
+  generationError = message;
+  isGenerating = false;
+  stopFrameMonitoring();
+  updateStatus(`Error: ${message}`, null);
 }
 
 /**
@@ -451,85 +581,14 @@ function stopFrameMonitoring() {
   }
 }
 
-/**
- * Execute heatmap_client.py on server
- * Sends satellite data to server, which creates file and spawns Python process
- * Format: python heatmap_client.py --satellite-file <file> --duration <duration> --step <step>
- */
-async function executeHeatmapClient(satelliteData, config) {
-  console.log("[HeatmapManager] ========================================");
-  console.log("[HeatmapManager] Starting heatmap_client.py execution");
-  console.log("[HeatmapManager] ========================================");
-  console.log(
-    "[HeatmapManager] Satellite data:",
-    JSON.stringify(satelliteData, null, 2),
-  );
-  console.log("[HeatmapManager] Config:", {
-    duration: config.duration,
-    step: config.step,
-  });
-
-  updateStatus("Starting heatmap_client.py...");
-
-  try {
-    console.log(
-      "[HeatmapManager] Sending request to server to execute Python script...",
-    );
-    console.log("[HeatmapManager] Endpoint: POST /api/run-heatmap-client");
-
-    // Send satellite data and config to server to execute Python script
-    const response = await fetch(`${API_BASE_URL}/run-heatmap-client`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        satelliteData: satelliteData,
-        duration: config.duration,
-        step: config.step,
-      }),
-    });
-
-    console.log("[HeatmapManager] Server response status:", response.status);
-    console.log("[HeatmapManager] Server response ok:", response.ok);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("[HeatmapManager] Server returned error:", errorText);
-      throw new Error(
-        `Failed to execute heatmap_client.py: ${response.status} - ${errorText}`,
-      );
-    }
-
-    const result = await response.json();
-    console.log("[HeatmapManager] Server response data:", result);
-
-    pythonProcess = { pid: result.pid };
-
-    console.log("[HeatmapManager] ✓ heatmap_client.py started successfully");
-    console.log("[HeatmapManager] Process PID:", result.pid);
-    console.log("[HeatmapManager] Message:", result.message);
-    updateStatus("heatmap_client.py is running...");
-
-    return result.pid;
-  } catch (error) {
-    console.error("[HeatmapManager] ========================================");
-    console.error(
-      "[HeatmapManager] ERROR: Failed to execute heatmap_client.py",
-    );
-    console.error("[HeatmapManager] Error type:", error.constructor.name);
-    console.error("[HeatmapManager] Error message:", error.message);
-    console.error("[HeatmapManager] Error stack:", error.stack);
-    console.error("[HeatmapManager] ========================================");
-
-    const errorMsg = `Failed to execute heatmap_client.py. Error: ${error.message}`;
-    throw new Error(errorMsg);
-  }
-}
-
 /**
  * Start heatmap generation
- * Executes heatmap_client.py locally, then connects to WebSocket for frames
+ * Initializes the backend, connects to WebSocket for frames, then starts
+ * generation, so every frame of the run arrives on the open socket
+ * @param {Object|Array<Object>} satellites - One satellite or a whole set
+ * @param {Object} config - { duration, step, metric }
  */
-export async function startHeatmapGeneration(satellite, config = {}) {
+export async function startHeatmapGeneration(satellites, config = {}) {
   if (isGenerating) {
     console.warn("[HeatmapManager] Heatmap generation already in progress");
     return { success: false, error: "Generation already in progress" };
@@ -537,7 +596,9 @@ export async function startHeatmapGeneration(satellite, config = {}) {
 
   try {
     isGenerating = true;
-    selectedSatellite = satellite;
+    generationError = null;
+    selectedSatellites = Array.isArray(satellites) ? satellites : [satellites];
+    satelliteCount = 0;
 
     // Merge config with defaults
     const finalConfig = { ...DEFAULT_CONFIG, ...config };
@@ -555,10 +616,10 @@ export async function startHeatmapGeneration(satellite, config = {}) {
     clearFrameCache();
 
     // Step 1: Prepare satellite data
-    const satelliteData = prepareSatelliteData(satellite);
+    const satelliteData = prepareSatelliteData(selectedSatellites);
 
-    // Step 2: Execute heatmap_client.py locally
-    await executeHeatmapClient(satelliteData, finalConfig);
+    // Step 2: Send satellites to the heatmap backend
+    await initializeBackend(satelliteData);
 
     // Step 3: Clear any previous heatmap data to prevent stale cache
     clearHeatmapOverlay();
@@ -566,8 +627,10 @@ export async function startHeatmapGeneration(satellite, config = {}) {
     // Step 4: Show heatmap overlay
     showHeatmapOverlay();
 
-    // Step 5: Connect to WebSocket for frame streaming
-    startFrameMonitoring();
+    // Step 5: Connect to WebSocket for frame streaming before any frame
+    // exists, then start generation (frames may arrive before it returns)
+    await startFrameMonitoring();
+    await startGeneration(finalConfig);
 
     // Step 6: Sync rotation
     syncHeatmapRotation();
@@ -585,10 +648,11 @@ export async function startHeatmapGeneration(satellite, config = {}) {
     );
     updateStatus(`Error: ${error.message}`, null);
     isGenerating = false;
+    stopFrameMonitoring();
 
     // Show user-friendly error
     const errorMsg = error.message.includes("API")
-      ? `${error.message}\n\nPlease ensure:\n1. Server is running: npm run server\n2. heatmap_client.py is accessible\n3. Python is installed`
+      ? `${error.message}\n\nPlease ensure the server is running: npm run server`
       : error.message;
 
     return { success: false, error: errorMsg };
@@ -609,47 +673,14 @@ export async function stopHeatmapGeneration() {
 
   updateStatus("Stopping heatmap generation...");
 
-  // Stop Python process if running
-  if (pythonProcess && pythonProcess.pid) {
-    console.log(
-      "[HeatmapManager] Stopping Python process, PID:",
-      pythonProcess.pid,
-    );
-    try {
-      const response = await fetch(`${API_BASE_URL}/stop-client`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ pid: pythonProcess.pid }),
-      });
-
-      console.log(
-        "[HeatmapManager] Stop request response status:",
-        response.status,
-      );
-
-      if (response.ok) {
-        const result = await response.json();
-        console.log("[HeatmapManager] ✓ Process stopped successfully");
-        console.log("[HeatmapManager] Server response:", result);
-      } else {
-        const errorText = await response.text();
-        console.warn(
-          "[HeatmapManager] Failed to stop process via API:",
-          errorText,
-        );
-      }
-    } catch (error) {
-      console.error("[HeatmapManager] Error stopping process:", error);
-      console.error("[HeatmapManager] Error details:", error.message);
-    }
-  } else {
-    console.log("[HeatmapManager] No Python process PID found to stop");
+  // Closing the socket alone leaves the server generating the whole run
+  if (websocket && websocket.readyState === WebSocket.OPEN) {
+    websocket.send(JSON.stringify({ type: "cancel" }));
   }
 
   // Close WebSocket connection
   stopFrameMonitoring();
 
-  pythonProcess = null;
   isGenerating = false;
   updateStatus("Heatmap generation stopped");
   console.log("[HeatmapManager] ✓ Heatmap generation stopped");
@@ -691,8 +722,11 @@ export async function clearHeatmap() {
   framesRenderedSet.clear();
   totalExpectedFrames = 0;
   animationTriggered = false;
+  heatmapLegend = null;
+  runParameters = null;
 
-  selectedSatellite = null;
+  selectedSatellites = [];
+  satelliteCount = 0;
   currentFrame = 0;
   displayedFrame = 0;
   expectedFrames = 0;
@@ -782,6 +816,124 @@ function finalizeFrameLoading(totalFrames, timeout = false) {
   if (frameCache.size > 0) {
     startFrameAnimation(animationFrameInterval);
   }
+
+  // Keep complete runs for later sessions (partial runs are not saved)
+  if (!timeout) {
+    saveCompletedRun().catch((error) => {
+      console.warn("[HeatmapManager] Could not save run:", error);
+      const message =
+        error?.name === "QuotaExceededError"
+          ? `This run was not saved: ${error.message}. Delete saved runs or free up disk space.`
+          : `This run was not saved: ${error.message}`;
+      window.dispatchEvent(
+        new CustomEvent("heatmap-run-save-failed", {
+          detail: { message, evicted: error?.evicted || [] },
+        }),
+      );
+    });
+  }
+}
+
+/**
+ * Persist the finished run (frames, parameters, TLE snapshot) to IndexedDB
+ */
+async function saveCompletedRun() {
+  const runInfo = getHeatmapRunInfo();
+  if (!runInfo || runInfo.frames.length === 0) return;
+
+  const frames = [];
+  for (const frame of runInfo.frames) {
+    const response = await fetch(frameCache.get(frame.index));
+    frames.push({
+      ...frame,
+      png: await response.blob(),
+      grid: getHeatmapFrameValues(frame.index),
+    });
+  }
+
+  const setName =
+    runInfo.satellites.length === 1
+      ? runInfo.satellites[0]
+      : `${runInfo.satelliteCount} satellites`;
+  const startTime = runInfo.parameters.startTime
+    ? new Date(runInfo.parameters.startTime).toLocaleString()
+    : new Date().toLocaleString();
+
+  const { evicted } = await saveHeatmapRun({
+    name: `${setName} · ${runInfo.parameters.metric} · ${startTime}`,
+    parameters: runInfo.parameters,
+    legend: runInfo.legend,
+    satellites: selectedSatellites.map((satellite) => ({
+      name: satellite.name,
+      tle1: satellite.tle1 || satellite.tle?.line1 || "",
+      tle2: satellite.tle2 || satellite.tle?.line2 || "",
+    })),
+    frames,
+  });
+
+  // evicted: older runs deleted to make room, so the panel can name them
+  window.dispatchEvent(
+    new CustomEvent("heatmap-runs-changed", { detail: { evicted } }),
+  );
+}
+
+/**
+ * Reload a saved run into the overlay without contacting any server
+ * Frames go back into the frame cache, so navigateToFrame and the animation
+ * loop work exactly as after a live run.
+ * @param {string} id - Saved run ID
+ * @returns {Promise<{success:boolean, error?:string, totalFrames?:number}>}
+ */
+export async function loadSavedHeatmapRun(id) {
+  if (isGenerating) {
+    return { success: false, error: "Generation already in progress" };
+  }
+
+  const saved = await loadHeatmapRun(id);
+  if (!saved || saved.frames.length === 0) {
+    return { success: false, error: "Saved run has no frames" };
+  }
+
+  const { run, frames } = saved;
+
+  // Reset the current run locally (no /api/clear-output)
+  stopFrameAnimation();
+  clearHeatmapOverlay();
+  clearFrameCache();
+  framesReceivedSet.clear();
+  framesRenderedSet.clear();
+
+  frames.forEach((frame) => {
+    frameCache.set(frame.index, URL.createObjectURL(frame.png));
+    frameInfo.set(frame.index, {
+      filename: frame.filename,
+      timestamp: frame.timestamp,
+    });
+    if (frame.grid) setHeatmapFrameValues(frame.index, frame.grid);
+    framesReceivedSet.add(frame.index);
+    framesRenderedSet.add(frame.index);
+  });
+
+  selectedSatellites = run.satellites;
+  satelliteCount = run.satelliteCount;
+  heatmapLegend = run.legend;
+  runParameters = { ...run.parameters };
+  expectedFrames = frames.length;
+  totalExpectedFrames = frames.length;
+  currentFrame = frames.length;
+  animationTriggered = true;
+
+  showHeatmapOverlay();
+  syncHeatmapRotation();
+  await navigateToFrame(frames[0].index);
+
+  if (frameSliderCallback) {
+    frameSliderCallback(frames[0].index, frames.length, true);
+  }
+  startFrameAnimation(animationFrameInterval);
+
+  updateStatus(`Loaded saved run: ${run.name}`, 100);
+  return { success: true, totalFrames: frames.length };
 }
 
 /**
@@ -791,16 +943,56 @@ export function getGenerationStatus() {
   const renderedCount = framesRenderedSet.size;
   return {
     isGenerating,
-    selectedSatellite,
+    selectedSatellites,
+    satelliteCount,
     currentFrame,
     displayedFrame,
     expectedFrames,
     framesReceived: framesReceivedSet.size,
     framesRendered: renderedCount,
+    error: generationError,
     progress: expectedFrames > 0 ? (renderedCount / expectedFrames) * 100 : 0,
   };
 }
 
+/**
+ * Get the color scale of the current heatmap run
+ * @returns {Object|null} { metric, label, units, min, max, gradient, min_elevation_deg },
+ *   or null if the server did not describe one
+ */
+export function getHeatmapLegend() {
+  return heatmapLegend;
+}
+
+/**
+ * Describe the current run for exports
+ * @returns {Object|null} { parameters, satellites, satelliteCount, legend, frames },
+ *   frames sorted by index with { index, filename, timestamp }; null before a run
+ */
+export function getHeatmapRunInfo() {
+  if (!runParameters) return null;
+
+  return {
+    parameters: { ...runParameters },
+    satellites: selectedSatellites.map((satellite) => satellite.name),
+    satelliteCount: satelliteCount || selectedSatellites.length,
+    legend: heatmapLegend,
+    frames: getSortedFrameIndices().map((index) => ({
+      index,
+      filename: frameInfo.get(index)?.filename || null,
+      timestamp: frameInfo.get(index)?.timestamp || null,
+    })),
+  };
+}
+
+/**
+ * Get the blob URL of a cached frame
+ * @param {number} frameIndex - Frame index (1-based)
+ */
+export function getFrameUrl(frameIndex) {
+  return frameCache.get(frameIndex) || null;
+}
+
 /**
  * Navigate to a specific frame index
  * @param {number} frameIndex - Frame index (1-based from UI, matches WebSocket index)
@@ -910,6 +1102,7 @@ export function clearFrameCache() {
     }
   });
   frameCache.clear();
+  frameInfo.clear();
   animationCurrentFrame = 1;
   console.log("[HeatmapManager] Frame cache cleared");
 }
@@ -925,6 +1118,13 @@ export function startFrameAnimation(intervalMs = 500) {
     return;
   }
 
+  if (clockSyncInterval) {
+    console.log(
+      "[HeatmapManager] Following the simulation clock, not animating",
+    );
+    return;
+  }
+
   if (frameCache.size === 0) {
     console.warn("[HeatmapManager] No frames to animate");
     return;
@@ -1024,3 +1224,81 @@ export function setAnimationInterval(intervalMs) {
 export function getSortedFrameIndices() {
   return Array.from(frameCache.keys()).sort((a, b) => a - b);
 }
+
+/**
+ * Simulation time a frame shows: its timestamp, or the run's start time
+ * plus one step per frame for frames without one
+ * @param {number} frameIndex - Frame index (1-based)
+ * @returns {Date|null}
+ */
+export function getFrameTime(frameIndex) {
+  const timestamp = frameInfo.get(frameIndex)?.timestamp;
+  if (timestamp) return new Date(timestamp);
+  if (!runParameters?.startTime) return null;
+  return new Date(
+    Date.parse(runParameters.startTime) +
+      (frameIndex - 1) * runParameters.step * 1000,
+  );
+}
+
+/**
+ * Last frame at or before a time, clamped to the run's first and last frames
+ * @returns {number|null} Frame index, or null without timed frames
+ */
+function getFrameIndexForTime(time) {
+  let match = null;
+  for (const index of getSortedFrameIndices()) {
+    const frameTime = getFrameTime(index);
+    if (!frameTime) continue;
+    if (match === null || frameTime <= time) match = index;
+    if (frameTime > time) break;
+  }
+  return match;
+}
+
+/**
+ * Show the frame matching the simulation clock
+ */
+async function syncFrameToClock() {
+  if (clockSyncBusy) return;
+
+  const frameIndex = getFrameIndexForTime(getSimulationTime());
+  if (frameIndex === null || frameIndex === displayedFrame) return;
+
+  clockSyncBusy = true;
+  try {
+    await navigateToFrame(frameIndex);
+    if (frameSliderCallback) {
+      frameSliderCallback(frameIndex, frameCache.size, true);
+    }
+  } finally {
+    clockSyncBusy = false;
+  }
+}
+
+/**
+ * Make frame playback follow the simulation clock instead of looping
+ * @param {boolean} enabled
+ */
+export function setFollowClock(enabled) {
+  if (enabled === Boolean(clockSyncInterval)) return;
+
+  if (enabled) {
+    stopFrameAnimation();
+    clockSyncInterval = setInterval(syncFrameToClock, 250);
+    syncFrameToClock();
+  } else {
+    clearInterval(clockSyncInterval);
+    clockSyncInterval = null;
+  }
+  console.log(
+    `[HeatmapManager] Follow simulation clock: ${enabled ? "on" : "off"}`,
+  );
+}
+
+/**
+ * Check if frame playback follows the simulation clock
+ */
+export function isFollowingClock() {
+  return Boolean(clockSyncInterval);
+}
@@ -9,6 +9,7 @@ import { getEarth } from "./earth.js";
 let heatmapMesh = null;
 let currentFrameIndex = -1;
 let frameTextures = new Map();
+let frameValues = new Map(); // frameIndex -> decoded numeric grid
 let scene = null;
 
 /**
@@ -151,6 +152,7 @@ export function clearHeatmapOverlay() {
   // Dispose all cached textures
   frameTextures.forEach((texture) => texture.dispose());
   frameTextures.clear();
+  frameValues.clear();
 
   currentFrameIndex = -1;
 
@@ -184,3 +186,58 @@ export function setHeatmapOpacity(opacity) {
 export function getCurrentFrameIndex() {
   return currentFrameIndex;
 }
+
+/**
+ * Get the overlay mesh (null until the first frame)
+ */
+export function getHeatmapMesh() {
+  return heatmapMesh;
+}
+
+/**
+ * Attach the numeric grid behind a frame image
+ * @param {number} frameIndex - Same index passed to updateHeatmapFrame
+ * @param {Object} grid - { width, height, resolutionDeg, bounds, units, metric, values:Float32Array }
+ */
+export function setHeatmapFrameValues(frameIndex, grid) {
+  frameValues.set(frameIndex, grid);
+}
+
+/**
+ * Get the numeric grid attached to a frame (null if none)
+ */
+export function getHeatmapFrameValues(frameIndex) {
+  return frameValues.get(frameIndex) || null;
+}
+
+/**
+ * Metric value of the displayed frame at a location
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {{value:number|null, units:string, metric:string}|null}
+ *   null when the displayed frame has no numeric grid; value is null where
+ *   the frame has no data (transparent cells)
+ */
+export function getHeatmapValueAt(lat, lon) {
+  const grid = frameValues.get(currentFrameIndex);
+  if (!grid || !heatmapMesh || !heatmapMesh.visible) return null;
+
+  const { west, south, east, north } = grid.bounds;
+  if (lat < south || lat > north || lon < west || lon > east) return null;
+
+  const col = Math.min(
+    grid.width - 1,
+    Math.floor(((lon - west) / (east - west)) * grid.width),
+  );
+  const row = Math.min(
+    grid.height - 1,
+    Math.floor(((lat - south) / (north - south)) * grid.height),
+  );
+  const value = grid.values[row * grid.width + col];
+
+  return {
+    value: Number.isNaN(value) ? null : value,
+    units: grid.units,
+    metric: grid.metric,
+  };
+}
@@ -0,0 +1,107 @@
+// ============================================
+// HEATMAP PROBE
+// Hover tooltip with the exact heatmap value under the cursor
+// ============================================
+
+import * as THREE from "three";
+import { HEATMAP_METRICS } from "./constants.js";
+import { toLatLon, updateMousePosition } from "./coordinates.js";
+import { getHeatmapMesh, getHeatmapValueAt } from "./heatmapOverlay.js";
+
+const THROTTLE_MS = 33; // Probing is cheaper than hover picking, ~30fps is plenty
+const TOOLTIP_OFFSET_PX = 14;
+
+let tooltipElement = null;
+let lastProbeTime = 0;
+const mouse = new THREE.Vector2();
+const raycaster = new THREE.Raycaster();
+
+/**
+ * Initialize hover probing on the heatmap overlay
+ */
+export function initHeatmapProbe(camera, renderer) {
+  if (tooltipElement) return;
+
+  tooltipElement = document.createElement("div");
+  tooltipElement.id = "heatmap-probe-tooltip";
+  tooltipElement.className = "heatmap-probe-tooltip hidden";
+  document.body.appendChild(tooltipElement);
+
+  renderer.domElement.addEventListener("mousemove", (event) => {
+    const now = Date.now();
+    if (now - lastProbeTime < THROTTLE_MS) return;
+    lastProbeTime = now;
+
+    probeAt(event, camera);
+  });
+  renderer.domElement.addEventListener("mouseleave", hideProbeTooltip);
+
+  console.log("[HeatmapProbe] Initialized");
+}
+
+/**
+ * Raycast the overlay and show the value at the hit point
+ */
+function probeAt(event, camera) {
+  const mesh = getHeatmapMesh();
+  if (!mesh || !mesh.visible) {
+    hideProbeTooltip();
+    return;
+  }
+
+  updateMousePosition(event, mouse, event.target);
+  raycaster.setFromCamera(mouse, camera);
+  const intersects = raycaster.intersectObject(mesh, false);
+  if (intersects.length === 0) {
+    hideProbeTooltip();
+    return;
+  }
+
+  // The overlay is a child of the Earth, so its local frame is Earth-fixed
+  const localPoint = mesh.worldToLocal(intersects[0].point.clone());
+  const { lat, lon } = toLatLon(localPoint, localPoint.length());
+
+  const sample = getHeatmapValueAt(lat, lon);
+  if (!sample) {
+    hideProbeTooltip();
+    return;
+  }
+
+  showProbeTooltip(event, lat, lon, sample);
+}
+
+/**
+ * Format a coordinate pair as 12.3°N, 45.6°W
+ */
+function formatLatLon(lat, lon) {
+  const latText = `${Math.abs(lat).toFixed(1)}°${lat >= 0 ? "N" : "S"}`;
+  const lonText = `${Math.abs(lon).toFixed(1)}°${lon >= 0 ? "E" : "W"}`;
+  return `${latText}, ${lonText}`;
+}
+
+/**
+ * Show the tooltip next to the cursor
+ */
+function showProbeTooltip(event, lat, lon, sample) {
+  const metric = HEATMAP_METRICS.find((entry) => entry.value === sample.metric);
+  const label = metric ? metric.label : "Value";
+  const valueText =
+    sample.value === null
+      ? "No coverage"
+      : `${sample.value.toFixed(2)} ${sample.units}`;
+
+  tooltipElement.innerHTML = `
+        <div class="heatmap-probe-value">${label}: ${valueText}</div>
+        <div class="heatmap-probe-location">${formatLatLon(lat, lon)}</div>
+    `;
+  tooltipElement.style.left = `${event.clientX + TOOLTIP_OFFSET_PX}px`;
+  tooltipElement.style.top = `${event.clientY + TOOLTIP_OFFSET_PX}px`;
+  tooltipElement.classList.remove("hidden");
+}
+
+/**
+ * Hide the probe tooltip
+ */
+export function hideProbeTooltip() {
+  if (tooltipElement) tooltipElement.classList.add("hidden");
+}
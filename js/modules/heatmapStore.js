@@ -0,0 +1,270 @@
+// ============================================
+// HEATMAP STORE
+// Completed heatmap runs persisted in IndexedDB
+// ============================================
+
+const DB_NAME = "latencymapper-heatmaps";
+const DB_VERSION = 1;
+const RUNS_STORE = "runs"; // Run metadata (small, listed in the panel)
+const FRAMES_STORE = "frames"; // Frame PNGs + numeric grids, keyed [runId, index]
+
+// Saving a run evicts the oldest runs beyond these limits. Runs the user
+// renamed are marked kept and are never evicted.
+const MAX_SAVED_RUNS = 20;
+const MAX_SAVED_BYTES = 250 * 1024 * 1024; // Frame PNGs and grids of all runs
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Open (and upgrade) the database once per session
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available"));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(RUNS_STORE)) {
+        db.createObjectStore(RUNS_STORE, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(FRAMES_STORE)) {
+        const frames = db.createObjectStore(FRAMES_STORE, {
+          keyPath: ["runId", "index"],
+        });
+        frames.createIndex("runId", "runId");
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Approximate storage used by a run's frames
+ */
+function estimateFramesBytes(frames) {
+  return frames.reduce(
+    (total, frame) =>
+      total + (frame.png?.size || 0) + (frame.grid?.values?.byteLength || 0),
+    0,
+  );
+}
+
+/**
+ * Delete the oldest run that is not kept
+ * @returns {Promise<Object|null>} The deleted run's metadata, or null if
+ *   every saved run is kept
+ */
+async function evictOldestRun() {
+  const runs = await listHeatmapRuns();
+  const oldest = runs.reverse().find((run) => !run.kept);
+  if (!oldest) return null;
+
+  await deleteHeatmapRun(oldest.id);
+  return oldest;
+}
+
+/**
+ * Delete the oldest runs that are not kept until a run of `bytes` fits
+ * within the limits (runs saved without a size count as empty)
+ * Nothing is deleted if the run would not fit even then.
+ * @returns {Promise<Array<Object>>} Metadata of the deleted runs
+ * @throws {DOMException} QuotaExceededError if kept runs leave no room
+ */
+async function evictForNewRun(bytes) {
+  const runs = await listHeatmapRuns();
+  let count = runs.length;
+  let total = runs.reduce((sum, run) => sum + (run.byteSize || 0), 0);
+  const fits = () => count < MAX_SAVED_RUNS && total + bytes <= MAX_SAVED_BYTES;
+
+  const evicted = [];
+  for (const run of runs.reverse()) {
+    if (fits()) break;
+    if (run.kept) continue;
+    evicted.push(run);
+    count--;
+    total -= run.byteSize || 0;
+  }
+  if (!fits()) {
+    throw new DOMException(
+      "Renamed (kept) runs fill the saved runs storage",
+      "QuotaExceededError",
+    );
+  }
+
+  for (const run of evicted) {
+    await deleteHeatmapRun(run.id);
+  }
+  return evicted;
+}
+
+/**
+ * Write a run and its frames in one transaction
+ */
+async function writeRun(id, run, byteSize) {
+  const db = await openDatabase();
+  const transaction = db.transaction([RUNS_STORE, FRAMES_STORE], "readwrite");
+  transaction.objectStore(RUNS_STORE).put({
+    id,
+    name: run.name,
+    createdAt: new Date().toISOString(),
+    parameters: run.parameters,
+    legend: run.legend,
+    satellites: run.satellites,
+    satelliteCount: run.satellites.length,
+    frameCount: run.frames.length,
+    byteSize,
+  });
+
+  const frames = transaction.objectStore(FRAMES_STORE);
+  run.frames.forEach((frame) => {
+    frames.put({ runId: id, ...frame });
+  });
+
+  await transactionDone(transaction);
+}
+
+/**
+ * Save a completed run
+ * Older runs that are not kept are evicted to stay within MAX_SAVED_RUNS and
+ * MAX_SAVED_BYTES, and again while the browser reports its storage quota
+ * exceeded.
+ * @param {Object} run
+ * @param {string} run.name - Display name
+ * @param {Object} run.parameters - { duration, step, metric, startTime }
+ * @param {Object|null} run.legend - Legend from the server
+ * @param {Array<{name:string, tle1:string, tle2:string}>} run.satellites - TLE snapshot
+ * @param {Array<Object>} run.frames - { index, filename, timestamp, png:Blob, grid:Object|null }
+ * @returns {Promise<{id:string, evicted:Array<Object>}>} Run ID and the
+ *   metadata of runs evicted to make room
+ * @throws {DOMException} QuotaExceededError if the run does not fit even
+ *   with every older run that is not kept evicted (`evicted` lists runs
+ *   already deleted by then)
+ */
+export async function saveHeatmapRun(run) {
+  const id = `run-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const byteSize = estimateFramesBytes(run.frames);
+  if (byteSize > MAX_SAVED_BYTES) {
+    throw new DOMException(
+      `Run is too large to save (${Math.round(byteSize / 1048576)} MB)`,
+      "QuotaExceededError",
+    );
+  }
+
+  const evicted = await evictForNewRun(byteSize);
+
+  for (;;) {
+    try {
+      await writeRun(id, run, byteSize);
+      break;
+    } catch (error) {
+      const oldest =
+        error?.name === "QuotaExceededError" ? await evictOldestRun() : null;
+      if (!oldest) {
+        error.evicted = evicted;
+        throw error;
+      }
+      evicted.push(oldest);
+      console.warn(`[HeatmapStore] Storage full, evicted run ${oldest.id}`);
+    }
+  }
+
+  console.log(`[HeatmapStore] ✓ Saved run ${id} (${run.frames.length} frames)`);
+  return { id, evicted };
+}
+
+/**
+ * List saved runs, newest first (metadata only)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listHeatmapRuns() {
+  const db = await openDatabase();
+  const runs = await requestToPromise(
+    db.transaction(RUNS_STORE).objectStore(RUNS_STORE).getAll(),
+  );
+  return runs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Load a run with its frames
+ * @returns {Promise<{run:Object, frames:Array<Object>}|null>} Frames sorted by index
+ */
+export async function loadHeatmapRun(id) {
+  const db = await openDatabase();
+  const transaction = db.transaction([RUNS_STORE, FRAMES_STORE]);
+
+  const run = await requestToPromise(
+    transaction.objectStore(RUNS_STORE).get(id),
+  );
+  if (!run) return null;
+
+  const frames = await requestToPromise(
+    transaction.objectStore(FRAMES_STORE).index("runId").getAll(id),
+  );
+  frames.sort((a, b) => a.index - b.index);
+
+  return { run, frames };
+}
+
+/**
+ * Rename a saved run
+ * Renamed runs are kept: saving new runs never evicts them.
+ */
+export async function renameHeatmapRun(id, name) {
+  const db = await openDatabase();
+  const transaction = db.transaction(RUNS_STORE, "readwrite");
+  const store = transaction.objectStore(RUNS_STORE);
+
+  const run = await requestToPromise(store.get(id));
+  if (!run) throw new Error(`Saved run not found: ${id}`);
+  store.put({ ...run, name, kept: true });
+
+  await transactionDone(transaction);
+}
+
+/**
+ * Delete a saved run and its frames
+ */
+export async function deleteHeatmapRun(id) {
+  const db = await openDatabase();
+  const transaction = db.transaction([RUNS_STORE, FRAMES_STORE], "readwrite");
+
+  transaction.objectStore(RUNS_STORE).delete(id);
+  transaction
+    .objectStore(FRAMES_STORE)
+    .delete(IDBKeyRange.bound([id, -Infinity], [id, Infinity]));
+
+  await transactionDone(transaction);
+  console.log(`[HeatmapStore] Deleted run ${id}`);
+}
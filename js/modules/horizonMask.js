@@ -0,0 +1,157 @@
+// ============================================
+// HORIZON MASK
+// Azimuth-dependent elevation masks for ground stations
+// ============================================
+
+/**
+ * A station's horizonMask is one of:
+ *   { type: "constant", elevation: 12 }
+ *   { type: "table", points: [{ azimuth: 0, elevation: 5 }, ...] }
+ * Table masks are linearly interpolated in azimuth and wrap around north.
+ * Stations without a mask see down to the geometric horizon (0°).
+ * Masks are normalized when stations enter the data store (groundStations.js),
+ * so the lookups below can stay cheap inside search loops.
+ */
+
+const MAX_MASK_ELEVATION = 90;
+
+/**
+ * Normalize an azimuth into [0, 360)
+ */
+function wrapAzimuth(azimuth) {
+  return ((azimuth % 360) + 360) % 360;
+}
+
+/**
+ * Validate and normalize a mask object
+ * @param {Object|null} mask - Raw mask (e.g. from station JSON)
+ * @returns {Object|null} Normalized mask, or null if empty or invalid
+ */
+export function normalizeHorizonMask(mask) {
+  if (!mask || typeof mask !== "object") return null;
+
+  if (mask.type === "constant") {
+    const elevation = Number(mask.elevation);
+    if (!Number.isFinite(elevation)) return null;
+    return {
+      type: "constant",
+      elevation: Math.max(0, Math.min(MAX_MASK_ELEVATION, elevation)),
+    };
+  }
+
+  if (mask.type === "table" && Array.isArray(mask.points)) {
+    const byAzimuth = new Map();
+    mask.points.forEach((point) => {
+      const azimuth = Number(point.azimuth);
+      const elevation = Number(point.elevation);
+      if (!Number.isFinite(azimuth) || !Number.isFinite(elevation)) return;
+      byAzimuth.set(
+        wrapAzimuth(azimuth),
+        Math.max(0, Math.min(MAX_MASK_ELEVATION, elevation)),
+      );
+    });
+
+    if (byAzimuth.size === 0) return null;
+
+    const points = [...byAzimuth.entries()]
+      .map(([azimuth, elevation]) => ({ azimuth, elevation }))
+      .sort((a, b) => a.azimuth - b.azimuth);
+
+    return { type: "table", points };
+  }
+
+  return null;
+}
+
+/**
+ * Parse az/el text (CSV horizon file or the modal's table field)
+ * Accepts comma, semicolon, tab or space separators; skips blank lines,
+ * "#" comments and non-numeric header rows.
+ * @param {string} text - One "azimuth, elevation" pair per line (degrees)
+ * @returns {Array<{azimuth:number, elevation:number}>}
+ */
+export function parseHorizonCsv(text) {
+  const points = [];
+
+  String(text || "")
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("#")) return;
+
+      const fields = trimmed.split(/[,;\t ]+/);
+      if (fields.length < 2) return;
+
+      const azimuth = parseFloat(fields[0]);
+      const elevation = parseFloat(fields[1]);
+      if (isNaN(azimuth) || isNaN(elevation)) return;
+
+      points.push({ azimuth, elevation });
+    });
+
+  return points;
+}
+
+/**
+ * Format table points back into editable text
+ */
+export function formatHorizonTable(points) {
+  return points
+    .map((point) => `${point.azimuth}, ${point.elevation}`)
+    .join("\n");
+}
+
+/**
+ * Mask elevation in a given direction
+ * @param {Object|null} mask - Normalized horizon mask
+ * @param {number} azimuth - Azimuth in degrees (0 = North, 90 = East)
+ * @returns {number} Mask elevation in degrees (0 when there is no mask)
+ */
+export function getMaskElevation(mask, azimuth) {
+  if (!mask) return 0;
+  if (mask.type === "constant") return mask.elevation;
+
+  const points = mask.points;
+  if (!points || points.length === 0) return 0;
+  if (points.length === 1) return points[0].elevation;
+
+  const az = wrapAzimuth(azimuth);
+
+  // Find the bracketing points, wrapping from the last point back to the first
+  let upperIndex = points.findIndex((point) => point.azimuth >= az);
+  if (upperIndex === -1) upperIndex = 0;
+  const lowerIndex = (upperIndex - 1 + points.length) % points.length;
+
+  const lower = points[lowerIndex];
+  const upper = points[upperIndex];
+  if (upper.azimuth === az) return upper.elevation;
+
+  const span = wrapAzimuth(upper.azimuth - lower.azimuth) || 360;
+  const t = wrapAzimuth(az - lower.azimuth) / span;
+  return lower.elevation + (upper.elevation - lower.elevation) * t;
+}
+
+/**
+ * Effective minimum elevation toward a direction
+ * The stricter of the global elevation mask and the station's horizon mask.
+ * @param {Object} station - Ground station (may carry horizonMask)
+ * @param {number} azimuth - Azimuth in degrees
+ * @param {number} minElevation - Global elevation mask in degrees
+ */
+export function getStationMinElevation(station, azimuth, minElevation = 0) {
+  return Math.max(
+    minElevation,
+    getMaskElevation(station?.horizonMask, azimuth),
+  );
+}
+
+/**
+ * Check whether a look direction clears the station's horizon and elevation mask
+ * @param {Object} station - Ground station (may carry horizonMask)
+ * @param {number} azimuth - Azimuth in degrees
+ * @param {number} elevation - Elevation in degrees
+ * @param {number} minElevation - Global elevation mask in degrees
+ */
+export function clearsHorizon(station, azimuth, elevation, minElevation = 0) {
+  return elevation >= getStationMinElevation(station, azimuth, minElevation);
+}
@@ -0,0 +1,225 @@
+// ============================================
+// ISL ROUTING
+// Time-varying inter-satellite-link graph and shortest-path routing
+// ============================================
+
+import { CONFIG } from "./constants.js";
+import {
+  distanceKm,
+  getStationGeodetic,
+  lightTimeMs,
+  propagateSatelliteEcf,
+} from "./linkGeometry.js";
+import { clearsHorizon } from "./horizonMask.js";
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Check that the straight segment between two ECF points clears the Earth
+ * @param {number} clearanceKm - Minimum allowed distance from the Earth's centre
+ */
+function hasLineOfSight(a, b, clearanceKm) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const dz = b.z - a.z;
+  const lengthSq = dx * dx + dy * dy + dz * dz;
+  if (lengthSq === 0) return true;
+
+  // Closest point of the segment to the Earth's centre
+  let t = -(a.x * dx + a.y * dy + a.z * dz) / lengthSq;
+  t = Math.max(0, Math.min(1, t));
+
+  const cx = a.x + t * dx;
+  const cy = a.y + t * dy;
+  const cz = a.z + t * dz;
+
+  return cx * cx + cy * cy + cz * cz >= clearanceKm * clearanceKm;
+}
+
+/**
+ * Build the routing graph for one instant
+ * Nodes are satellites plus ground stations; edge weights are one-way light-time.
+ * @param {Array<Object>} satRecords - Satellite records
+ * @param {Array<Object>} stations - Ground stations that may up/downlink
+ * @param {Date} time - Evaluation time
+ * @param {Object} options
+ * @param {number} options.maxIslRangeKm - Maximum inter-satellite link length
+ * @param {number} options.minElevation - Ground-to-satellite elevation mask
+ *   (degrees); each station's horizon mask applies on top of it
+ * @returns {{nodes:Array<Object>, edges:Array<Array<{to:number, km:number, ms:number}>>}}
+ */
+export function buildRoutingGraph(satRecords, stations, time, options = {}) {
+  const maxIslRangeKm = options.maxIslRangeKm ?? CONFIG.ISL.MAX_RANGE_KM;
+  const minElevation = options.minElevation ?? CONFIG.MIN_LINK_ELEVATION_DEG;
+  const clearanceKm =
+    CONFIG.EARTH_RADIUS_KM + CONFIG.ISL.MIN_GRAZING_ALTITUDE_KM;
+
+  const nodes = [];
+
+  satRecords.forEach((satRecord) => {
+    const state = propagateSatelliteEcf(satRecord, time);
+    if (!state) return;
+    nodes.push({
+      type: "satellite",
+      name: satRecord.name,
+      position: state.position,
+    });
+  });
+
+  const satelliteCount = nodes.length;
+
+  stations.forEach((station) => {
+    const observer = getStationGeodetic(station);
+    nodes.push({
+      type: "station",
+      id: station.id,
+      name: station.name,
+      lat: station.lat,
+      lon: station.lon,
+      horizonMask: station.horizonMask,
+      observer,
+      position: window.satellite.geodeticToEcf(observer),
+    });
+  });
+
+  const edges = nodes.map(() => []);
+  const addEdge = (i, j, km) => {
+    const ms = lightTimeMs(km);
+    edges[i].push({ to: j, km, ms });
+    edges[j].push({ to: i, km, ms });
+  };
+
+  // Inter-satellite links
+  for (let i = 0; i < satelliteCount; i++) {
+    for (let j = i + 1; j < satelliteCount; j++) {
+      const km = distanceKm(nodes[i].position, nodes[j].position);
+      if (km > maxIslRangeKm) continue;
+      if (!hasLineOfSight(nodes[i].position, nodes[j].position, clearanceKm)) {
+        continue;
+      }
+      addEdge(i, j, km);
+    }
+  }
+
+  // Ground-to-satellite links (no ground-to-ground edges)
+  for (let s = satelliteCount; s < nodes.length; s++) {
+    const station = nodes[s];
+    for (let i = 0; i < satelliteCount; i++) {
+      const look = window.satellite.ecfToLookAngles(
+        station.observer,
+        nodes[i].position,
+      );
+      const visible = clearsHorizon(
+        station,
+        look.azimuth * RAD_TO_DEG,
+        look.elevation * RAD_TO_DEG,
+        minElevation,
+      );
+      if (!visible) continue;
+      addEdge(s, i, distanceKm(station.position, nodes[i].position));
+    }
+  }
+
+  return { nodes, edges };
+}
+
+/**
+ * Dijkstra shortest path on light-time weights
+ * @returns {Array<number>|null} Node indices from source to target
+ */
+function shortestPath(graph, source, target) {
+  const count = graph.nodes.length;
+  const dist = new Array(count).fill(Infinity);
+  const previous = new Array(count).fill(-1);
+  const visited = new Array(count).fill(false);
+  dist[source] = 0;
+
+  for (let iteration = 0; iteration < count; iteration++) {
+    // Graphs stay small (hundreds of nodes), so a linear scan is fine
+    let u = -1;
+    for (let i = 0; i < count; i++) {
+      if (!visited[i] && (u === -1 || dist[i] < dist[u])) u = i;
+    }
+    if (u === -1 || dist[u] === Infinity) break;
+    if (u === target) break;
+    visited[u] = true;
+
+    // Ground stations terminate paths; they never relay traffic
+    if (u !== source && graph.nodes[u].type === "station") continue;
+
+    graph.edges[u].forEach((edge) => {
+      const candidate = dist[u] + edge.ms;
+      if (candidate < dist[edge.to]) {
+        dist[edge.to] = candidate;
+        previous[edge.to] = u;
+      }
+    });
+  }
+
+  if (dist[target] === Infinity) return null;
+
+  const path = [];
+  for (let node = target; node !== -1; node = previous[node]) {
+    path.unshift(node);
+  }
+  return path;
+}
+
+/**
+ * Find the lowest-latency route between two ground stations over ISLs
+ * @param {Object} stationA - Source ground station
+ * @param {Object} stationB - Destination ground station
+ * @param {Array<Object>} satRecords - Satellite records
+ * @param {Date} time - Evaluation time
+ * @param {Object} options - Same options as buildRoutingGraph
+ * @returns {{hops:Array<Object>, totalKm:number, latencyMs:number, rttMs:number, satelliteHops:number}|null}
+ *   Each hop lists the node it reaches and the length/latency of the link into it.
+ */
+export function findIslRoute(stationA, stationB, satRecords, time, options) {
+  const graph = buildRoutingGraph(
+    satRecords,
+    [stationA, stationB],
+    time,
+    options,
+  );
+  const source = graph.nodes.length - 2;
+  const target = graph.nodes.length - 1;
+
+  const path = shortestPath(graph, source, target);
+  if (!path) return null;
+
+  let totalKm = 0;
+  let latencyMs = 0;
+
+  const hops = path.map((nodeIndex, i) => {
+    const node = graph.nodes[nodeIndex];
+    let km = 0;
+    let ms = 0;
+
+    if (i > 0) {
+      const edge = graph.edges[path[i - 1]].find((e) => e.to === nodeIndex);
+      km = edge.km;
+      ms = edge.ms;
+      totalKm += km;
+      latencyMs += ms;
+    }
+
+    return {
+      type: node.type,
+      id: node.id,
+      name: node.name,
+      lat: node.lat,
+      lon: node.lon,
+      linkKm: km,
+      linkMs: ms,
+    };
+  });
+
+  return {
+    hops,
+    totalKm,
+    latencyMs,
+    rttMs: latencyMs * 2,
+    satelliteHops: hops.filter((hop) => hop.type === "satellite").length,
+  };
+}
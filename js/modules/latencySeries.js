@@ -0,0 +1,170 @@
+// ============================================
+// LATENCY TIME SERIES
+// Best-path latency between two stations sampled over a time window
+// ============================================
+
+import { CONFIG } from "./constants.js";
+import { computeBentPipeLinks } from "./bentPipe.js";
+import { findIslRoute } from "./islRouting.js";
+
+// Samples computed between yields to the browser
+const SAMPLES_PER_CHUNK = 20;
+
+/**
+ * Evaluate the best path at one instant
+ * @returns {{oneWayMs:number|null, servingSatellite:string|null, route:string|null}}
+ */
+function sampleBestPath(stationA, stationB, satRecords, time, options) {
+  if (options.mode === "isl") {
+    const route = findIslRoute(stationA, stationB, satRecords, time, options);
+    if (!route) return { oneWayMs: null, servingSatellite: null, route: null };
+
+    const satellites = route.hops
+      .filter((hop) => hop.type === "satellite")
+      .map((hop) => hop.name);
+
+    return {
+      oneWayMs: route.latencyMs,
+      servingSatellite: satellites[0] || null,
+      route: satellites.join(" > "),
+    };
+  }
+
+  const { best } = computeBentPipeLinks(
+    stationA,
+    stationB,
+    satRecords,
+    time,
+    options,
+  );
+  if (!best) return { oneWayMs: null, servingSatellite: null, route: null };
+
+  return {
+    oneWayMs: best.oneWayMs,
+    servingSatellite: best.satelliteName,
+    route: best.satelliteName,
+  };
+}
+
+/**
+ * Sample best-path latency over a time window with SGP4 propagation
+ * Steps through time the same way calculateOrbitPath does: a fixed number of
+ * evenly spaced samples from the start time.
+ * @param {Object} stationA - Source ground station
+ * @param {Object} stationB - Destination ground station
+ * @param {Array<Object>} satRecords - Satellite records
+ * @param {Object} options
+ * @param {Date} options.startTime - Window start
+ * @param {number} options.durationMinutes - Window length
+ * @param {number} options.stepSeconds - Sample spacing
+ * @param {string} options.mode - "bent-pipe" or "isl"
+ * @param {number} options.minElevation - Elevation mask in degrees
+ * @param {number} options.maxIslRangeKm - ISL range (isl mode only)
+ * @param {Function} onProgress - Optional callback (done, total)
+ * @returns {Promise<{samples:Array<Object>, handovers:Array<number>}>}
+ *   Each sample is { time, oneWayMs, rttMs, servingSatellite, route, handover };
+ *   handovers lists the indices where the serving path changed.
+ */
+export async function sampleLatencySeries(
+  stationA,
+  stationB,
+  satRecords,
+  options = {},
+  onProgress = null,
+) {
+  const defaults = CONFIG.LATENCY_SERIES;
+  const currentTime = options.startTime || new Date();
+  const durationMinutes =
+    options.durationMinutes ?? defaults.DEFAULT_DURATION_MINUTES;
+  const stepSeconds = options.stepSeconds ?? defaults.DEFAULT_STEP_SECONDS;
+  const numPoints = Math.min(
+    Math.floor((durationMinutes * 60) / stepSeconds),
+    defaults.MAX_SAMPLES,
+  );
+
+  const samples = [];
+  const handovers = [];
+  let previousRoute;
+
+  for (let i = 0; i <= numPoints; i++) {
+    const timeOffset = i * stepSeconds * 1000; // Convert to milliseconds
+    const sampleTime = new Date(currentTime.getTime() + timeOffset);
+
+    const path = sampleBestPath(
+      stationA,
+      stationB,
+      satRecords,
+      sampleTime,
+      options,
+    );
+
+    const handover = i > 0 && path.route !== previousRoute;
+    if (handover) handovers.push(i);
+    previousRoute = path.route;
+
+    samples.push({
+      time: sampleTime,
+      oneWayMs: path.oneWayMs,
+      rttMs: path.oneWayMs === null ? null : path.oneWayMs * 2,
+      servingSatellite: path.servingSatellite,
+      route: path.route,
+      handover,
+    });
+
+    if (i % SAMPLES_PER_CHUNK === 0) {
+      if (onProgress) onProgress(i + 1, numPoints + 1);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+
+  if (onProgress) onProgress(numPoints + 1, numPoints + 1);
+  return { samples, handovers };
+}
+
+/**
+ * Summary statistics of a latency series (available samples only)
+ * @returns {{min:number, max:number, mean:number, jitter:number, availability:number}|null}
+ *   jitter is the standard deviation of one-way latency; availability is 0..1
+ */
+export function summarizeLatencySeries(samples) {
+  const values = samples
+    .map((sample) => sample.oneWayMs)
+    .filter((value) => value !== null);
+  if (values.length === 0) return null;
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance =
+    values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    mean,
+    jitter: Math.sqrt(variance),
+    availability: values.length / samples.length,
+  };
+}
+
+/**
+ * Convert a latency series to CSV text
+ */
+export function latencySeriesToCsv(samples) {
+  const header = "time_utc,one_way_ms,rtt_ms,serving_satellite,route,handover";
+  const quote = (value) =>
+    value === null || value === undefined
+      ? ""
+      : `"${String(value).replace(/"/g, '""')}"`;
+
+  const rows = samples.map((sample) =>
+    [
+      sample.time.toISOString(),
+      sample.oneWayMs === null ? "" : sample.oneWayMs.toFixed(4),
+      sample.rttMs === null ? "" : sample.rttMs.toFixed(4),
+      quote(sample.servingSatellite),
+      quote(sample.route),
+      sample.handover ? 1 : 0,
+    ].join(","),
+  );
+
+  return [header, ...rows].join("\n");
+}
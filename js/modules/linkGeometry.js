@@ -0,0 +1,170 @@
+// ============================================
+// LINK GEOMETRY
+// Station-to-satellite look angles, range and latency
+// ============================================
+
+import { CONFIG } from "./constants.js";
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Convert a ground station to a satellite.js geodetic observer
+ * @param {{lat:number, lon:number, elevation?:number}} station - Station (elevation in meters)
+ * @returns {{latitude:number, longitude:number, height:number}} Radians / kilometers
+ */
+export function getStationGeodetic(station) {
+  return {
+    latitude: station.lat * DEG_TO_RAD,
+    longitude: station.lon * DEG_TO_RAD,
+    height: (station.elevation || 0) / 1000,
+  };
+}
+
+/**
+ * Get the Earth-fixed (ECF) position of a ground station
+ * @param {{lat:number, lon:number, elevation?:number}} station - Station
+ * @returns {{x:number, y:number, z:number}} Position in km
+ */
+export function getStationEcf(station) {
+  return window.satellite.geodeticToEcf(getStationGeodetic(station));
+}
+
+/**
+ * Propagate a satellite and return its Earth-fixed position and velocity
+ * Velocity is relative to the rotating Earth, so it can be used directly for range-rate
+ * @param {Object} satRecord - Satellite record with satrec
+ * @param {Date} time - Propagation time
+ * @returns {{position:Object, velocity:Object}|null} ECF km and km/s
+ */
+export function propagateSatelliteEcf(satRecord, time) {
+  try {
+    const positionAndVelocity = window.satellite.propagate(
+      satRecord.satrec,
+      time,
+    );
+
+    if (!positionAndVelocity || !positionAndVelocity.position) {
+      return null;
+    }
+
+    const gmst = window.satellite.gstime(time);
+    const position = window.satellite.eciToEcf(
+      positionAndVelocity.position,
+      gmst,
+    );
+
+    // Rotate the inertial velocity into the Earth frame, then remove the
+    // frame rotation (v_ecf = R * v_eci - omega x r_ecf)
+    let velocity = { x: 0, y: 0, z: 0 };
+    if (positionAndVelocity.velocity) {
+      const rotated = window.satellite.eciToEcf(
+        positionAndVelocity.velocity,
+        gmst,
+      );
+      const omega = CONFIG.EARTH_ROTATION_RAD_S;
+      velocity = {
+        x: rotated.x + omega * position.y,
+        y: rotated.y - omega * position.x,
+        z: rotated.z,
+      };
+    }
+
+    return { position, velocity };
+  } catch (error) {
+    console.error("[LinkGeometry] Error propagating satellite:", error);
+    return null;
+  }
+}
+
+/**
+ * Straight-line distance between two ECF points
+ * @returns {number} Distance in km
+ */
+export function distanceKm(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  const dz = a.z - b.z;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * One-way light-time over a free-space path
+ * @param {number} pathKm - Path length in km
+ * @returns {number} Latency in milliseconds
+ */
+export function lightTimeMs(pathKm) {
+  return (pathKm / CONFIG.SPEED_OF_LIGHT_KM_S) * 1000;
+}
+
+/**
+ * Lightweight azimuth/elevation lookup for search loops (no velocity or range-rate)
+ * @param {{latitude:number, longitude:number, height:number}} observer - From getStationGeodetic
+ * @param {Object} satRecord - Satellite record with satrec
+ * @param {Date} time - Evaluation time
+ * @returns {{azimuth:number, elevation:number}|null} Degrees
+ */
+export function computeAzimuthElevation(observer, satRecord, time) {
+  try {
+    const positionAndVelocity = window.satellite.propagate(
+      satRecord.satrec,
+      time,
+    );
+    if (!positionAndVelocity || !positionAndVelocity.position) {
+      return null;
+    }
+
+    const gmst = window.satellite.gstime(time);
+    const positionEcf = window.satellite.eciToEcf(
+      positionAndVelocity.position,
+      gmst,
+    );
+    const look = window.satellite.ecfToLookAngles(observer, positionEcf);
+
+    return {
+      azimuth: look.azimuth * RAD_TO_DEG,
+      elevation: look.elevation * RAD_TO_DEG,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compute look angles, range, range-rate and one-way latency from a station to a satellite
+ * @param {{lat:number, lon:number, elevation?:number}} station - Ground station
+ * @param {Object} satRecord - Satellite record with satrec
+ * @param {Date} time - Evaluation time
+ * @returns {{azimuth:number, elevation:number, rangeKm:number, rangeRateKmS:number, latencyMs:number}|null}
+ *   Angles in degrees, range-rate positive when receding
+ */
+export function computeLookAngles(station, satRecord, time) {
+  const state = propagateSatelliteEcf(satRecord, time);
+  if (!state) return null;
+
+  const observer = getStationGeodetic(station);
+  const look = window.satellite.ecfToLookAngles(observer, state.position);
+
+  const stationEcf = window.satellite.geodeticToEcf(observer);
+  const rx = state.position.x - stationEcf.x;
+  const ry = state.position.y - stationEcf.y;
+  const rz = state.position.z - stationEcf.z;
+  const rangeKm = Math.sqrt(rx * rx + ry * ry + rz * rz);
+
+  // Station is fixed in ECF, so range-rate is the satellite velocity projected on the line of sight
+  const rangeRateKmS =
+    rangeKm > 0
+      ? (rx * state.velocity.x +
+          ry * state.velocity.y +
+          rz * state.velocity.z) /
+        rangeKm
+      : 0;
+
+  return {
+    azimuth: look.azimuth * RAD_TO_DEG,
+    elevation: look.elevation * RAD_TO_DEG,
+    rangeKm,
+    rangeRateKmS,
+    latencyMs: lightTimeMs(rangeKm),
+  };
+}
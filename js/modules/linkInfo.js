@@ -0,0 +1,131 @@
+// ============================================
+// LINK INFO
+// Live station <-> satellite geometry for the info panels
+// ============================================
+
+import { computeLookAngles } from "./linkGeometry.js";
+import { getStationMinElevation } from "./horizonMask.js";
+import { getSatelliteRecords } from "./satelliteData.js";
+import { getGroundStationById } from "./groundStations.js";
+import { getSimulationTime } from "./simulationClock.js";
+
+let linkSatelliteName = null;
+let linkStationData = null;
+
+/**
+ * Set the satellite half of the selection pair
+ * @param {string|null} satelliteName - Satellite name, or null to clear
+ */
+export function setLinkSatellite(satelliteName) {
+  linkSatelliteName = satelliteName || null;
+  refreshLinkInfo();
+}
+
+/**
+ * Set the station half of the selection pair
+ * @param {Object|null} stationData - Station mesh userData, or null to clear
+ */
+export function setLinkStation(stationData) {
+  linkStationData = stationData || null;
+  refreshLinkInfo();
+}
+
+/**
+ * Get the satellite record of the current selection pair
+ */
+export function getLinkSatellite() {
+  if (!linkSatelliteName) return null;
+  return (
+    getSatelliteRecords().find((rec) => rec.name === linkSatelliteName) || null
+  );
+}
+
+/**
+ * Get the ground station of the current selection pair
+ * Falls back to the mesh userData for stations not in the data store
+ */
+export function getLinkStation() {
+  if (!linkStationData) return null;
+
+  const station = getGroundStationById(linkStationData.stationId);
+  if (station) return station;
+
+  return {
+    id: linkStationData.stationId,
+    name: linkStationData.stationName,
+    lat: linkStationData.latitude,
+    lon: linkStationData.longitude,
+    elevation: linkStationData.elevation || 0,
+    type: linkStationData.type,
+  };
+}
+
+/**
+ * Format link values into one of the info panels
+ */
+function renderLinkRows(prefix, title, link) {
+  const container = document.getElementById(`${prefix}-link-info`);
+  if (!container) return;
+
+  if (!link) {
+    container.classList.add("hidden");
+    return;
+  }
+
+  const titleEl = document.getElementById(`${prefix}-link-title`);
+  const azEl = document.getElementById(`${prefix}-link-azimuth`);
+  const elEl = document.getElementById(`${prefix}-link-elevation`);
+  const rangeEl = document.getElementById(`${prefix}-link-range`);
+  const rateEl = document.getElementById(`${prefix}-link-range-rate`);
+  const latencyEl = document.getElementById(`${prefix}-link-latency`);
+
+  const sign = link.rangeRateKmS >= 0 ? "+" : "";
+
+  if (titleEl) titleEl.textContent = title;
+  if (azEl) azEl.textContent = link.azimuth.toFixed(1) + "°";
+  if (elEl) {
+    let note = "";
+    if (link.elevation < 0) {
+      note = " (below)";
+    } else if (link.elevation < link.maskElevation) {
+      note = " (masked)";
+    }
+    elEl.textContent = link.elevation.toFixed(1) + "°" + note;
+  }
+  if (rangeEl) rangeEl.textContent = link.rangeKm.toFixed(1) + " km";
+  if (rateEl) {
+    rateEl.textContent = sign + link.rangeRateKmS.toFixed(3) + " km/s";
+  }
+  if (latencyEl) latencyEl.textContent = link.latencyMs.toFixed(2) + " ms";
+
+  container.classList.remove("hidden");
+}
+
+/**
+ * Recompute and display the link for the current selection pair
+ * @param {Date} time - Evaluation time (default: current simulation time)
+ */
+export function refreshLinkInfo(time = getSimulationTime()) {
+  const satRecord = getLinkSatellite();
+  const station = getLinkStation();
+
+  const link =
+    satRecord && station ? computeLookAngles(station, satRecord, time) : null;
+  if (link) {
+    link.maskElevation = getStationMinElevation(station, link.azimuth);
+  }
+
+  renderLinkRows("sat", link ? `Link to ${station.name}` : "", link);
+  renderLinkRows("station", link ? `Link to ${satRecord.name}` : "", link);
+
+  return link;
+}
+
+// Keep the panels live: recompute whenever satellites are propagated
+if (typeof window !== "undefined") {
+  window.addEventListener("satellites-updated", (e) => {
+    if (linkSatelliteName && linkStationData) {
+      refreshLinkInfo(e.detail?.time);
+    }
+  });
+}
@@ -0,0 +1,217 @@
+// ============================================
+// LINK RENDERING
+// Lines between ground stations and satellites that follow the meshes
+// ============================================
+
+import * as THREE from "three";
+import { COLORS } from "./constants.js";
+import { latLonToVector3 } from "./coordinates.js";
+import { getStationMeshes } from "./groundStationRenderer.js";
+import { getSatelliteMeshes } from "./satelliteRenderer.js";
+
+let scene = null;
+const linkPaths = new Map(); // key -> { line, endpoints, packet }
+let highlightMesh = null;
+let highlightedSatelliteName = null;
+
+// Time for an animated packet to traverse a whole path
+const PACKET_PERIOD_MS = 2500;
+
+/**
+ * Initialize link renderer with scene reference
+ */
+export function initLinkRenderer(sceneRef) {
+  scene = sceneRef;
+}
+
+/**
+ * Resolve an endpoint to its current position on the globe
+ * @param {{type:string, id?:string, name?:string, lat?:number, lon?:number}} endpoint
+ * @returns {THREE.Vector3|null}
+ */
+function resolveEndpoint(endpoint) {
+  if (endpoint.type === "station") {
+    const mesh = getStationMeshes().find(
+      (m) => m.userData.stationId === endpoint.id,
+    );
+    if (mesh) return mesh.position;
+    if (typeof endpoint.lat === "number" && typeof endpoint.lon === "number") {
+      return latLonToVector3(endpoint.lat, endpoint.lon);
+    }
+    return null;
+  }
+
+  if (endpoint.type === "satellite") {
+    const mesh = getSatelliteMeshes().find(
+      (m) => m.userData.satelliteName === endpoint.name,
+    );
+    return mesh ? mesh.position : null;
+  }
+
+  return null;
+}
+
+/**
+ * Create or replace a polyline through a list of endpoints
+ * @param {string} key - Unique path key (e.g. "bent-pipe")
+ * @param {Array<Object>} endpoints - Station / satellite endpoints in order
+ * @param {Object} options - { color, opacity, packet } (packet animates a dot along the path)
+ */
+export function setLinkPath(key, endpoints, options = {}) {
+  if (!scene) {
+    console.warn("[LinkRenderer] Scene not initialized");
+    return null;
+  }
+
+  clearLinkPath(key);
+  if (!endpoints || endpoints.length < 2) return null;
+
+  const positions = new Float32Array(endpoints.length * 3);
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+
+  const material = new THREE.LineBasicMaterial({
+    color: options.color ?? COLORS.LINK_PATH,
+    opacity: options.opacity ?? 0.9,
+    transparent: true,
+    depthTest: true,
+  });
+
+  const line = new THREE.Line(geometry, material);
+  line.userData.isLinkPath = true;
+  line.frustumCulled = false;
+  scene.add(line);
+
+  let packet = null;
+  if (options.packet) {
+    packet = new THREE.Mesh(
+      new THREE.SphereGeometry(0.008, 12, 12),
+      new THREE.MeshBasicMaterial({ color: COLORS.LINK_PACKET }),
+    );
+    packet.userData.isLinkPacket = true;
+    scene.add(packet);
+  }
+
+  linkPaths.set(key, { line, endpoints, packet });
+  updateLinkLines();
+
+  return line;
+}
+
+/**
+ * Remove a link path from the scene
+ */
+export function clearLinkPath(key) {
+  const path = linkPaths.get(key);
+  if (!path) return;
+
+  if (scene) scene.remove(path.line);
+  path.line.geometry.dispose();
+  path.line.material.dispose();
+
+  if (path.packet) {
+    if (scene) scene.remove(path.packet);
+    path.packet.geometry.dispose();
+    path.packet.material.dispose();
+  }
+
+  linkPaths.delete(key);
+}
+
+/**
+ * Mark a satellite with a halo (null to clear)
+ */
+export function setHighlightedSatellite(satelliteName) {
+  highlightedSatelliteName = satelliteName || null;
+
+  if (!highlightedSatelliteName) {
+    if (highlightMesh) highlightMesh.visible = false;
+    return;
+  }
+
+  if (!highlightMesh && scene) {
+    const geometry = new THREE.SphereGeometry(0.03, 16, 16);
+    const material = new THREE.MeshBasicMaterial({
+      color: COLORS.LINK_HIGHLIGHT,
+      wireframe: true,
+      transparent: true,
+      opacity: 0.8,
+    });
+    highlightMesh = new THREE.Mesh(geometry, material);
+    highlightMesh.userData.isLinkHighlight = true;
+    scene.add(highlightMesh);
+  }
+
+  updateLinkLines();
+}
+
+/**
+ * Place a packet along a polyline at a fraction of its total length
+ */
+function placePacket(packet, attribute, fraction) {
+  const count = attribute.count;
+  const lengths = [];
+  let total = 0;
+
+  for (let i = 1; i < count; i++) {
+    const dx = attribute.getX(i) - attribute.getX(i - 1);
+    const dy = attribute.getY(i) - attribute.getY(i - 1);
+    const dz = attribute.getZ(i) - attribute.getZ(i - 1);
+    const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    lengths.push(length);
+    total += length;
+  }
+
+  let remaining = fraction * total;
+  for (let i = 1; i < count; i++) {
+    const length = lengths[i - 1];
+    if (remaining <= length || i === count - 1) {
+      const t = length > 0 ? Math.min(1, remaining / length) : 0;
+      packet.position.set(
+        attribute.getX(i - 1) + (attribute.getX(i) - attribute.getX(i - 1)) * t,
+        attribute.getY(i - 1) + (attribute.getY(i) - attribute.getY(i - 1)) * t,
+        attribute.getZ(i - 1) + (attribute.getZ(i) - attribute.getZ(i - 1)) * t,
+      );
+      return;
+    }
+    remaining -= length;
+  }
+}
+
+/**
+ * Move link lines and the highlight to the current mesh positions (call in animation loop)
+ */
+export function updateLinkLines() {
+  const packetFraction =
+    (performance.now() % PACKET_PERIOD_MS) / PACKET_PERIOD_MS;
+
+  linkPaths.forEach(({ line, endpoints, packet }) => {
+    const attribute = line.geometry.getAttribute("position");
+    let complete = true;
+
+    endpoints.forEach((endpoint, i) => {
+      const position = resolveEndpoint(endpoint);
+      if (!position) {
+        complete = false;
+        return;
+      }
+      attribute.setXYZ(i, position.x, position.y, position.z);
+    });
+
+    line.visible = complete;
+    attribute.needsUpdate = true;
+
+    if (packet) {
+      packet.visible = complete;
+      if (complete) placePacket(packet, attribute, packetFraction);
+    }
+  });
+
+  if (highlightMesh) {
+    const position = highlightedSatelliteName
+      ? resolveEndpoint({ type: "satellite", name: highlightedSatelliteName })
+      : null;
+    highlightMesh.visible = !!position;
+    if (position) highlightMesh.position.copy(position);
+  }
+}
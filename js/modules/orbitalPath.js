@@ -9,9 +9,17 @@ import {
   propagateSatellitePosition,
   getSatelliteRecords,
 } from "./satelliteData.js";
+import { getSimulationTime } from "./simulationClock.js";
+
+// Orbit points are Earth-fixed, so a cached path drifts from the satellite as
+// the Earth turns; recompute once it is this far from the simulation time
+const ORBIT_CACHE_MAX_AGE_MS = 60 * 1000;
 
 let currentOrbitLine = null;
-let orbitPathCache = new Map();
+let currentOrbitTarget = null; // { satelliteMesh, isSelected } of the shown path
+let orbitPathCache = new Map(); // satellite name -> { time, points }
+let filterOrbitLines = []; // Paths drawn by the Filters panel "Orbital Paths" toggle
+let filterOrbitMeshes = [];
 let scene = null;
 
 /**
@@ -37,12 +45,13 @@ export function calculateOrbitPath(satelliteMesh) {
 
   // Check cache first
   const cacheKey = satelliteMesh.userData.satelliteName;
-  if (orbitPathCache.has(cacheKey)) {
-    return orbitPathCache.get(cacheKey);
+  const currentTime = getSimulationTime();
+  const cached = orbitPathCache.get(cacheKey);
+  if (cached && Math.abs(currentTime - cached.time) < ORBIT_CACHE_MAX_AGE_MS) {
+    return cached.points;
   }
 
   const orbitType = satelliteMesh.userData.orbitType;
-  const currentTime = new Date();
 
   // Determine orbit period and number of points based on orbit type
   const orbitPeriodMinutes =
@@ -73,7 +82,7 @@ export function calculateOrbitPath(satelliteMesh) {
 
   // Cache the calculated path
   if (points.length > 0) {
-    orbitPathCache.set(cacheKey, points);
+    orbitPathCache.set(cacheKey, { time: currentTime, points });
     console.log(
       `Calculated orbit path: ${points.length} points for ${satelliteMesh.userData.satelliteName} (${orbitType})`,
     );
@@ -140,6 +149,7 @@ export function removeOrbitLine() {
 
     currentOrbitLine = null;
   }
+  currentOrbitTarget = null;
 }
 
 /**
@@ -170,6 +180,7 @@ export function showOrbitPath(satelliteMesh, isSelected = false) {
     currentOrbitLine = createOrbitLine(points, isSelected);
     if (currentOrbitLine) {
       currentOrbitLine.userData.isHover = !isSelected;
+      currentOrbitTarget = { satelliteMesh, isSelected };
       scene.add(currentOrbitLine);
       console.log("✓ Orbital path added to scene");
     } else {
@@ -180,6 +191,54 @@ export function showOrbitPath(satelliteMesh, isSelected = false) {
   }
 }
 
+/**
+ * Show the orbital paths of several satellites (Filters panel), alongside
+ * the hover/selected path
+ * @param {Array<THREE.Mesh>} satelliteMeshes - At most CONFIG.MAX_FILTER_ORBITS are drawn
+ * @returns {number} Number of paths drawn
+ */
+export function showFilterOrbits(satelliteMeshes) {
+  clearFilterOrbits();
+  if (!scene) return 0;
+
+  filterOrbitMeshes = satelliteMeshes.slice(0, CONFIG.MAX_FILTER_ORBITS);
+  filterOrbitMeshes.forEach((satelliteMesh) => {
+    const line = createOrbitLine(calculateOrbitPath(satelliteMesh));
+    if (line) {
+      scene.add(line);
+      filterOrbitLines.push(line);
+    }
+  });
+
+  return filterOrbitLines.length;
+}
+
+/**
+ * Remove the paths drawn by showFilterOrbits()
+ */
+export function clearFilterOrbits() {
+  filterOrbitLines.forEach((line) => {
+    scene.remove(line);
+    line.geometry.dispose();
+    line.material.dispose();
+  });
+  filterOrbitLines = [];
+  filterOrbitMeshes = [];
+}
+
+// Redraw the shown paths from the new time when the simulation time jumps
+window.addEventListener("simulation-clock-changed", (e) => {
+  if (!e.detail.jumped) return;
+
+  if (currentOrbitTarget) {
+    const { satelliteMesh, isSelected } = currentOrbitTarget;
+    showOrbitPath(satelliteMesh, isSelected);
+  }
+  if (filterOrbitMeshes.length > 0) {
+    showFilterOrbits(filterOrbitMeshes);
+  }
+});
+
 /**
  * Clear orbit path cache
  */
@@ -0,0 +1,232 @@
+// ============================================
+// PASS PREDICTOR
+// AOS / TCA / LOS search for station-satellite pairs
+// ============================================
+
+import { CONFIG } from "./constants.js";
+import { computeAzimuthElevation, getStationGeodetic } from "./linkGeometry.js";
+import { getStationMinElevation } from "./horizonMask.js";
+
+// Refinement tolerances
+const EDGE_TOLERANCE_MS = 1000;
+const PEAK_TOLERANCE_MS = 1000;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+/**
+ * Elevation above the mask at a given time (negative when not visible)
+ * @param {Function} maskAt - Minimum elevation (degrees) for an azimuth
+ */
+function marginAt(observer, satRecord, time, maskAt) {
+  const look = computeAzimuthElevation(observer, satRecord, time);
+  if (!look) return { margin: -Infinity, look: null };
+  return { margin: look.elevation - maskAt(look.azimuth), look };
+}
+
+/**
+ * Bisect a visibility edge between a not-visible and a visible time
+ * @param {number} outsideMs - Time (ms) where the satellite is below the mask
+ * @param {number} insideMs - Time (ms) where the satellite is above the mask
+ * @returns {number} Edge time in ms
+ */
+function refineEdge(observer, satRecord, outsideMs, insideMs, maskAt) {
+  let outside = outsideMs;
+  let inside = insideMs;
+
+  while (Math.abs(inside - outside) > EDGE_TOLERANCE_MS) {
+    const mid = (outside + inside) / 2;
+    const { margin } = marginAt(observer, satRecord, new Date(mid), maskAt);
+    if (margin >= 0) {
+      inside = mid;
+    } else {
+      outside = mid;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Golden-section search for the elevation peak within [lowMs, highMs]
+ * @returns {{time:number, elevation:number}}
+ */
+function refinePeak(observer, satRecord, lowMs, highMs) {
+  const elevationAt = (ms) => {
+    const look = computeAzimuthElevation(observer, satRecord, new Date(ms));
+    return look ? look.elevation : -90;
+  };
+
+  let a = lowMs;
+  let b = highMs;
+  let c = b - GOLDEN_RATIO * (b - a);
+  let d = a + GOLDEN_RATIO * (b - a);
+  let fc = elevationAt(c);
+  let fd = elevationAt(d);
+
+  while (b - a > PEAK_TOLERANCE_MS) {
+    if (fc > fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - GOLDEN_RATIO * (b - a);
+      fc = elevationAt(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + GOLDEN_RATIO * (b - a);
+      fd = elevationAt(d);
+    }
+  }
+
+  const time = (a + b) / 2;
+  return { time, elevation: elevationAt(time) };
+}
+
+/**
+ * Build a pass object once its edges are known
+ */
+function buildPass(observer, satRecord, aosMs, losMs, peakGuessMs, stepMs) {
+  const peak = refinePeak(
+    observer,
+    satRecord,
+    Math.max(aosMs, peakGuessMs - stepMs),
+    Math.min(losMs, peakGuessMs + stepMs),
+  );
+
+  const aosLook = computeAzimuthElevation(observer, satRecord, new Date(aosMs));
+  const tcaLook = computeAzimuthElevation(
+    observer,
+    satRecord,
+    new Date(peak.time),
+  );
+  const losLook = computeAzimuthElevation(observer, satRecord, new Date(losMs));
+
+  return {
+    satelliteName: satRecord.name,
+    aos: new Date(aosMs),
+    tca: new Date(peak.time),
+    los: new Date(losMs),
+    maxElevation: peak.elevation,
+    aosAzimuth: aosLook ? aosLook.azimuth : null,
+    tcaAzimuth: tcaLook ? tcaLook.azimuth : null,
+    losAzimuth: losLook ? losLook.azimuth : null,
+    durationSeconds: (losMs - aosMs) / 1000,
+  };
+}
+
+/**
+ * Predict passes of one satellite over one ground station
+ * TCA is taken as the time of maximum elevation, which is the point of
+ * closest approach for an observer on the ground.
+ * @param {{lat:number, lon:number, elevation?:number}} station - Ground station
+ * @param {Object} satRecord - Satellite record with satrec
+ * @param {Object} options - Search options
+ * @param {Date} options.startTime - Window start (default: now)
+ * @param {number} options.horizonHours - Window length in hours
+ * @param {number} options.minElevation - Elevation mask in degrees (the
+ *   station's horizon mask applies on top of it)
+ * @param {number} options.stepSeconds - Coarse search step
+ * @returns {Array<Object>} Passes sorted by AOS. Passes already in progress at
+ *   startTime have aosClipped set; passes still running at the window end have losClipped set.
+ */
+export function predictPasses(station, satRecord, options = {}) {
+  const defaults = CONFIG.PASS_PREDICTION;
+  const startTime = options.startTime || new Date();
+  const horizonHours = options.horizonHours ?? defaults.DEFAULT_HORIZON_HOURS;
+  const minElevation = options.minElevation ?? defaults.MIN_ELEVATION_DEG;
+  const stepMs = (options.stepSeconds ?? defaults.STEP_SECONDS) * 1000;
+
+  if (!satRecord || !satRecord.satrec) return [];
+
+  const observer = getStationGeodetic(station);
+  const maskAt = (azimuth) =>
+    getStationMinElevation(station, azimuth, minElevation);
+  const startMs = startTime.getTime();
+  const endMs = startMs + horizonHours * 3600 * 1000;
+
+  const passes = [];
+  let previousMs = startMs;
+  const initial = marginAt(observer, satRecord, startTime, maskAt);
+
+  // Current pass bookkeeping
+  let inPass = initial.margin >= 0;
+  let aosMs = startMs;
+  let aosClipped = inPass;
+  let peakMs = startMs;
+  let peakElevation = initial.look ? initial.look.elevation : -90;
+
+  while (previousMs < endMs) {
+    const currentMs = Math.min(previousMs + stepMs, endMs);
+    const current = marginAt(observer, satRecord, new Date(currentMs), maskAt);
+
+    if (!inPass && current.margin >= 0) {
+      // Rising edge
+      inPass = true;
+      aosClipped = false;
+      aosMs = refineEdge(observer, satRecord, previousMs, currentMs, maskAt);
+      peakMs = currentMs;
+      peakElevation = current.look.elevation;
+    } else if (inPass && current.margin < 0) {
+      // Setting edge
+      const losMs = refineEdge(
+        observer,
+        satRecord,
+        currentMs,
+        previousMs,
+        maskAt,
+      );
+      const pass = buildPass(observer, satRecord, aosMs, losMs, peakMs, stepMs);
+      pass.aosClipped = aosClipped;
+      pass.losClipped = false;
+      passes.push(pass);
+      inPass = false;
+    } else if (inPass && current.look.elevation > peakElevation) {
+      peakMs = currentMs;
+      peakElevation = current.look.elevation;
+    }
+
+    previousMs = currentMs;
+
+    if (passes.length >= defaults.MAX_PASSES) break;
+  }
+
+  // Pass still in progress at the end of the window (e.g. GEO satellites)
+  if (inPass && passes.length < defaults.MAX_PASSES) {
+    const pass = buildPass(observer, satRecord, aosMs, endMs, peakMs, stepMs);
+    pass.aosClipped = aosClipped;
+    pass.losClipped = true;
+    passes.push(pass);
+  }
+
+  return passes;
+}
+
+/**
+ * Predict passes of several satellites over one station, merged in AOS order
+ * Yields to the browser between satellites so long windows don't freeze the UI.
+ * @param {Object} station - Ground station
+ * @param {Array<Object>} satRecords - Satellite records
+ * @param {Object} options - Same options as predictPasses, plus
+ *   isCancelled: optional () => boolean checked between satellites
+ * @param {Function} onProgress - Optional callback (done, total)
+ * @returns {Promise<Array<Object>|null>} null if cancelled
+ */
+export async function predictPassesForStation(
+  station,
+  satRecords,
+  options = {},
+  onProgress = null,
+) {
+  const allPasses = [];
+
+  for (let i = 0; i < satRecords.length; i++) {
+    if (options.isCancelled?.()) return null;
+    allPasses.push(...predictPasses(station, satRecords[i], options));
+
+    if (onProgress) onProgress(i + 1, satRecords.length);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  allPasses.sort((a, b) => a.aos - b.aos);
+  return allPasses;
+}
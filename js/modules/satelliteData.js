@@ -2,107 +2,224 @@
 // SATELLITE DATA MANAGEMENT
 // ============================================
 
-import { CONFIG, URLS, COLORS } from "./constants.js";
+import {
+  CONFIG,
+  URLS,
+  COLORS,
+  SATELLITE_SOURCES,
+  DEFAULT_SATELLITE_SOURCES,
+} from "./constants.js";
+import { parseOrbitalData } from "./tleParser.js";
 
 let satellites = [];
 let satelliteRecords = [];
 let allSatellites = []; // Store full list before limiting
+let loadedSources = []; // Sources of the last load, see getLoadedSources()
 
 /**
- * Fetch TLE data from CelesTrak
+ * Fetch one CelesTrak group's TLE text through the server's cached proxy
  */
-async function fetchTLEData() {
-  try {
-    // Check cache first
-    const cachedData = localStorage.getItem("tleData");
-    const cacheTime = localStorage.getItem("tleDataTime");
+async function fetchGroupText(group) {
+  const response = await fetch(
+    `${URLS.CELESTRAK_GROUP}${encodeURIComponent(group)}`,
+  );
 
-    if (cachedData && cacheTime) {
-      const age = Date.now() - parseInt(cacheTime);
-      const ageMinutes = Math.floor(age / 60000);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
 
-      if (age < CONFIG.TLE_CACHE_DURATION) {
-        console.log(`✓ Using cached TLE data (age: ${ageMinutes} minutes)`);
-        return cachedData;
-      }
-    }
+  const source = response.headers.get("X-TLE-Source");
+  if (source === "stale" || source === "snapshot") {
+    console.warn(
+      `CelesTrak unreachable, using ${source} ${group} TLE data from ${response.headers.get("X-TLE-Fetched-At")}`,
+    );
+  } else {
+    console.log(
+      `✓ TLE data for ${group} fetched (${source || "unknown source"})`,
+    );
+  }
 
-    // Fetch fresh data
-    console.log("Fetching fresh TLE data from CelesTrak...");
-    const response = await fetch(URLS.TLE_DATA);
+  return response.text();
+}
+
+/**
+ * Orbital data text for a satellite source
+ */
+async function fetchSourceText(source) {
+  if (source.type === "file") {
+    return source.text;
+  }
 
+  if (source.type === "url") {
+    // Fetched by the browser, so the host has to allow cross-origin requests
+    const response = await fetch(source.url);
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
+    return response.text();
+  }
 
-    const text = await response.text();
+  return fetchGroupText(source.id);
+}
 
-    // Cache the data
-    localStorage.setItem("tleData", text);
-    localStorage.setItem("tleDataTime", Date.now().toString());
+/**
+ * Parse orbital data (3LE, 2LE or OMM JSON/XML) into satellite objects
+ * Entries that fail to parse are logged and left out.
+ */
+export function parseTLEText(tleText) {
+  const { format, satellites, errors } = parseOrbitalData(tleText);
 
-    console.log("✓ Fresh TLE data fetched and cached");
-    return text;
-  } catch (error) {
-    console.error("Error fetching TLE data:", error);
+  if (errors.length > 0) {
+    console.warn(
+      `⚠ ${errors.length} ${format} entries could not be parsed:`,
+      errors.slice(0, 10),
+    );
+  }
 
-    // Try to use cached data even if expired
-    const cachedData = localStorage.getItem("tleData");
-    if (cachedData) {
-      console.warn("Using expired cached TLE data due to fetch error");
-      return cachedData;
-    }
+  return satellites;
+}
 
-    throw error;
-  }
+/**
+ * Fetch one CelesTrak group (e.g. "starlink") without touching the loaded set
+ * @param {string} group - CelesTrak GROUP name
+ * @returns {Promise<Array<{name:string, tle1:string, tle2:string}>>}
+ */
+export async function fetchSatelliteGroup(group) {
+  const satellites = parseTLEText(await fetchGroupText(group));
+  console.log(`✓ Fetched ${satellites.length} satellites in group ${group}`);
+  return satellites;
 }
 
 /**
- * Parse TLE text into satellite objects
+ * Satellite source for a CelesTrak group
+ * Sources are { type: "group" | "url" | "file", id, label } plus `url` or
+ * `text`; every loaded satellite is tagged with the ids of its sources.
  */
-function parseTLEText(tleText) {
-  const lines = tleText.trim().split("\n");
-  const satellites = [];
+export function groupSource(group) {
+  const known = SATELLITE_SOURCES.find((source) => source.value === group);
+  return { type: "group", id: group, label: known ? known.label : group };
+}
 
-  for (let i = 0; i < lines.length; i += 3) {
-    if (i + 2 < lines.length) {
-      const name = lines[i].trim();
-      const line1 = lines[i + 1].trim();
-      const line2 = lines[i + 2].trim();
+/**
+ * Sources for a selection of CelesTrak groups plus an optional custom URL
+ * and an optional file that has already been read
+ * @param {Array<string>} groups - CelesTrak GROUP names
+ * @param {string} url - Custom URL, or "" for none
+ * @param {{name:string, text:string}|null} file - Custom file, or null
+ */
+export function buildSatelliteSources(groups, url = "", file = null) {
+  const sources = groups.map(groupSource);
+  if (url) {
+    sources.push({ type: "url", id: "custom-url", label: "Custom URL", url });
+  }
+  if (file) {
+    sources.push({
+      type: "file",
+      id: "custom-file",
+      label: file.name,
+      text: file.text,
+    });
+  }
+  return sources;
+}
 
-      // Validate TLE format
-      if (line1.startsWith("1 ") && line2.startsWith("2 ")) {
-        satellites.push({
-          name: name,
-          tle1: line1,
-          tle2: line2,
-        });
+/**
+ * NORAD catalog number from TLE line 1 (Alpha-5 numbers kept as-is)
+ */
+function catalogNumber(satellite) {
+  return satellite.tle1.substring(2, 7).trim();
+}
+
+/**
+ * Merge per-source lists, taking one satellite from each source in turn so
+ * that MAX_SATELLITES keeps a share of every source. A satellite listed by
+ * several sources is kept once, tagged with all of them.
+ */
+function mergeSources(lists) {
+  const merged = [];
+  const byCatalogNumber = new Map();
+  const longest = Math.max(0, ...lists.map((list) => list.satellites.length));
+
+  for (let index = 0; index < longest; index++) {
+    lists.forEach(({ id, satellites: list }) => {
+      const satellite = list[index];
+      if (!satellite) return;
+
+      const existing = byCatalogNumber.get(catalogNumber(satellite));
+      if (existing) {
+        if (!existing.sources.includes(id)) existing.sources.push(id);
+        return;
       }
-    }
+
+      const tagged = { ...satellite, source: id, sources: [id] };
+      byCatalogNumber.set(catalogNumber(satellite), tagged);
+      merged.push(tagged);
+    });
   }
 
-  return satellites;
+  return merged;
 }
 
 /**
- * Load satellite data from CelesTrak
+ * Load satellite data from one or more sources
+ * Sources that fail are logged and left out; see getLoadedSources().
+ * @param {Array<Object>} sources - See groupSource()
  */
-export async function loadSatelliteData() {
-  try {
-    const tleText = await fetchTLEData();
-    allSatellites = parseTLEText(tleText);
+export async function loadSatelliteData(
+  sources = DEFAULT_SATELLITE_SOURCES.map(groupSource),
+) {
+  // TLEs used to be cached in localStorage; the server caches them now
+  localStorage.removeItem("tleData");
+  localStorage.removeItem("tleDataTime");
 
-    // Limit number of satellites for performance
-    satellites = allSatellites.slice(0, CONFIG.MAX_SATELLITES);
+  console.log(
+    `Loading satellite sources: ${sources.map((source) => source.label).join(", ")}`,
+  );
+  const results = await Promise.allSettled(sources.map(fetchSourceText));
+
+  const lists = [];
+  loadedSources = sources.map((source, index) => {
+    const result = results[index];
+    if (result.status === "rejected") {
+      console.error(
+        `Error loading satellite source ${source.label}:`,
+        result.reason,
+      );
+      return {
+        id: source.id,
+        label: source.label,
+        count: 0,
+        error: result.reason.message,
+      };
+    }
 
-    console.log(
-      `✓ Loaded ${satellites.length} satellites (limited from ${allSatellites.length} total)`,
-    );
-    return satellites;
-  } catch (error) {
-    console.error("Error loading satellite data:", error);
-    return [];
-  }
+    const parsed = parseTLEText(result.value);
+    lists.push({ id: source.id, satellites: parsed });
+    return {
+      id: source.id,
+      label: source.label,
+      count: parsed.length,
+      error: null,
+    };
+  });
+
+  allSatellites = mergeSources(lists);
+
+  // Limit number of satellites for performance
+  satellites = allSatellites.slice(0, CONFIG.MAX_SATELLITES);
+
+  console.log(
+    `✓ Loaded ${satellites.length} satellites (limited from ${allSatellites.length} total)`,
+  );
+  return satellites;
+}
+
+/**
+ * Sources from the last load with their satellite counts
+ * @returns {Array<{id:string, label:string, count:number, error:string|null}>}
+ */
+export function getLoadedSources() {
+  return loadedSources;
 }
 
 /**
@@ -151,6 +268,8 @@ export function initializeSatelliteRecord(satellite) {
       name: satellite.name,
       tle1: satellite.tle1,
       tle2: satellite.tle2,
+      source: satellite.source,
+      sources: satellite.sources,
       satrec: satrec,
     };
   } catch (error) {
@@ -227,6 +346,16 @@ export function getOrbitColor(orbitType) {
   }
 }
 
+/**
+ * Get the color for a satellite source
+ */
+export function getSourceColor(sourceId) {
+  if (sourceId === "custom-url") return COLORS.SOURCE_CUSTOM_URL;
+  if (sourceId === "custom-file") return COLORS.SOURCE_CUSTOM_FILE;
+  const known = SATELLITE_SOURCES.find((source) => source.value === sourceId);
+  return known ? known.color : COLORS.SATELLITE_LEO;
+}
+
 /**
  * Get all satellites
  */
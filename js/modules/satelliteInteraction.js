@@ -7,6 +7,7 @@ import { updateMousePosition } from "./coordinates.js";
 import { showOrbitPath, removeOrbitLine } from "./orbitalPath.js";
 import { shouldShowOrbitOnHover, shouldShowOrbitOnSelect } from "./ui/settingsPanel.js";
 import { getSetting } from "./ui/uiState.js";
+import { setLinkSatellite } from "./linkInfo.js";
 
 let selectedSatellite = null;
 let hoveredSatellite = null;
@@ -48,7 +49,9 @@ export function onSatelliteClick(
   raycaster.setFromCamera(mouse, camera);
 
   // Check satellites
-  const satelliteIntersects = raycaster.intersectObjects(satelliteMeshes);
+  const satelliteIntersects = raycaster.intersectObjects(
+    satelliteMeshes.filter((mesh) => mesh.visible),
+  );
 
   if (satelliteIntersects.length > 0) {
     const clickedMesh = satelliteIntersects[0].object;
@@ -132,6 +135,9 @@ export function displaySatelliteInfo(satelliteData) {
   if (latEl) latEl.textContent = satelliteData.latitude.toFixed(4) + "°";
   if (lonEl) lonEl.textContent = satelliteData.longitude.toFixed(4) + "°";
 
+  // Show station link geometry if a station is also selected
+  setLinkSatellite(satelliteData.satelliteName);
+
   // Show panel only if showInfo setting is enabled
   const showInfo = getSetting('showInfo') ?? true;
   if (showInfo) {
@@ -149,6 +155,7 @@ function hideSatelliteInfo() {
     panel.classList.add("hidden");
     panel.style.display = "none";
   }
+  setLinkSatellite(null);
 }
 
 /**
@@ -0,0 +1,97 @@
+// ============================================
+// SATELLITE QUERY
+// Advanced satellite filter used by the Filters panel: inclination,
+// altitude and eccentricity ranges, name/NORAD pattern, TLE epoch age
+// and source group
+// ============================================
+
+import { DEFAULT_SATELLITE_QUERY } from "./constants.js";
+
+const MS_PER_DAY = 86400000;
+const UNIX_EPOCH_JULIAN_DATE = 2440587.5;
+
+/**
+ * True if a query field is set (null, undefined and "" mean no limit)
+ */
+function hasValue(value) {
+  return value !== null && value !== undefined && value !== "";
+}
+
+/**
+ * True if value lies within the optional bounds
+ */
+function inRange(value, min, max) {
+  if (hasValue(min) && value < min) return false;
+  if (hasValue(max) && value > max) return false;
+  return true;
+}
+
+/**
+ * True if any query field is set
+ * @param {Object} query
+ */
+export function isQueryActive(query) {
+  return Object.keys(DEFAULT_SATELLITE_QUERY).some((key) =>
+    hasValue(query?.[key]),
+  );
+}
+
+/**
+ * TLE epoch of a satellite record
+ * @param {Object} record - Satellite record with satrec
+ * @returns {Date|null}
+ */
+export function getTleEpoch(record) {
+  const satrec = record?.satrec;
+  if (!satrec || !satrec.jdsatepoch) return null;
+  const julianDate = satrec.jdsatepoch + (satrec.jdsatepochF || 0);
+  return new Date((julianDate - UNIX_EPOCH_JULIAN_DATE) * MS_PER_DAY);
+}
+
+/**
+ * Compile a query into a predicate
+ * @param {Object} query - Fields of DEFAULT_SATELLITE_QUERY
+ * @returns {(mesh:THREE.Mesh, record:Object, time:Date) => boolean}
+ *   Unset fields match every satellite
+ * @throws {SyntaxError} If the pattern is not a valid regular expression
+ */
+export function compileSatelliteQuery(query) {
+  const q = { ...DEFAULT_SATELLITE_QUERY, ...query };
+  const pattern = hasValue(q.pattern) ? new RegExp(q.pattern, "i") : null;
+
+  return (mesh, record, time) => {
+    const satrec = record?.satrec;
+    if (!satrec) return !isQueryActive(q);
+
+    const inclination = (satrec.inclo * 180) / Math.PI;
+    if (!inRange(inclination, q.inclinationMin, q.inclinationMax)) {
+      return false;
+    }
+    if (!inRange(satrec.ecco, q.eccentricityMin, q.eccentricityMax)) {
+      return false;
+    }
+    if (!inRange(mesh.userData.altitude, q.altitudeMin, q.altitudeMax)) {
+      return false;
+    }
+
+    if (
+      pattern &&
+      !pattern.test(record.name) &&
+      !pattern.test(String(satrec.satnum).trim())
+    ) {
+      return false;
+    }
+
+    if (hasValue(q.maxEpochAgeDays)) {
+      const epoch = getTleEpoch(record);
+      const ageDays = epoch ? Math.abs(time - epoch) / MS_PER_DAY : Infinity;
+      if (ageDays > q.maxEpochAgeDays) return false;
+    }
+
+    if (hasValue(q.source) && !mesh.userData.sources?.includes(q.source)) {
+      return false;
+    }
+
+    return true;
+  };
+}
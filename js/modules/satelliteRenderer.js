@@ -5,9 +5,14 @@
 import * as THREE from "three";
 import { COLORS } from "./constants.js";
 import { satellitePositionToVector3 } from "./coordinates.js";
-import { getOrbitType, getOrbitColor } from "./satelliteData.js";
+import {
+  getOrbitType,
+  getOrbitColor,
+  getSourceColor,
+} from "./satelliteData.js";
 
 let satelliteMeshes = [];
+let colorBySource = false;
 
 /**
  * Create geometry for satellite marker
@@ -17,12 +22,21 @@ function createSatelliteGeometry() {
   return new THREE.SphereGeometry(0.015, 12, 12);
 }
 
+/**
+ * Marker color: custom satellites are red, the rest follow their orbit type
+ * or, with color by source on, their (first) source
+ */
+function getSatelliteColor(orbitType, isCustom, source) {
+  if (isCustom) return 0xff0000;
+  if (colorBySource && source) return getSourceColor(source);
+  return getOrbitColor(orbitType);
+}
+
 /**
  * Create material for satellite marker
  */
-function createSatelliteMaterial(orbitType, isCustom = false) {
-  // Custom satellites are red
-  const color = isCustom ? 0xff0000 : getOrbitColor(orbitType);
+function createSatelliteMaterial(orbitType, isCustom = false, source = null) {
+  const color = getSatelliteColor(orbitType, isCustom, source);
 
   return new THREE.MeshStandardMaterial({
     color: color,
@@ -100,7 +114,11 @@ export function renderSatellites(
 
     // Create geometry and material
     const geometry = createSatelliteGeometry();
-    const material = createSatelliteMaterial(orbitType, isCustom);
+    const material = createSatelliteMaterial(
+      orbitType,
+      isCustom,
+      satRecord.source,
+    );
     console.log(
       `[SatelliteRenderer] Created geometry and material for ${satRecord.name}, color:`,
       isCustom ? "RED" : orbitType,
@@ -129,6 +147,9 @@ export function renderSatellites(
       longitude: position.longitude,
       altitude: position.altitude,
       velocity: position.velocity,
+      isCustom: isCustom,
+      source: satRecord.source || null,
+      sources: satRecord.sources || [],
     };
     console.log(
       `[SatelliteRenderer] Mesh userData for ${satRecord.name}:`,
@@ -166,6 +187,19 @@ export function getSatelliteMeshes() {
   return satelliteMeshes;
 }
 
+/**
+ * Color satellites by source group instead of orbit type
+ */
+export function setColorBySource(enabled) {
+  colorBySource = enabled;
+  satelliteMeshes.forEach((mesh) => {
+    const { orbitType, isCustom, source } = mesh.userData;
+    const color = getSatelliteColor(orbitType, isCustom, source);
+    mesh.material.color.setHex(color);
+    mesh.material.emissive.setHex(color);
+  });
+}
+
 /**
  * Clear all satellite meshes
  */
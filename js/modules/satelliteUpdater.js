@@ -8,11 +8,11 @@ import {
   propagateSatellitePosition,
   getSatelliteRecords,
 } from "./satelliteData.js";
+import { getSimulationTime, getClockState } from "./simulationClock.js";
 
 let lastSatelliteUpdate = 0;
 let satelliteTargetPositions = [];
 let satelliteCurrentPositions = [];
-let simulationStartTime = Date.now(); // Track simulation start for time acceleration
 
 /**
  * Initialize satellite records and propagate initial positions
@@ -38,7 +38,7 @@ export async function initializeSatellites(
   const records = [];
   const targetPositions = [];
   const currentPositions = [];
-  const currentTime = new Date();
+  const currentTime = getSimulationTime();
 
   let orbitCounts = { LEO: 0, MEO: 0, GEO: 0 };
 
@@ -74,25 +74,16 @@ export async function initializeSatellites(
   satelliteTargetPositions = targetPositions;
   satelliteCurrentPositions = currentPositions;
   lastSatelliteUpdate = Date.now();
-  simulationStartTime = Date.now(); // Reset simulation start time
 
   return { records, targetPositions, currentPositions };
 }
 
 /**
- * Propagate all satellites to current time (with time acceleration)
+ * Propagate all satellites to the simulation clock's time
  */
 export function propagateAllSatellites(satelliteRecords) {
-  const realTime = new Date();
-  
-  // Calculate accelerated time: elapsed real time * acceleration factor
-  // Lower update rate = faster movement (higher acceleration)
-  const elapsedRealTime = realTime.getTime() - simulationStartTime;
-  const acceleratedElapsedTime = elapsedRealTime * CONFIG.TIME_ACCELERATION;
-  
-  // Create accelerated time for propagation (start time + accelerated elapsed time)
-  const acceleratedTime = new Date(simulationStartTime + acceleratedElapsedTime);
-  
+  const acceleratedTime = getSimulationTime();
+
   let updateCount = 0;
 
   satelliteRecords.forEach((satRecord, index) => {
@@ -105,6 +96,13 @@ export function propagateAllSatellites(satelliteRecords) {
     }
   });
 
+  // Let dependent views (link info, routing, ...) refresh against the same epoch
+  window.dispatchEvent(
+    new CustomEvent("satellites-updated", {
+      detail: { time: acceleratedTime, updateCount },
+    }),
+  );
+
   return updateCount;
 }
 
@@ -162,6 +160,36 @@ export function interpolateSatellitePositions(satelliteMeshes) {
   });
 }
 
+/**
+ * Real milliseconds between propagations: the configured update interval,
+ * shortened at high clock rates so each step covers at most
+ * MAX_PROPAGATION_STEP_SECONDS of simulated time, but never below
+ * MIN_PROPAGATION_INTERVAL
+ */
+function getPropagationInterval() {
+  const { rate, paused } = getClockState();
+  if (paused) return CONFIG.SATELLITE_UPDATE_INTERVAL;
+  const interval = Math.min(
+    CONFIG.SATELLITE_UPDATE_INTERVAL,
+    (CONFIG.MAX_PROPAGATION_STEP_SECONDS * 1000) / Math.abs(rate),
+  );
+  return Math.max(interval, CONFIG.MIN_PROPAGATION_INTERVAL);
+}
+
+/**
+ * Propagate to the clock's time and move satellites there without
+ * interpolating (after the time was set or scrubbed)
+ */
+export function snapSatellitePositions(
+  satelliteRecords = getSatelliteRecords(),
+) {
+  propagateAllSatellites(satelliteRecords);
+  satelliteTargetPositions.forEach((target, index) => {
+    satelliteCurrentPositions[index] = { ...target };
+  });
+  lastSatelliteUpdate = Date.now();
+}
+
 /**
  * Update satellite positions (call in animation loop)
  */
@@ -169,7 +197,7 @@ export function updateSatellitePositions(satelliteMeshes, satelliteRecords) {
   const currentTime = Date.now();
 
   // Check if we need to propagate new positions
-  if (currentTime - lastSatelliteUpdate >= CONFIG.SATELLITE_UPDATE_INTERVAL) {
+  if (currentTime - lastSatelliteUpdate >= getPropagationInterval()) {
     const updateCount = propagateAllSatellites(satelliteRecords);
     lastSatelliteUpdate = currentTime;
   }
@@ -217,12 +245,13 @@ export function addSatellitePosition(position) {
   }
 }
 
-/**
- * Reset simulation start time (called when acceleration changes)
- */
-export function resetSimulationTime() {
-  simulationStartTime = Date.now();
-  console.log('[SatelliteUpdater] Simulation time reset');
+// Jumps in simulation time move satellites straight to their new positions
+if (typeof window !== "undefined") {
+  window.addEventListener("simulation-clock-changed", (e) => {
+    if (e.detail.jumped) {
+      snapSatellitePositions();
+    }
+  });
 }
 
 /**
@@ -231,5 +260,4 @@ export function resetSimulationTime() {
 if (typeof window !== "undefined") {
   window.getSatelliteTargetPositions = getSatelliteTargetPositions;
   window.getSatelliteCurrentPositions = getSatelliteCurrentPositions;
-  window.resetSimulationTime = resetSimulationTime;
 }
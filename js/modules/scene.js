@@ -43,13 +43,14 @@ export function initScene() {
 
 /**
  * Setup lighting for the scene
+ * @returns {{ambientLight: THREE.AmbientLight, directionalLight: THREE.DirectionalLight}}
  */
 export function setupLighting(scene) {
   // Ambient light
   const ambientLight = new THREE.AmbientLight(COLORS.AMBIENT_LIGHT, 0.4);
   scene.add(ambientLight);
 
-  // Directional light (sun)
+  // Directional light (sun), positioned from the simulation time by sun.js
   const directionalLight = new THREE.DirectionalLight(
     COLORS.DIRECTIONAL_LIGHT,
     0.6,
@@ -58,6 +59,7 @@ export function setupLighting(scene) {
   scene.add(directionalLight);
 
   console.log("✓ Lighting configured");
+  return { ambientLight, directionalLight };
 }
 
 /**
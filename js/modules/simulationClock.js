@@ -0,0 +1,123 @@
+// ============================================
+// SIMULATION CLOCK
+// Single source of simulation time. Propagation, orbit paths, link and
+// visibility views and heatmap playback all read getSimulationTime().
+// ============================================
+
+import { CONFIG } from "./constants.js";
+
+// Simulation time is anchored to a wall-clock instant and advances at `rate`
+// simulated seconds per real second from there (negative runs backwards)
+let anchorSimulationMs = Date.now();
+let anchorRealMs = Date.now();
+let rate = CONFIG.TIME_ACCELERATION;
+let paused = false;
+
+/**
+ * Simulation time in milliseconds at a wall-clock instant
+ */
+function simulationMsAt(realMs) {
+  if (paused) return anchorSimulationMs;
+  return anchorSimulationMs + (realMs - anchorRealMs) * rate;
+}
+
+/**
+ * Move the anchor to now so a rate or pause change starts from the current time
+ */
+function reanchor() {
+  const now = Date.now();
+  anchorSimulationMs = simulationMsAt(now);
+  anchorRealMs = now;
+}
+
+/**
+ * Tell listeners the clock changed
+ * @param {boolean} jumped - True if the time was set rather than advanced
+ *   (views should snap instead of animating to the new time)
+ */
+function notifyClockChange(jumped) {
+  window.dispatchEvent(
+    new CustomEvent("simulation-clock-changed", {
+      detail: { ...getClockState(), jumped },
+    }),
+  );
+}
+
+/**
+ * Get the current simulation time
+ * @returns {Date}
+ */
+export function getSimulationTime() {
+  return new Date(simulationMsAt(Date.now()));
+}
+
+/**
+ * Get the clock state
+ * @returns {{time:Date, rate:number, paused:boolean, offsetMs:number}}
+ *   offsetMs is simulation time minus real time
+ */
+export function getClockState() {
+  const now = Date.now();
+  const simulationMs = simulationMsAt(now);
+  return {
+    time: new Date(simulationMs),
+    rate,
+    paused,
+    offsetMs: simulationMs - now,
+  };
+}
+
+/**
+ * Set the clock rate
+ * @param {number} newRate - Simulated seconds per real second; negative runs backwards
+ */
+export function setClockRate(newRate) {
+  if (!Number.isFinite(newRate) || newRate === 0) {
+    console.warn("[SimulationClock] Ignoring invalid rate:", newRate);
+    return;
+  }
+  reanchor();
+  rate = newRate;
+  console.log(`[SimulationClock] Rate: ${rate}x`);
+  notifyClockChange(false);
+}
+
+/**
+ * Pause or resume the clock
+ */
+export function setClockPaused(value) {
+  if (paused === value) return;
+  reanchor();
+  paused = value;
+  console.log(`[SimulationClock] ${paused ? "Paused" : "Resumed"}`);
+  notifyClockChange(false);
+}
+
+/**
+ * Toggle pause
+ */
+export function toggleClockPaused() {
+  setClockPaused(!paused);
+}
+
+/**
+ * Jump to a simulation time (rate and pause state are kept)
+ * @param {Date} time
+ */
+export function setSimulationTime(time) {
+  if (!(time instanceof Date) || isNaN(time.getTime())) {
+    console.warn("[SimulationClock] Ignoring invalid time:", time);
+    return;
+  }
+  anchorSimulationMs = time.getTime();
+  anchorRealMs = Date.now();
+  console.log(`[SimulationClock] Time set to ${time.toISOString()}`);
+  notifyClockChange(true);
+}
+
+/**
+ * Jump back to the current real time
+ */
+export function jumpToNow() {
+  setSimulationTime(new Date());
+}
@@ -0,0 +1,231 @@
+// ============================================
+// STARFIELD
+// Procedural star field and optional Milky Way sky texture, placed by
+// RA/Dec and rotated with sidereal time so the sky stays fixed in the
+// inertial frame while the Earth-fixed globe turns under it
+// ============================================
+
+import * as THREE from "three";
+import { URLS } from "./constants.js";
+import { latLonToVector3 } from "./coordinates.js";
+import { getSimulationTime } from "./simulationClock.js";
+
+const STAR_RADIUS = 300; // Beyond the sun sprite, inside the camera far plane
+const SKY_RADIUS = 400;
+const STAR_SEED = 20240321; // Same sky on every load
+const BRIGHT_STAR_COUNT = 250; // Shown at every density
+const STAR_COUNTS = { 1: 1500, 2: 5000, 3: 12000 }; // Faint stars per density level
+const GALACTIC_FRACTION = 0.45; // Share of faint stars crowded toward the galactic plane
+const GALACTIC_SPREAD_DEG = 8;
+
+// Galactic to J2000 equatorial rotation (rows: equatorial x, y, z)
+const GALACTIC_TO_EQUATORIAL = [
+  [-0.0548755604, 0.4941094279, -0.867666149],
+  [-0.8734370902, -0.44482963, -0.1980763734],
+  [-0.4838350155, 0.7469822445, 0.4559837762],
+];
+
+const STAR_TINTS = [
+  [0.75, 0.85, 1.0], // Blue-white
+  [1.0, 1.0, 1.0],
+  [1.0, 0.96, 0.86], // Yellow-white
+  [1.0, 0.85, 0.7], // Orange
+];
+
+let skyGroup = null;
+let faintStars = null;
+let skyMesh = null;
+let skyTextureRequested = false;
+
+/**
+ * Seeded random numbers (mulberry32) so the procedural sky is stable
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function gaussian(random) {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Random direction as {ra, dec} in degrees, optionally near the galactic plane
+ */
+function randomDirection(random, nearGalacticPlane) {
+  if (!nearGalacticPlane) {
+    return {
+      ra: random() * 360,
+      dec: (Math.asin(2 * random() - 1) * 180) / Math.PI,
+    };
+  }
+
+  const l = random() * 2 * Math.PI;
+  const b = (gaussian(random) * GALACTIC_SPREAD_DEG * Math.PI) / 180;
+  const g = [Math.cos(b) * Math.cos(l), Math.cos(b) * Math.sin(l), Math.sin(b)];
+  const [x, y, z] = GALACTIC_TO_EQUATORIAL.map(
+    (row) => row[0] * g[0] + row[1] * g[1] + row[2] * g[2],
+  );
+  return {
+    ra: (Math.atan2(y, x) * 180) / Math.PI,
+    dec: (Math.asin(Math.max(-1, Math.min(1, z))) * 180) / Math.PI,
+  };
+}
+
+/**
+ * Build a star layer as a point cloud
+ * @param {number} count - Number of stars
+ * @param {Function} random - Seeded random source
+ * @param {Object} options
+ * @param {number} options.size - Point size in pixels
+ * @param {number} options.minBrightness - Dimmest star color scale
+ * @param {number} options.galacticFraction - Share of stars near the galactic plane
+ */
+function createStarLayer(count, random, options) {
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+
+  for (let i = 0; i < count; i++) {
+    const { ra, dec } = randomDirection(
+      random,
+      random() < options.galacticFraction,
+    );
+    const position = latLonToVector3(dec, ra, STAR_RADIUS);
+    positions.set([position.x, position.y, position.z], i * 3);
+
+    // Faint stars vastly outnumber bright ones
+    const brightness =
+      options.minBrightness + (1 - options.minBrightness) * random() ** 3;
+    const tint = STAR_TINTS[Math.floor(random() * STAR_TINTS.length)];
+    colors.set(
+      tint.map((channel) => channel * brightness),
+      i * 3,
+    );
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+
+  const material = new THREE.PointsMaterial({
+    size: options.size,
+    sizeAttenuation: false,
+    vertexColors: true,
+    depthWrite: false,
+  });
+
+  return new THREE.Points(geometry, material);
+}
+
+/**
+ * Initialize the starfield (hidden until enabled in the Graphics panel)
+ * @param {THREE.Scene} scene
+ */
+export function initStarfield(scene) {
+  const random = createRandom(STAR_SEED);
+
+  skyGroup = new THREE.Group();
+  skyGroup.name = "Starfield";
+  skyGroup.visible = false;
+
+  skyGroup.add(
+    createStarLayer(BRIGHT_STAR_COUNT, random, {
+      size: 2.5,
+      minBrightness: 0.7,
+      galacticFraction: 0,
+    }),
+  );
+
+  faintStars = createStarLayer(STAR_COUNTS[3], random, {
+    size: 1.5,
+    minBrightness: 0.25,
+    galacticFraction: GALACTIC_FRACTION,
+  });
+  skyGroup.add(faintStars);
+
+  scene.add(skyGroup);
+  setStarDensity(2);
+  updateStarfield();
+
+  console.log("✓ Starfield initialized");
+}
+
+/**
+ * Load the optional Milky Way texture the first time the sky is shown
+ */
+function loadSkyTexture() {
+  skyTextureRequested = true;
+
+  new THREE.TextureLoader().load(
+    URLS.MILKY_WAY_TEXTURE,
+    (texture) => {
+      texture.colorSpace = THREE.SRGBColorSpace;
+      // Sky maps are drawn as seen from inside (RA increases to the left)
+      texture.wrapS = THREE.RepeatWrapping;
+      texture.repeat.x = -1;
+
+      skyMesh = new THREE.Mesh(
+        new THREE.SphereGeometry(SKY_RADIUS, 64, 32),
+        new THREE.MeshBasicMaterial({
+          map: texture,
+          side: THREE.BackSide,
+          depthWrite: false,
+        }),
+      );
+      skyMesh.renderOrder = -1;
+      skyGroup.add(skyMesh);
+      console.log("✓ Milky Way texture loaded");
+    },
+    undefined,
+    () => {
+      console.warn(
+        `[Starfield] No Milky Way texture at ${URLS.MILKY_WAY_TEXTURE}; showing stars only`,
+      );
+    },
+  );
+}
+
+/**
+ * Rotate the sky with Greenwich sidereal time (called every frame)
+ */
+export function updateStarfield() {
+  if (!skyGroup || !skyGroup.visible) return;
+
+  // The globe is Earth-fixed: a star at right ascension α is over
+  // longitude α - GMST, so the sky turns by -GMST about the polar axis
+  skyGroup.rotation.y = -window.satellite.gstime(getSimulationTime());
+}
+
+/**
+ * Show or hide the starfield and Milky Way
+ */
+export function setStarfieldVisible(visible) {
+  if (!skyGroup) return;
+
+  skyGroup.visible = visible;
+  if (visible && !skyTextureRequested) {
+    loadSkyTexture();
+  }
+  updateStarfield();
+}
+
+/**
+ * Set the star density
+ * @param {number} level - 1 = low, 2 = medium, 3 = high
+ */
+export function setStarDensity(level) {
+  if (!faintStars) return;
+
+  const count = STAR_COUNTS[level] ?? STAR_COUNTS[2];
+  faintStars.geometry.setDrawRange(0, count);
+}
@@ -0,0 +1,89 @@
+// ============================================
+// STATION VISIBILITY
+// Satellites currently above a ground station's elevation mask
+// ============================================
+
+import { computeLookAngles } from "./linkGeometry.js";
+import { clearsHorizon } from "./horizonMask.js";
+import { getSatelliteRecords } from "./satelliteData.js";
+import { getLinkStation } from "./linkInfo.js";
+import { getSimulationTime } from "./simulationClock.js";
+import { setStationBadge } from "./groundStationRenderer.js";
+
+let lastVisibility = null; // { stationId, satellites, time }
+
+/**
+ * List the satellites a station can see at a given time
+ * @param {Object} station - Ground station (its horizon mask applies)
+ * @param {Array<Object>} satRecords - Satellite records
+ * @param {Date} time - Evaluation time
+ * @param {Object} options
+ * @param {number} options.minElevation - Global elevation mask in degrees (default 0)
+ * @returns {Array<Object>} computeLookAngles results plus satelliteName, highest first
+ */
+export function computeSatellitesInView(
+  station,
+  satRecords,
+  time,
+  options = {},
+) {
+  const minElevation = options.minElevation ?? 0;
+  const inView = [];
+
+  satRecords.forEach((satRecord) => {
+    const look = computeLookAngles(station, satRecord, time);
+    if (!look) return;
+    if (!clearsHorizon(station, look.azimuth, look.elevation, minElevation)) {
+      return;
+    }
+    inView.push({ satelliteName: satRecord.name, ...look });
+  });
+
+  inView.sort((a, b) => b.elevation - a.elevation);
+  return inView;
+}
+
+/**
+ * Recompute visibility for the selected station, update its badge and notify views
+ * @param {Date} time - Evaluation time (default: current simulation time)
+ */
+export function refreshStationVisibility(time = getSimulationTime()) {
+  const station = getLinkStation();
+
+  if (!station) {
+    lastVisibility = null;
+    setStationBadge(null);
+  } else {
+    const satellites = computeSatellitesInView(
+      station,
+      getSatelliteRecords(),
+      time,
+    );
+    lastVisibility = { stationId: station.id, satellites, time };
+    setStationBadge(station.id, satellites.length);
+  }
+
+  window.dispatchEvent(
+    new CustomEvent("station-visibility-updated", { detail: lastVisibility }),
+  );
+
+  return lastVisibility;
+}
+
+/**
+ * Get the most recent visibility result
+ * @returns {{stationId:string, satellites:Array<Object>, time:Date}|null}
+ */
+export function getStationVisibility() {
+  return lastVisibility;
+}
+
+// Follow the selected station and every satellite update interval
+if (typeof window !== "undefined") {
+  window.addEventListener("station-selection-changed", () => {
+    refreshStationVisibility();
+  });
+  window.addEventListener("satellites-updated", (e) => {
+    if (lastVisibility) refreshStationVisibility(e.detail?.time);
+  });
+}
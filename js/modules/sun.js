@@ -0,0 +1,154 @@
+// ============================================
+// SUN
+// Sun position from the simulation clock. Drives the directional light,
+// the sun sprite and the day/night terminator on the Earth.
+// ============================================
+
+import * as THREE from "three";
+import { latLonToVector3 } from "./coordinates.js";
+import { setEarthSunDirection } from "./earth.js";
+import { getSimulationTime } from "./simulationClock.js";
+
+const DEG = Math.PI / 180;
+const LIGHT_DISTANCE = 10; // Directional light only uses the direction
+const SPRITE_DISTANCE = 50; // Inside the camera far plane, well beyond orbits
+const SPRITE_SCALE = 4;
+const SPRITE_TEXTURE_SIZE = 128;
+
+let sunLight = null;
+let sunSprite = null;
+let sunSize = 1.0;
+const sunDirection = new THREE.Vector3();
+
+/**
+ * Subsolar point (where the sun is at the zenith)
+ * Low-precision solar coordinates from the Astronomical Almanac, good to
+ * about 0.01° between 1950 and 2050.
+ * @param {Date} date
+ * @returns {{lat:number, lon:number}} Degrees; longitude in [-180, 180]
+ */
+export function getSubsolarPoint(date) {
+  const n = date.getTime() / 86400000 + 2440587.5 - 2451545.0; // Days since J2000
+  const meanLongitude = 280.46 + 0.9856474 * n;
+  const meanAnomaly = (357.528 + 0.9856003 * n) * DEG;
+  const eclipticLongitude =
+    (meanLongitude +
+      1.915 * Math.sin(meanAnomaly) +
+      0.02 * Math.sin(2 * meanAnomaly)) *
+    DEG;
+  const obliquity = (23.439 - 0.0000004 * n) * DEG;
+
+  const rightAscension = Math.atan2(
+    Math.cos(obliquity) * Math.sin(eclipticLongitude),
+    Math.cos(eclipticLongitude),
+  );
+  const declination = Math.asin(
+    Math.sin(obliquity) * Math.sin(eclipticLongitude),
+  );
+
+  const gmst = window.satellite.gstime(date);
+  let lon = (rightAscension - gmst) / DEG;
+  lon = ((((lon + 180) % 360) + 360) % 360) - 180;
+
+  return { lat: declination / DEG, lon };
+}
+
+/**
+ * Unit vector from Earth's center toward the sun, in globe coordinates
+ * @param {Date} date
+ * @returns {THREE.Vector3}
+ */
+export function getSunDirection(date) {
+  const { lat, lon } = getSubsolarPoint(date);
+  return latLonToVector3(lat, lon, 1).normalize();
+}
+
+/**
+ * Draw the sun glow for the sprite
+ */
+function createSunTexture() {
+  const canvas = document.createElement("canvas");
+  canvas.width = SPRITE_TEXTURE_SIZE;
+  canvas.height = SPRITE_TEXTURE_SIZE;
+  const ctx = canvas.getContext("2d");
+
+  const center = SPRITE_TEXTURE_SIZE / 2;
+  const gradient = ctx.createRadialGradient(
+    center,
+    center,
+    0,
+    center,
+    center,
+    center,
+  );
+  gradient.addColorStop(0, "rgba(255, 255, 255, 1)");
+  gradient.addColorStop(0.12, "rgba(255, 246, 214, 1)");
+  gradient.addColorStop(0.3, "rgba(255, 214, 140, 0.35)");
+  gradient.addColorStop(1, "rgba(255, 180, 80, 0)");
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, SPRITE_TEXTURE_SIZE, SPRITE_TEXTURE_SIZE);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
+
+/**
+ * Initialize the sun
+ * @param {THREE.Scene} scene
+ * @param {THREE.DirectionalLight} light - Scene light to keep pointed from the sun
+ */
+export function initSun(scene, light) {
+  sunLight = light;
+
+  sunSprite = new THREE.Sprite(
+    new THREE.SpriteMaterial({
+      map: createSunTexture(),
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      transparent: true,
+    }),
+  );
+  sunSprite.userData.isSun = true;
+  sunSprite.visible = false; // Shown from the Graphics panel
+  scene.add(sunSprite);
+
+  setSunSize(sunSize);
+  updateSun();
+
+  console.log("✓ Sun initialized");
+}
+
+/**
+ * Move the light, sprite and terminator to the sun's position at the
+ * current simulation time (called every frame)
+ */
+export function updateSun() {
+  if (!sunLight) return;
+
+  sunDirection.copy(getSunDirection(getSimulationTime()));
+
+  sunLight.position.copy(sunDirection).multiplyScalar(LIGHT_DISTANCE);
+  sunSprite.position.copy(sunDirection).multiplyScalar(SPRITE_DISTANCE);
+  setEarthSunDirection(sunDirection);
+}
+
+/**
+ * Show or hide the sun sprite (lighting follows the sun either way)
+ */
+export function setSunVisible(visible) {
+  if (sunSprite) {
+    sunSprite.visible = visible;
+  }
+}
+
+/**
+ * Scale the sun sprite
+ * @param {number} size - Multiplier of the default size
+ */
+export function setSunSize(size) {
+  sunSize = size;
+  if (sunSprite) {
+    sunSprite.scale.setScalar(SPRITE_SCALE * size);
+  }
+}
@@ -0,0 +1,409 @@
+// ============================================
+// TLE PARSER
+// Format-detecting parser for 3LE, 2LE and OMM (JSON / XML) orbital data
+// ============================================
+
+const TLE_LINE_LENGTH = 69;
+
+// CCSDS OMM fields needed to build a TLE
+const OMM_REQUIRED_FIELDS = [
+  "NORAD_CAT_ID",
+  "EPOCH",
+  "MEAN_MOTION",
+  "ECCENTRICITY",
+  "INCLINATION",
+  "RA_OF_ASC_NODE",
+  "ARG_OF_PERICENTER",
+  "MEAN_ANOMALY",
+];
+
+// Alpha-5 catalog numbers: A-Z without I and O stand for 10-33
+const ALPHA5_LETTERS = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+
+// JSON exports use null and XML exports use empty tags for absent fields
+function isMissingField(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === "string" && value.trim() === "")
+  );
+}
+
+/**
+ * Parse orbital data in any supported format
+ * Entries that cannot be used are reported in `errors` instead of dropped.
+ * @param {string} text - 3LE / 2LE text, OMM JSON or OMM XML
+ * @returns {{format:string, satellites:Array<{name:string, tle1:string, tle2:string}>, errors:Array<{entry:string, line:number|null, message:string}>}}
+ *   format: "tle" | "omm-json" | "omm-xml" | "empty"
+ */
+export function parseOrbitalData(text) {
+  const trimmed = (text || "").trim();
+
+  if (!trimmed) {
+    return { format: "empty", satellites: [], errors: [] };
+  }
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    return { format: "omm-json", ...parseOMMRecords(readOMMJSON(trimmed)) };
+  }
+  if (trimmed.startsWith("<")) {
+    return { format: "omm-xml", ...parseOMMRecords(readOMMXML(trimmed)) };
+  }
+  return { format: "tle", ...parseTLELines(trimmed) };
+}
+
+/**
+ * Verify the modulo-10 checksum in column 69 of a TLE line
+ * Digits count their value, minus signs count 1, everything else 0.
+ */
+export function verifyTLEChecksum(line) {
+  if (line.length !== TLE_LINE_LENGTH) return false;
+  return computeChecksum(line) === Number(line[TLE_LINE_LENGTH - 1]);
+}
+
+function computeChecksum(line) {
+  let sum = 0;
+  for (let i = 0; i < TLE_LINE_LENGTH - 1; i++) {
+    const char = line[i];
+    if (char >= "0" && char <= "9") sum += Number(char);
+    else if (char === "-") sum += 1;
+  }
+  return sum % 10;
+}
+
+/**
+ * Problem with a TLE line pair, or null if it is usable
+ */
+function validateTLEPair(line1, line2) {
+  for (const [number, line] of [
+    [1, line1],
+    [2, line2],
+  ]) {
+    if (line.length !== TLE_LINE_LENGTH) {
+      return `Line ${number} has ${line.length} characters, expected ${TLE_LINE_LENGTH}`;
+    }
+    if (!verifyTLEChecksum(line)) {
+      return `Line ${number} checksum mismatch (expected ${computeChecksum(line)}, found ${line[TLE_LINE_LENGTH - 1]})`;
+    }
+  }
+
+  if (line1.slice(2, 7) !== line2.slice(2, 7)) {
+    return `Catalog numbers differ (${line1.slice(2, 7).trim()} / ${line2.slice(2, 7).trim()})`;
+  }
+  return null;
+}
+
+/**
+ * NORAD ID from columns 3-7 (leading zeros dropped, Alpha-5 kept as is)
+ */
+function catalogNumber(line1) {
+  const field = line1.slice(2, 7).trim();
+  return /^\d+$/.test(field) ? String(Number(field)) : field;
+}
+
+// ============================================
+// TLE TEXT
+// ============================================
+
+/**
+ * Parse 3LE (name line + two element lines) and 2LE text, mixed freely
+ * Space-Track style "0 NAME" lines are accepted; 2LE entries are named
+ * after their NORAD ID.
+ */
+function parseTLELines(text) {
+  const lines = text.split(/\r?\n/).map((line) => line.trim());
+  const satellites = [];
+  const errors = [];
+  let pendingName = null; // { name, line }
+
+  const reportOrphanName = () => {
+    if (pendingName) {
+      errors.push({
+        entry: pendingName.name,
+        line: pendingName.line,
+        message: "Name line is not followed by TLE lines",
+      });
+    }
+    pendingName = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line) continue;
+
+    if (line.startsWith("1 ")) {
+      const next = lines[i + 1] || "";
+      const name = pendingName ? pendingName.name : null;
+      const entry = name || `line ${i + 1}`;
+      pendingName = null;
+
+      if (!next.startsWith("2 ")) {
+        errors.push({
+          entry,
+          line: i + 1,
+          message: "Line 1 is not followed by line 2",
+        });
+        continue;
+      }
+      i++;
+
+      const problem = validateTLEPair(line, next);
+      if (problem) {
+        errors.push({ entry, line: i, message: problem });
+        continue;
+      }
+
+      satellites.push({
+        name: name || `NORAD ${catalogNumber(line)}`,
+        tle1: line,
+        tle2: next,
+      });
+    } else if (line.startsWith("2 ")) {
+      reportOrphanName();
+      errors.push({
+        entry: `line ${i + 1}`,
+        line: i + 1,
+        message: "Line 2 without a preceding line 1",
+      });
+    } else {
+      reportOrphanName();
+      pendingName = { name: line.replace(/^0 /, ""), line: i + 1 };
+    }
+  }
+  reportOrphanName();
+
+  return { satellites, errors };
+}
+
+// ============================================
+// OMM (CCSDS Orbit Mean-elements Message)
+// ============================================
+
+/**
+ * OMM records from CelesTrak / Space-Track JSON (an array or one object)
+ */
+function readOMMJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return [{ parseError: `Invalid JSON: ${error.message}` }];
+  }
+  return Array.isArray(data) ? data : [data];
+}
+
+/**
+ * OMM records from an XML <ndm>/<omm> document
+ * Every element with text content inside an <omm> becomes a field.
+ */
+function readOMMXML(text) {
+  const blocks = text.match(/<omm\b[\s\S]*?<\/omm>/gi) || [text];
+  return blocks.map((block) => {
+    const record = {};
+    const fieldPattern = /<([A-Za-z_]+)(?:\s[^>]*)?>([^<]*)<\/\1>/g;
+    let match;
+    while ((match = fieldPattern.exec(block)) !== null) {
+      record[match[1].toUpperCase()] = decodeXMLEntities(match[2].trim());
+    }
+    return record;
+  });
+}
+
+function decodeXMLEntities(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Convert OMM records, collecting per-record errors
+ */
+function parseOMMRecords(records) {
+  const satellites = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const entry =
+      (record && (record.OBJECT_NAME || record.NORAD_CAT_ID)) ||
+      `record ${index + 1}`;
+    try {
+      if (record && record.parseError) throw new Error(record.parseError);
+      satellites.push(ommToTLE(record));
+    } catch (error) {
+      errors.push({ entry: String(entry), line: null, message: error.message });
+    }
+  });
+
+  return { satellites, errors };
+}
+
+/**
+ * Build TLE lines from an OMM record
+ * Missing optional fields fall back to TLE defaults (zero drag terms,
+ * element set 999, rev number 00000).
+ * @param {Object} omm - OMM fields (CCSDS keyword names, numbers or strings)
+ * @returns {{name:string, tle1:string, tle2:string}}
+ */
+export function ommToTLE(omm) {
+  if (!omm || typeof omm !== "object") {
+    throw new Error("OMM record is not an object");
+  }
+  const missing = OMM_REQUIRED_FIELDS.filter((field) =>
+    isMissingField(omm[field]),
+  );
+  if (missing.length > 0) {
+    throw new Error(`Missing OMM fields: ${missing.join(", ")}`);
+  }
+
+  const number = (field, fallback = 0) => {
+    const value = isMissingField(omm[field]) ? fallback : Number(omm[field]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`${field} is not a number: ${omm[field]}`);
+    }
+    return value;
+  };
+
+  const satnum = formatCatalogNumber(number("NORAD_CAT_ID"));
+  const classification = String(omm.CLASSIFICATION_TYPE || "U").slice(0, 1);
+  const eccentricity = number("ECCENTRICITY");
+  if (eccentricity < 0 || eccentricity >= 1) {
+    throw new Error(`ECCENTRICITY out of range: ${eccentricity}`);
+  }
+
+  const line1 =
+    "1 " +
+    satnum +
+    classification +
+    " " +
+    formatDesignator(omm.OBJECT_ID).padEnd(8) +
+    " " +
+    formatEpoch(omm.EPOCH) +
+    " " +
+    formatMeanMotionDot(number("MEAN_MOTION_DOT")) +
+    " " +
+    formatExponent(number("MEAN_MOTION_DDOT")) +
+    " " +
+    formatExponent(number("BSTAR")) +
+    " " +
+    String(number("EPHEMERIS_TYPE") % 10) +
+    " " +
+    String(number("ELEMENT_SET_NO", 999) % 10000).padStart(4);
+
+  const line2 =
+    "2 " +
+    satnum +
+    " " +
+    formatAngle(number("INCLINATION")) +
+    " " +
+    formatAngle(number("RA_OF_ASC_NODE")) +
+    " " +
+    eccentricity.toFixed(7).slice(2) +
+    " " +
+    formatAngle(number("ARG_OF_PERICENTER")) +
+    " " +
+    formatAngle(number("MEAN_ANOMALY")) +
+    " " +
+    number("MEAN_MOTION").toFixed(8).padStart(11) +
+    String(number("REV_AT_EPOCH") % 100000).padStart(5, "0");
+
+  const tle1 = line1 + computeChecksum(line1);
+  const tle2 = line2 + computeChecksum(line2);
+
+  const problem = validateTLEPair(tle1, tle2);
+  if (problem) throw new Error(`Cannot express OMM as a TLE: ${problem}`);
+
+  return {
+    name: String(omm.OBJECT_NAME || `NORAD ${Number(omm.NORAD_CAT_ID)}`),
+    tle1,
+    tle2,
+  };
+}
+
+/**
+ * 5-character catalog number, Alpha-5 above 99999
+ */
+function formatCatalogNumber(id) {
+  if (!Number.isInteger(id) || id < 0 || id > 339999) {
+    throw new Error(`NORAD_CAT_ID cannot be expressed in a TLE: ${id}`);
+  }
+  if (id < 100000) return String(id).padStart(5, "0");
+  const letter = ALPHA5_LETTERS[Math.floor(id / 10000) - 10];
+  return letter + String(id % 10000).padStart(4, "0");
+}
+
+/**
+ * International designator "1998-067A" -> "98067A"
+ */
+function formatDesignator(objectId) {
+  const match = /^(\d{4})-(\d{3})([A-Z]{1,3})$/.exec(
+    String(objectId || "").trim(),
+  );
+  return match ? match[1].slice(2) + match[2] + match[3] : "";
+}
+
+/**
+ * ISO epoch -> YYDDD.DDDDDDDD (parsed by hand to keep sub-millisecond digits)
+ */
+function formatEpoch(epoch) {
+  const match =
+    /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2}(?:\.\d+)?)Z?$/.exec(
+      String(epoch).trim(),
+    );
+  if (!match) throw new Error(`EPOCH is not an ISO date: ${epoch}`);
+
+  const [, year, month, day, hours, minutes, seconds] = match;
+  const dayOfYear =
+    (Date.UTC(Number(year), Number(month) - 1, Number(day)) -
+      Date.UTC(Number(year), 0, 1)) /
+      86400000 +
+    1;
+  const fraction =
+    (Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) / 86400;
+
+  return year.slice(2) + (dayOfYear + fraction).toFixed(8).padStart(12, "0");
+}
+
+/**
+ * First derivative of mean motion: " .00019088" / "-.00001234"
+ */
+function formatMeanMotionDot(value) {
+  if (Math.abs(value) >= 1) {
+    throw new Error(`MEAN_MOTION_DOT out of range: ${value}`);
+  }
+  const sign = value < 0 ? "-" : " ";
+  return sign + Math.abs(value).toFixed(8).slice(1);
+}
+
+/**
+ * Assumed-decimal exponent notation: 0.00033820 -> " 33820-3"
+ */
+function formatExponent(value) {
+  if (value === 0) return " 00000+0";
+
+  // Below 1e-10 the exponent is pinned at -9 and the mantissa loses digits
+  let exponent = Math.max(-9, Math.floor(Math.log10(Math.abs(value))) + 1);
+  let mantissa = Math.round((Math.abs(value) / Math.pow(10, exponent)) * 1e5);
+  if (mantissa >= 100000) {
+    mantissa = 10000;
+    exponent += 1;
+  }
+  if (mantissa === 0) return " 00000+0";
+  if (exponent > 9) {
+    throw new Error(`Value cannot be expressed in a TLE: ${value}`);
+  }
+
+  const sign = value < 0 ? "-" : " ";
+  const exponentSign = exponent < 0 ? "-" : "+";
+  return (
+    sign + String(mantissa).padStart(5, "0") + exponentSign + Math.abs(exponent)
+  );
+}
+
+/**
+ * Angle in degrees as 8 columns with 4 decimals
+ */
+function formatAngle(degrees) {
+  return degrees.toFixed(4).padStart(8);
+}
@@ -341,6 +341,27 @@ export function initAllButtons() {
     btnFindSatellite.addEventListener("click", mod.showSatelliteFinderPanel);
   });
 
+  // 5. Filters Button
+  const btnFilters = createControlButton(
+    "btn-filters",
+    "assets/icons/filter-icon.svg",
+    "Filters",
+    "Filter Satellites & Stations",
+  );
+  registerButton("filters", "center", btnFilters);
+
+  // The Filters panel is created by main.js; the button only toggles it
+  import("./filterMenu.js").then((mod) => {
+    btnFilters.addEventListener("click", () => {
+      const isHidden = mod.getFilterPanel()?.classList.contains("hidden");
+      if (isHidden) {
+        mod.showFilterPanel();
+      } else {
+        mod.hideFilterPanel();
+      }
+    });
+  });
+
   // RIGHT SECTION BUTTONS
 
   // 6. Settings Button
@@ -384,7 +405,31 @@ export function initAllButtons() {
     btnHeatmap.addEventListener("click", mod.showHeatmapPanel);
   });
 
-  // 8. Chaos Mode Button
+  // 8. Latency Button
+  const btnLatency = createControlButton(
+    "btn-latency",
+    "assets/icons/latency-icon.svg",
+    "Latency",
+    "Station-to-Station Latency",
+  );
+  registerButton("latency", "right", btnLatency);
+
+  // Attach Latency panel to Latency button
+  btnLatency.disabled = true;
+  import("./latencyPanel.js").then((mod) => {
+    mod.initLatencyPanel();
+    btnLatency.disabled = false;
+    btnLatency.addEventListener("click", () => {
+      const isHidden = mod.getLatencyPanel()?.classList.contains("hidden");
+      if (isHidden) {
+        mod.showLatencyPanel();
+      } else {
+        mod.hideLatencyPanel();
+      }
+    });
+  });
+
+  // 9. Chaos Mode Button
   const btnChaosMode = createControlButton(
     "btn-chaos-mode",
     "assets/icons/search-icon.svg", // Using search icon as placeholder
@@ -412,16 +457,17 @@ export function initAllButtons() {
     });
   });
 
-  console.log("✓ All 7 control panel buttons initialized");
+  console.log("✓ All 9 control panel buttons initialized");
   console.log("  - Left section: Add Station, Add Satellite, List Stations");
-  console.log("  - Center section: Find Satellite");
-  console.log("  - Right section: Settings, Heatmap, Chaos Mode");
+  console.log("  - Center section: Find Satellite, Filters");
+  console.log("  - Right section: Settings, Heatmap, Latency, Chaos Mode");
 
   return {
     addStation: btnAddStation,
     addSatellite: btnAddSatellite,
     listStations: btnListStations,
     findSatellite: btnFindSatellite,
+    filters: btnFilters,
     settings: btnSettings,
   };
 }
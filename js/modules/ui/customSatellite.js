@@ -11,6 +11,8 @@ import {
   propagateSatellitePosition,
 } from "../satelliteData.js";
 import { addSatellitePosition } from "../satelliteUpdater.js";
+import { getSimulationTime } from "../simulationClock.js";
+import { parseOrbitalData } from "../tleParser.js";
 
 let modalElement = null;
 
@@ -38,7 +40,7 @@ export function initAddSatelliteModal() {
   header.className = "modal-header";
   header.innerHTML = `
         <h2>Add Custom Satellite</h2>
-        <p>Add a satellite using Two-Line Element (TLE) data</p>
+        <p>Add a satellite using Two-Line Element (TLE) or OMM data</p>
         <button class="modal-close" aria-label="Close modal">&times;</button>
     `;
 
@@ -54,11 +56,20 @@ export function initAddSatelliteModal() {
                 <div class="form-group">
                     <label class="form-label required" for="satellite-name">Satellite Name</label>
                     <input type="text" id="satellite-name" class="form-input" placeholder="e.g., My Custom Satellite" required>
+                    <span class="form-hint hidden" id="satellite-name-hint">Optional for OMM: defaults to OBJECT_NAME</span>
+                </div>
+
+                <div class="form-group">
+                    <label class="form-label" for="satellite-input-format">Input Format</label>
+                    <select id="satellite-input-format" class="form-select">
+                        <option value="tle">TLE lines</option>
+                        <option value="omm">OMM (JSON or XML)</option>
+                    </select>
                 </div>
             </div>
             
             <!-- TLE Data Section -->
-            <div class="form-section">
+            <div class="form-section" data-input-format="tle">
                 <h3 class="form-section-title">TLE Data</h3>
                 
                 <div class="form-group">
@@ -80,6 +91,19 @@ export function initAddSatelliteModal() {
                     <span class="form-hint">Click to load ISS TLE as an example</span>
                 </div>
             </div>
+
+            <!-- OMM Data Section -->
+            <div class="form-section hidden" data-input-format="omm">
+                <h3 class="form-section-title">OMM Data</h3>
+
+                <div class="form-group">
+                    <label class="form-label required" for="satellite-omm">Orbit Mean-elements Message</label>
+                    <textarea id="satellite-omm" class="form-textarea" rows="8" placeholder='{"OBJECT_NAME": "ISS (ZARYA)", "NORAD_CAT_ID": 25544, "EPOCH": "2025-12-12T03:41:57.165504", ...}'></textarea>
+                    <span class="form-hint">One OMM record as CelesTrak or Space-Track JSON, or CCSDS XML</span>
+                </div>
+            </div>
+
+            <span class="form-error hidden" id="satellite-parse-error"></span>
         </form>
     `;
 
@@ -103,6 +127,13 @@ export function initAddSatelliteModal() {
   // Handle form submission
   const form = modal.querySelector("#form-add-satellite");
   if (form) {
+    const formatSelect = form.querySelector("#satellite-input-format");
+    formatSelect.addEventListener("change", () => {
+      showInputFormat(form, formatSelect.value);
+    });
+    // reset() restores the select to TLE after this event fires
+    form.addEventListener("reset", () => showInputFormat(form, "tle"));
+
     // Load ISS TLE example button
     const loadIssBtn = form.querySelector("#btn-load-iss-tle");
     if (loadIssBtn) {
@@ -126,26 +157,17 @@ export function initAddSatelliteModal() {
       e.preventDefault();
       console.log("[CustomSatellite] Form submitted");
 
-      // Get form values
-      const nameInput = form.querySelector("#satellite-name");
-      const tle1Input = form.querySelector("#satellite-tle1");
-      const tle2Input = form.querySelector("#satellite-tle2");
-
-      console.log("[CustomSatellite] Form inputs:", {
-        nameInput: !!nameInput,
-        tle1Input: !!tle1Input,
-        tle2Input: !!tle2Input,
-      });
-
-      if (!nameInput || !tle1Input || !tle2Input) {
-        console.error("[CustomSatellite] Missing required form inputs");
-        alert("Missing required fields.");
+      // Parse and validate the orbital data (checksums, OMM fields)
+      const parsed = readOrbitalInput(form);
+      showParseError(form, parsed.error);
+      if (parsed.error) {
+        console.error("[CustomSatellite] Invalid orbital data:", parsed.error);
         return;
       }
 
-      const name = nameInput.value.trim();
-      const tle1 = tle1Input.value.trim();
-      const tle2 = tle2Input.value.trim();
+      const name = parsed.name;
+      const tle1 = parsed.tle1;
+      const tle2 = parsed.tle2;
 
       console.log("[CustomSatellite] Form values:", {
         name,
@@ -153,14 +175,6 @@ export function initAddSatelliteModal() {
         tle2Length: tle2.length,
       });
 
-      if (!name || !tle1 || !tle2) {
-        console.error("[CustomSatellite] Empty form values");
-        alert(
-          "Please fill all required fields (Name, TLE Line 1, and TLE Line 2).",
-        );
-        return;
-      }
-
       try {
         console.log("[CustomSatellite] Starting satellite creation process...");
 
@@ -198,7 +212,7 @@ export function initAddSatelliteModal() {
         });
 
         // Propagate initial position (same as existing satellites)
-        const currentTime = new Date();
+        const currentTime = getSimulationTime();
         console.log(
           "[CustomSatellite] Propagating position at time:",
           currentTime,
@@ -296,6 +310,11 @@ export function initAddSatelliteModal() {
           console.log(
             "[CustomSatellite] ✓ Custom satellite rendered and added to scene",
           );
+
+          // Let the Filters panel apply its filters to the new satellite
+          window.dispatchEvent(
+            new CustomEvent("custom-satellite-added", { detail: { name } }),
+          );
         } else {
           console.error(
             "[CustomSatellite] ERROR: window.TREE (scene) is not available!",
@@ -349,6 +368,66 @@ export function initAddSatelliteModal() {
   return backdrop;
 }
 
+/**
+ * Show the TLE or OMM inputs and make only those required
+ */
+function showInputFormat(form, format) {
+  form.querySelectorAll("[data-input-format]").forEach((section) => {
+    section.classList.toggle("hidden", section.dataset.inputFormat !== format);
+  });
+
+  const isOmm = format === "omm";
+  form.querySelector("#satellite-tle1").required = !isOmm;
+  form.querySelector("#satellite-tle2").required = !isOmm;
+  form.querySelector("#satellite-omm").required = isOmm;
+  // OMM records carry their own name
+  form.querySelector("#satellite-name").required = !isOmm;
+  form.querySelector("#satellite-name-hint").classList.toggle("hidden", !isOmm);
+  showParseError(form, null);
+}
+
+/**
+ * Read the form's orbital data as one satellite
+ * @returns {{name:string, tle1:string, tle2:string, error:null}|{error:string}}
+ */
+function readOrbitalInput(form) {
+  const format = form.querySelector("#satellite-input-format").value;
+  const name = form.querySelector("#satellite-name").value.trim();
+
+  const text =
+    format === "omm"
+      ? form.querySelector("#satellite-omm").value
+      : `${form.querySelector("#satellite-tle1").value.trim()}\n${form.querySelector("#satellite-tle2").value.trim()}`;
+  const { satellites, errors } = parseOrbitalData(text);
+
+  if (errors.length > 0) {
+    return {
+      error: errors
+        .map((error) => `${error.entry}: ${error.message}`)
+        .join("\n"),
+    };
+  }
+  if (satellites.length !== 1) {
+    return {
+      error: `Expected one satellite, found ${satellites.length}`,
+    };
+  }
+  if (!name && format !== "omm") {
+    return { error: "Satellite name is required" };
+  }
+
+  return { ...satellites[0], name: name || satellites[0].name, error: null };
+}
+
+/**
+ * Show (or clear) the parse error under the form
+ */
+function showParseError(form, message) {
+  const errorElement = form.querySelector("#satellite-parse-error");
+  errorElement.textContent = message || "";
+  errorElement.classList.toggle("hidden", !message);
+}
+
 /**
  * Show the modal
  */
@@ -1,9 +1,34 @@
 // ============================================
 // FILTER MENU - Satellite Type Filters
-// Panel for filtering satellites by type
+// Panel for filtering satellites by type, source group and an advanced
+// query, with saved presets
 // ============================================
 
+import {
+  on,
+  getFilter,
+  setFilter,
+  getAllFilters,
+  getSetting,
+} from "./uiState.js";
+import { getSatelliteMeshes } from "../satelliteRenderer.js";
+import { getSatelliteRecords } from "../satelliteData.js";
+import { getStationMeshes } from "../groundStationRenderer.js";
+import { showFilterOrbits, clearFilterOrbits } from "../orbitalPath.js";
+import { compileSatelliteQuery, isQueryActive } from "../satelliteQuery.js";
+import { getSimulationTime } from "../simulationClock.js";
+import { CONFIG, DEFAULT_SATELLITE_QUERY } from "../constants.js";
+
+// Filters a preset stores (stations and orbits are display toggles)
+const PRESET_KEYS = ["leo", "meo", "geo", "custom", "hiddenSources", "query"];
+const TYPE_FILTERS = ["leo", "meo", "geo", "custom", "stations", "orbits"];
+const QUERY_RECHECK_MS = 1000; // At most this often while satellites move
+
 let panelElement = null;
+let loadedSources = [];
+let orbitMeshes = []; // Satellites whose paths the "Orbital Paths" toggle drew
+let applyScheduled = false;
+let lastQueryRecheck = 0;
 
 /**
  * Initialize Filter Menu panel structure
@@ -31,57 +56,118 @@ export function initFilterPanel() {
   const content = document.createElement("div");
   content.className = "panel-content";
   content.innerHTML = `
+        <p class="filter-summary" id="filter-summary"></p>
+
         <!-- Satellite Type Filters -->
         <section class="panel-section">
             <h3>Satellite Types</h3>
-            
+
             <label class="toggle-switch">
                 <span>LEO <span class="count" id="count-leo">(0)</span></span>
                 <input type="checkbox" id="filter-leo" checked>
             </label>
-            
+
             <label class="toggle-switch">
                 <span>MEO <span class="count" id="count-meo">(0)</span></span>
                 <input type="checkbox" id="filter-meo" checked>
             </label>
-            
+
             <label class="toggle-switch">
                 <span>GEO <span class="count" id="count-geo">(0)</span></span>
                 <input type="checkbox" id="filter-geo" checked>
             </label>
-            
+
             <label class="toggle-switch">
                 <span>Custom Satellites <span class="count" id="count-custom">(0)</span></span>
                 <input type="checkbox" id="filter-custom" checked>
             </label>
         </section>
-        
+
+        <!-- Source Group Filters -->
+        <section class="panel-section">
+            <h3>Source Groups</h3>
+            <div id="filter-sources">
+                <p class="form-hint">No satellite sources loaded</p>
+            </div>
+        </section>
+
+        <!-- Advanced Filter -->
+        <section class="panel-section">
+            <h3>Advanced Filter</h3>
+
+            <div class="form-group">
+                <label class="form-label">Inclination (°)</label>
+                <div class="filter-range">
+                    <input type="number" class="form-input" data-query="inclinationMin" min="0" max="180" step="any" placeholder="Min" aria-label="Minimum inclination">
+                    <input type="number" class="form-input" data-query="inclinationMax" min="0" max="180" step="any" placeholder="Max" aria-label="Maximum inclination">
+                </div>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label">Altitude (km)</label>
+                <div class="filter-range">
+                    <input type="number" class="form-input" data-query="altitudeMin" min="0" step="any" placeholder="Min" aria-label="Minimum altitude">
+                    <input type="number" class="form-input" data-query="altitudeMax" min="0" step="any" placeholder="Max" aria-label="Maximum altitude">
+                </div>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label">Eccentricity</label>
+                <div class="filter-range">
+                    <input type="number" class="form-input" data-query="eccentricityMin" min="0" max="1" step="any" placeholder="Min" aria-label="Minimum eccentricity">
+                    <input type="number" class="form-input" data-query="eccentricityMax" min="0" max="1" step="any" placeholder="Max" aria-label="Maximum eccentricity">
+                </div>
+            </div>
+
+            <div class="form-group" id="query-pattern-group">
+                <label class="form-label" for="query-pattern">Name or NORAD ID</label>
+                <input type="text" class="form-input" id="query-pattern" data-query="pattern" placeholder="e.g. ^STARLINK or 25544">
+                <span class="form-hint">Regular expression, not case-sensitive</span>
+                <span class="form-error hidden" id="query-pattern-error"></span>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label" for="query-epoch-age">Max TLE Age (days)</label>
+                <input type="number" class="form-input" id="query-epoch-age" data-query="maxEpochAgeDays" min="0" step="any" placeholder="Any">
+                <span class="form-hint">Time between the TLE epoch and the simulation time</span>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label" for="query-source">Source Group</label>
+                <select class="form-select" id="query-source" data-query="source">
+                    <option value="">Any</option>
+                </select>
+            </div>
+
+            <button class="btn btn-sm btn-secondary" id="btn-clear-query">Clear Advanced Filter</button>
+        </section>
+
         <!-- Other Filters -->
         <section class="panel-section">
             <h3>Visibility</h3>
-            
+
             <label class="toggle-switch">
                 <span>Ground Stations</span>
                 <input type="checkbox" id="filter-stations" checked>
             </label>
-            
+
             <label class="toggle-switch">
                 <span>Orbital Paths</span>
                 <input type="checkbox" id="filter-orbits">
             </label>
+            <span class="form-hint" id="filter-orbits-hint"></span>
         </section>
-        
-        <!-- Preset Filters -->
+
+        <!-- Saved Presets -->
         <section class="panel-section">
-            <h3>Quick Filters</h3>
-            <div style="display: flex; gap: var(--space-2); flex-wrap: wrap;">
-                <button class="btn btn-sm btn-secondary" id="preset-gps">GPS Only</button>
-                <button class="btn btn-sm btn-secondary" id="preset-leo">LEO Only</button>
-                <button class="btn btn-sm btn-secondary" id="preset-geo">GEO Only</button>
-                <button class="btn btn-sm btn-secondary" id="preset-all">Show All</button>
+            <h3>Presets</h3>
+            <div class="filter-presets" id="filter-presets"></div>
+            <div class="filter-preset-save">
+                <input type="text" class="form-input" id="filter-preset-name" maxlength="40" placeholder="Preset name" aria-label="Preset name">
+                <button class="btn btn-sm btn-primary" id="btn-save-preset">Save Current</button>
             </div>
         </section>
-        
+
         <!-- Actions -->
         <div class="panel-footer" style="border-top: 1px solid var(--ui-border); padding-top: var(--space-4); margin-top: var(--space-4);">
             <button id="btn-reset-filters" class="btn btn-secondary btn-sm">Reset Filters</button>
@@ -96,6 +182,36 @@ export function initFilterPanel() {
   document.body.appendChild(panel);
 
   panelElement = panel;
+
+  setupEventListeners(panel);
+  syncControls(panel);
+  renderPresets();
+
+  // Rebuild the source toggles whenever a satellite set is loaded
+  window.addEventListener("satellites-loaded", (e) => {
+    loadedSources = e.detail.sources.filter((source) => !source.error);
+    syncControls(panel);
+    applySatelliteFilters();
+  });
+
+  // New satellites and stations start visible; filter them like the rest
+  window.addEventListener("custom-satellite-added", scheduleFilterApply);
+  window.addEventListener("add-ground-station", scheduleFilterApply);
+
+  // Altitude and TLE age depend on the time, so re-check as satellites move
+  window.addEventListener("satellites-updated", () => {
+    const now = Date.now();
+    if (
+      isQueryActive(getFilter("query")) &&
+      now - lastQueryRecheck >= QUERY_RECHECK_MS
+    ) {
+      lastQueryRecheck = now;
+      scheduleFilterApply();
+    }
+  });
+
+  on("filterChange", scheduleFilterApply);
+
   console.log("✓ Filter Menu panel structure initialized");
 
   return panel;
@@ -125,3 +241,392 @@ export function hideFilterPanel() {
 export function getFilterPanel() {
   return panelElement;
 }
+
+/**
+ * Setup event listeners for the filter controls
+ */
+function setupEventListeners(panel) {
+  TYPE_FILTERS.forEach((type) => {
+    const toggle = panel.querySelector(`#filter-${type}`);
+    if (toggle) {
+      toggle.addEventListener("change", (e) => {
+        setFilter(type, e.target.checked);
+        console.log(`[Filters] ${type}:`, e.target.checked);
+      });
+    }
+  });
+
+  panel.querySelectorAll("[data-query]").forEach((input) => {
+    input.addEventListener("change", () => updateQuery(panel));
+  });
+
+  // Check the pattern while typing; it is applied on change
+  const patternInput = panel.querySelector("#query-pattern");
+  if (patternInput) {
+    patternInput.addEventListener("input", () => validatePattern(panel));
+  }
+
+  const clearQueryBtn = panel.querySelector("#btn-clear-query");
+  if (clearQueryBtn) {
+    clearQueryBtn.addEventListener("click", () => {
+      setFilter("query", { ...DEFAULT_SATELLITE_QUERY });
+      syncControls(panel);
+    });
+  }
+
+  const savePresetBtn = panel.querySelector("#btn-save-preset");
+  const presetNameInput = panel.querySelector("#filter-preset-name");
+  if (savePresetBtn && presetNameInput) {
+    const save = () => {
+      const name = presetNameInput.value.trim();
+      if (!name) {
+        presetNameInput.focus();
+        return;
+      }
+      savePreset(name);
+      presetNameInput.value = "";
+    };
+    savePresetBtn.addEventListener("click", save);
+    presetNameInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") save();
+    });
+  }
+
+  const resetBtn = panel.querySelector("#btn-reset-filters");
+  if (resetBtn) {
+    resetBtn.addEventListener("click", () => {
+      TYPE_FILTERS.forEach((type) => setFilter(type, type !== "orbits"));
+      setFilter("hiddenSources", []);
+      setFilter("query", { ...DEFAULT_SATELLITE_QUERY });
+      syncControls(panel);
+      console.log("[Filters] Reset");
+    });
+  }
+}
+
+/**
+ * Read the advanced filter fields into the saved query
+ */
+function updateQuery(panel) {
+  if (!validatePattern(panel)) return;
+
+  const query = { ...DEFAULT_SATELLITE_QUERY };
+  panel.querySelectorAll("[data-query]").forEach((input) => {
+    const key = input.dataset.query;
+    if (input.type === "number") {
+      const value = parseFloat(input.value);
+      query[key] = Number.isFinite(value) ? value : null;
+    } else {
+      query[key] = input.value.trim();
+    }
+  });
+
+  setFilter("query", query);
+}
+
+/**
+ * Show an error for an invalid pattern
+ * @returns {boolean} True if the pattern is empty or valid
+ */
+function validatePattern(panel) {
+  const group = panel.querySelector("#query-pattern-group");
+  const error = panel.querySelector("#query-pattern-error");
+  const pattern = panel.querySelector("#query-pattern").value.trim();
+
+  let message = null;
+  try {
+    compileSatelliteQuery({ pattern });
+  } catch (err) {
+    message = err.message;
+  }
+
+  group.classList.toggle("error", message !== null);
+  error.classList.toggle("hidden", message === null);
+  error.textContent = message || "";
+  return message === null;
+}
+
+/**
+ * Set every control from the saved filters
+ */
+function syncControls(panel) {
+  const filters = getAllFilters();
+
+  TYPE_FILTERS.forEach((type) => {
+    const toggle = panel.querySelector(`#filter-${type}`);
+    if (toggle) {
+      toggle.checked = filters[type] !== false;
+    }
+  });
+
+  renderSourceOptions();
+  const query = { ...DEFAULT_SATELLITE_QUERY, ...filters.query };
+  panel.querySelectorAll("[data-query]").forEach((input) => {
+    input.value = query[input.dataset.query] ?? "";
+  });
+  validatePattern(panel);
+
+  renderSourceFilters();
+}
+
+/**
+ * Build one toggle per loaded source, with the number of satellites on the globe
+ */
+function renderSourceFilters() {
+  const container = panelElement?.querySelector("#filter-sources");
+  if (!container) return;
+
+  if (loadedSources.length === 0) {
+    container.innerHTML = `<p class="form-hint">No satellite sources loaded</p>`;
+    return;
+  }
+
+  const hidden = getFilter("hiddenSources") || [];
+  const meshes = getSatelliteMeshes();
+  container.innerHTML = "";
+  loadedSources.forEach((source) => {
+    const count = meshes.filter((mesh) =>
+      mesh.userData.sources?.includes(source.id),
+    ).length;
+
+    const toggle = document.createElement("label");
+    toggle.className = "toggle-switch";
+    toggle.innerHTML = `
+            <span><span class="filter-source-label"></span> <span class="count">(${count})</span></span>
+            <input type="checkbox">
+        `;
+    // A file source is labelled with the user's file name
+    toggle.querySelector(".filter-source-label").textContent = source.label;
+    const input = toggle.querySelector("input");
+    input.dataset.source = source.id;
+    input.checked = !hidden.includes(source.id);
+    container.appendChild(toggle);
+  });
+
+  container.querySelectorAll("[data-source]").forEach((input) => {
+    input.addEventListener("change", (e) => {
+      const others = (getFilter("hiddenSources") || []).filter(
+        (id) => id !== e.target.dataset.source,
+      );
+      setFilter(
+        "hiddenSources",
+        e.target.checked ? others : [...others, e.target.dataset.source],
+      );
+    });
+  });
+}
+
+/**
+ * Offer the loaded sources in the advanced filter's source select
+ */
+function renderSourceOptions() {
+  const select = panelElement?.querySelector("#query-source");
+  if (!select) return;
+
+  const selected = getFilter("query")?.source || "";
+  select.innerHTML = `<option value="">Any</option>`;
+  loadedSources.forEach((source) => {
+    const option = document.createElement("option");
+    option.value = source.id;
+    option.textContent = source.label;
+    select.appendChild(option);
+  });
+
+  // Keep a saved source that is not loaded right now selectable
+  if (selected && !loadedSources.some((source) => source.id === selected)) {
+    const option = document.createElement("option");
+    option.value = selected;
+    option.textContent = `${selected} (not loaded)`;
+    select.appendChild(option);
+  }
+  select.value = selected;
+}
+
+/**
+ * List the saved presets
+ */
+function renderPresets() {
+  const container = panelElement?.querySelector("#filter-presets");
+  if (!container) return;
+
+  const presets = getFilter("presets") || [];
+  container.innerHTML = "";
+  if (presets.length === 0) {
+    container.innerHTML = `<p class="form-hint">Save the current filters to reuse them</p>`;
+    return;
+  }
+
+  presets.forEach((preset) => {
+    const item = document.createElement("div");
+    item.className = "filter-preset";
+    item.innerHTML = `
+            <button class="btn btn-sm btn-secondary" data-action="apply"></button>
+            <button class="filter-preset-delete" data-action="delete" aria-label="Delete preset">&times;</button>
+        `;
+    item.querySelector('[data-action="apply"]').textContent = preset.name;
+    item
+      .querySelector('[data-action="apply"]')
+      .addEventListener("click", () => applyPreset(preset));
+    item
+      .querySelector('[data-action="delete"]')
+      .addEventListener("click", () => deletePreset(preset));
+    container.appendChild(item);
+  });
+}
+
+/**
+ * Save the current filters under a name (replacing a preset with that name)
+ */
+function savePreset(name) {
+  const filters = {};
+  PRESET_KEYS.forEach((key) => {
+    filters[key] = structuredClone(getFilter(key));
+  });
+
+  const others = (getFilter("presets") || []).filter(
+    (preset) => preset.name !== name,
+  );
+  setFilter("presets", [...others, { name, filters }]);
+  renderPresets();
+  console.log("[Filters] Saved preset:", name);
+}
+
+/**
+ * Apply a saved preset
+ */
+function applyPreset(preset) {
+  PRESET_KEYS.forEach((key) => {
+    if (preset.filters[key] !== undefined) {
+      setFilter(key, structuredClone(preset.filters[key]));
+    }
+  });
+  syncControls(panelElement);
+  console.log("[Filters] Applied preset:", preset.name);
+}
+
+/**
+ * Delete a saved preset
+ */
+function deletePreset(preset) {
+  if (!confirm(`Delete filter preset "${preset.name}"?`)) return;
+
+  setFilter(
+    "presets",
+    (getFilter("presets") || []).filter((p) => p.name !== preset.name),
+  );
+  renderPresets();
+}
+
+/**
+ * Apply the filters once after a burst of changes (e.g. a preset sets
+ * several filters at once)
+ */
+function scheduleFilterApply() {
+  if (applyScheduled) return;
+  applyScheduled = true;
+  queueMicrotask(() => {
+    applyScheduled = false;
+    applySatelliteFilters();
+  });
+}
+
+/**
+ * Show only the satellites and stations that pass the filters, then update
+ * the counts and the filter orbital paths
+ * Orbit class, custom, source group and advanced query must all pass;
+ * satellites without a source (custom satellites) ignore the source toggles.
+ */
+export function applySatelliteFilters() {
+  const filters = getAllFilters();
+  const hidden = filters.hiddenSources || [];
+  const showSatellites = getSetting("showSatellites") ?? true;
+
+  let matchesQuery;
+  try {
+    matchesQuery = compileSatelliteQuery(filters.query);
+  } catch (error) {
+    console.warn("[Filters] Ignoring invalid pattern:", error.message);
+    matchesQuery = compileSatelliteQuery({ ...filters.query, pattern: "" });
+  }
+
+  const recordsByName = new Map(
+    getSatelliteRecords().map((record) => [record.name, record]),
+  );
+  const time = getSimulationTime();
+  const counts = { LEO: 0, MEO: 0, GEO: 0, custom: 0 };
+  const meshes = getSatelliteMeshes();
+  const visible = [];
+
+  meshes.forEach((mesh) => {
+    const { orbitType, isCustom, sources, satelliteName } = mesh.userData;
+    counts[orbitType]++;
+    if (isCustom) counts.custom++;
+
+    const passes =
+      filters[orbitType.toLowerCase()] !== false &&
+      (!isCustom || filters.custom !== false) &&
+      (!sources ||
+        sources.length === 0 ||
+        sources.some((id) => !hidden.includes(id))) &&
+      matchesQuery(mesh, recordsByName.get(satelliteName), time);
+
+    mesh.visible = showSatellites && passes;
+    if (mesh.visible) visible.push(mesh);
+  });
+
+  const showStations =
+    (getSetting("showStations") ?? true) && filters.stations !== false;
+  getStationMeshes().forEach((mesh) => {
+    mesh.visible = showStations;
+  });
+
+  updateCounts(counts, visible.length, meshes.length);
+  updateFilterOrbits(filters.orbits ? visible : []);
+}
+
+/**
+ * Update the count badges and the summary line
+ */
+function updateCounts(counts, visibleCount, totalCount) {
+  if (!panelElement) return;
+
+  ["LEO", "MEO", "GEO"].forEach((type) => {
+    const badge = panelElement.querySelector(`#count-${type.toLowerCase()}`);
+    if (badge) badge.textContent = `(${counts[type]})`;
+  });
+  const customBadge = panelElement.querySelector("#count-custom");
+  if (customBadge) customBadge.textContent = `(${counts.custom})`;
+
+  const summary = panelElement.querySelector("#filter-summary");
+  if (summary) {
+    summary.textContent = `Showing ${visibleCount.toLocaleString()} of ${totalCount.toLocaleString()} satellites`;
+  }
+}
+
+/**
+ * Draw the paths of the first filtered satellites, redrawing only when
+ * that set changes
+ */
+function updateFilterOrbits(meshes) {
+  const next = meshes.slice(0, CONFIG.MAX_FILTER_ORBITS);
+  const unchanged =
+    next.length === orbitMeshes.length &&
+    next.every((mesh, index) => mesh === orbitMeshes[index]);
+
+  if (!unchanged) {
+    if (next.length > 0) {
+      showFilterOrbits(next);
+    } else {
+      clearFilterOrbits();
+    }
+    orbitMeshes = next;
+  }
+
+  const hint = panelElement?.querySelector("#filter-orbits-hint");
+  if (hint) {
+    hint.textContent =
+      meshes.length > next.length
+        ? `Showing paths for the first ${next.length} of ${meshes.length.toLocaleString()} satellites`
+        : "";
+  }
+}
@@ -3,7 +3,16 @@
 // Panel for environmental effects and quality settings
 // ============================================
 
+import { setGraphics, getGraphics } from "./uiState.js";
+import { setSunVisible, setSunSize } from "../sun.js";
+import { setStarfieldVisible, setStarDensity } from "../starfield.js";
+import { setCityLights, getEarthQuality, setEarthQuality } from "../earth.js";
+import { EARTH_TEXTURE_QUALITIES } from "../constants.js";
+
 let panelElement = null;
+let isQualityLoading = false;
+
+const STAR_DENSITY_LABELS = { 1: "Low", 2: "Medium", 3: "High" };
 
 /**
  * Initialize Graphics panel structure
@@ -40,6 +49,11 @@ export function initGraphicsPanel() {
                 <input type="checkbox" id="graphics-sun">
             </label>
             
+            <label class="toggle-switch">
+                <span>City Lights at Night</span>
+                <input type="checkbox" id="graphics-city-lights" checked>
+            </label>
+            
             <label class="toggle-switch">
                 <span>Show Milky Way</span>
                 <input type="checkbox" id="graphics-milkyway">
@@ -77,10 +91,10 @@ export function initGraphicsPanel() {
                 </label>
                 
                 <label class="radio-option">
-                    <input type="radio" name="quality" value="medium" id="quality-medium" checked>
+                    <input type="radio" name="quality" value="medium" id="quality-medium">
                     <div>
                         <span>📦 Medium Quality</span>
-                        <small>2048x1024 - Balanced (Current)</small>
+                        <small>2048x1024 - Balanced</small>
                     </div>
                 </label>
                 
@@ -88,14 +102,20 @@ export function initGraphicsPanel() {
                     <input type="radio" name="quality" value="high" id="quality-high">
                     <div>
                         <span>💎 High Quality</span>
-                        <small>8192x4096 - Maximum detail, slow loading</small>
+                        <small>4096x2048 - Maximum detail, slow loading</small>
                     </div>
                 </label>
             </div>
             
             <div style="margin-top: var(--space-4);">
                 <button id="btn-apply-quality" class="btn btn-primary btn-block" disabled>Apply Quality Change</button>
-                <span class="form-hint">Requires texture reload</span>
+                <div class="quality-progress hidden" id="quality-progress">
+                    <div class="quality-progress-bar">
+                        <div class="quality-progress-fill" id="quality-progress-fill"></div>
+                    </div>
+                    <span class="quality-progress-text" id="quality-progress-text">0%</span>
+                </div>
+                <span class="form-hint" id="quality-status">Requires texture reload</span>
             </div>
         </section>
         
@@ -125,6 +145,13 @@ export function initGraphicsPanel() {
   document.body.appendChild(panel);
 
   panelElement = panel;
+
+  // Setup event listeners
+  setupEventListeners(panel);
+
+  // Apply saved graphics options
+  loadGraphics(panel);
+
   console.log("✓ Graphics panel structure initialized");
 
   return panel;
@@ -154,3 +181,198 @@ export function hideGraphicsPanel() {
 export function getGraphicsPanel() {
   return panelElement;
 }
+
+/**
+ * Setup event listeners for graphics controls
+ */
+function setupEventListeners(panel) {
+  const sunToggle = panel.querySelector("#graphics-sun");
+  const sunControls = panel.querySelector("#sun-controls");
+  if (sunToggle) {
+    sunToggle.addEventListener("change", (e) => {
+      setGraphics("sun", e.target.checked);
+      setSunVisible(e.target.checked);
+      sunControls?.classList.toggle("hidden", !e.target.checked);
+      console.log("[Graphics] Show sun:", e.target.checked);
+    });
+  }
+
+  const sunSizeSlider = panel.querySelector("#graphics-sun-size");
+  const sunSizeValue = panel.querySelector("#sun-size-value");
+  if (sunSizeSlider && sunSizeValue) {
+    sunSizeSlider.addEventListener("input", (e) => {
+      const value = parseFloat(e.target.value);
+      sunSizeValue.textContent = `${value.toFixed(1)}x`;
+      setGraphics("sunSize", value);
+      setSunSize(value);
+    });
+  }
+
+  const cityLightsToggle = panel.querySelector("#graphics-city-lights");
+  if (cityLightsToggle) {
+    cityLightsToggle.addEventListener("change", (e) => {
+      setGraphics("cityLights", e.target.checked);
+      setCityLights(e.target.checked);
+      console.log("[Graphics] City lights:", e.target.checked);
+    });
+  }
+
+  const milkyWayToggle = panel.querySelector("#graphics-milkyway");
+  const milkyWayControls = panel.querySelector("#milkyway-controls");
+  if (milkyWayToggle) {
+    milkyWayToggle.addEventListener("change", (e) => {
+      setGraphics("milkyWay", e.target.checked);
+      setStarfieldVisible(e.target.checked);
+      milkyWayControls?.classList.toggle("hidden", !e.target.checked);
+      console.log("[Graphics] Show Milky Way:", e.target.checked);
+    });
+  }
+
+  const starDensitySlider = panel.querySelector("#graphics-star-density");
+  const starDensityValue = panel.querySelector("#star-density-value");
+  if (starDensitySlider && starDensityValue) {
+    starDensitySlider.addEventListener("input", (e) => {
+      const level = parseInt(e.target.value);
+      starDensityValue.textContent = STAR_DENSITY_LABELS[level];
+      setGraphics("starDensity", level);
+      setStarDensity(level);
+    });
+  }
+
+  panel.querySelectorAll('input[name="quality"]').forEach((radio) => {
+    radio.addEventListener("change", () => updateQualityButton(panel));
+  });
+
+  const applyQualityBtn = panel.querySelector("#btn-apply-quality");
+  if (applyQualityBtn) {
+    applyQualityBtn.addEventListener("click", () => {
+      const selected = panel.querySelector('input[name="quality"]:checked');
+      if (selected) {
+        applyQuality(panel, selected.value);
+      }
+    });
+  }
+}
+
+/**
+ * Load saved graphics options into the controls and apply them
+ */
+function loadGraphics(panel) {
+  const showSun = getGraphics("sun") ?? false;
+  setSunVisible(showSun);
+  const sunToggle = panel.querySelector("#graphics-sun");
+  if (sunToggle) {
+    sunToggle.checked = showSun;
+  }
+  panel.querySelector("#sun-controls")?.classList.toggle("hidden", !showSun);
+
+  const sunSize = getGraphics("sunSize") ?? 1.0;
+  setSunSize(sunSize);
+  const sunSizeSlider = panel.querySelector("#graphics-sun-size");
+  const sunSizeValue = panel.querySelector("#sun-size-value");
+  if (sunSizeSlider && sunSizeValue) {
+    sunSizeSlider.value = sunSize;
+    sunSizeValue.textContent = `${sunSize.toFixed(1)}x`;
+  }
+
+  const cityLights = getGraphics("cityLights") ?? true;
+  setCityLights(cityLights);
+  const cityLightsToggle = panel.querySelector("#graphics-city-lights");
+  if (cityLightsToggle) {
+    cityLightsToggle.checked = cityLights;
+  }
+
+  const showMilkyWay = getGraphics("milkyWay") ?? false;
+  setStarfieldVisible(showMilkyWay);
+  const milkyWayToggle = panel.querySelector("#graphics-milkyway");
+  if (milkyWayToggle) {
+    milkyWayToggle.checked = showMilkyWay;
+  }
+  panel
+    .querySelector("#milkyway-controls")
+    ?.classList.toggle("hidden", !showMilkyWay);
+
+  const starDensity = getGraphics("starDensity") ?? 2;
+  setStarDensity(starDensity);
+  const starDensitySlider = panel.querySelector("#graphics-star-density");
+  const starDensityValue = panel.querySelector("#star-density-value");
+  if (starDensitySlider && starDensityValue) {
+    starDensitySlider.value = starDensity;
+    starDensityValue.textContent = STAR_DENSITY_LABELS[starDensity];
+  }
+
+  // The globe starts at potato; upgrade to the saved quality in the background
+  const savedQuality = getGraphics("quality") ?? "medium";
+  const quality = EARTH_TEXTURE_QUALITIES[savedQuality]
+    ? savedQuality
+    : getEarthQuality();
+  selectQuality(panel, quality);
+  if (quality !== getEarthQuality()) {
+    applyQuality(panel, quality);
+  }
+}
+
+/**
+ * Check the radio for a quality level
+ */
+function selectQuality(panel, quality) {
+  const radio = panel.querySelector(`#quality-${quality}`);
+  if (radio) {
+    radio.checked = true;
+  }
+  updateQualityButton(panel);
+}
+
+/**
+ * Enable Apply only when another quality is selected and nothing is loading
+ */
+function updateQualityButton(panel) {
+  const applyQualityBtn = panel.querySelector("#btn-apply-quality");
+  const selected = panel.querySelector('input[name="quality"]:checked');
+  if (applyQualityBtn) {
+    applyQualityBtn.disabled =
+      isQualityLoading || !selected || selected.value === getEarthQuality();
+  }
+}
+
+/**
+ * Load a texture quality, showing download progress in the panel
+ */
+async function applyQuality(panel, quality) {
+  if (isQualityLoading) return;
+
+  const progress = panel.querySelector("#quality-progress");
+  const progressFill = panel.querySelector("#quality-progress-fill");
+  const progressText = panel.querySelector("#quality-progress-text");
+  const status = panel.querySelector("#quality-status");
+
+  isQualityLoading = true;
+  updateQualityButton(panel);
+  progress.classList.remove("hidden");
+  progressFill.style.width = "0%";
+  progressText.textContent = "0%";
+
+  try {
+    const shown = await setEarthQuality(quality, (step, loaded, total) => {
+      status.textContent = `Loading ${EARTH_TEXTURE_QUALITIES[step].label} texture...`;
+      if (total > 0) {
+        const percent = Math.round((loaded / total) * 100);
+        progressFill.style.width = `${percent}%`;
+        progressText.textContent = `${percent}%`;
+      } else {
+        progressText.textContent = `${(loaded / 1048576).toFixed(1)} MB`;
+      }
+    });
+    setGraphics("quality", shown);
+    status.textContent = `Showing ${EARTH_TEXTURE_QUALITIES[shown].label} quality`;
+    console.log("[Graphics] Earth quality:", shown);
+  } catch (error) {
+    console.error("[Graphics] Failed to load Earth texture:", error);
+    const shown = EARTH_TEXTURE_QUALITIES[getEarthQuality()].label;
+    status.textContent = `${EARTH_TEXTURE_QUALITIES[quality].label} texture unavailable; showing ${shown}`;
+  } finally {
+    isQualityLoading = false;
+    progress.classList.add("hidden");
+    selectQuality(panel, getEarthQuality());
+  }
+}
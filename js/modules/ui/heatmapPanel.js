@@ -3,7 +3,11 @@
 // UI for heatmap generation
 // ============================================
 
-import { getSatelliteRecords } from "../satelliteData.js";
+import {
+  getSatelliteRecords,
+  getAllSatellites,
+  fetchSatelliteGroup,
+} from "../satelliteData.js";
 import { getSatelliteMeshes } from "../satelliteRenderer.js";
 import {
   startHeatmapGeneration,
@@ -16,12 +20,28 @@ import {
   stopFrameAnimation,
   startFrameAnimation,
   isFrameAnimationRunning,
+  getHeatmapLegend,
+  loadSavedHeatmapRun,
+  getFrameCount,
+  getFrameTime,
+  setFollowClock,
+  isFollowingClock,
 } from "../heatmapManager.js";
+import { setSimulationTime } from "../simulationClock.js";
+import {
+  listHeatmapRuns,
+  renameHeatmapRun,
+  deleteHeatmapRun,
+} from "../heatmapStore.js";
+import { exportFramesZip, exportGif, exportWebm } from "../heatmapExport.js";
+import { CONFIG, HEATMAP_METRICS, HEATMAP_GROUPS } from "../constants.js";
 import { displaySatelliteInfo } from "../satelliteInteraction.js";
 import { showOrbitPath, removeOrbitLine } from "../orbitalPath.js";
 
 let panelElement = null;
 let selectedSatellite = null;
+let setMode = "single"; // single | multiple | filter | all | group
+const groupCache = new Map(); // CelesTrak group -> satellites
 let statusElement = null;
 let progressBar = null;
 let frameSliderElement = null;
@@ -49,14 +69,48 @@ export function initHeatmapPanel() {
         </div>
         
         <div class="panel-content">
-            <!-- Satellite Selection -->
+            <!-- Satellite Set -->
             <div class="heatmap-section">
+                <label for="heatmap-set-mode">Satellite Set:</label>
+                <select id="heatmap-set-mode" class="heatmap-select">
+                    <option value="single">Single satellite</option>
+                    <option value="multiple">Multiple satellites</option>
+                    <option value="filter">Name filter (full catalog)</option>
+                    <option value="all">All loaded satellites</option>
+                    <option value="group">CelesTrak group</option>
+                </select>
+            </div>
+            
+            <!-- Satellite Selection -->
+            <div class="heatmap-section heatmap-set-option" data-set-mode="single">
                 <label for="heatmap-satellite-select">Select Satellite:</label>
                 <select id="heatmap-satellite-select" class="heatmap-select">
                     <option value="">-- Select a satellite --</option>
                 </select>
             </div>
             
+            <div class="heatmap-section heatmap-set-option hidden" data-set-mode="multiple">
+                <label for="heatmap-satellite-multi">Select Satellites (Ctrl/Shift-click):</label>
+                <select id="heatmap-satellite-multi" class="heatmap-select heatmap-select-multi" multiple size="8"></select>
+            </div>
+            
+            <div class="heatmap-section heatmap-set-option hidden" data-set-mode="filter">
+                <label for="heatmap-satellite-filter">Name Contains:</label>
+                <input type="text" id="heatmap-satellite-filter" class="heatmap-input" placeholder="e.g. STARLINK">
+            </div>
+            
+            <div class="heatmap-section heatmap-set-option hidden" data-set-mode="group">
+                <label for="heatmap-group-select">Group:</label>
+                <select id="heatmap-group-select" class="heatmap-select">
+                    ${HEATMAP_GROUPS.map(
+                      (group) =>
+                        `<option value="${group.value}">${group.label}</option>`,
+                    ).join("")}
+                </select>
+            </div>
+            
+            <div class="heatmap-set-summary" id="heatmap-set-summary"></div>
+            
             <!-- Selected Satellite Info -->
             <div id="heatmap-satellite-info" class="heatmap-satellite-info hidden">
                 <h3>Selected Satellite</h3>
@@ -65,6 +119,14 @@ export function initHeatmapPanel() {
             
             <!-- Configuration -->
             <div class="heatmap-section">
+                <label for="heatmap-metric">Metric:</label>
+                <select id="heatmap-metric" class="heatmap-select">
+                    ${HEATMAP_METRICS.map(
+                      (metric) =>
+                        `<option value="${metric.value}">${metric.label} (${metric.units})</option>`,
+                    ).join("")}
+                </select>
+                
                 <label for="heatmap-duration">Duration (seconds):</label>
                 <input type="number" id="heatmap-duration" class="heatmap-input" value="600" min="60" max="3600" step="60">
                 
@@ -75,6 +137,7 @@ export function initHeatmapPanel() {
             <!-- Status Panel -->
             <div id="heatmap-status" class="heatmap-status hidden">
                 <div class="heatmap-status-message" id="heatmap-status-message">Ready</div>
+                <div class="heatmap-status-count" id="heatmap-status-count"></div>
                 <div class="heatmap-progress-container">
                     <div class="heatmap-progress-bar" id="heatmap-progress-bar">
                         <div class="heatmap-progress-fill" id="heatmap-progress-fill"></div>
@@ -83,6 +146,17 @@ export function initHeatmapPanel() {
                 </div>
             </div>
             
+            <!-- Legend -->
+            <div id="heatmap-legend" class="heatmap-legend hidden">
+                <div class="heatmap-legend-title" id="heatmap-legend-title"></div>
+                <div class="heatmap-legend-bar" id="heatmap-legend-bar"></div>
+                <div class="heatmap-legend-scale">
+                    <span id="heatmap-legend-min"></span>
+                    <span id="heatmap-legend-max"></span>
+                </div>
+                <div class="heatmap-legend-note" id="heatmap-legend-note"></div>
+            </div>
+            
             <!-- Frame Slider -->
             <div id="heatmap-frame-slider" class="heatmap-frame-slider hidden">
                 <div class="frame-slider-container">
@@ -98,6 +172,11 @@ export function initHeatmapPanel() {
                     >
                     <span id="frame-slider-value" class="frame-slider-value">0 / 0</span>
                 </div>
+                <div id="frame-slider-time" class="frame-slider-time"></div>
+                <label class="frame-slider-follow">
+                    <input type="checkbox" id="heatmap-follow-clock">
+                    <span>Follow simulation clock</span>
+                </label>
             </div>
             
             <!-- Action Buttons -->
@@ -112,6 +191,24 @@ export function initHeatmapPanel() {
                     Clear Heatmap
                 </button>
             </div>
+            
+            <!-- Export -->
+            <div id="heatmap-export" class="heatmap-export hidden">
+                <label>Export Run:</label>
+                <div class="heatmap-actions">
+                    <button class="heatmap-btn heatmap-btn-secondary" data-export="zip">ZIP</button>
+                    <button class="heatmap-btn heatmap-btn-secondary" data-export="gif">GIF</button>
+                    <button class="heatmap-btn heatmap-btn-secondary" data-export="webm">WebM</button>
+                </div>
+                <div class="heatmap-export-status" id="heatmap-export-status"></div>
+            </div>
+            
+            <!-- Saved Runs -->
+            <div class="heatmap-saved-runs">
+                <label>Saved Runs:</label>
+                <div id="heatmap-saved-runs-error" class="heatmap-saved-runs-error hidden" role="alert"></div>
+                <div id="heatmap-saved-runs-list" class="heatmap-saved-runs-list"></div>
+            </div>
         </div>
     `;
 
@@ -122,6 +219,21 @@ export function initHeatmapPanel() {
 
   // Populate satellite list
   populateSatelliteList();
+  updateSetSummary();
+
+  // Saved runs (refreshed whenever a run is saved)
+  renderSavedRuns();
+  window.addEventListener("heatmap-runs-changed", (e) => {
+    showSavedRunsError(describeEvictedRuns(e.detail?.evicted));
+    renderSavedRuns();
+  });
+  window.addEventListener("heatmap-run-save-failed", (e) => {
+    const evicted = describeEvictedRuns(e.detail.evicted);
+    showSavedRunsError(
+      evicted ? `${e.detail.message} ${evicted}` : e.detail.message,
+    );
+    renderSavedRuns(); // Older runs may have been evicted before the failure
+  });
 
   // Setup status callback
   setStatusCallback(updateStatus);
@@ -158,6 +270,29 @@ function setupEventListeners() {
     });
   }
 
+  // Satellite set
+  const setModeSelect = document.getElementById("heatmap-set-mode");
+  if (setModeSelect) {
+    setModeSelect.addEventListener("change", (e) => {
+      setSetMode(e.target.value);
+    });
+  }
+
+  const multiSelect = document.getElementById("heatmap-satellite-multi");
+  if (multiSelect) {
+    multiSelect.addEventListener("change", () => updateSetSummary());
+  }
+
+  const filterInput = document.getElementById("heatmap-satellite-filter");
+  if (filterInput) {
+    filterInput.addEventListener("input", () => updateSetSummary());
+  }
+
+  const groupSelect = document.getElementById("heatmap-group-select");
+  if (groupSelect) {
+    groupSelect.addEventListener("change", loadSelectedGroup);
+  }
+
   // Generate button
   const generateBtn = document.getElementById("heatmap-generate-btn");
   if (generateBtn) {
@@ -176,6 +311,11 @@ function setupEventListeners() {
     clearBtn.addEventListener("click", handleClear);
   }
 
+  // Export buttons
+  panelElement.querySelectorAll("[data-export]").forEach((button) => {
+    button.addEventListener("click", () => handleExport(button.dataset.export));
+  });
+
   // ESC key to close
   document.addEventListener("keydown", (e) => {
     if (e.key === "Escape" && !panelElement.classList.contains("hidden")) {
@@ -198,12 +338,16 @@ function populateSatelliteList() {
     select.removeChild(select.lastChild);
   }
 
+  const multiSelect = document.getElementById("heatmap-satellite-multi");
+  if (multiSelect) multiSelect.innerHTML = "";
+
   // Add satellites
   records.forEach((record) => {
     const option = document.createElement("option");
     option.value = record.name;
     option.textContent = record.name;
     select.appendChild(option);
+    if (multiSelect) multiSelect.appendChild(option.cloneNode(true));
   });
 
   console.log(`[HeatmapPanel] Populated ${records.length} satellites`);
@@ -245,11 +389,7 @@ function selectSatellite(satelliteName) {
     infoDiv.classList.remove("hidden");
   }
 
-  // Enable generate button
-  const generateBtn = document.getElementById("heatmap-generate-btn");
-  if (generateBtn) {
-    generateBtn.disabled = false;
-  }
+  updateSetSummary();
 
   // Highlight satellite on globe
   if (meshIndex >= 0 && meshes[meshIndex]) {
@@ -275,11 +415,7 @@ function deselectSatellite() {
     infoDiv.classList.add("hidden");
   }
 
-  // Disable generate button
-  const generateBtn = document.getElementById("heatmap-generate-btn");
-  if (generateBtn) {
-    generateBtn.disabled = true;
-  }
+  updateSetSummary();
 
   // Reset satellite appearance
   const meshes = getSatelliteMeshes();
@@ -290,40 +426,173 @@ function deselectSatellite() {
   removeOrbitLine();
 }
 
+/**
+ * Switch between single-satellite and constellation sets
+ */
+function setSetMode(mode) {
+  setMode = mode;
+
+  panelElement.querySelectorAll(".heatmap-set-option").forEach((option) => {
+    option.classList.toggle("hidden", option.dataset.setMode !== mode);
+  });
+
+  const infoDiv = document.getElementById("heatmap-satellite-info");
+  if (infoDiv) {
+    infoDiv.classList.toggle("hidden", mode !== "single" || !selectedSatellite);
+  }
+
+  if (mode === "group") {
+    loadSelectedGroup();
+  } else {
+    updateSetSummary();
+  }
+}
+
+/**
+ * Fetch the selected CelesTrak group (cached per session)
+ */
+async function loadSelectedGroup() {
+  const group = document.getElementById("heatmap-group-select")?.value;
+  if (!group || groupCache.has(group)) {
+    updateSetSummary();
+    return;
+  }
+
+  updateSetSummary(`Loading ${group}...`);
+  try {
+    groupCache.set(group, await fetchSatelliteGroup(group));
+    updateSetSummary();
+  } catch (error) {
+    console.error("[HeatmapPanel] Failed to load group:", group, error);
+    updateSetSummary(`Failed to load ${group}: ${error.message}`);
+  }
+}
+
+/**
+ * Satellites in the current set
+ * @returns {Array<Object>} Satellites with name and TLE lines
+ */
+function getSatelliteSet() {
+  switch (setMode) {
+    case "multiple": {
+      const multiSelect = document.getElementById("heatmap-satellite-multi");
+      const names = new Set(
+        [...(multiSelect?.selectedOptions || [])].map((option) => option.value),
+      );
+      return getSatelliteRecords().filter((record) => names.has(record.name));
+    }
+    case "filter": {
+      const query = document
+        .getElementById("heatmap-satellite-filter")
+        ?.value.trim()
+        .toUpperCase();
+      if (!query) return [];
+      return getAllSatellites().filter((satellite) =>
+        satellite.name.toUpperCase().includes(query),
+      );
+    }
+    case "all":
+      return getSatelliteRecords();
+    case "group": {
+      const group = document.getElementById("heatmap-group-select")?.value;
+      return groupCache.get(group) || [];
+    }
+    default:
+      return selectedSatellite ? [selectedSatellite] : [];
+  }
+}
+
+/**
+ * Show the set size and enable Generate when the set is usable
+ * @param {string} message - Optional message instead of the count
+ */
+function updateSetSummary(message = null) {
+  const count = getSatelliteSet().length;
+  const tooMany = count > CONFIG.HEATMAP_MAX_SATELLITES;
+
+  const summary = document.getElementById("heatmap-set-summary");
+  if (summary) {
+    if (typeof message === "string") {
+      summary.textContent = message;
+    } else if (tooMany) {
+      summary.textContent = `${count} satellites (limit ${CONFIG.HEATMAP_MAX_SATELLITES}); narrow the set`;
+    } else {
+      summary.textContent = `${count} satellite${count === 1 ? "" : "s"} selected`;
+    }
+    summary.classList.toggle("warning", tooMany);
+  }
+
+  const generateBtn = document.getElementById("heatmap-generate-btn");
+  if (generateBtn && !getGenerationStatus().isGenerating) {
+    generateBtn.disabled = count === 0 || tooMany;
+  }
+}
+
+/**
+ * Enable or disable the configuration controls while a run is active
+ */
+function setControlsDisabled(disabled) {
+  [
+    "heatmap-set-mode",
+    "heatmap-satellite-select",
+    "heatmap-satellite-multi",
+    "heatmap-satellite-filter",
+    "heatmap-group-select",
+    "heatmap-metric",
+    "heatmap-duration",
+    "heatmap-step",
+  ].forEach((id) => {
+    const field = document.getElementById(id);
+    if (field) field.disabled = disabled;
+  });
+}
+
 /**
  * Handle generate button click
  */
 async function handleGenerate() {
-  if (!selectedSatellite) {
-    alert("Please select a satellite first");
+  const satellites = getSatelliteSet();
+  if (satellites.length === 0) {
+    alert("Please select at least one satellite first");
     return;
   }
 
   // Get configuration
   const durationInput = document.getElementById("heatmap-duration");
   const stepInput = document.getElementById("heatmap-step");
+  const metricInput = document.getElementById("heatmap-metric");
 
   const config = {
     duration: parseInt(durationInput?.value || 600),
     step: parseInt(stepInput?.value || 10),
+    metric: metricInput?.value || "latency",
   };
 
+  // Check the frame count here instead of letting the server reject it
+  if (!(config.duration > 0) || !(config.step > 0)) {
+    alert("Duration and step must be positive numbers of seconds");
+    return;
+  }
+  const frameCount = Math.floor(config.duration / config.step) + 1;
+  if (frameCount > CONFIG.HEATMAP_MAX_FRAMES) {
+    alert(
+      `${config.duration} s in ${config.step} s steps is ${frameCount} frames; the limit is ${CONFIG.HEATMAP_MAX_FRAMES}. Increase the step or shorten the duration.`,
+    );
+    return;
+  }
+
   // Disable controls
   const generateBtn = document.getElementById("heatmap-generate-btn");
-  const satelliteSelect = document.getElementById("heatmap-satellite-select");
-  const durationField = document.getElementById("heatmap-duration");
-  const stepField = document.getElementById("heatmap-step");
-
   if (generateBtn) generateBtn.disabled = true;
-  if (satelliteSelect) satelliteSelect.disabled = true;
-  if (durationField) durationField.disabled = true;
-  if (stepField) stepField.disabled = true;
+  setControlsDisabled(true);
+  setExportVisible(false);
 
   // Show status panel
   const statusPanel = document.getElementById("heatmap-status");
   if (statusPanel) {
     statusPanel.classList.remove("hidden");
   }
+  updateStatusCount(satellites.length);
 
   // Show stop button
   const stopBtn = document.getElementById("heatmap-stop-btn");
@@ -333,22 +602,22 @@ async function handleGenerate() {
 
   // Start generation
   try {
-    const result = await startHeatmapGeneration(selectedSatellite, config);
+    const result = await startHeatmapGeneration(satellites, config);
 
     if (!result.success) {
       // Show detailed error message
       const errorDetails = result.error || "Unknown error";
       alert(
-        `Failed to start heatmap generation:\n\n${errorDetails}\n\nPlease ensure:\n1. Server is running: npm run server\n2. API endpoints are available\n3. heatmap_client.py is accessible`,
+        `Failed to start heatmap generation:\n\n${errorDetails}\n\nPlease ensure:\n1. Server is running: npm run server\n2. API endpoints are available`,
       );
 
       // Re-enable controls
       if (generateBtn) generateBtn.disabled = false;
-      if (satelliteSelect) satelliteSelect.disabled = false;
-      if (durationField) durationField.disabled = false;
-      if (stepField) stepField.disabled = false;
+      setControlsDisabled(false);
       if (statusPanel) statusPanel.classList.add("hidden");
       if (stopBtn) stopBtn.classList.add("hidden");
+    } else {
+      renderLegend(getHeatmapLegend(), config.metric);
     }
   } catch (error) {
     // Handle unexpected errors
@@ -358,9 +627,7 @@ async function handleGenerate() {
 
     // Re-enable controls
     if (generateBtn) generateBtn.disabled = false;
-    if (satelliteSelect) satelliteSelect.disabled = false;
-    if (durationField) durationField.disabled = false;
-    if (stepField) stepField.disabled = false;
+    setControlsDisabled(false);
     if (statusPanel) statusPanel.classList.add("hidden");
     if (stopBtn) stopBtn.classList.add("hidden");
   }
@@ -384,14 +651,11 @@ async function handleStop() {
     stopBtn.classList.add("hidden");
   }
 
-  // Re-enable controls
-  const satelliteSelect = document.getElementById("heatmap-satellite-select");
-  const durationField = document.getElementById("heatmap-duration");
-  const stepField = document.getElementById("heatmap-step");
+  // Frames received so far can still be exported
+  setExportVisible(getGenerationStatus().framesReceived > 0);
 
-  if (satelliteSelect) satelliteSelect.disabled = false;
-  if (durationField) durationField.disabled = false;
-  if (stepField) stepField.disabled = false;
+  // Re-enable controls
+  setControlsDisabled(false);
 }
 
 /**
@@ -407,16 +671,265 @@ async function handleClear() {
   }
 
   // Re-enable generate button
-  const generateBtn = document.getElementById("heatmap-generate-btn");
-  if (generateBtn && selectedSatellite) {
-    generateBtn.disabled = false;
-  }
+  updateSetSummary();
+
+  setExportVisible(false);
 
   // Hide status panel
   const statusPanel = document.getElementById("heatmap-status");
   if (statusPanel) {
     statusPanel.classList.add("hidden");
   }
+
+  renderLegend(null);
+}
+
+/**
+ * Show or hide the export actions
+ */
+function setExportVisible(visible) {
+  const exportSection = document.getElementById("heatmap-export");
+  if (exportSection) exportSection.classList.toggle("hidden", !visible);
+}
+
+/**
+ * Export the current run as a ZIP of frames, an animated GIF or a WebM clip
+ * @param {string} format - "zip", "gif" or "webm"
+ */
+async function handleExport(format) {
+  const buttons = panelElement.querySelectorAll("[data-export]");
+  const status = document.getElementById("heatmap-export-status");
+  const onProgress = (done, total) => {
+    if (status)
+      status.textContent = `Exporting ${format.toUpperCase()}: ${done}/${total} frames`;
+  };
+
+  buttons.forEach((button) => (button.disabled = true));
+  try {
+    if (format === "zip") {
+      await exportFramesZip(onProgress);
+    } else if (format === "gif") {
+      await exportGif({}, onProgress);
+    } else {
+      await exportWebm({}, onProgress);
+    }
+    if (status) status.textContent = `${format.toUpperCase()} export complete`;
+  } catch (error) {
+    console.error("[HeatmapPanel] Export failed:", error);
+    if (status) status.textContent = `Export failed: ${error.message}`;
+  } finally {
+    buttons.forEach((button) => (button.disabled = false));
+  }
+}
+
+/**
+ * Name the saved runs deleted to make room for a new one (null if none)
+ */
+function describeEvictedRuns(evicted = []) {
+  if (evicted.length === 0) return null;
+
+  const names = evicted.map((run) => `"${run.name}"`).join(", ");
+  return `Deleted ${evicted.length === 1 ? "the oldest saved run" : `the ${evicted.length} oldest saved runs`} to make room: ${names}. Rename a run to keep it.`;
+}
+
+/**
+ * Show why the last run was not saved, or which runs saving it evicted
+ * (null hides the message)
+ */
+function showSavedRunsError(message) {
+  const errorElement = document.getElementById("heatmap-saved-runs-error");
+  if (!errorElement) return;
+
+  errorElement.textContent = message || "";
+  errorElement.classList.toggle("hidden", !message);
+}
+
+/**
+ * Render the saved runs list from IndexedDB
+ */
+async function renderSavedRuns() {
+  const list = document.getElementById("heatmap-saved-runs-list");
+  if (!list) return;
+
+  let runs;
+  try {
+    runs = await listHeatmapRuns();
+  } catch (error) {
+    console.warn("[HeatmapPanel] Saved runs unavailable:", error);
+    list.innerHTML = `<div class="heatmap-saved-runs-empty">Saved runs are unavailable in this browser</div>`;
+    return;
+  }
+
+  if (runs.length === 0) {
+    list.innerHTML = `<div class="heatmap-saved-runs-empty">Completed runs are saved here automatically</div>`;
+    return;
+  }
+
+  list.innerHTML = "";
+  runs.forEach((run) => {
+    const item = document.createElement("div");
+    item.className = "heatmap-saved-run";
+    item.innerHTML = `
+            <div class="heatmap-saved-run-name"></div>
+            <div class="heatmap-saved-run-meta">
+                ${run.frameCount} frames · ${run.satelliteCount} satellites · saved ${new Date(run.createdAt).toLocaleString()}${run.kept ? " · kept" : ""}
+            </div>
+            <div class="heatmap-saved-run-actions">
+                <button class="heatmap-saved-run-btn" data-action="load">Load</button>
+                <button class="heatmap-saved-run-btn" data-action="rename" title="Renamed runs are never deleted to make room">Rename</button>
+                <button class="heatmap-saved-run-btn" data-action="delete">Delete</button>
+            </div>
+        `;
+    item.querySelector(".heatmap-saved-run-name").textContent = run.name;
+
+    item
+      .querySelector('[data-action="load"]')
+      .addEventListener("click", () => handleLoadRun(run));
+    item
+      .querySelector('[data-action="rename"]')
+      .addEventListener("click", () => startRenameRun(item, run));
+    item
+      .querySelector('[data-action="delete"]')
+      .addEventListener("click", () => handleDeleteRun(run));
+
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Load a saved run onto the globe and restore the panel state
+ */
+async function handleLoadRun(run) {
+  let result;
+  try {
+    result = await loadSavedHeatmapRun(run.id);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+  if (!result.success) {
+    alert(`Failed to load saved run:\n\n${result.error}`);
+    return;
+  }
+
+  const statusPanel = document.getElementById("heatmap-status");
+  if (statusPanel) statusPanel.classList.remove("hidden");
+  const clearBtn = document.getElementById("heatmap-clear-btn");
+  if (clearBtn) clearBtn.classList.remove("hidden");
+
+  updateStatusCount(run.satelliteCount);
+  renderLegend(getHeatmapLegend(), run.parameters.metric);
+  setExportVisible(true);
+}
+
+/**
+ * Swap a run's name for an inline text field
+ */
+function startRenameRun(item, run) {
+  const nameElement = item.querySelector(".heatmap-saved-run-name");
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "heatmap-input";
+  input.value = run.name;
+  nameElement.replaceChildren(input);
+  input.focus();
+  input.select();
+
+  let finished = false;
+  const finish = async (save) => {
+    if (finished) return;
+    finished = true;
+
+    const name = input.value.trim();
+    if (save && name && name !== run.name) {
+      try {
+        await renameHeatmapRun(run.id, name);
+      } catch (error) {
+        console.error("[HeatmapPanel] Rename failed:", error);
+      }
+    }
+    renderSavedRuns();
+  };
+
+  input.addEventListener("keydown", (e) => {
+    // Keep Escape from closing the whole panel
+    e.stopPropagation();
+    if (e.key === "Enter") finish(true);
+    if (e.key === "Escape") finish(false);
+  });
+  input.addEventListener("blur", () => finish(true));
+}
+
+/**
+ * Delete a saved run after confirmation
+ */
+async function handleDeleteRun(run) {
+  if (!confirm(`Delete saved run "${run.name}"?`)) return;
+
+  try {
+    await deleteHeatmapRun(run.id);
+  } catch (error) {
+    console.error("[HeatmapPanel] Delete failed:", error);
+  }
+  renderSavedRuns();
+}
+
+/**
+ * Show how many satellites the run covers
+ */
+function updateStatusCount(count) {
+  const countElement = document.getElementById("heatmap-status-count");
+  if (countElement) {
+    countElement.textContent = `Satellites: ${count.toLocaleString()}`;
+  }
+}
+
+/**
+ * Show the color scale of the current run
+ * @param {Object|null} legend - Legend from the server (null hides the block)
+ * @param {string} metric - Requested metric, used when the server sent no legend
+ */
+function renderLegend(legend, metric = null) {
+  const legendElement = document.getElementById("heatmap-legend");
+  if (!legendElement) return;
+
+  const fallback = HEATMAP_METRICS.find((entry) => entry.value === metric);
+  if (!legend && !fallback) {
+    legendElement.classList.add("hidden");
+    return;
+  }
+
+  const title = document.getElementById("heatmap-legend-title");
+  const bar = document.getElementById("heatmap-legend-bar");
+  const minLabel = document.getElementById("heatmap-legend-min");
+  const maxLabel = document.getElementById("heatmap-legend-max");
+  const note = document.getElementById("heatmap-legend-note");
+
+  // Proxied servers may not describe their scale; show the metric name only
+  if (!legend) {
+    title.textContent = `${fallback.label} (${fallback.units})`;
+    bar.classList.add("hidden");
+    minLabel.textContent = "";
+    maxLabel.textContent = "";
+    note.textContent = "";
+    legendElement.classList.remove("hidden");
+    return;
+  }
+
+  const formatValue = (value) =>
+    Number.isInteger(value) ? `${value}` : value.toFixed(1);
+  const stops = legend.gradient
+    .map((stop) => `${stop.color} ${(stop.position * 100).toFixed(0)}%`)
+    .join(", ");
+
+  title.textContent = `${legend.label} (${legend.units})`;
+  bar.style.background = `linear-gradient(to right, ${stops})`;
+  bar.classList.remove("hidden");
+  minLabel.textContent = `${formatValue(legend.min)} ${legend.units}`;
+  maxLabel.textContent = `${formatValue(legend.max)} ${legend.units}`;
+  note.textContent = legend.transparent_below_mask
+    ? `Transparent: no satellite above ${legend.min_elevation_deg}°`
+    : `Elevation mask: ${legend.min_elevation_deg}°`;
+  legendElement.classList.remove("hidden");
 }
 
 /**
@@ -457,7 +970,25 @@ function updateStatus({ message, progress }) {
 
     // Check if generation is complete
     const status = getGenerationStatus();
-    if (!status.isGenerating && status.progress >= 100) {
+    if (status.satelliteCount > 0) {
+      updateStatusCount(status.satelliteCount);
+    }
+    if (!status.isGenerating && status.error) {
+      // The run failed: keep what arrived, let the user start another
+      const stopBtn = document.getElementById("heatmap-stop-btn");
+      if (stopBtn) {
+        stopBtn.classList.add("hidden");
+      }
+
+      const clearBtn = document.getElementById("heatmap-clear-btn");
+      if (clearBtn && status.framesReceived > 0) {
+        clearBtn.classList.remove("hidden");
+      }
+
+      setExportVisible(status.framesReceived > 0);
+      setControlsDisabled(false);
+      updateSetSummary();
+    } else if (!status.isGenerating && status.progress >= 100) {
       // Show clear button
       const clearBtn = document.getElementById("heatmap-clear-btn");
       if (clearBtn) {
@@ -470,16 +1001,10 @@ function updateStatus({ message, progress }) {
         stopBtn.classList.add("hidden");
       }
 
-      // Re-enable controls
-      const satelliteSelect = document.getElementById(
-        "heatmap-satellite-select",
-      );
-      const durationField = document.getElementById("heatmap-duration");
-      const stepField = document.getElementById("heatmap-step");
+      setExportVisible(true);
 
-      if (satelliteSelect) satelliteSelect.disabled = false;
-      if (durationField) durationField.disabled = false;
-      if (stepField) stepField.disabled = false;
+      // Re-enable controls
+      setControlsDisabled(false);
     }
 
     // Panel visibility is handled by CSS transform via panel-right class
@@ -501,6 +1026,17 @@ function setupFrameSlider() {
     frameSliderInput.addEventListener("input", handleFrameSliderChange);
   }
 
+  // Frames follow the timeline instead of looping on their own
+  const followClockToggle = document.getElementById("heatmap-follow-clock");
+  if (followClockToggle) {
+    followClockToggle.addEventListener("change", (e) => {
+      setFollowClock(e.target.checked);
+      if (!e.target.checked && getFrameCount() > 0) {
+        startFrameAnimation();
+      }
+    });
+  }
+
   console.log("✓ Frame slider setup complete");
 }
 
@@ -520,6 +1056,14 @@ async function handleFrameSliderChange(event) {
     frameSliderLabel.textContent = `${frameIndex} / ${totalFrames}`;
   }
 
+  // While following the clock, scrubbing the frames moves the clock
+  if (isFollowingClock()) {
+    const frameTime = getFrameTime(frameIndex);
+    if (frameTime) {
+      setSimulationTime(frameTime);
+    }
+  }
+
   // Pause animation while user manually navigates
   const wasAnimating = isFrameAnimationRunning();
   if (wasAnimating) {
@@ -559,6 +1103,14 @@ function updateFrameSlider(currentIndex, totalFrames, show = true) {
 
     // Update label (show 1-based frame numbers to user)
     frameSliderLabel.textContent = `${actualIndex} / ${totalFrames}`;
+
+    const frameTime = getFrameTime(actualIndex);
+    const frameTimeElement = document.getElementById("frame-slider-time");
+    if (frameTimeElement) {
+      frameTimeElement.textContent = frameTime
+        ? `${frameTime.toISOString().replace("T", " ").slice(0, 19)} UTC`
+        : "";
+    }
   } else {
     // Hide slider
     frameSliderElement.classList.add("hidden");
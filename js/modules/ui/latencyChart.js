@@ -0,0 +1,519 @@
+// ============================================
+// LATENCY CHART - Time Series Panel
+// Best-path latency for a station pair over a time window
+// ============================================
+
+import { getSatelliteRecords } from "../satelliteData.js";
+import { getSimulationTime } from "../simulationClock.js";
+import {
+  sampleLatencySeries,
+  summarizeLatencySeries,
+  latencySeriesToCsv,
+} from "../latencySeries.js";
+import { computeFiberBaseline } from "../fiberBaseline.js";
+
+const CHART_PADDING = { top: 16, right: 16, bottom: 32, left: 52 };
+const CHART_COLORS = {
+  axis: "rgba(255, 255, 255, 0.25)",
+  grid: "rgba(255, 255, 255, 0.08)",
+  text: "rgba(255, 255, 255, 0.6)",
+  line: "#00e5ff",
+  fiber: "#efcb68",
+  handover: "rgba(255, 70, 86, 0.7)",
+  cursor: "rgba(255, 255, 255, 0.5)",
+};
+
+let panelElement = null;
+let currentPair = null;
+let currentOptions = null;
+let currentSeries = null;
+let currentFiber = null;
+let runId = 0;
+
+/**
+ * Initialize Latency Chart panel structure
+ */
+export function initLatencyChartPanel() {
+  if (panelElement) {
+    console.warn("Latency chart panel already initialized");
+    return panelElement;
+  }
+
+  // Create panel
+  const panel = document.createElement("div");
+  panel.className = "panel panel-center hidden latency-chart-panel";
+  panel.id = "panel-latency-chart";
+
+  // Panel Header
+  const header = document.createElement("header");
+  header.className = "panel-header";
+  header.innerHTML = `
+        <h2>Latency Over Time</h2>
+        <button class="close-btn" aria-label="Close panel">&times;</button>
+    `;
+
+  // Panel Toolbar
+  const toolbar = document.createElement("div");
+  toolbar.className = "panel-toolbar latency-chart-toolbar";
+  toolbar.innerHTML = `
+        <select id="latency-chart-window" class="form-select" aria-label="Time window">
+            <option value="30">30 min</option>
+            <option value="60" selected>1 hour</option>
+            <option value="180">3 hours</option>
+            <option value="360">6 hours</option>
+            <option value="1440">24 hours</option>
+        </select>
+        <select id="latency-chart-step" class="form-select" aria-label="Sample step">
+            <option value="10">10 s step</option>
+            <option value="30" selected>30 s step</option>
+            <option value="60">60 s step</option>
+            <option value="120">2 min step</option>
+        </select>
+        <select id="latency-chart-mode" class="form-select" aria-label="Path type">
+            <option value="bent-pipe">Bent-pipe</option>
+            <option value="isl">ISL route</option>
+        </select>
+        <button id="btn-latency-chart-run" class="btn btn-primary btn-sm">Run</button>
+    `;
+
+  // Panel Content
+  const content = document.createElement("div");
+  content.className = "panel-content";
+  content.innerHTML = `
+        <div class="latency-status" id="latency-chart-status">Select a station pair in the Latency panel</div>
+        <div class="latency-chart-canvas-wrap">
+            <canvas id="latency-chart-canvas" width="680" height="260"></canvas>
+        </div>
+        <div class="latency-chart-readout" id="latency-chart-readout"></div>
+        <div class="latency-chart-summary" id="latency-chart-summary"></div>
+    `;
+
+  // Panel Footer
+  const footer = document.createElement("footer");
+  footer.className = "panel-footer";
+  footer.innerHTML = `
+        <button id="btn-latency-chart-csv" class="btn btn-secondary btn-sm" disabled>Export CSV</button>
+    `;
+
+  // Assemble panel
+  panel.appendChild(header);
+  panel.appendChild(toolbar);
+  panel.appendChild(content);
+  panel.appendChild(footer);
+
+  // Append to body
+  document.body.appendChild(panel);
+
+  // Setup event listeners
+  setupEventListeners(panel);
+
+  panelElement = panel;
+  console.log("✓ Latency chart panel structure initialized");
+
+  return panel;
+}
+
+/**
+ * Map series data to canvas coordinates
+ */
+function getChartScale(canvas, series, fiber) {
+  const values = series.samples
+    .map((sample) => sample.oneWayMs)
+    .filter((value) => value !== null);
+  if (fiber) values.push(fiber.oneWayMs);
+
+  let minValue = values.length ? Math.min(...values) : 0;
+  let maxValue = values.length ? Math.max(...values) : 1;
+  if (maxValue - minValue < 1) {
+    minValue -= 0.5;
+    maxValue += 0.5;
+  }
+  const margin = (maxValue - minValue) * 0.1;
+  minValue = Math.max(0, minValue - margin);
+  maxValue += margin;
+
+  const startMs = series.samples[0].time.getTime();
+  const endMs = series.samples[series.samples.length - 1].time.getTime();
+  const width = canvas.width - CHART_PADDING.left - CHART_PADDING.right;
+  const height = canvas.height - CHART_PADDING.top - CHART_PADDING.bottom;
+
+  return {
+    minValue,
+    maxValue,
+    startMs,
+    endMs,
+    x: (ms) =>
+      CHART_PADDING.left +
+      ((ms - startMs) / Math.max(1, endMs - startMs)) * width,
+    y: (value) =>
+      CHART_PADDING.top +
+      (1 - (value - minValue) / (maxValue - minValue)) * height,
+    msAt: (px) =>
+      startMs +
+      ((px - CHART_PADDING.left) / width) * Math.max(1, endMs - startMs),
+  };
+}
+
+/**
+ * Draw the latency series with handover markers and the fiber baseline
+ * @param {number|null} cursorIndex - Sample index to mark (hover)
+ */
+function drawChart(cursorIndex = null) {
+  const canvas = panelElement?.querySelector("#latency-chart-canvas");
+  if (!canvas) return;
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  if (!currentSeries || currentSeries.samples.length === 0) return;
+
+  const scale = getChartScale(canvas, currentSeries, currentFiber);
+  const bottom = canvas.height - CHART_PADDING.bottom;
+  const right = canvas.width - CHART_PADDING.right;
+
+  ctx.font = "11px sans-serif";
+  ctx.lineWidth = 1;
+
+  // Horizontal grid and value labels
+  const gridLines = 5;
+  ctx.fillStyle = CHART_COLORS.text;
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  for (let i = 0; i <= gridLines; i++) {
+    const value =
+      scale.minValue + ((scale.maxValue - scale.minValue) * i) / gridLines;
+    const y = scale.y(value);
+    ctx.strokeStyle = CHART_COLORS.grid;
+    ctx.beginPath();
+    ctx.moveTo(CHART_PADDING.left, y);
+    ctx.lineTo(right, y);
+    ctx.stroke();
+    ctx.fillText(`${value.toFixed(1)}`, CHART_PADDING.left - 6, y);
+  }
+
+  // Time labels
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  const timeTicks = 4;
+  for (let i = 0; i <= timeTicks; i++) {
+    const ms = scale.startMs + ((scale.endMs - scale.startMs) * i) / timeTicks;
+    const label = new Date(ms).toISOString().slice(11, 16);
+    ctx.fillText(label, scale.x(ms), bottom + 8);
+  }
+
+  // Axes
+  ctx.strokeStyle = CHART_COLORS.axis;
+  ctx.beginPath();
+  ctx.moveTo(CHART_PADDING.left, CHART_PADDING.top);
+  ctx.lineTo(CHART_PADDING.left, bottom);
+  ctx.lineTo(right, bottom);
+  ctx.stroke();
+
+  ctx.save();
+  ctx.translate(12, CHART_PADDING.top + (bottom - CHART_PADDING.top) / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.textAlign = "center";
+  ctx.fillText("one-way ms", 0, 0);
+  ctx.restore();
+
+  // Handover markers
+  ctx.strokeStyle = CHART_COLORS.handover;
+  ctx.setLineDash([3, 3]);
+  currentSeries.handovers.forEach((index) => {
+    const x = scale.x(currentSeries.samples[index].time.getTime());
+    ctx.beginPath();
+    ctx.moveTo(x, CHART_PADDING.top);
+    ctx.lineTo(x, bottom);
+    ctx.stroke();
+  });
+
+  // Fiber baseline
+  if (currentFiber) {
+    const y = scale.y(currentFiber.oneWayMs);
+    ctx.strokeStyle = CHART_COLORS.fiber;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.moveTo(CHART_PADDING.left, y);
+    ctx.lineTo(right, y);
+    ctx.stroke();
+    ctx.fillStyle = CHART_COLORS.fiber;
+    ctx.textAlign = "right";
+    ctx.textBaseline = "bottom";
+    ctx.fillText("fiber", right, y - 2);
+  }
+  ctx.setLineDash([]);
+
+  // Latency line (gaps where no path exists)
+  ctx.strokeStyle = CHART_COLORS.line;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  let penDown = false;
+  currentSeries.samples.forEach((sample) => {
+    if (sample.oneWayMs === null) {
+      penDown = false;
+      return;
+    }
+    const x = scale.x(sample.time.getTime());
+    const y = scale.y(sample.oneWayMs);
+    if (penDown) {
+      ctx.lineTo(x, y);
+    } else {
+      ctx.moveTo(x, y);
+      penDown = true;
+    }
+  });
+  ctx.stroke();
+
+  // Hover cursor
+  if (cursorIndex !== null) {
+    const sample = currentSeries.samples[cursorIndex];
+    const x = scale.x(sample.time.getTime());
+    ctx.strokeStyle = CHART_COLORS.cursor;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, CHART_PADDING.top);
+    ctx.lineTo(x, bottom);
+    ctx.stroke();
+
+    if (sample.oneWayMs !== null) {
+      ctx.fillStyle = CHART_COLORS.line;
+      ctx.beginPath();
+      ctx.arc(x, scale.y(sample.oneWayMs), 4, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
+
+/**
+ * Render summary statistics under the chart
+ */
+function renderSummary() {
+  const summaryEl = panelElement?.querySelector("#latency-chart-summary");
+  if (!summaryEl) return;
+
+  const stats = currentSeries
+    ? summarizeLatencySeries(currentSeries.samples)
+    : null;
+  if (!stats) {
+    summaryEl.innerHTML = currentSeries
+      ? "No path available at any sample"
+      : "";
+    return;
+  }
+
+  summaryEl.innerHTML = `
+        <div><span>Min</span> ${stats.min.toFixed(2)} ms</div>
+        <div><span>Mean</span> ${stats.mean.toFixed(2)} ms</div>
+        <div><span>Max</span> ${stats.max.toFixed(2)} ms</div>
+        <div><span>Jitter (σ)</span> ${stats.jitter.toFixed(2)} ms</div>
+        <div><span>Handovers</span> ${currentSeries.handovers.length}</div>
+        <div><span>Availability</span> ${(stats.availability * 100).toFixed(1)}%</div>
+        ${currentFiber ? `<div><span>Fiber</span> ${currentFiber.oneWayMs.toFixed(2)} ms</div>` : ""}
+    `;
+}
+
+/**
+ * Show the sample under the mouse
+ */
+function handleChartHover(event) {
+  if (!currentSeries || currentSeries.samples.length === 0) return;
+
+  const canvas = event.target;
+  const rect = canvas.getBoundingClientRect();
+  const px = ((event.clientX - rect.left) / rect.width) * canvas.width;
+  const scale = getChartScale(canvas, currentSeries, currentFiber);
+  const ms = scale.msAt(px);
+
+  // Nearest sample (samples are evenly spaced)
+  const samples = currentSeries.samples;
+  const step =
+    samples.length > 1
+      ? (scale.endMs - scale.startMs) / (samples.length - 1)
+      : 1;
+  const index = Math.max(
+    0,
+    Math.min(samples.length - 1, Math.round((ms - scale.startMs) / step)),
+  );
+  const sample = samples[index];
+
+  const readout = panelElement?.querySelector("#latency-chart-readout");
+  if (readout) {
+    const time = sample.time.toISOString().replace("T", " ").slice(0, 19);
+    readout.textContent =
+      sample.oneWayMs === null
+        ? `${time} UTC · no path`
+        : `${time} UTC · ${sample.oneWayMs.toFixed(2)} ms one-way · via ${sample.route}`;
+  }
+
+  drawChart(index);
+}
+
+/**
+ * Sample and plot the series for the current pair
+ */
+async function runSeries() {
+  const statusEl = panelElement?.querySelector("#latency-chart-status");
+  const csvBtn = panelElement?.querySelector("#btn-latency-chart-csv");
+  if (!statusEl) return;
+
+  if (!currentPair) {
+    statusEl.textContent = "Select a station pair in the Latency panel";
+    return;
+  }
+
+  const records = getSatelliteRecords();
+  if (records.length === 0) {
+    statusEl.textContent = "No satellites loaded";
+    return;
+  }
+
+  const options = {
+    ...currentOptions,
+    startTime: getSimulationTime(),
+    durationMinutes: parseFloat(
+      panelElement.querySelector("#latency-chart-window").value,
+    ),
+    stepSeconds: parseFloat(
+      panelElement.querySelector("#latency-chart-step").value,
+    ),
+    mode: panelElement.querySelector("#latency-chart-mode").value,
+  };
+
+  // Newer runs supersede older ones still sampling
+  const thisRun = ++runId;
+  if (csvBtn) csvBtn.disabled = true;
+
+  const series = await sampleLatencySeries(
+    currentPair.stationA,
+    currentPair.stationB,
+    records,
+    options,
+    (done, total) => {
+      if (thisRun === runId) {
+        statusEl.textContent = `Sampling... ${done}/${total}`;
+      }
+    },
+  );
+
+  if (thisRun !== runId) return;
+
+  currentSeries = series;
+  currentFiber = computeFiberBaseline(
+    currentPair.stationA,
+    currentPair.stationB,
+    { inflationFactor: options.inflationFactor },
+  );
+
+  statusEl.textContent = `${currentPair.stationA.name} → ${currentPair.stationB.name} · ${series.samples.length} samples from ${options.startTime.toISOString().replace("T", " ").slice(0, 16)} UTC`;
+  if (csvBtn) csvBtn.disabled = false;
+
+  drawChart();
+  renderSummary();
+
+  console.log(
+    `[Latency Chart] Sampled ${series.samples.length} points, ${series.handovers.length} handovers`,
+  );
+}
+
+/**
+ * Export the current series to CSV
+ */
+function exportCsv() {
+  if (!currentSeries || !currentPair) return;
+
+  const csv = latencySeriesToCsv(currentSeries.samples);
+  const dataBlob = new Blob([csv], { type: "text/csv" });
+  const url = URL.createObjectURL(dataBlob);
+
+  const slug = (name) => (name || "").replace(/[^a-z0-9]+/gi, "-");
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `latency-${slug(currentPair.stationA.name)}-${slug(currentPair.stationB.name)}-${new Date().toISOString().split("T")[0]}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+
+  console.log(
+    `[Latency Chart] Exported ${currentSeries.samples.length} samples`,
+  );
+}
+
+/**
+ * Setup event listeners for the panel
+ */
+function setupEventListeners(panel) {
+  // Close button
+  const closeBtn = panel.querySelector(".close-btn");
+  if (closeBtn) {
+    closeBtn.addEventListener("click", () => {
+      hideLatencyChartPanel();
+    });
+  }
+
+  const runBtn = panel.querySelector("#btn-latency-chart-run");
+  if (runBtn) {
+    runBtn.addEventListener("click", () => {
+      runSeries();
+    });
+  }
+
+  const csvBtn = panel.querySelector("#btn-latency-chart-csv");
+  if (csvBtn) {
+    csvBtn.addEventListener("click", () => {
+      exportCsv();
+    });
+  }
+
+  const canvas = panel.querySelector("#latency-chart-canvas");
+  if (canvas) {
+    canvas.addEventListener("mousemove", handleChartHover);
+    canvas.addEventListener("mouseleave", () => drawChart());
+  }
+
+  // ESC key to close
+  const escHandler = (e) => {
+    if (e.key === "Escape" && panel && !panel.classList.contains("hidden")) {
+      hideLatencyChartPanel();
+    }
+  };
+  window.addEventListener("keydown", escHandler);
+}
+
+/**
+ * Show the panel for a station pair and start sampling
+ * @param {{stationA:Object, stationB:Object}} pair - Station pair
+ * @param {Object} options - Path options from the Latency panel
+ *   (mode, minElevation, maxIslRangeKm, inflationFactor)
+ */
+export function showLatencyChartPanel(pair, options = {}) {
+  if (!panelElement) return;
+
+  currentPair = pair;
+  currentOptions = options;
+  currentSeries = null;
+
+  const modeSelect = panelElement.querySelector("#latency-chart-mode");
+  if (modeSelect && options.mode) modeSelect.value = options.mode;
+
+  panelElement.classList.remove("hidden");
+  drawChart();
+  renderSummary();
+  runSeries();
+}
+
+/**
+ * Hide the panel
+ */
+export function hideLatencyChartPanel() {
+  if (panelElement) {
+    panelElement.classList.add("hidden");
+    runId++;
+  }
+}
+
+/**
+ * Get panel element
+ */
+export function getLatencyChartPanel() {
+  return panelElement;
+}
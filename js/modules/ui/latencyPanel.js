@@ -0,0 +1,577 @@
+// ============================================
+// LATENCY PANEL - Station-to-Station Latency
+// Pick two ground stations and compare satellite paths between them
+// ============================================
+
+import { CONFIG, COLORS } from "../constants.js";
+import { getGroundStations, getGroundStationById } from "../groundStations.js";
+import { getSatelliteRecords } from "../satelliteData.js";
+import { getSimulationTime } from "../simulationClock.js";
+import { computeBentPipeLinks } from "../bentPipe.js";
+import { findIslRoute } from "../islRouting.js";
+import { computeFiberBaseline, compareWithFiber } from "../fiberBaseline.js";
+import {
+  initLatencyChartPanel,
+  showLatencyChartPanel,
+} from "./latencyChart.js";
+import {
+  setLinkPath,
+  clearLinkPath,
+  setHighlightedSatellite,
+} from "../linkRenderer.js";
+
+const MAX_LISTED_LINKS = 10;
+
+let panelElement = null;
+let stationAId = "";
+let stationBId = "";
+let islEnabled = false;
+let lastResult = null;
+
+/**
+ * Initialize Latency panel structure
+ */
+export function initLatencyPanel() {
+  if (panelElement) {
+    console.warn("Latency panel already initialized");
+    return panelElement;
+  }
+
+  // Create panel
+  const panel = document.createElement("div");
+  panel.className = "panel panel-right hidden";
+  panel.id = "panel-latency";
+
+  // Panel Header
+  const header = document.createElement("header");
+  header.className = "panel-header";
+  header.innerHTML = `
+        <h2>Latency</h2>
+        <button class="close-btn" aria-label="Close panel">&times;</button>
+    `;
+
+  // Panel Content
+  const content = document.createElement("div");
+  content.className = "panel-content";
+  content.innerHTML = `
+        <!-- Station pair -->
+        <section class="panel-section">
+            <h3>Route</h3>
+            <div class="form-group">
+                <label class="form-label" for="latency-station-a">Station A (uplink)</label>
+                <select id="latency-station-a" class="form-select"></select>
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="latency-station-b">Station B (downlink)</label>
+                <select id="latency-station-b" class="form-select"></select>
+            </div>
+            <div class="latency-route-options">
+                <label class="latency-inline-field">
+                    Min elevation
+                    <input type="number" id="latency-min-elevation" class="form-input" min="0" max="89" step="1" value="${CONFIG.MIN_LINK_ELEVATION_DEG}">°
+                </label>
+                <button id="btn-latency-swap" class="btn btn-secondary btn-sm" title="Swap stations">⇅ Swap</button>
+            </div>
+        </section>
+
+        <!-- Terrestrial baseline -->
+        <section class="panel-section" id="latency-fiber">
+            <h3>Terrestrial Fiber</h3>
+            <label class="latency-inline-field">
+                Route inflation
+                <input type="number" id="latency-fiber-inflation" class="form-input" min="1" max="5" step="0.05" value="${CONFIG.FIBER.ROUTE_INFLATION}">×
+            </label>
+            <div class="latency-status" id="latency-fiber-status">Select two ground stations</div>
+        </section>
+
+        <!-- Single-hop results -->
+        <section class="panel-section" id="latency-bent-pipe">
+            <h3>Bent-Pipe (single hop)</h3>
+            <div class="latency-status" id="latency-bent-pipe-status">Select two ground stations</div>
+            <ul class="panel-list" id="latency-bent-pipe-list"></ul>
+        </section>
+
+        <!-- Multi-hop results -->
+        <section class="panel-section" id="latency-isl">
+            <h3>ISL Route (multi-hop)</h3>
+            <label class="toggle-switch">
+                <span>Route over inter-satellite links</span>
+                <input type="checkbox" id="latency-isl-enabled">
+            </label>
+            <label class="latency-inline-field">
+                Max ISL range
+                <input type="number" id="latency-isl-range" class="form-input" min="500" max="20000" step="100" value="${CONFIG.ISL.MAX_RANGE_KM}"> km
+            </label>
+            <div class="latency-status" id="latency-isl-status">ISL routing disabled</div>
+            <ol class="latency-hop-list" id="latency-isl-hops"></ol>
+        </section>
+    `;
+
+  // Panel Footer
+  const footer = document.createElement("footer");
+  footer.className = "panel-footer";
+  footer.innerHTML = `
+        <button id="btn-latency-chart" class="btn btn-primary btn-sm">Latency Over Time</button>
+        <button id="btn-latency-clear" class="btn btn-secondary btn-sm">Clear Route</button>
+    `;
+
+  // Assemble panel
+  panel.appendChild(header);
+  panel.appendChild(content);
+  panel.appendChild(footer);
+
+  // Append to body
+  document.body.appendChild(panel);
+
+  // Setup event listeners
+  setupEventListeners(panel);
+
+  // Time-series chart opens from this panel
+  initLatencyChartPanel();
+
+  panelElement = panel;
+  console.log("✓ Latency panel structure initialized");
+
+  return panel;
+}
+
+/**
+ * Fill both station selectors from the station store
+ */
+function populateStationSelects() {
+  const stations = [...getGroundStations()].sort((a, b) =>
+    (a.name || "").localeCompare(b.name || ""),
+  );
+
+  ["a", "b"].forEach((slot) => {
+    const select = panelElement?.querySelector(`#latency-station-${slot}`);
+    if (!select) return;
+
+    const current = slot === "a" ? stationAId : stationBId;
+    select.innerHTML = `<option value="">Select station...</option>`;
+    stations.forEach((station) => {
+      const option = document.createElement("option");
+      option.value = station.id;
+      option.textContent = station.name;
+      select.appendChild(option);
+    });
+    select.value = stations.some((s) => s.id === current) ? current : "";
+  });
+}
+
+/**
+ * Read the elevation mask input
+ */
+function getMinElevation() {
+  const input = panelElement?.querySelector("#latency-min-elevation");
+  const value = parseFloat(input?.value);
+  return isNaN(value) ? CONFIG.MIN_LINK_ELEVATION_DEG : value;
+}
+
+/**
+ * Get the selected station pair, or null if incomplete
+ */
+export function getSelectedStationPair() {
+  const stationA = getGroundStationById(stationAId);
+  const stationB = getGroundStationById(stationBId);
+  if (!stationA || !stationB || stationA.id === stationB.id) return null;
+  return { stationA, stationB };
+}
+
+/**
+ * Read the fiber route inflation input
+ */
+function getFiberInflation() {
+  const input = panelElement?.querySelector("#latency-fiber-inflation");
+  const value = parseFloat(input?.value);
+  return isNaN(value) || value < 1 ? CONFIG.FIBER.ROUTE_INFLATION : value;
+}
+
+/**
+ * Format a satellite one-way latency against the fiber baseline
+ */
+function formatFiberDelta(oneWayMs, fiber) {
+  if (!fiber) return "";
+  const { deltaMs, satelliteWins } = compareWithFiber(oneWayMs, fiber);
+  const sign = deltaMs >= 0 ? "+" : "−";
+  return `<span class="latency-delta ${satelliteWins ? "latency-delta-win" : "latency-delta-lose"}">${sign}${Math.abs(deltaMs).toFixed(2)} ms vs fiber</span>`;
+}
+
+/**
+ * Render the terrestrial fiber baseline
+ */
+function renderFiberBaseline(fiber) {
+  const statusEl = panelElement?.querySelector("#latency-fiber-status");
+  if (!statusEl) return;
+
+  if (!fiber) {
+    statusEl.textContent = "Select two different ground stations";
+    return;
+  }
+
+  statusEl.innerHTML = `
+        <div>Great circle ${fiber.greatCircleKm.toFixed(0)} km · route ${fiber.routeKm.toFixed(0)} km</div>
+        <div>One-way ${fiber.oneWayMs.toFixed(2)} ms · RTT ${fiber.rttMs.toFixed(2)} ms</div>
+    `;
+}
+
+/**
+ * Render the bent-pipe candidate list
+ */
+function renderBentPipeList(result, pair, fiber) {
+  const statusEl = panelElement?.querySelector("#latency-bent-pipe-status");
+  const listContainer = panelElement?.querySelector("#latency-bent-pipe-list");
+  if (!statusEl || !listContainer) return;
+
+  listContainer.innerHTML = "";
+
+  if (!result) {
+    statusEl.textContent = "Select two different ground stations";
+    return;
+  }
+
+  if (result.links.length === 0) {
+    statusEl.textContent = `No satellite currently visible from both ${pair.stationA.name} and ${pair.stationB.name}`;
+    return;
+  }
+
+  const count = result.links.length;
+  statusEl.textContent = `${count} satellite${count !== 1 ? "s" : ""} visible to both stations`;
+
+  result.links.slice(0, MAX_LISTED_LINKS).forEach((link, index) => {
+    const li = document.createElement("li");
+    li.className = "panel-list-item latency-link-item";
+    if (index === 0) li.classList.add("active");
+
+    li.innerHTML = `
+            <div class="panel-list-item-header">
+                <h3 class="panel-list-item-title"></h3>
+                <span class="panel-list-item-badge">RTT ${link.rttMs.toFixed(2)} ms</span>
+            </div>
+            <div class="panel-list-item-subtitle latency-link-legs">
+                <div><span>Up</span> ${link.upLeg.rangeKm.toFixed(0)} km @ ${link.upLeg.elevation.toFixed(1)}°</div>
+                <div><span>Down</span> ${link.downLeg.rangeKm.toFixed(0)} km @ ${link.downLeg.elevation.toFixed(1)}°</div>
+                <div><span>Path</span> ${link.pathKm.toFixed(0)} km · one-way ${link.oneWayMs.toFixed(2)} ms</div>
+                <div><span>Fiber</span> ${formatFiberDelta(link.oneWayMs, fiber)}</div>
+            </div>
+        `;
+    // Satellite names come from user-supplied TLE/OMM sources
+    li.querySelector(".panel-list-item-title").textContent =
+      `${index === 0 ? "★ " : ""}${link.satelliteName}`;
+
+    listContainer.appendChild(li);
+  });
+}
+
+/**
+ * Read the ISL range input
+ */
+function getMaxIslRange() {
+  const input = panelElement?.querySelector("#latency-isl-range");
+  const value = parseFloat(input?.value);
+  return isNaN(value) ? CONFIG.ISL.MAX_RANGE_KM : value;
+}
+
+/**
+ * Render the multi-hop route summary and hop list
+ */
+function renderIslRoute(route, pair, fiber) {
+  const statusEl = panelElement?.querySelector("#latency-isl-status");
+  const hopList = panelElement?.querySelector("#latency-isl-hops");
+  if (!statusEl || !hopList) return;
+
+  hopList.innerHTML = "";
+
+  if (!islEnabled) {
+    statusEl.textContent = "ISL routing disabled";
+    return;
+  }
+
+  if (!pair) {
+    statusEl.textContent = "Select two different ground stations";
+    return;
+  }
+
+  if (!route) {
+    statusEl.textContent =
+      "No route: stations not connected through visible satellites";
+    return;
+  }
+
+  statusEl.innerHTML = `
+        <div>${route.satelliteHops} satellite hop${route.satelliteHops !== 1 ? "s" : ""} · ${route.totalKm.toFixed(0)} km</div>
+        <div>One-way ${route.latencyMs.toFixed(2)} ms · RTT ${route.rttMs.toFixed(2)} ms · ${formatFiberDelta(route.latencyMs, fiber)}</div>
+    `;
+
+  route.hops.forEach((hop, index) => {
+    const li = document.createElement("li");
+    li.className = `latency-hop latency-hop-${hop.type}`;
+
+    // Hop names are satellite or station names, so they are set as text
+    const name = document.createElement("span");
+    name.className = "latency-hop-name";
+    name.textContent = hop.name;
+    li.appendChild(name);
+
+    if (index > 0) {
+      const link = document.createElement("span");
+      link.className = "latency-hop-link";
+      link.textContent = `+${hop.linkKm.toFixed(0)} km · ${hop.linkMs.toFixed(2)} ms`;
+      li.appendChild(link);
+    }
+    hopList.appendChild(li);
+  });
+}
+
+/**
+ * Compute and draw the multi-hop route for the pair
+ */
+function refreshIslRoute(pair, time, fiber) {
+  if (!islEnabled || !pair) {
+    clearLinkPath("isl-route");
+    renderIslRoute(null, pair, fiber);
+    return null;
+  }
+
+  const route = findIslRoute(
+    pair.stationA,
+    pair.stationB,
+    getSatelliteRecords(),
+    time,
+    { maxIslRangeKm: getMaxIslRange(), minElevation: getMinElevation() },
+  );
+
+  if (route) {
+    setLinkPath("isl-route", route.hops, {
+      color: COLORS.LINK_ROUTE,
+      packet: true,
+    });
+  } else {
+    clearLinkPath("isl-route");
+  }
+
+  renderIslRoute(route, pair, fiber);
+  return route;
+}
+
+/**
+ * Recompute latency for the selected pair and update the globe
+ * @param {Date} time - Evaluation time (default: current simulation time)
+ */
+export function refreshLatency(time = getSimulationTime()) {
+  const pair = getSelectedStationPair();
+
+  if (!pair) {
+    lastResult = null;
+    clearLinkPath("bent-pipe");
+    setHighlightedSatellite(null);
+    renderFiberBaseline(null);
+    renderBentPipeList(null, null, null);
+    refreshIslRoute(null, time, null);
+    return null;
+  }
+
+  const fiber = computeFiberBaseline(pair.stationA, pair.stationB, {
+    inflationFactor: getFiberInflation(),
+  });
+  renderFiberBaseline(fiber);
+
+  const result = computeBentPipeLinks(
+    pair.stationA,
+    pair.stationB,
+    getSatelliteRecords(),
+    time,
+    { minElevation: getMinElevation() },
+  );
+
+  if (result.best) {
+    setLinkPath("bent-pipe", [
+      {
+        type: "station",
+        id: pair.stationA.id,
+        lat: pair.stationA.lat,
+        lon: pair.stationA.lon,
+      },
+      { type: "satellite", name: result.best.satelliteName },
+      {
+        type: "station",
+        id: pair.stationB.id,
+        lat: pair.stationB.lat,
+        lon: pair.stationB.lon,
+      },
+    ]);
+    setHighlightedSatellite(result.best.satelliteName);
+  } else {
+    clearLinkPath("bent-pipe");
+    setHighlightedSatellite(null);
+  }
+
+  renderBentPipeList(result, pair, fiber);
+  const islRoute = refreshIslRoute(pair, time, fiber);
+
+  lastResult = { time, pair, fiber, bentPipe: result, islRoute };
+  return lastResult;
+}
+
+/**
+ * Get the most recent latency result ({ time, pair, fiber, bentPipe, islRoute })
+ */
+export function getLastLatencyResult() {
+  return lastResult;
+}
+
+/**
+ * Clear the station pair and remove the route from the globe
+ */
+function clearRoute() {
+  stationAId = "";
+  stationBId = "";
+  populateStationSelects();
+  refreshLatency();
+}
+
+/**
+ * Setup event listeners for the panel
+ */
+function setupEventListeners(panel) {
+  // Close button
+  const closeBtn = panel.querySelector(".close-btn");
+  if (closeBtn) {
+    closeBtn.addEventListener("click", () => {
+      hideLatencyPanel();
+    });
+  }
+
+  // Station selectors
+  const selectA = panel.querySelector("#latency-station-a");
+  const selectB = panel.querySelector("#latency-station-b");
+  if (selectA) {
+    selectA.addEventListener("change", (e) => {
+      stationAId = e.target.value;
+      refreshLatency();
+    });
+  }
+  if (selectB) {
+    selectB.addEventListener("change", (e) => {
+      stationBId = e.target.value;
+      refreshLatency();
+    });
+  }
+
+  // Elevation mask
+  const minElevationInput = panel.querySelector("#latency-min-elevation");
+  if (minElevationInput) {
+    minElevationInput.addEventListener("change", () => {
+      refreshLatency();
+    });
+  }
+
+  // Fiber baseline
+  const inflationInput = panel.querySelector("#latency-fiber-inflation");
+  if (inflationInput) {
+    inflationInput.addEventListener("change", () => {
+      refreshLatency();
+    });
+  }
+
+  // ISL routing controls
+  const islToggle = panel.querySelector("#latency-isl-enabled");
+  if (islToggle) {
+    islToggle.addEventListener("change", (e) => {
+      islEnabled = e.target.checked;
+      refreshLatency();
+    });
+  }
+
+  const islRangeInput = panel.querySelector("#latency-isl-range");
+  if (islRangeInput) {
+    islRangeInput.addEventListener("change", () => {
+      refreshLatency();
+    });
+  }
+
+  // Swap button
+  const swapBtn = panel.querySelector("#btn-latency-swap");
+  if (swapBtn) {
+    swapBtn.addEventListener("click", () => {
+      [stationAId, stationBId] = [stationBId, stationAId];
+      populateStationSelects();
+      refreshLatency();
+    });
+  }
+
+  // Time-series chart
+  const chartBtn = panel.querySelector("#btn-latency-chart");
+  if (chartBtn) {
+    chartBtn.addEventListener("click", () => {
+      const pair = getSelectedStationPair();
+      if (!pair) {
+        alert("Select two different ground stations first.");
+        return;
+      }
+      showLatencyChartPanel(pair, {
+        mode: islEnabled ? "isl" : "bent-pipe",
+        minElevation: getMinElevation(),
+        maxIslRangeKm: getMaxIslRange(),
+        inflationFactor: getFiberInflation(),
+      });
+    });
+  }
+
+  // Clear button
+  const clearBtn = panel.querySelector("#btn-latency-clear");
+  if (clearBtn) {
+    clearBtn.addEventListener("click", () => {
+      clearRoute();
+    });
+  }
+
+  // ESC key to close
+  const escHandler = (e) => {
+    if (e.key === "Escape" && panel && !panel.classList.contains("hidden")) {
+      hideLatencyPanel();
+    }
+  };
+  window.addEventListener("keydown", escHandler);
+
+  // Keep the station list current
+  window.addEventListener("add-ground-station", () => {
+    setTimeout(() => {
+      populateStationSelects();
+    }, 100);
+  });
+
+  // Follow satellite propagation while a route is active
+  window.addEventListener("satellites-updated", (e) => {
+    if (getSelectedStationPair()) {
+      refreshLatency(e.detail?.time);
+    }
+  });
+}
+
+/**
+ * Show the panel
+ */
+export function showLatencyPanel() {
+  if (panelElement) {
+    panelElement.classList.remove("hidden");
+    populateStationSelects();
+    refreshLatency();
+  }
+}
+
+/**
+ * Hide the panel (the route stays on the globe until cleared)
+ */
+export function hideLatencyPanel() {
+  if (panelElement) {
+    panelElement.classList.add("hidden");
+  }
+}
+
+/**
+ * Get panel element
+ */
+export function getLatencyPanel() {
+  return panelElement;
+}
@@ -3,6 +3,9 @@
 // Displays color meanings for satellites and stations
 // ============================================
 
+import { getSourceColor } from "../satelliteData.js";
+import { getSatelliteMeshes } from "../satelliteRenderer.js";
+
 /**
  * Initialize Legend component
  * @param {HTMLElement} container - Container element to insert legend into
@@ -33,6 +36,9 @@ export function initLegend(container) {
                 <span style="font-size: var(--font-size-sm); color: var(--text-primary);">GEO (35786 km)</span>
             </div>
             
+            <!-- Satellite Sources (filled in by updateLegend) -->
+            <div class="legend-sources" style="display: flex; flex-direction: column; gap: var(--space-2);"></div>
+            
             <!-- Ground Stations -->
             <div class="legend-item" style="display: flex; align-items: center; gap: var(--space-3); margin-top: var(--space-2);">
                 <span class="legend-color" style="width: 16px; height: 16px; background: var(--station-default); border-radius: 50%; flex-shrink: 0;"></span>
@@ -58,15 +64,44 @@ export function initLegend(container) {
     `;
 
   container.appendChild(legend);
+
+  window.addEventListener("satellites-loaded", (e) => {
+    updateLegend(e.detail.sources);
+  });
+
   console.log("✓ Legend component initialized");
 
   return legend;
 }
 
 /**
- * Update legend (if colors change dynamically)
+ * List the loaded satellite sources with their colors (used when satellites
+ * are colored by source) and the number of satellites on the globe
+ * @param {Array<{id:string, label:string, error:string|null}>} sources
  */
-export function updateLegend() {
-  // Placeholder for dynamic legend updates
-  console.log("Legend update requested");
+export function updateLegend(sources = []) {
+  const container = document.querySelector(".legend-sources");
+  if (!container) return;
+
+  const meshes = getSatelliteMeshes();
+  const loaded = sources.filter((source) => !source.error);
+  container.innerHTML = "";
+  loaded.forEach((source, index) => {
+    const color = `#${getSourceColor(source.id).toString(16).padStart(6, "0")}`;
+    const count = meshes.filter((mesh) =>
+      mesh.userData.sources?.includes(source.id),
+    ).length;
+
+    const item = document.createElement("div");
+    item.className = "legend-item";
+    item.style.cssText = `display: flex; align-items: center; gap: var(--space-3);${index === 0 ? " margin-top: var(--space-2);" : ""}`;
+    item.innerHTML = `
+            <span class="legend-color" style="width: 16px; height: 16px; background: ${color}; border-radius: 50%; flex-shrink: 0;"></span>
+            <span class="legend-source-label" style="font-size: var(--font-size-sm); color: var(--text-primary);"></span>
+        `;
+    // A file source is labelled with the user's file name
+    item.querySelector(".legend-source-label").textContent =
+      `${source.label} (${count})`;
+    container.appendChild(item);
+  });
 }
@@ -6,17 +6,20 @@
 import { setSetting, getSetting, getAllSettings, resetState } from './uiState.js';
 import { getControls } from '../controls.js';
 import { getSatelliteMeshes } from '../satelliteRenderer.js';
-import { clearSatelliteMeshes, renderSatellites } from '../satelliteRenderer.js';
+import { clearSatelliteMeshes, renderSatellites, setColorBySource } from '../satelliteRenderer.js';
 import { getStationMeshes } from '../groundStationRenderer.js';
-import { CONFIG } from '../constants.js';
+import { CONFIG, SATELLITE_SOURCES, DEFAULT_SATELLITE_SOURCES } from '../constants.js';
 import { showOrbitPath, removeOrbitLine } from '../orbitalPath.js';
 import { getSelectedSatellite } from '../satelliteInteraction.js';
-import { reloadSatellitesWithLimit, initializeSatelliteRecord, setSatelliteRecords, getSatelliteRecords } from '../satelliteData.js';
-import { initializeSatellites, resetSimulationTime } from '../satelliteUpdater.js';
+import { reloadSatellitesWithLimit, initializeSatelliteRecord, setSatelliteRecords, getSatelliteRecords, loadSatelliteData, buildSatelliteSources, getLoadedSources } from '../satelliteData.js';
+import { initializeSatellites } from '../satelliteUpdater.js';
+import { setClockRate } from '../simulationClock.js';
+import { applySatelliteFilters } from './filterMenu.js';
 
 let panelElement = null;
 let autoRotateAnimationId = null;
 let isAutoRotateActive = false;
+let customSourceFile = null; // { name, text } of a chosen file, kept for this session only
 
 /**
  * Initialize Settings panel structure
@@ -67,6 +70,25 @@ export function initSettingsPanel() {
                 <span>Show Satellite Labels</span>
                 <input type="checkbox" id="setting-labels">
             </label>
+            
+            <label class="toggle-switch">
+                <span>Color Satellites by Source</span>
+                <input type="checkbox" id="setting-color-by-source">
+            </label>
+            
+            <label class="toggle-switch">
+                <span>Show Coverage Footprint</span>
+                <input type="checkbox" id="setting-footprint">
+            </label>
+            
+            <div class="slider-control">
+                <label>
+                    <span>Footprint Min Elevation</span>
+                    <span id="footprint-elevation-value">10°</span>
+                </label>
+                <input type="range" id="setting-footprint-elevation" min="0" max="60" step="1" value="10">
+                <span class="form-hint">Coverage edge of the selected satellite</span>
+            </div>
         </section>
         
         <!-- Visibility Settings -->
@@ -89,6 +111,33 @@ export function initSettingsPanel() {
             </label>
         </section>
         
+        <!-- Satellite Sources -->
+        <section class="panel-section">
+            <h3>Satellite Sources</h3>
+            
+            ${SATELLITE_SOURCES.map((source) => `
+            <label class="toggle-switch">
+                <span>${source.label}</span>
+                <input type="checkbox" data-source-group="${source.value}">
+            </label>
+            `).join('')}
+            
+            <div class="form-group">
+                <label class="form-label" for="setting-source-url">Custom URL</label>
+                <input type="url" id="setting-source-url" class="form-input" placeholder="https://example.com/satellites.tle">
+                <span class="form-hint">TLE/3LE or OMM; the host must allow cross-origin requests</span>
+            </div>
+            
+            <div class="form-group">
+                <label class="form-label" for="setting-source-file">Custom File</label>
+                <input type="file" id="setting-source-file" class="form-input" accept=".tle,.txt,.json,.xml">
+                <span class="form-hint">Used until the page is reloaded</span>
+            </div>
+            
+            <button id="btn-load-sources" class="btn btn-primary btn-sm">Load Sources</button>
+            <p class="form-hint" id="source-status"></p>
+        </section>
+        
         <!-- Performance Settings -->
         <section class="panel-section">
             <h3>Performance</h3>
@@ -102,15 +151,6 @@ export function initSettingsPanel() {
                 <span class="form-hint">How often satellite positions update</span>
             </div>
             
-            <div class="slider-control">
-                <label>
-                    <span>Simulation Speed</span>
-                    <span id="simulation-speed-value">1.0x</span>
-                </label>
-                <input type="range" id="setting-simulation-speed" min="0.1" max="10" step="0.1" value="1.0">
-                <span class="form-hint">Speed of satellite movement along orbits (0.1x - 10x)</span>
-            </div>
-            
             <div class="slider-control">
                 <label>
                     <span>Max Satellites</span>
@@ -242,12 +282,40 @@ function setupEventListeners(panel) {
     });
   }
 
+  const colorBySourceToggle = panel.querySelector('#setting-color-by-source');
+  if (colorBySourceToggle) {
+    colorBySourceToggle.addEventListener('change', (e) => {
+      setSetting('colorBySource', e.target.checked);
+      setColorBySource(e.target.checked);
+      console.log('[Settings] Color by source:', e.target.checked);
+    });
+  }
+
+  const footprintToggle = panel.querySelector('#setting-footprint');
+  if (footprintToggle) {
+    footprintToggle.addEventListener('change', (e) => {
+      setSetting('showFootprint', e.target.checked);
+      console.log('[Settings] Coverage footprint:', e.target.checked);
+    });
+  }
+
+  const footprintElevationSlider = panel.querySelector('#setting-footprint-elevation');
+  const footprintElevationValue = panel.querySelector('#footprint-elevation-value');
+  if (footprintElevationSlider && footprintElevationValue) {
+    footprintElevationSlider.addEventListener('input', (e) => {
+      const value = parseInt(e.target.value);
+      footprintElevationValue.textContent = `${value}°`;
+      setSetting('footprintMinElevation', value);
+    });
+  }
+
   // Visibility Settings
   const showSatellitesToggle = panel.querySelector('#setting-show-satellites');
   if (showSatellitesToggle) {
     showSatellitesToggle.addEventListener('change', (e) => {
       setSetting('showSatellites', e.target.checked);
       toggleSatellitesVisibility(e.target.checked);
+      applySatelliteFilters(); // Keep filtered-out satellites hidden
       console.log('[Settings] Show satellites:', e.target.checked);
     });
   }
@@ -257,6 +325,7 @@ function setupEventListeners(panel) {
     showStationsToggle.addEventListener('change', (e) => {
       setSetting('showStations', e.target.checked);
       toggleStationsVisibility(e.target.checked);
+      applySatelliteFilters(); // Keep stations hidden by the Filters panel hidden
       console.log('[Settings] Show stations:', e.target.checked);
     });
   }
@@ -270,6 +339,22 @@ function setupEventListeners(panel) {
     });
   }
 
+  // Satellite Sources
+  const sourceFileInput = panel.querySelector('#setting-source-file');
+  if (sourceFileInput) {
+    sourceFileInput.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      customSourceFile = file ? { name: file.name, text: await file.text() } : null;
+    });
+  }
+
+  const loadSourcesBtn = panel.querySelector('#btn-load-sources');
+  if (loadSourcesBtn) {
+    loadSourcesBtn.addEventListener('click', () => {
+      loadSelectedSources(panel);
+    });
+  }
+
   // Performance Settings
   const updateRateSlider = panel.querySelector('#setting-update-rate');
   const updateRateValue = panel.querySelector('#update-rate-value');
@@ -283,18 +368,6 @@ function setupEventListeners(panel) {
     });
   }
 
-  const simulationSpeedSlider = panel.querySelector('#setting-simulation-speed');
-  const simulationSpeedValue = panel.querySelector('#simulation-speed-value');
-  if (simulationSpeedSlider && simulationSpeedValue) {
-    simulationSpeedSlider.addEventListener('input', (e) => {
-      const value = parseFloat(e.target.value);
-      simulationSpeedValue.textContent = `${value.toFixed(1)}x`;
-      setSetting('simulationSpeed', value);
-      updateSimulationSpeed(value);
-      console.log('[Settings] Simulation speed:', value, 'x');
-    });
-  }
-
   const maxSatellitesSlider = panel.querySelector('#setting-max-satellites');
   const maxSatellitesValue = panel.querySelector('#max-sats-value');
   if (maxSatellitesSlider && maxSatellitesValue) {
@@ -370,6 +443,25 @@ function loadSettings(panel) {
     toggleSatelliteLabels(labelsToggle.checked);
   }
 
+  const colorBySourceToggle = panel.querySelector('#setting-color-by-source');
+  if (colorBySourceToggle) {
+    colorBySourceToggle.checked = getSetting('colorBySource') ?? false;
+    setColorBySource(colorBySourceToggle.checked);
+  }
+
+  const footprintToggle = panel.querySelector('#setting-footprint');
+  if (footprintToggle) {
+    footprintToggle.checked = getSetting('showFootprint') ?? false;
+  }
+
+  const footprintElevation = getSetting('footprintMinElevation') ?? 10;
+  const footprintElevationSlider = panel.querySelector('#setting-footprint-elevation');
+  const footprintElevationValue = panel.querySelector('#footprint-elevation-value');
+  if (footprintElevationSlider && footprintElevationValue) {
+    footprintElevationSlider.value = footprintElevation;
+    footprintElevationValue.textContent = `${footprintElevation}°`;
+  }
+
   // Visibility Settings
   const showSatellitesToggle = panel.querySelector('#setting-show-satellites');
   if (showSatellitesToggle) {
@@ -389,6 +481,17 @@ function loadSettings(panel) {
     toggleInfoPanelsVisibility(showInfoToggle.checked);
   }
 
+  // Satellite Sources
+  const sourceGroups = getSetting('satelliteSources') ?? DEFAULT_SATELLITE_SOURCES;
+  panel.querySelectorAll('[data-source-group]').forEach((input) => {
+    input.checked = sourceGroups.includes(input.dataset.sourceGroup);
+  });
+
+  const sourceUrlInput = panel.querySelector('#setting-source-url');
+  if (sourceUrlInput) {
+    sourceUrlInput.value = getSetting('customSourceUrl') ?? '';
+  }
+
   // Performance Settings
   const updateRate = getSetting('updateRate') ?? 2.0;
   // Sync CONFIG with loaded setting
@@ -400,16 +503,6 @@ function loadSettings(panel) {
     updateRateValue.textContent = `${updateRate.toFixed(1)}s`;
   }
 
-  const simulationSpeed = getSetting('simulationSpeed') ?? 1.0;
-  // Sync CONFIG with loaded setting
-  CONFIG.TIME_ACCELERATION = simulationSpeed;
-  const simulationSpeedSlider = panel.querySelector('#setting-simulation-speed');
-  const simulationSpeedValue = panel.querySelector('#simulation-speed-value');
-  if (simulationSpeedSlider && simulationSpeedValue) {
-    simulationSpeedSlider.value = simulationSpeed;
-    simulationSpeedValue.textContent = `${simulationSpeed.toFixed(1)}x`;
-  }
-
   const maxSatellites = getSetting('maxSatellites') ?? 50;
   // Sync CONFIG.MAX_SATELLITES with loaded setting
   CONFIG.MAX_SATELLITES = maxSatellites;
@@ -490,18 +583,6 @@ function updateSatelliteUpdateRate(rateSeconds) {
   console.log(`[Settings] Update rate: ${rateSeconds}s`);
 }
 
-/**
- * Update simulation speed (controls how fast satellites move along orbits)
- */
-function updateSimulationSpeed(speedMultiplier) {
-  CONFIG.TIME_ACCELERATION = speedMultiplier;
-  
-  // Reset simulation start time when speed changes to avoid jumps
-  resetSimulationTime();
-  
-  console.log(`[Settings] Simulation speed: ${speedMultiplier.toFixed(1)}x`);
-}
-
 /**
  * Start auto-rotate globe
  */
@@ -544,7 +625,7 @@ async function resetToDefaults(panel) {
   // Reset update rate and simulation speed to defaults
   const defaultUpdateRate = 2.0;
   CONFIG.SATELLITE_UPDATE_INTERVAL = defaultUpdateRate * 1000;
-  CONFIG.TIME_ACCELERATION = 1.0; // Normal speed (1.0x)
+  setClockRate(1); // Normal speed (1x); the timeline bar follows the clock
   
   // Reload settings to update UI
   loadSettings(panel);
@@ -552,8 +633,14 @@ async function resetToDefaults(panel) {
   // Stop auto-rotate if active
   stopAutoRotate();
   
-  // Re-render satellites with default limit
-  await updateMaxSatellites(50);
+  // Reload the default sources with the default limit
+  customSourceFile = null;
+  const sourceFileInput = panel.querySelector('#setting-source-file');
+  if (sourceFileInput) {
+    sourceFileInput.value = '';
+  }
+  await reloadSatelliteSources();
+  showSourceStatus(panel);
   
   console.log('[Settings] Reset to defaults');
 }
@@ -597,46 +684,112 @@ async function updateMaxSatellites(newLimit) {
       return;
     }
 
-    // Clear existing satellite meshes from scene
-    const currentMeshes = getSatelliteMeshes();
-    if (currentMeshes.length > 0) {
-      clearSatelliteMeshes(window.scene);
-    }
+    const newMeshes = await rerenderSatellites(limitedSatellites);
+    console.log(`[Settings] ✓ Re-rendered ${newMeshes.length} satellites with limit ${newLimit}`);
+  } catch (error) {
+    console.error('[Settings] Error updating max satellites:', error);
+  }
+}
 
-    // Initialize satellite records with new limit
-    const { records, targetPositions } = await initializeSatellites(
-      limitedSatellites,
-      initializeSatelliteRecord
-    );
+/**
+ * Replace the satellites on the globe
+ */
+async function rerenderSatellites(satellites) {
+  // Clear existing satellite meshes from scene
+  const currentMeshes = getSatelliteMeshes();
+  if (currentMeshes.length > 0) {
+    clearSatelliteMeshes(window.scene);
+  }
 
-    // Update satellite records
-    setSatelliteRecords(records);
+  const { records, targetPositions } = await initializeSatellites(
+    satellites,
+    initializeSatelliteRecord
+  );
+  setSatelliteRecords(records);
 
-    // Re-render satellites
-    if (records.length > 0) {
-      const newMeshes = renderSatellites(window.scene, records, targetPositions);
-      
-      // Update cached arrays in main.js if they exist
-      if (window.cachedSatelliteMeshes) {
-        window.cachedSatelliteMeshes = newMeshes;
-      }
-      if (window.cachedSatelliteRecords) {
-        window.cachedSatelliteRecords = records;
-      }
+  const newMeshes = records.length > 0
+    ? renderSatellites(window.scene, records, targetPositions)
+    : [];
 
-      // Update satellite interaction with new meshes
-      if (window.setupSatelliteInteraction) {
-        // Re-setup interaction if needed
-        console.log('[Settings] Satellite meshes updated, interaction should use getSatelliteMeshes()');
-      }
+  // main.js refreshes its cached meshes; the filter panel and legend their sources
+  window.dispatchEvent(new CustomEvent('satellites-loaded', {
+    detail: { sources: getLoadedSources() }
+  }));
 
-      console.log(`[Settings] ✓ Re-rendered ${newMeshes.length} satellites with limit ${newLimit}`);
+  return newMeshes;
+}
+
+/**
+ * Load the saved source selection (plus the session's custom file) and re-render
+ */
+async function reloadSatelliteSources() {
+  if (!window.scene) {
+    console.warn('[Settings] Scene not available for satellite re-render');
+    return;
+  }
+
+  const satellites = await loadSatelliteData(buildSatelliteSources(
+    getSetting('satelliteSources') ?? DEFAULT_SATELLITE_SOURCES,
+    getSetting('customSourceUrl') ?? '',
+    customSourceFile
+  ));
+  const newMeshes = await rerenderSatellites(satellites);
+  console.log(`[Settings] ✓ Loaded ${newMeshes.length} satellites from the selected sources`);
+}
+
+/**
+ * Save the source selection from the panel and load it
+ */
+async function loadSelectedSources(panel) {
+  const groups = Array.from(panel.querySelectorAll('[data-source-group]:checked'))
+    .map((input) => input.dataset.sourceGroup);
+  const url = panel.querySelector('#setting-source-url').value.trim();
+  const status = panel.querySelector('#source-status');
+  const button = panel.querySelector('#btn-load-sources');
+
+  if (groups.length === 0 && !url && !customSourceFile) {
+    status.textContent = 'Select at least one source';
+    return;
+  }
+  if (url) {
+    try {
+      new URL(url);
+    } catch (error) {
+      status.textContent = `Invalid URL: ${url}`;
+      return;
     }
+  }
+
+  setSetting('satelliteSources', groups);
+  setSetting('customSourceUrl', url);
+
+  status.textContent = 'Loading...';
+  button.disabled = true;
+  try {
+    await reloadSatelliteSources();
+    showSourceStatus(panel);
   } catch (error) {
-    console.error('[Settings] Error updating max satellites:', error);
+    console.error('[Settings] Error loading satellite sources:', error);
+    status.textContent = `Failed to load sources: ${error.message}`;
+  } finally {
+    button.disabled = false;
   }
 }
 
+/**
+ * Show how many satellites each loaded source contributed
+ */
+function showSourceStatus(panel) {
+  const status = panel.querySelector('#source-status');
+  if (!status) return;
+
+  status.textContent = getLoadedSources()
+    .map((source) => source.error
+      ? `${source.label}: failed (${source.error})`
+      : `${source.label}: ${source.count}`)
+    .join(' · ');
+}
+
 /**
  * Check if orbit should be shown on hover
  */
@@ -6,13 +6,23 @@
 import { getGroundStations } from '../groundStations.js';
 import { getStationMeshes } from '../groundStationRenderer.js';
 import { displayStationInfo } from '../groundStationInteraction.js';
-import { COLORS } from '../constants.js';
+import { COLORS, CONFIG } from "../constants.js";
+import { getSatelliteRecords } from "../satelliteData.js";
+import { predictPassesForStation } from "../passPredictor.js";
+import { getLinkStation } from "../linkInfo.js";
+import { getSimulationTime } from "../simulationClock.js";
+import { getStationVisibility } from "../stationVisibility.js";
 
 let panelElement = null;
 let searchTimeout = null;
 let currentSearchQuery = '';
 let currentSortOption = 'name-asc';
 let selectedStationId = null;
+let passRunId = 0;
+let passStationId = null; // Station the pass list was predicted for
+
+// Rows rendered in the satellites-in-view list (the count covers all of them)
+const IN_VIEW_LIST_LIMIT = 50;
 
 /**
  * Format station type for display
@@ -131,6 +141,7 @@ function renderStationList() {
             li.innerHTML = `
                 <div class="panel-list-item-header">
                     <h3 class="panel-list-item-title">${station.name || 'Unnamed Station'}</h3>
+                    ${renderInViewBadge(station)}
                     <span class="panel-list-item-badge">${formatStationType(station.type)}</span>
                 </div>
                 <div class="panel-list-item-subtitle">
@@ -228,6 +239,277 @@ function exportStationsList() {
     console.log(`[Station List] Exported ${sorted.length} stations`);
 }
 
+/**
+ * Badge with the satellites-in-view count, for the selected station only
+ */
+function renderInViewBadge(station) {
+  const visibility = getStationVisibility();
+  return visibility?.stationId === station.id
+    ? `<span class="panel-list-item-badge station-in-view-badge">${visibility.satellites.length} in view</span>`
+    : "";
+}
+
+/**
+ * Format a pass time in UTC
+ */
+function formatPassTime(date) {
+  return date.toISOString().replace("T", " ").slice(0, 19) + " UTC";
+}
+
+/**
+ * Format a pass duration as "Xm Ys"
+ */
+function formatDuration(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.round(seconds % 60);
+  return mins > 0 ? `${mins}m ${secs}s` : `${secs}s`;
+}
+
+/**
+ * Format an azimuth with its nearest compass point
+ */
+function formatAzimuth(azimuth) {
+  if (azimuth === null || azimuth === undefined) return "-";
+  const points = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+  const point = points[Math.round(azimuth / 45) % 8];
+  return `${azimuth.toFixed(0)}° ${point}`;
+}
+
+/**
+ * Fill the pass satellite selector with the loaded satellites
+ */
+function populatePassSatelliteSelect() {
+  const select = panelElement?.querySelector("#pass-satellite");
+  if (!select) return;
+
+  const previous = select.value;
+  const records = getSatelliteRecords();
+
+  select.innerHTML = `<option value="">All loaded satellites (${records.length})</option>`;
+  records.forEach((rec) => {
+    const option = document.createElement("option");
+    option.value = rec.name;
+    option.textContent = rec.name;
+    select.appendChild(option);
+  });
+
+  if (previous && records.some((rec) => rec.name === previous)) {
+    select.value = previous;
+  }
+}
+
+/**
+ * Render predicted passes
+ */
+function renderPassList(passes) {
+  const listContainer = panelElement?.querySelector("#station-passes-list");
+  if (!listContainer) return;
+
+  listContainer.innerHTML = "";
+
+  passes.forEach((pass) => {
+    const li = document.createElement("li");
+    li.className = "panel-list-item station-pass-item";
+
+    const aosLabel = pass.aosClipped ? "In view since" : "AOS";
+    const losLabel = pass.losClipped ? "Still in view at" : "LOS";
+
+    li.innerHTML = `
+            <div class="panel-list-item-header">
+                <h3 class="panel-list-item-title"></h3>
+                <span class="panel-list-item-badge">Max ${pass.maxElevation.toFixed(1)}°</span>
+            </div>
+            <div class="panel-list-item-subtitle station-pass-times">
+                <div><span>${aosLabel}</span> ${formatPassTime(pass.aos)} · ${formatAzimuth(pass.aosAzimuth)}</div>
+                <div><span>TCA</span> ${formatPassTime(pass.tca)} · ${formatAzimuth(pass.tcaAzimuth)}</div>
+                <div><span>${losLabel}</span> ${formatPassTime(pass.los)} · ${formatAzimuth(pass.losAzimuth)}</div>
+                <div><span>Duration</span> ${formatDuration(pass.durationSeconds)}</div>
+            </div>
+        `;
+    // Names come from user-supplied TLE sources
+    li.querySelector(".panel-list-item-title").textContent = pass.satelliteName;
+
+    listContainer.appendChild(li);
+  });
+}
+
+/**
+ * Show the satellites currently in view of the selected station
+ */
+function renderSatellitesInView(visibility) {
+  const section = panelElement?.querySelector("#station-in-view");
+  const countEl = panelElement?.querySelector("#station-in-view-count");
+  const statusEl = panelElement?.querySelector("#station-in-view-status");
+  const listContainer = panelElement?.querySelector("#station-in-view-list");
+  if (!section || !countEl || !statusEl || !listContainer) return;
+
+  if (!visibility) {
+    section.classList.add("hidden");
+    return;
+  }
+
+  const satellites = visibility.satellites;
+  section.classList.remove("hidden");
+  countEl.textContent = satellites.length;
+
+  // Keep the station list badge in sync without re-rendering the whole list
+  const listBadge = panelElement.querySelector(
+    "#station-list .panel-list-item.active .station-in-view-badge",
+  );
+  if (listBadge) listBadge.textContent = `${satellites.length} in view`;
+
+  if (satellites.length === 0) {
+    statusEl.textContent = "No satellites above the elevation mask";
+  } else if (satellites.length > IN_VIEW_LIST_LIMIT) {
+    statusEl.textContent = `Showing the ${IN_VIEW_LIST_LIMIT} highest of ${satellites.length}`;
+  } else {
+    statusEl.textContent = `As of ${formatPassTime(visibility.time)}`;
+  }
+
+  listContainer.innerHTML = "";
+  satellites.slice(0, IN_VIEW_LIST_LIMIT).forEach((sat) => {
+    const li = document.createElement("li");
+    li.className = "panel-list-item station-pass-item";
+    li.innerHTML = `
+            <div class="panel-list-item-header">
+                <h3 class="panel-list-item-title"></h3>
+                <span class="panel-list-item-badge">El ${sat.elevation.toFixed(1)}°</span>
+            </div>
+            <div class="panel-list-item-subtitle">
+                Az ${formatAzimuth(sat.azimuth)} · ${sat.rangeKm.toFixed(0)} km · ${sat.latencyMs.toFixed(2)} ms
+            </div>
+        `;
+    li.querySelector(".panel-list-item-title").textContent = sat.satelliteName;
+    listContainer.appendChild(li);
+  });
+}
+
+/**
+ * Show the pass section for the selected station
+ * Prediction is expensive with many satellites, so it only runs when the
+ * user presses Predict; switching stations clears the previous results.
+ */
+function updatePassSection() {
+  const section = panelElement?.querySelector("#station-passes");
+  const targetEl = panelElement?.querySelector("#station-passes-target");
+  const statusEl = panelElement?.querySelector("#station-passes-status");
+  const listContainer = panelElement?.querySelector("#station-passes-list");
+  if (!section || !statusEl || !listContainer) return;
+
+  const station = getLinkStation();
+  if (!station) {
+    section.classList.add("hidden");
+    passRunId++;
+    passStationId = null;
+    return;
+  }
+
+  section.classList.remove("hidden");
+  if (targetEl) {
+    targetEl.textContent = `${station.name} · ${formatCoordinates(station.lat, station.lon)}`;
+  }
+  populatePassSatelliteSelect();
+
+  if (station.id !== passStationId) {
+    passRunId++; // Drop a prediction still running for the previous station
+    passStationId = station.id;
+    listContainer.innerHTML = "";
+    statusEl.textContent = "Press Predict to find upcoming passes";
+  }
+}
+
+/**
+ * Predict and show upcoming passes for the selected station
+ */
+async function predictUpcomingPasses() {
+  const statusEl = panelElement?.querySelector("#station-passes-status");
+  const listContainer = panelElement?.querySelector("#station-passes-list");
+  const station = getLinkStation();
+  if (!statusEl || !listContainer || !station) return;
+
+  const satelliteName = panelElement.querySelector("#pass-satellite").value;
+  const horizonHours = parseFloat(
+    panelElement.querySelector("#pass-horizon").value,
+  );
+  const minElevationInput = parseFloat(
+    panelElement.querySelector("#pass-min-elevation").value,
+  );
+  const minElevation = isNaN(minElevationInput)
+    ? CONFIG.PASS_PREDICTION.MIN_ELEVATION_DEG
+    : minElevationInput;
+
+  const records = getSatelliteRecords().filter(
+    (rec) => !satelliteName || rec.name === satelliteName,
+  );
+  if (records.length === 0) {
+    listContainer.innerHTML = "";
+    statusEl.textContent = "No satellites loaded";
+    return;
+  }
+
+  // Newer requests supersede older ones still running
+  const runId = ++passRunId;
+  listContainer.innerHTML = "";
+  statusEl.textContent = "Predicting passes...";
+
+  const passes = await predictPassesForStation(
+    station,
+    records,
+    {
+      startTime: getSimulationTime(),
+      horizonHours,
+      minElevation,
+      isCancelled: () => runId !== passRunId,
+    },
+    (done, total) => {
+      if (runId === passRunId) {
+        statusEl.textContent = `Predicting passes... ${done}/${total}`;
+      }
+    },
+  );
+
+  if (!passes || runId !== passRunId) return;
+
+  statusEl.textContent =
+    passes.length === 0
+      ? `No passes above ${minElevation}° in the next ${horizonHours} h`
+      : `${passes.length} pass${passes.length !== 1 ? "es" : ""} in the next ${horizonHours} h`;
+  renderPassList(passes);
+
+  console.log(
+    `[Station List] Predicted ${passes.length} passes for ${station.name}`,
+  );
+}
+
+/**
+ * Setup the upcoming-passes and satellites-in-view listeners
+ */
+function setupPassListeners(panel) {
+  // Upcoming passes
+  const predictBtn = panel.querySelector("#btn-predict-passes");
+  if (predictBtn) {
+    predictBtn.addEventListener("click", () => {
+      predictUpcomingPasses();
+    });
+  }
+
+  // Live satellites-in-view list (refreshed on every satellite update)
+  window.addEventListener("station-visibility-updated", (e) => {
+    if (!panel.classList.contains("hidden")) {
+      renderSatellitesInView(e.detail);
+    }
+  });
+
+  // Track selections made on the globe
+  window.addEventListener("station-selection-changed", (e) => {
+    selectedStationId = e.detail?.stationData?.stationId ?? null;
+    if (!panel.classList.contains("hidden")) {
+      renderStationList();
+      updatePassSection();
+    }
+  });
+}
+
 /**
  * Initialize Station List panel structure
  */
@@ -267,6 +549,33 @@ export function initStationListPanel() {
   const content = document.createElement("div");
   content.className = "panel-content";
   content.innerHTML = `
+        <section class="panel-section station-passes hidden" id="station-in-view">
+            <h3>Satellites in View <span class="panel-list-item-badge" id="station-in-view-count">0</span></h3>
+            <div class="station-passes-status" id="station-in-view-status"></div>
+            <ul class="panel-list" id="station-in-view-list"></ul>
+        </section>
+        <section class="panel-section station-passes hidden" id="station-passes">
+            <h3>Upcoming Passes</h3>
+            <div class="station-passes-target" id="station-passes-target"></div>
+            <div class="station-passes-controls">
+                <select id="pass-satellite" class="form-select" aria-label="Satellite">
+                    <option value="">All loaded satellites</option>
+                </select>
+                <select id="pass-horizon" class="form-select" aria-label="Prediction horizon">
+                    <option value="24">Next 24 h</option>
+                    <option value="48">Next 48 h</option>
+                    <option value="72">Next 3 days</option>
+                    <option value="168">Next 7 days</option>
+                </select>
+                <label class="station-passes-mask">
+                    Min elevation
+                    <input type="number" id="pass-min-elevation" class="form-input" min="0" max="89" step="1" value="${CONFIG.PASS_PREDICTION.MIN_ELEVATION_DEG}">°
+                </label>
+                <button id="btn-predict-passes" class="btn btn-primary btn-sm">Predict</button>
+            </div>
+            <div class="station-passes-status" id="station-passes-status"></div>
+            <ul class="panel-list" id="station-passes-list"></ul>
+        </section>
         <div style="margin-bottom: var(--space-4); padding: var(--space-2) var(--space-3); background: var(--bg-secondary); border-radius: var(--radius-md); font-size: var(--font-size-sm); color: var(--text-secondary);" id="station-count">0 stations</div>
         <ul class="panel-list" id="station-list">
             <!-- Station list items will be populated here -->
@@ -365,6 +674,8 @@ function setupEventListeners(panel) {
         }, 100);
     };
     window.addEventListener('add-ground-station', stationAddedHandler);
+
+    setupPassListeners(panel);
 }
 
 /**
@@ -375,6 +686,8 @@ export function showStationListPanel() {
     panelElement.classList.remove("hidden");
     // Refresh the list when showing
     renderStationList();
+    renderSatellitesInView(getStationVisibility());
+    updatePassSection();
   }
 }
 
@@ -0,0 +1,224 @@
+// ============================================
+// TIMELINE BAR - Simulation Clock Controls
+// Play/pause, reverse, speed presets, scrubbing, date-time picker,
+// "jump to now" and a UTC readout, all driving simulationClock.js
+// ============================================
+
+import { CONFIG } from "../constants.js";
+import {
+  getClockState,
+  setClockRate,
+  toggleClockPaused,
+  setSimulationTime,
+  jumpToNow,
+} from "../simulationClock.js";
+import { getSetting, setSetting } from "./uiState.js";
+
+const SCRUB_RANGE_MINUTES = 720; // Scrub slider reaches ±12 hours
+const LIVE_TOLERANCE_MS = 2000;
+
+let barElement = null;
+let scrubStartMs = null; // Simulation time when the current scrub began
+
+/**
+ * Initialize the timeline bar
+ */
+export function initTimelineBar() {
+  if (barElement) {
+    console.warn("Timeline bar already initialized");
+    return barElement;
+  }
+
+  const bar = document.createElement("div");
+  bar.id = "timeline-bar";
+  bar.className = "timeline-bar";
+  bar.innerHTML = `
+        <div class="timeline-controls">
+            <button id="timeline-reverse" class="timeline-btn" title="Run backwards" aria-label="Run backwards" aria-pressed="false">⏪</button>
+            <button id="timeline-play" class="timeline-btn timeline-btn-primary" title="Pause" aria-label="Pause">⏸</button>
+            <select id="timeline-speed" class="form-select timeline-speed" title="Simulation speed" aria-label="Simulation speed">
+                ${CONFIG.CLOCK_SPEED_PRESETS.map(
+                  (preset) =>
+                    `<option value="${preset}">${formatRate(preset)}</option>`,
+                ).join("")}
+            </select>
+            <button id="timeline-now" class="timeline-btn" title="Jump to now">Now</button>
+        </div>
+
+        <input type="range" id="timeline-scrub" class="timeline-scrub" min="-${SCRUB_RANGE_MINUTES}" max="${SCRUB_RANGE_MINUTES}" step="1" value="0" title="Drag to scrub ±12 h" aria-label="Scrub simulation time">
+
+        <div class="timeline-time">
+            <input type="datetime-local" id="timeline-date" class="form-input timeline-date" step="1" title="Set simulation date and time (UTC)" aria-label="Simulation date and time (UTC)">
+            <span id="timeline-readout" class="timeline-readout"></span>
+            <span id="timeline-offset" class="timeline-offset"></span>
+        </div>
+    `;
+
+  document.body.appendChild(bar);
+  barElement = bar;
+
+  setupEventListeners(bar);
+
+  // Restore the saved speed (reverse included)
+  const savedRate = getSetting("simulationSpeed");
+  if (savedRate && savedRate !== getClockState().rate) {
+    setClockRate(savedRate);
+  }
+
+  updateControls();
+  updateReadout();
+  setInterval(updateReadout, 250);
+  window.addEventListener("simulation-clock-changed", () => {
+    updateControls();
+    updateReadout();
+  });
+
+  console.log("✓ Timeline bar initialized");
+  return bar;
+}
+
+/**
+ * Get timeline bar element
+ */
+export function getTimelineBar() {
+  return barElement;
+}
+
+/**
+ * Setup event listeners for the timeline controls
+ */
+function setupEventListeners(bar) {
+  bar.querySelector("#timeline-play").addEventListener("click", () => {
+    toggleClockPaused();
+  });
+
+  bar.querySelector("#timeline-reverse").addEventListener("click", () => {
+    changeRate(-getClockState().rate);
+  });
+
+  bar.querySelector("#timeline-speed").addEventListener("change", (e) => {
+    const direction = getClockState().rate < 0 ? -1 : 1;
+    changeRate(direction * parseFloat(e.target.value));
+  });
+
+  bar.querySelector("#timeline-now").addEventListener("click", () => {
+    jumpToNow();
+  });
+
+  // Scrubbing is relative to the time when the drag started; the slider
+  // springs back to the middle when released
+  const scrub = bar.querySelector("#timeline-scrub");
+  const startScrub = () => {
+    if (scrubStartMs === null) {
+      scrubStartMs = getClockState().time.getTime();
+    }
+  };
+  scrub.addEventListener("pointerdown", startScrub);
+  scrub.addEventListener("keydown", startScrub);
+  scrub.addEventListener("input", (e) => {
+    startScrub();
+    const minutes = parseInt(e.target.value);
+    setSimulationTime(new Date(scrubStartMs + minutes * 60 * 1000));
+  });
+  scrub.addEventListener("change", (e) => {
+    scrubStartMs = null;
+    e.target.value = 0;
+  });
+
+  // datetime-local has no time zone; the bar works in UTC
+  bar.querySelector("#timeline-date").addEventListener("change", (e) => {
+    if (!e.target.value) return;
+    const time = new Date(`${e.target.value}Z`);
+    if (!isNaN(time.getTime())) {
+      setSimulationTime(time);
+    }
+  });
+}
+
+/**
+ * Change the clock rate and remember it
+ */
+function changeRate(rate) {
+  setClockRate(rate);
+  setSetting("simulationSpeed", rate);
+}
+
+/**
+ * Reflect pause, direction and speed in the controls
+ */
+function updateControls() {
+  if (!barElement) return;
+
+  const { rate, paused } = getClockState();
+
+  const playBtn = barElement.querySelector("#timeline-play");
+  playBtn.textContent = paused ? "▶" : "⏸";
+  playBtn.title = paused ? "Play" : "Pause";
+  playBtn.setAttribute("aria-label", playBtn.title);
+
+  const reverseBtn = barElement.querySelector("#timeline-reverse");
+  reverseBtn.classList.toggle("active", rate < 0);
+  reverseBtn.setAttribute("aria-pressed", String(rate < 0));
+
+  // Speeds that are not presets (e.g. saved by an older version) get their own option
+  const speedSelect = barElement.querySelector("#timeline-speed");
+  const speed = Math.abs(rate);
+  speedSelect.querySelector("[data-custom-speed]")?.remove();
+  if (!CONFIG.CLOCK_SPEED_PRESETS.includes(speed)) {
+    const option = document.createElement("option");
+    option.value = speed;
+    option.textContent = formatRate(speed);
+    option.dataset.customSpeed = "true";
+    speedSelect.appendChild(option);
+  }
+  speedSelect.value = String(speed);
+}
+
+/**
+ * Update the UTC readout, the offset from real time and the date picker
+ */
+function updateReadout() {
+  if (!barElement) return;
+
+  const { time, rate, paused, offsetMs } = getClockState();
+  const iso = time.toISOString();
+
+  barElement.querySelector("#timeline-readout").textContent =
+    `${iso.slice(0, 10)} ${iso.slice(11, 19)} UTC`;
+
+  const offset = barElement.querySelector("#timeline-offset");
+  const isLive =
+    !paused && rate === 1 && Math.abs(offsetMs) < LIVE_TOLERANCE_MS;
+  offset.textContent = isLive ? "LIVE" : formatOffset(offsetMs);
+  offset.classList.toggle("live", isLive);
+
+  // Don't overwrite the picker while the user is editing it
+  const dateInput = barElement.querySelector("#timeline-date");
+  if (document.activeElement !== dateInput) {
+    dateInput.value = iso.slice(0, 19);
+  }
+}
+
+/**
+ * Format a clock rate for the speed select (e.g. "60×")
+ */
+function formatRate(rate) {
+  return `${rate}×`;
+}
+
+/**
+ * Format the offset from real time (e.g. "+2d 03h", "-45m 10s")
+ */
+function formatOffset(offsetMs) {
+  const sign = offsetMs < 0 ? "-" : "+";
+  const totalSeconds = Math.floor(Math.abs(offsetMs) / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, "0");
+
+  if (days > 0) return `${sign}${days}d ${pad(hours)}h`;
+  if (hours > 0) return `${sign}${hours}h ${pad(minutes)}m`;
+  return `${sign}${minutes}m ${pad(seconds)}s`;
+}
@@ -3,6 +3,38 @@
 // Centralized state for all UI components
 // ============================================
 
+import {
+  DEFAULT_SATELLITE_SOURCES,
+  DEFAULT_SATELLITE_QUERY,
+} from "../constants.js";
+
+/**
+ * Filter presets offered before the user saves their own
+ */
+function defaultFilterPresets() {
+  const preset = (name, types, query = {}) => ({
+    name,
+    filters: {
+      leo: false,
+      meo: false,
+      geo: false,
+      custom: true,
+      ...types,
+      hiddenSources: [],
+      query: { ...DEFAULT_SATELLITE_QUERY, ...query },
+    },
+  });
+  return [
+    preset(
+      "GPS Only",
+      { meo: true, custom: false },
+      { pattern: "NAVSTAR|GPS" },
+    ),
+    preset("LEO Only", { leo: true }),
+    preset("GEO Only", { geo: true }),
+  ];
+}
+
 // State object
 const uiState = {
   activePanel: null, // 'stations', 'satellites', 'finder', 'filters', 'settings', 'graphics'
@@ -16,6 +48,9 @@ const uiState = {
     custom: true,
     stations: true,
     orbits: false,
+    hiddenSources: [], // Source ids whose satellites are hidden
+    query: { ...DEFAULT_SATELLITE_QUERY }, // Advanced filter (satelliteQuery.js)
+    presets: defaultFilterPresets(), // [{ name, filters }] saved from the Filters panel
   },
 
   settings: {
@@ -30,12 +65,18 @@ const uiState = {
     simulationSpeed: 1.0,
     maxSatellites: 50,
     throttling: true,
+    showFootprint: false,
+    footprintMinElevation: 10,
+    satelliteSources: [...DEFAULT_SATELLITE_SOURCES], // CelesTrak groups to load
+    customSourceUrl: "",
+    colorBySource: false,
   },
 
   graphics: {
     sun: false,
     milkyWay: false,
     sunSize: 1.0,
+    cityLights: true, // Night-side city lights (needs texture/earth-night.jpg)
     starDensity: 2, // 1=low, 2=medium, 3=high
     quality: "medium", // 'potato', 'medium', 'high'
   },
@@ -110,8 +151,9 @@ export function getActivePanel() {
 
 /**
  * Set filter state
- * @param {string} type - Filter type ('leo', 'meo', 'geo', 'custom', 'stations', 'orbits')
- * @param {boolean} visible - Visibility state
+ * @param {string} type - Filter type ('leo', 'meo', 'geo', 'custom', 'stations', 'orbits', 'hiddenSources', 'query', 'presets')
+ * @param {boolean|Array|Object} visible - Visibility state (source ids for 'hiddenSources',
+ *   query fields for 'query', saved presets for 'presets')
  */
 export function setFilter(type, visible) {
   if (uiState.filters.hasOwnProperty(type)) {
@@ -211,6 +253,13 @@ export function loadState() {
     const saved = localStorage.getItem("uiState");
     if (saved) {
       const parsed = JSON.parse(saved);
+      // Merge nested sections so keys added since the last save keep their defaults
+      ["filters", "settings", "graphics"].forEach((section) => {
+        if (parsed[section]) {
+          uiState[section] = { ...uiState[section], ...parsed[section] };
+          delete parsed[section];
+        }
+      });
       Object.assign(uiState, parsed);
       console.log("✓ UI state loaded from localStorage");
       return true;
@@ -236,6 +285,9 @@ export function resetState() {
     custom: true,
     stations: true,
     orbits: false,
+    hiddenSources: [],
+    query: { ...DEFAULT_SATELLITE_QUERY },
+    presets: defaultFilterPresets(),
   };
 
   uiState.settings = {
@@ -250,12 +302,18 @@ export function resetState() {
     simulationSpeed: 1.0,
     maxSatellites: 50,
     throttling: true,
+    showFootprint: false,
+    footprintMinElevation: 10,
+    satelliteSources: [...DEFAULT_SATELLITE_SOURCES],
+    customSourceUrl: "",
+    colorBySource: false,
   };
 
   uiState.graphics = {
     sun: false,
     milkyWay: false,
     sunSize: 1.0,
+    cityLights: true,
     starDensity: 2,
     quality: "medium",
   };
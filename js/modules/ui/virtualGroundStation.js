@@ -4,8 +4,21 @@
 // ============================================
 import { renderGroundStations } from "../groundStationRenderer.js";
 import { addGroundStation } from "../groundStations.js";
+import {
+  formatHorizonTable,
+  getMaskElevation,
+  normalizeHorizonMask,
+  parseHorizonCsv,
+} from "../horizonMask.js";
 let modalElement = null;
 
+const MASK_PREVIEW_COLORS = {
+  ring: "rgba(255, 255, 255, 0.15)",
+  text: "rgba(255, 255, 255, 0.6)",
+  maskFill: "rgba(255, 70, 86, 0.35)",
+  maskLine: "#ff4656",
+};
+
 /**
  * Initialize Add Ground Station modal structure
  */
@@ -100,6 +113,41 @@ export function initAddStationModal() {
                     <span class="form-hint">Height above sea level</span>
                 </div>
             </div>
+            
+            <!-- Horizon Mask Section -->
+            <div class="form-section">
+                <h3 class="form-section-title">Horizon Mask</h3>
+                
+                <div class="form-group">
+                    <label class="form-label" for="station-mask-type">Mask Type</label>
+                    <select id="station-mask-type" class="form-select">
+                        <option value="none">None (geometric horizon)</option>
+                        <option value="constant">Constant elevation</option>
+                        <option value="table">Azimuth / elevation table</option>
+                    </select>
+                    <span class="form-hint">Terrain and buildings that block low elevations</span>
+                </div>
+                
+                <div class="form-group hidden" id="station-mask-constant-group">
+                    <label class="form-label" for="station-mask-constant">Mask Elevation</label>
+                    <div class="input-group">
+                        <input type="number" id="station-mask-constant" class="form-input" min="0" max="90" step="0.5" value="10">
+                        <span class="input-group-addon">°</span>
+                    </div>
+                </div>
+                
+                <div class="form-group hidden" id="station-mask-table-group">
+                    <label class="form-label" for="station-mask-table">Azimuth, Elevation (one pair per line)</label>
+                    <textarea id="station-mask-table" class="form-textarea" placeholder="0, 5&#10;90, 12&#10;180, 3&#10;270, 8"></textarea>
+                    <label class="form-label" for="station-mask-file">Import CSV Horizon File</label>
+                    <input type="file" id="station-mask-file" class="form-input" accept=".csv,.txt,text/csv,text/plain">
+                    <span class="form-hint">Degrees; interpolated between points and wrapped around north</span>
+                </div>
+                
+                <div class="form-group horizon-mask-preview">
+                    <canvas id="station-mask-preview" width="220" height="220"></canvas>
+                </div>
+            </div>
         </form>
     `;
 
@@ -191,6 +239,11 @@ export function initAddStationModal() {
         type,
       };
 
+      const horizonMask = readMaskFromForm(form);
+      if (horizonMask) {
+        newStation.horizonMask = horizonMask;
+      }
+
       console.log("Creating ground station:", newStation);
 
       try {
@@ -209,6 +262,8 @@ export function initAddStationModal() {
         alert("Failed to add ground station: " + err.message);
       }
     });
+
+    setupMaskEditor(form);
   } else {
     console.error("Form #form-add-station not found in modal");
   }
@@ -290,6 +345,160 @@ export function initAddStationModal() {
   return backdrop;
 }
 
+/**
+ * Build the horizon mask described by the form (null for none)
+ */
+function readMaskFromForm(form) {
+  const type = form.querySelector("#station-mask-type")?.value;
+
+  if (type === "constant") {
+    const value = parseFloat(
+      form.querySelector("#station-mask-constant").value,
+    );
+    return normalizeHorizonMask({ type: "constant", elevation: value });
+  }
+
+  if (type === "table") {
+    const text = form.querySelector("#station-mask-table").value;
+    return normalizeHorizonMask({
+      type: "table",
+      points: parseHorizonCsv(text),
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Show the inputs for the selected mask type and redraw the preview
+ */
+function refreshMaskEditor(form) {
+  const type = form.querySelector("#station-mask-type")?.value;
+  form
+    .querySelector("#station-mask-constant-group")
+    ?.classList.toggle("hidden", type !== "constant");
+  form
+    .querySelector("#station-mask-table-group")
+    ?.classList.toggle("hidden", type !== "table");
+
+  drawMaskPreview(
+    form.querySelector("#station-mask-preview"),
+    readMaskFromForm(form),
+  );
+}
+
+/**
+ * Bind mask type, value, table and CSV import inputs
+ */
+function setupMaskEditor(form) {
+  const typeSelect = form.querySelector("#station-mask-type");
+  const tableInput = form.querySelector("#station-mask-table");
+  const fileInput = form.querySelector("#station-mask-file");
+
+  typeSelect?.addEventListener("change", () => refreshMaskEditor(form));
+  form
+    .querySelector("#station-mask-constant")
+    ?.addEventListener("input", () => refreshMaskEditor(form));
+  tableInput?.addEventListener("input", () => refreshMaskEditor(form));
+
+  fileInput?.addEventListener("change", () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const points = parseHorizonCsv(reader.result);
+      if (points.length === 0) {
+        alert("No azimuth/elevation pairs found in " + file.name);
+        return;
+      }
+      tableInput.value = formatHorizonTable(points);
+      typeSelect.value = "table";
+      refreshMaskEditor(form);
+      console.log(
+        `[AddStation] Imported ${points.length} horizon points from ${file.name}`,
+      );
+    };
+    reader.onerror = () => alert("Failed to read " + file.name);
+    reader.readAsText(file);
+  });
+
+  // form.reset() fires before the fields are cleared
+  form.addEventListener("reset", () => {
+    setTimeout(() => refreshMaskEditor(form), 0);
+  });
+
+  refreshMaskEditor(form);
+}
+
+/**
+ * Polar plot of a horizon mask (zenith at the centre, north up, east right)
+ */
+function drawMaskPreview(canvas, mask) {
+  if (!canvas) return;
+  const ctx = canvas.getContext("2d");
+  const cx = canvas.width / 2;
+  const cy = canvas.height / 2;
+  const horizonRadius = Math.min(cx, cy) - 16;
+  const radiusAt = (elevation) => (horizonRadius * (90 - elevation)) / 90;
+  const traceMaskProfile = () => {
+    for (let az = 0; az <= 360; az += 2) {
+      const r = radiusAt(getMaskElevation(mask, az));
+      const angle = (az * Math.PI) / 180;
+      const x = cx + r * Math.sin(angle);
+      const y = cy - r * Math.cos(angle);
+      if (az === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+  };
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  // Mask region between the horizon and the mask profile
+  if (mask) {
+    ctx.beginPath();
+    ctx.arc(cx, cy, horizonRadius, 0, Math.PI * 2);
+    traceMaskProfile();
+    ctx.closePath();
+    ctx.fillStyle = MASK_PREVIEW_COLORS.maskFill;
+    ctx.fill("evenodd");
+  }
+
+  // Elevation rings at 0°, 30° and 60°
+  ctx.strokeStyle = MASK_PREVIEW_COLORS.ring;
+  ctx.lineWidth = 1;
+  [0, 30, 60].forEach((elevation) => {
+    ctx.beginPath();
+    ctx.arc(cx, cy, radiusAt(elevation), 0, Math.PI * 2);
+    ctx.stroke();
+  });
+  ctx.beginPath();
+  ctx.moveTo(cx - horizonRadius, cy);
+  ctx.lineTo(cx + horizonRadius, cy);
+  ctx.moveTo(cx, cy - horizonRadius);
+  ctx.lineTo(cx, cy + horizonRadius);
+  ctx.stroke();
+
+  // Mask outline
+  if (mask) {
+    ctx.beginPath();
+    traceMaskProfile();
+    ctx.strokeStyle = MASK_PREVIEW_COLORS.maskLine;
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+  }
+
+  // Compass labels
+  ctx.fillStyle = MASK_PREVIEW_COLORS.text;
+  ctx.font = "11px sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText("N", cx, cy - horizonRadius - 8);
+  ctx.fillText("S", cx, cy + horizonRadius + 8);
+  ctx.fillText("E", cx + horizonRadius + 8, cy);
+  ctx.fillText("W", cx - horizonRadius - 8, cy);
+}
+
 /**
  * Show the modal
  */
@@ -1,181 +1,75 @@
 // ============================================
-// EXPRESS SERVER PROXY FOR HEATMAP API
-// Proxies requests to the actual heatmap server
+// EXPRESS SERVER FOR HEATMAP API
+// Generates heatmaps locally, or proxies to a remote heatmap server
+// when HEATMAP_SERVER_URL is set
 // ============================================
 
 const express = require("express");
 const cors = require("cors");
 const http = require("http");
 const WebSocket = require("ws");
+const fs = require("fs");
+const path = require("path");
+const {
+  LIMITS: HEATMAP_LIMITS,
+  parseSatellites,
+  resolveGenerateOptions,
+  prepareHeatmapRun,
+  describeLegend,
+  generateHeatmapFrames,
+} = require("./server/heatmapEngine");
+const { createJobManager } = require("./server/jobManager");
+const { createTleCache } = require("./server/tleCache");
 
 const app = express();
 const server = http.createServer(app);
 const PORT = process.env.PORT || 1234;
 
-// Heatmap server URL (configure this to point to your actual server)
-const HEATMAP_SERVER_URL =
-  process.env.HEATMAP_SERVER_URL ||
-  "https://knox-swainish-wonderingly.ngrok-free.dev";
+// Remote heatmap server URL (leave unset to generate heatmaps locally)
+const HEATMAP_SERVER_URL = process.env.HEATMAP_SERVER_URL || null;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Constellation-wide heatmaps post thousands of TLEs (~170 bytes each)
+app.use(express.json({ limit: "10mb" }));
 
 // API routes must come BEFORE static file serving
 // This ensures API endpoints are matched first
 
-// Store running processes
-const runningProcesses = new Map();
-
-// Helper to stop a process
-function stopProcess(pid) {
-  console.log("[Server] [stopProcess] Attempting to stop process:", pid);
-
-  const processInfo = runningProcesses.get(pid);
-  if (!processInfo) {
-    console.log(
-      "[Server] [stopProcess] Process not found in runningProcesses map",
-    );
-    return false;
-  }
-
-  console.log("[Server] [stopProcess] Process found, killing...");
-  console.log("[Server] [stopProcess] Platform:", process.platform);
-  console.log(
-    "[Server] [stopProcess] Process start time:",
-    new Date(processInfo.startTime).toISOString(),
-  );
-
-  try {
-    if (process.platform === "win32") {
-      console.log("[Server] [stopProcess] Using taskkill for Windows");
-      const { spawn } = require("child_process");
-      const killProcess = spawn("taskkill", [
-        "/pid",
-        pid.toString(),
-        "/T",
-        "/F",
-      ]);
-
-      killProcess.on("exit", (code) => {
-        console.log(
-          `[Server] [stopProcess] taskkill exited with code: ${code}`,
-        );
-      });
-
-      killProcess.on("error", (error) => {
-        console.error(`[Server] [stopProcess] taskkill error:`, error);
-      });
-    } else {
-      console.log("[Server] [stopProcess] Using SIGTERM for Unix");
-      processInfo.process.kill("SIGTERM");
-    }
-
-    runningProcesses.delete(pid);
-    console.log("[Server] [stopProcess] ✓ Process removed from map");
-    return true;
-  } catch (error) {
-    console.error(
-      `[Server] [stopProcess] ERROR: Failed to stop process ${pid}`,
-    );
-    console.error("[Server] [stopProcess] Error type:", error.constructor.name);
-    console.error("[Server] [stopProcess] Error message:", error.message);
-    console.error("[Server] [stopProcess] Error stack:", error.stack);
-    return false;
-  }
-}
+// heatmap_client.py runs, each with its own directory under heatmapReciever/jobs
+const jobManager = createJobManager({
+  scriptPath: path.join(__dirname, "heatmapReciever", "heatmap_client.py"),
+  jobsDir: path.join(__dirname, "heatmapReciever", "jobs"),
+  serverUrl: `http://localhost:${PORT}`,
+  timeoutMs: Number(process.env.HEATMAP_JOB_TIMEOUT_MS) || undefined,
+});
 
 // ============================================
 // HEATMAP API ENDPOINTS (Proxy to actual server)
 // ============================================
 
 /**
- * Execute heatmap_client.py locally
+ * Queue a heatmap_client.py job
  * POST /api/run-heatmap-client
- * Spawns Python process: python heatmap_client.py --satellite-file <file> --duration <duration> --step <step>
+ * Body: { satelliteData, duration, step }
+ * Returns the job; poll GET /api/jobs/:id for its state and progress
  */
-app.post("/api/run-heatmap-client", async (req, res) => {
-  console.log("[Server] ========================================");
+app.post("/api/run-heatmap-client", (req, res) => {
   console.log("[Server] Received request to execute heatmap_client.py");
-  console.log("[Server] ========================================");
-  console.log("[Server] Request body:", JSON.stringify(req.body, null, 2));
 
   try {
     const { satelliteData, duration, step } = req.body;
 
-    console.log("[Server] Parsed request parameters:");
-    console.log(
-      "[Server]   - satelliteData:",
-      satelliteData ? "present" : "missing",
-    );
-    console.log("[Server]   - duration:", duration);
-    console.log("[Server]   - step:", step);
-
     if (!satelliteData) {
       console.error("[Server] ERROR: satelliteData is required but missing");
       return res.status(400).json({ error: "satelliteData is required" });
     }
 
-    const { spawn } = require("child_process");
-    const path = require("path");
-    const fs = require("fs");
-
-    console.log("[Server] Loading Node.js modules...");
-    console.log("[Server]   - spawn:", typeof spawn);
-    console.log("[Server]   - path:", typeof path);
-    console.log("[Server]   - fs:", typeof fs);
-
-    // Create satellite data file
-    const satelliteFilePath = path.join(
-      __dirname,
-      "heatmapReciever",
-      "test_satellite.json",
-    );
-    const satelliteDir = path.dirname(satelliteFilePath);
-
-    console.log("[Server] Satellite file path:", satelliteFilePath);
-    console.log("[Server] Satellite directory:", satelliteDir);
-
-    // Ensure directory exists
-    if (!fs.existsSync(satelliteDir)) {
-      console.log("[Server] Creating satellite directory:", satelliteDir);
-      fs.mkdirSync(satelliteDir, { recursive: true });
-      console.log("[Server] ✓ Directory created");
-    } else {
-      console.log("[Server] ✓ Directory already exists");
-    }
-
-    // Write satellite data to file
-    console.log("[Server] Writing satellite data to file...");
-    console.log(
-      "[Server] Satellite data content:",
-      JSON.stringify(satelliteData, null, 2),
-    );
-    fs.writeFileSync(satelliteFilePath, JSON.stringify(satelliteData, null, 2));
-    console.log(`[Server] ✓ Satellite data written to: ${satelliteFilePath}`);
-
-    // Verify file was created
-    if (fs.existsSync(satelliteFilePath)) {
-      const fileStats = fs.statSync(satelliteFilePath);
-      console.log("[Server] ✓ File verified, size:", fileStats.size, "bytes");
-    } else {
-      throw new Error("Failed to create satellite file");
-    }
-
-    // Determine Python command
-    const pythonCmd = process.platform === "win32" ? "python" : "python3";
     const pythonScript = path.join(
       __dirname,
       "heatmapReciever",
       "heatmap_client.py",
     );
-
-    console.log("[Server] Python configuration:");
-    console.log("[Server]   - Platform:", process.platform);
-    console.log("[Server]   - Python command:", pythonCmd);
-    console.log("[Server]   - Script path:", pythonScript);
-
-    // Verify script exists
     if (!fs.existsSync(pythonScript)) {
       console.error(
         "[Server] ERROR: heatmap_client.py not found at:",
@@ -186,102 +80,319 @@ app.post("/api/run-heatmap-client", async (req, res) => {
         .json({ error: `heatmap_client.py not found at ${pythonScript}` });
     }
 
-    const scriptStats = fs.statSync(pythonScript);
-    console.log("[Server] ✓ Script verified, size:", scriptStats.size, "bytes");
-
-    // Prepare command arguments
-    // Format: python heatmap_client.py --satellite-file <file> --duration <duration> --step <step>
-    const args = [
-      pythonScript,
-      "--satellite-file",
-      satelliteFilePath,
-      "--duration",
-      (duration || 600).toString(),
-      "--step",
-      (step || 10).toString(),
-    ];
-
-    console.log("[Server] ========================================");
-    console.log("[Server] Executing Python script:");
-    console.log("[Server]   Command:", pythonCmd);
-    console.log("[Server]   Arguments:", args.join(" "));
-    console.log("[Server]   Full command:", `${pythonCmd} ${args.join(" ")}`);
-    console.log("[Server] ========================================");
-
-    // Spawn Python process with UTF-8 encoding for Windows compatibility
-    const pythonProcess = spawn(pythonCmd, args, {
-      cwd: __dirname,
-      stdio: ["ignore", "pipe", "pipe"],
-      env: {
-        ...process.env,
-        PYTHONIOENCODING: "utf-8",
-      },
+    const job = jobManager.createJob({ satelliteData, duration, step });
+
+    res.status(202).json({
+      success: true,
+      job_id: job.id,
+      state: job.state,
+      pid: job.pid,
+      job,
+      message:
+        job.state === "queued"
+          ? "heatmap_client.py queued"
+          : "heatmap_client.py started",
     });
+  } catch (error) {
+    console.error("[Server] ERROR: Failed to execute heatmap_client.py");
+    console.error("[Server] Error message:", error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * List heatmap_client.py jobs, newest first
+ * GET /api/jobs
+ */
+app.get("/api/jobs", (req, res) => {
+  res.json({ jobs: jobManager.listJobs() });
+});
 
-    const pid = pythonProcess.pid;
-    console.log("[Server] ✓ Python process spawned");
-    console.log("[Server]   Process PID:", pid);
-    console.log("[Server]   Working directory:", __dirname);
+/**
+ * Get one heatmap_client.py job
+ * GET /api/jobs/:id
+ */
+app.get("/api/jobs/:id", (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json(job);
+});
 
-    runningProcesses.set(pid, {
-      process: pythonProcess,
-      startTime: Date.now(),
-    });
+// ============================================
+// TLE DATA
+// CelesTrak groups fetched and cached on the server
+// ============================================
 
-    console.log("[Server] Process registered in runningProcesses map");
-    console.log("[Server] Total running processes:", runningProcesses.size);
+const tleCache = createTleCache({
+  cacheDir: path.join(__dirname, ".cache", "tle"),
+  snapshotDir: path.join(__dirname, "data", "tle-snapshot"),
+  maxAgeMs: Number(process.env.TLE_CACHE_MAX_AGE_MS) || undefined,
+});
 
-    // Handle process output
-    pythonProcess.stdout.on("data", (data) => {
-      const output = data.toString();
-      console.log(`[Server] [HeatmapClient ${pid}] STDOUT:`, output);
+/**
+ * TLE text for a CelesTrak group
+ * GET /api/tle?group=active
+ * X-TLE-Source tells where it came from (cache, revalidated, fresh, stale, snapshot)
+ */
+app.get("/api/tle", async (req, res) => {
+  const group = req.query.group || "active";
+
+  try {
+    const result = await tleCache.getGroup(group);
+    res.set({
+      "Content-Type": "text/plain; charset=utf-8",
+      "X-TLE-Source": result.source,
+      "X-TLE-Fetched-At": result.fetchedAt,
     });
+    res.send(result.text);
+  } catch (error) {
+    console.error(`[TLE] ${error.message}`);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// LOCAL HEATMAP ENGINE
+// Serves the same protocol as the remote heatmap server
+// ============================================
+
+// Satellites from the last /api/initialize and the current generation run
+const localHeatmap = {
+  records: [],
+  config: {},
+  run: null, // { id, messages, bufferedFrames, droppedFrames, done, cancelled }
+};
+let localRunCounter = 0;
+
+// Frames kept for replay to clients that connect mid-run. Frames carry a
+// PNG and a value grid each, so only the latest ones are kept. The heatmap
+// panel connects before /api/generate and receives every frame live; a
+// client that joins later is told how many frames it missed.
+const LOCAL_REPLAY_FRAMES = 50;
+
+/**
+ * Send a message to every connected local frame client
+ */
+function broadcastLocal(message) {
+  const payload = JSON.stringify(message);
+  wss.clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(payload);
+    }
+  });
+}
+
+/**
+ * Record a message on the current run and broadcast it
+ * Clients that connect mid-run (or after it completes) get the run replayed:
+ * every status message, and the latest LOCAL_REPLAY_FRAMES frames.
+ */
+function publishLocal(run, message) {
+  if (run.cancelled) return;
+  run.messages.push(message);
+  if (message.type === "frame" && ++run.bufferedFrames > LOCAL_REPLAY_FRAMES) {
+    const oldest = run.messages.findIndex((entry) => entry.type === "frame");
+    run.messages.splice(oldest, 1);
+    run.bufferedFrames--;
+    run.droppedFrames++;
+  }
+  broadcastLocal(message);
+}
+
+/**
+ * Cancel the current local run (superseded by a new initialize/generate,
+ * or stopped by a frame client's cancel message)
+ */
+function cancelLocalRun() {
+  if (localHeatmap.run && !localHeatmap.run.done) {
+    localHeatmap.run.cancelled = true;
+    console.log(`[Heatmap] Run ${localHeatmap.run.id} cancelled`);
+  }
+}
 
-    pythonProcess.stderr.on("data", (data) => {
-      const error = data.toString();
-      console.error(`[Server] [HeatmapClient ${pid}] STDERR:`, error);
+/**
+ * Run a local generation and stream its frames
+ */
+async function runLocalGeneration(run, prepared) {
+  publishLocal(run, {
+    type: "status",
+    data: {
+      status: `Generating ${prepared.options.totalFrames} frames locally...`,
+    },
+  });
+
+  try {
+    const result = await generateHeatmapFrames(prepared, {
+      isCancelled: () => run.cancelled,
+      onFrame: (frame) => {
+        publishLocal(run, {
+          type: "frame",
+          index: frame.index,
+          total: frame.total,
+          filename: frame.filename,
+          timestamp: frame.timestamp,
+          data: frame.png.toString("base64"),
+          grid: frame.grid,
+        });
+      },
     });
 
-    pythonProcess.on("error", (error) => {
-      console.error(`[Server] [HeatmapClient ${pid}] Process error:`, error);
+    if (result.cancelled) return;
+
+    publishLocal(run, {
+      type: "complete",
+      total_frames: result.framesGenerated,
     });
+    console.log(
+      `[Heatmap] Run ${run.id} complete: ${result.framesGenerated} frames`,
+    );
+  } catch (error) {
+    console.error(`[Heatmap] Run ${run.id} failed:`, error);
+    publishLocal(run, { type: "error", error: error.message });
+  } finally {
+    run.done = true;
+  }
+}
 
-    pythonProcess.on("exit", (code, signal) => {
-      console.log(`[Server] [HeatmapClient ${pid}] Process exited`);
-      console.log(`[Server]   Exit code:`, code);
-      console.log(`[Server]   Signal:`, signal);
-      runningProcesses.delete(pid);
-      console.log(`[Server] Process removed from runningProcesses map`);
-      console.log(`[Server] Remaining processes:`, runningProcesses.size);
+/**
+ * Local /api/initialize: parse and store the satellite TLEs
+ */
+function initializeLocal(req, res) {
+  const { satellites, config } = req.body || {};
+  if (!Array.isArray(satellites) || satellites.length === 0) {
+    return res.status(400).json({ error: "satellites array is required" });
+  }
+  if (satellites.length > HEATMAP_LIMITS.maxSatellites) {
+    return res.status(413).json({
+      error: `Too many satellites (${satellites.length}); the limit is ${HEATMAP_LIMITS.maxSatellites}`,
     });
+  }
+
+  const { records, skipped } = parseSatellites(satellites);
+  if (records.length === 0) {
+    return res.status(400).json({ error: "No valid TLEs in satellites" });
+  }
 
-    console.log("[Server] ========================================");
-    console.log("[Server] ✓ heatmap_client.py execution initiated");
-    console.log("[Server] Returning response to client...");
-    console.log("[Server] ========================================");
+  cancelLocalRun();
+  localHeatmap.records = records;
+  localHeatmap.config = config || {};
+  localHeatmap.run = null;
 
-    res.json({
-      success: true,
-      pid: pid,
-      message: "heatmap_client.py started",
-    });
+  console.log(
+    `[Heatmap] Initialized with ${records.length} satellites` +
+      (skipped.length > 0 ? ` (${skipped.length} skipped)` : ""),
+  );
+  res.json({
+    success: true,
+    satellite_count: records.length,
+    skipped,
+  });
+}
+
+/**
+ * Local /api/generate: start streaming frames over /ws/frames
+ */
+function generateLocal(req, res) {
+  if (localHeatmap.records.length === 0) {
+    return res
+      .status(400)
+      .json({ error: "Not initialized: POST /api/initialize first" });
+  }
+
+  let options;
+  let prepared;
+  try {
+    options = resolveGenerateOptions(req.body || {}, localHeatmap.config);
+    prepared = prepareHeatmapRun(localHeatmap.records, options);
   } catch (error) {
-    console.error("[Server] ========================================");
-    console.error("[Server] ERROR: Failed to execute heatmap_client.py");
-    console.error("[Server] Error type:", error.constructor.name);
-    console.error("[Server] Error message:", error.message);
-    console.error("[Server] Error stack:", error.stack);
-    console.error("[Server] ========================================");
-    res.status(500).json({ error: error.message });
+    return res.status(400).json({ error: error.message });
   }
-});
+
+  cancelLocalRun();
+  const run = {
+    id: ++localRunCounter,
+    messages: [],
+    bufferedFrames: 0,
+    droppedFrames: 0,
+    done: false,
+    cancelled: false,
+  };
+  localHeatmap.run = run;
+
+  console.log(
+    `[Heatmap] Run ${run.id}: ${options.totalFrames} frames, metric ${options.metric}, ${options.resolutionDeg}° grid`,
+  );
+  res.json({
+    success: true,
+    total_frames: options.totalFrames,
+    metric: options.metric,
+    start_time: options.startTime.toISOString(),
+    legend: describeLegend(prepared),
+  });
+
+  // Respond first, then generate in the background
+  setImmediate(() => runLocalGeneration(run, prepared));
+}
+
+/**
+ * Local /ws/frames: replay the current run, then receive live frames
+ */
+function attachLocalFrameClient(clientWs) {
+  console.log("[WebSocket] Local frame client connected");
+
+  const run = localHeatmap.run;
+  if (run && !run.cancelled) {
+    if (run.droppedFrames > 0) {
+      clientWs.send(
+        JSON.stringify({
+          type: "status",
+          data: {
+            status: `Joined mid-run: the first ${run.droppedFrames} frames are no longer available`,
+            dropped_frames: run.droppedFrames,
+          },
+        }),
+      );
+    }
+    run.messages.forEach((message) => {
+      clientWs.send(JSON.stringify(message));
+    });
+  } else {
+    clientWs.send(
+      JSON.stringify({
+        type: "status",
+        data: { status: "Connected, waiting for generation" },
+      }),
+    );
+  }
+
+  // { type: "cancel" } stops the run (the panel's Stop button)
+  clientWs.on("message", (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+    if (message && message.type === "cancel") cancelLocalRun();
+  });
+  clientWs.on("error", (error) => {
+    console.error("[WebSocket] Client connection error:", error.message);
+  });
+  clientWs.on("close", () => {
+    console.log("[WebSocket] Local frame client disconnected");
+  });
+}
 
 /**
  * Initialize backend with satellite data
  * POST /api/initialize
- * Proxies to actual heatmap server
+ * Handled locally, or proxied when HEATMAP_SERVER_URL is set
  */
 app.post("/api/initialize", async (req, res) => {
+  if (!HEATMAP_SERVER_URL) return initializeLocal(req, res);
+
   try {
     const fetch = (await import("node-fetch")).default;
     const response = await fetch(`${HEATMAP_SERVER_URL}/api/initialize`, {
@@ -301,14 +412,16 @@ app.post("/api/initialize", async (req, res) => {
 });
 
 /**
- * Start heatmap generation (first frame only)
+ * Start heatmap generation
  * POST /api/generate
- * Proxies to actual heatmap server
+ * Handled locally, or proxied when HEATMAP_SERVER_URL is set
  *
- * Note: This endpoint only starts generating the first frame of the frameset.
- * Subsequent frames are streamed via WebSocket (/ws/frames).
+ * Note: This endpoint only starts the generation.
+ * Frames are streamed via WebSocket (/ws/frames).
  */
 app.post("/api/generate", async (req, res) => {
+  if (!HEATMAP_SERVER_URL) return generateLocal(req, res);
+
   try {
     const fetch = (await import("node-fetch")).default;
     const response = await fetch(`${HEATMAP_SERVER_URL}/api/generate`, {
@@ -328,16 +441,21 @@ app.post("/api/generate", async (req, res) => {
 });
 
 // ============================================
-// WEBSOCKET PROXY FOR FRAME STREAMING
+// WEBSOCKET FRAME STREAMING
 // ============================================
 
-// WebSocket server for proxying frames
+// WebSocket server for local frames or proxying remote frames
 const wss = new WebSocket.Server({
   server,
   path: "/ws/frames",
 });
 
 wss.on("connection", (clientWs) => {
+  if (!HEATMAP_SERVER_URL) {
+    attachLocalFrameClient(clientWs);
+    return;
+  }
+
   console.log("[WebSocket] Client connected");
 
   // Connect to actual heatmap server WebSocket
@@ -485,8 +603,9 @@ wss.on("connection", (clientWs) => {
 
 /**
  * Clear output directory
- * DELETE /api/clear-output
- * Deletes all files from the output/received_frames directory
+ * DELETE /api/clear-output?jobId=<id>
+ * Deletes the frames written by one job, or all files from the shared
+ * output/received_frames directory when no job is given
  */
 app.delete("/api/clear-output", (req, res) => {
   console.log("[Server] ========================================");
@@ -494,8 +613,23 @@ app.delete("/api/clear-output", (req, res) => {
   console.log("[Server] ========================================");
 
   try {
-    const fs = require("fs");
-    const path = require("path");
+    const jobId = req.query.jobId || (req.body && req.body.jobId);
+    if (jobId) {
+      const result = jobManager.clearJobOutput(jobId);
+      if (!result) {
+        return res.status(404).json({ error: "Job not found" });
+      }
+
+      console.log(
+        `[Server] ✓ Cleared job ${jobId}: ${result.deletedCount} files`,
+      );
+      return res.status(result.errors.length > 0 ? 207 : 200).json({
+        success: true,
+        jobId,
+        message: `Deleted ${result.deletedCount} files`,
+        ...result,
+      });
+    }
 
     const outputDir = path.join(__dirname, "output", "received_frames");
 
@@ -561,44 +695,41 @@ app.delete("/api/clear-output", (req, res) => {
 });
 
 /**
- * Stop heatmap client process
+ * Cancel a heatmap_client.py job
  * POST /api/stop-client
+ * Body: { jobId } (or { pid } for the job running as that process)
  */
 app.post("/api/stop-client", (req, res) => {
-  console.log("[Server] ========================================");
   console.log("[Server] Received request to stop heatmap client");
-  console.log("[Server] Request body:", JSON.stringify(req.body, null, 2));
 
   try {
-    const { pid } = req.body;
-
-    console.log("[Server] PID to stop:", pid);
+    const { jobId, pid } = req.body;
+    const id = jobId || (pid ? jobManager.findJobByPid(pid) : null);
 
-    if (!pid) {
-      console.error("[Server] ERROR: PID is required but missing");
-      return res.status(400).json({ error: "PID required" });
+    if (!jobId && !pid) {
+      console.error("[Server] ERROR: jobId is required but missing");
+      return res.status(400).json({ error: "jobId required" });
     }
 
-    console.log(
-      "[Server] Current running processes:",
-      Array.from(runningProcesses.keys()),
-    );
-
-    if (stopProcess(pid)) {
-      console.log("[Server] ✓ Process stopped successfully");
-      console.log("[Server] Remaining processes:", runningProcesses.size);
-      res.json({ success: true, message: "Process stopped" });
-    } else {
-      console.error(
-        "[Server] ERROR: Process not found in runningProcesses map",
-      );
-      res.status(404).json({ error: "Process not found" });
+    const job = id ? jobManager.cancelJob(id) : null;
+    if (!job) {
+      console.error("[Server] ERROR: Job not found:", jobId || `PID ${pid}`);
+      return res.status(404).json({ error: "Job not found" });
     }
+
+    console.log(`[Server] ✓ Job ${job.id} is ${job.state}`);
+    res.json({
+      success: true,
+      job_id: job.id,
+      state: job.state,
+      message:
+        job.state === "cancelled"
+          ? "Job cancelled"
+          : `Job already ${job.state}`,
+    });
   } catch (error) {
-    console.error("[Server] ERROR: Failed to stop process");
-    console.error("[Server] Error type:", error.constructor.name);
+    console.error("[Server] ERROR: Failed to stop job");
     console.error("[Server] Error message:", error.message);
-    console.error("[Server] Error stack:", error.stack);
     res.status(500).json({ error: error.message });
   }
 });
@@ -610,12 +741,20 @@ app.use(express.static("."));
 server.listen(PORT, () => {
   console.log(`✓ Server running on http://localhost:${PORT}`);
   console.log(`✓ Heatmap API endpoints:`);
-  console.log(`  - POST /api/run-heatmap-client (spawns heatmap_client.py)`);
-  console.log(`  - POST /api/stop-client (stops process)`);
-  console.log(`  - DELETE /api/clear-output (clears output directory)`);
-  console.log(`  - POST /api/initialize (proxies to heatmap server)`);
-  console.log(`  - POST /api/generate (proxies to heatmap server)`);
-  console.log(`  - WebSocket /ws/frames (proxies to heatmap server)`);
-  console.log(`✓ Proxying to heatmap server: ${HEATMAP_SERVER_URL}`);
+  console.log(`  - POST /api/run-heatmap-client (queues a client job)`);
+  console.log(`  - GET /api/jobs, GET /api/jobs/:id (job state and progress)`);
+  console.log(`  - POST /api/stop-client (cancels a job)`);
+  console.log(`  - DELETE /api/clear-output (clears job output)`);
+  console.log(`  - GET /api/tle?group=... (cached CelesTrak TLEs)`);
+  console.log(`  - POST /api/initialize`);
+  console.log(`  - POST /api/generate`);
+  console.log(`  - WebSocket /ws/frames`);
+  if (HEATMAP_SERVER_URL) {
+    console.log(`✓ Proxying to heatmap server: ${HEATMAP_SERVER_URL}`);
+  } else {
+    console.log(
+      `✓ Generating heatmaps locally (set HEATMAP_SERVER_URL to proxy)`,
+    );
+  }
   console.log(`✓ Static files served from current directory`);
 });
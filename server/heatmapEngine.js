@@ -0,0 +1,624 @@
+// ============================================
+// LOCAL HEATMAP ENGINE
+// Propagates satellites with satellite.js, evaluates a metric on a
+// lat/lon grid per time step and encodes equirectangular PNG frames
+// ============================================
+
+const zlib = require("zlib");
+const satellite = require("satellite.js");
+
+const EARTH_RADIUS_KM = 6371;
+const SPEED_OF_LIGHT_KM_S = 299792.458;
+const DEG_TO_RAD = Math.PI / 180;
+
+const DEFAULTS = {
+  metric: "latency",
+  resolutionDeg: 2,
+  minElevationDeg: 10,
+  opacity: 200, // PNG alpha for covered cells (0-255)
+};
+
+// Frame and grid size limits so a single request cannot exhaust the server
+// (the client checks maxFrames too: CONFIG.HEATMAP_MAX_FRAMES)
+const LIMITS = {
+  maxFrames: 2000,
+  maxSatellites: 20000,
+  minResolutionDeg: 0.5,
+};
+
+// Color ramp from low to high values (RGB)
+const COLOR_STOPS = [
+  [0.0, [48, 18, 59]],
+  [0.25, [65, 130, 240]],
+  [0.5, [40, 225, 150]],
+  [0.75, [250, 195, 40]],
+  [1.0, [200, 30, 20]],
+];
+
+// ============================================
+// METRICS
+// ============================================
+
+/**
+ * Slant range from the ground to a satellite seen at a given elevation
+ */
+function slantRangeKm(altitudeKm, elevationRad) {
+  const r = EARTH_RADIUS_KM + altitudeKm;
+  const cosE = Math.cos(elevationRad);
+  return (
+    Math.sqrt(r * r - EARTH_RADIUS_KM * EARTH_RADIUS_KM * cosE * cosE) -
+    EARTH_RADIUS_KM * Math.sin(elevationRad)
+  );
+}
+
+/**
+ * Each metric reduces the visible satellites of one cell to a value.
+ * accumulate(previous, look) folds one visible satellite into the cell;
+ * finalize(values, state, frame) optionally post-processes a whole frame
+ * (for metrics that depend on earlier frames); range(context) gives the
+ * color scale bounds for the run. invert maps low values to the hot end.
+ */
+const METRICS = {
+  latency: {
+    label: "Minimum one-way latency",
+    units: "ms",
+    invert: true,
+    accumulate: (previous, look) => {
+      const ms = (look.rangeKm / SPEED_OF_LIGHT_KM_S) * 1000;
+      return previous === null ? ms : Math.min(previous, ms);
+    },
+    range: ({ minAltitudeKm, maxAltitudeKm, minElevationRad }) => [
+      (minAltitudeKm / SPEED_OF_LIGHT_KM_S) * 1000,
+      (slantRangeKm(maxAltitudeKm, minElevationRad) / SPEED_OF_LIGHT_KM_S) *
+        1000,
+    ],
+  },
+
+  visible_count: {
+    label: "Visible satellites",
+    units: "satellites",
+    invert: false,
+    accumulate: (previous) => (previous === null ? 1 : previous + 1),
+    // Scale to the busiest cell at the start of the run
+    range: ({ sampleValues }) => {
+      const peak = sampleValues().reduce(
+        (max, value) => (value === null ? max : Math.max(max, value)),
+        1,
+      );
+      return [0, peak];
+    },
+  },
+
+  max_elevation: {
+    label: "Maximum elevation",
+    units: "°",
+    invert: false,
+    accumulate: (previous, look) =>
+      previous === null
+        ? look.elevationDeg
+        : Math.max(previous, look.elevationDeg),
+    range: ({ minElevationDeg }) => [minElevationDeg, 90],
+  },
+
+  coverage_gap: {
+    label: "Coverage gap duration",
+    units: "min",
+    invert: false,
+    accumulate: () => 0,
+    // Minutes since each cell last had a satellite in view (0 while covered);
+    // cells not yet covered count from the start of the run
+    finalize: (values, state, frame) => {
+      if (!state.lastCoveredSeconds) {
+        state.lastCoveredSeconds = new Float64Array(values.length);
+      }
+      return values.map((value, i) => {
+        if (value !== null) {
+          state.lastCoveredSeconds[i] = frame.elapsedSeconds;
+          return 0;
+        }
+        return (frame.elapsedSeconds - state.lastCoveredSeconds[i]) / 60;
+      });
+    },
+    range: ({ durationSeconds }) => [0, Math.max(1, durationSeconds / 60)],
+  },
+};
+
+// ============================================
+// SATELLITES
+// ============================================
+
+/**
+ * Parse initialize payload satellites into propagatable records
+ * @param {Array<{id?:string, name:string, tle1:string, tle2:string}>} satellites
+ * @returns {{records:Array<Object>, skipped:Array<string>}}
+ */
+function parseSatellites(satellites) {
+  const records = [];
+  const skipped = [];
+
+  (satellites || []).forEach((sat) => {
+    const name = sat.name || sat.id || "Unknown";
+    try {
+      const satrec = satellite.twoline2satrec(sat.tle1, sat.tle2);
+      if (satrec.error) {
+        skipped.push(name);
+        return;
+      }
+      records.push({ id: sat.id || name, name, satrec });
+    } catch (error) {
+      skipped.push(name);
+    }
+  });
+
+  return { records, skipped };
+}
+
+/**
+ * Earth-fixed positions of all satellites at one instant
+ * @returns {Array<{x:number, y:number, z:number, altitudeKm:number}>}
+ */
+function propagateAll(records, time) {
+  const gmst = satellite.gstime(time);
+  const positions = [];
+
+  records.forEach((record) => {
+    const pv = satellite.propagate(record.satrec, time);
+    if (!pv || !pv.position || typeof pv.position === "boolean") return;
+
+    const ecf = satellite.eciToEcf(pv.position, gmst);
+    const radius = Math.sqrt(ecf.x * ecf.x + ecf.y * ecf.y + ecf.z * ecf.z);
+    if (!Number.isFinite(radius)) return;
+
+    positions.push({ ...ecf, altitudeKm: radius - EARTH_RADIUS_KM });
+  });
+
+  return positions;
+}
+
+/**
+ * Altitude bounds across the constellation at the start time (color scaling)
+ */
+function altitudeBounds(records, time) {
+  const positions = propagateAll(records, time);
+  if (positions.length === 0) return { minAltitudeKm: 0, maxAltitudeKm: 0 };
+
+  const altitudes = positions.map((p) => p.altitudeKm);
+  return {
+    minAltitudeKm: Math.max(0, Math.min(...altitudes)),
+    maxAltitudeKm: Math.max(...altitudes),
+  };
+}
+
+// ============================================
+// GRID
+// ============================================
+
+/**
+ * Precompute cell centres on a spherical Earth
+ * Rows run south to north because the globe overlay samples frames with
+ * flipY = false; columns run west to east from -180°.
+ */
+function buildGrid(resolutionDeg) {
+  const width = Math.round(360 / resolutionDeg);
+  const height = Math.round(180 / resolutionDeg);
+  const cells = new Float64Array(width * height * 3);
+
+  for (let row = 0; row < height; row++) {
+    const lat = (-90 + (row + 0.5) * resolutionDeg) * DEG_TO_RAD;
+    for (let col = 0; col < width; col++) {
+      const lon = (-180 + (col + 0.5) * resolutionDeg) * DEG_TO_RAD;
+      const i = (row * width + col) * 3;
+      cells[i] = Math.cos(lat) * Math.cos(lon);
+      cells[i + 1] = Math.cos(lat) * Math.sin(lon);
+      cells[i + 2] = Math.sin(lat);
+    }
+  }
+
+  return { width, height, resolutionDeg, cells };
+}
+
+/**
+ * Earth central half-angle of a satellite's coverage above an elevation mask
+ * λ = acos(R / (R + h) · cos ε) − ε
+ */
+function coverageHalfAngle(altitudeKm, minElevationRad) {
+  const ratio = EARTH_RADIUS_KM / (EARTH_RADIUS_KM + altitudeKm);
+  return Math.max(
+    0,
+    Math.acos(ratio * Math.cos(minElevationRad)) - minElevationRad,
+  );
+}
+
+/**
+ * Evaluate a metric over the grid for one set of satellite positions
+ * Walks satellite by satellite and only visits the grid rows its coverage
+ * cap can reach, so whole constellations stay affordable.
+ * @returns {Array<number|null>} Row-major values (null where no satellite is visible)
+ */
+function evaluateGrid(grid, positions, metric, minElevationRad) {
+  const { width, height, resolutionDeg, cells } = grid;
+  const values = new Array(width * height).fill(null);
+  const sinMin = Math.sin(minElevationRad);
+
+  for (let s = 0; s < positions.length; s++) {
+    const p = positions[s];
+    const radius = EARTH_RADIUS_KM + p.altitudeKm;
+    const halfAngle = coverageHalfAngle(p.altitudeKm, minElevationRad);
+    if (halfAngle <= 0) continue;
+
+    // Latitude band of the coverage cap (padded by one cell)
+    const subLatDeg = Math.asin(p.z / radius) / DEG_TO_RAD;
+    const halfAngleDeg = halfAngle / DEG_TO_RAD;
+    const firstRow = Math.max(
+      0,
+      Math.floor((subLatDeg - halfAngleDeg + 90) / resolutionDeg) - 1,
+    );
+    const lastRow = Math.min(
+      height - 1,
+      Math.ceil((subLatDeg + halfAngleDeg + 90) / resolutionDeg) + 1,
+    );
+
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let col = 0; col < width; col++) {
+        const c = row * width + col;
+        const ux = cells[c * 3];
+        const uy = cells[c * 3 + 1];
+        const uz = cells[c * 3 + 2];
+
+        const dx = p.x - ux * EARTH_RADIUS_KM;
+        const dy = p.y - uy * EARTH_RADIUS_KM;
+        const dz = p.z - uz * EARTH_RADIUS_KM;
+        const up = dx * ux + dy * uy + dz * uz;
+        if (up <= 0) continue;
+
+        const rangeKm = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        const sinElevation = up / rangeKm;
+        if (sinElevation < sinMin) continue;
+
+        values[c] = metric.accumulate(values[c], {
+          rangeKm,
+          elevationDeg: Math.asin(sinElevation) / DEG_TO_RAD,
+        });
+      }
+    }
+  }
+
+  return values;
+}
+
+// ============================================
+// NUMERIC FRAMES
+// ============================================
+
+/**
+ * Raw metric values of one frame, sent alongside the PNG
+ * Float32 little-endian, row-major in the same order as the image
+ * (rows south to north, columns west to east); NaN marks "no value".
+ * @returns {Object} JSON-ready grid description with base64 data
+ */
+function encodeValueGrid(values, grid, metricKey, metric) {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, i) => {
+    buffer.writeFloatLE(value === null ? NaN : value, i * 4);
+  });
+
+  return {
+    format: "float32le",
+    metric: metricKey,
+    units: metric.units,
+    width: grid.width,
+    height: grid.height,
+    resolution_deg: grid.resolutionDeg,
+    bounds: { west: -180, south: -90, east: 180, north: 90 },
+    row_order: "south_to_north",
+    data: buffer.toString("base64"),
+  };
+}
+
+// ============================================
+// PNG ENCODING
+// ============================================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array} rgba - width * height * 4 bytes, row-major
+ * @returns {Buffer}
+ */
+function encodePng(width, height, rgba) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // color type RGBA
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // interlace
+
+  // Each scanline starts with filter type 0 (none)
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let row = 0; row < height; row++) {
+    raw[row * (stride + 1)] = 0;
+    Buffer.from(rgba.buffer, rgba.byteOffset + row * stride, stride).copy(
+      raw,
+      row * (stride + 1) + 1,
+    );
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Map a normalized value onto the color ramp
+ */
+function rampColor(t) {
+  const clamped = Math.max(0, Math.min(1, t));
+  for (let i = 1; i < COLOR_STOPS.length; i++) {
+    const [position, color] = COLOR_STOPS[i];
+    if (clamped <= position) {
+      const [prevPosition, prevColor] = COLOR_STOPS[i - 1];
+      const f = (clamped - prevPosition) / (position - prevPosition);
+      return prevColor.map((channel, k) =>
+        Math.round(channel + (color[k] - channel) * f),
+      );
+    }
+  }
+  return COLOR_STOPS[COLOR_STOPS.length - 1][1];
+}
+
+/**
+ * Color grid values into RGBA pixels (uncovered cells stay transparent)
+ */
+function colorizeGrid(values, range, metric, opacity) {
+  const [low, high] = range;
+  const span = high - low || 1;
+  const rgba = new Uint8Array(values.length * 4);
+
+  values.forEach((value, i) => {
+    if (value === null) return;
+    let t = (value - low) / span;
+    if (metric.invert) t = 1 - t;
+    const [r, g, b] = rampColor(t);
+    rgba[i * 4] = r;
+    rgba[i * 4 + 1] = g;
+    rgba[i * 4 + 2] = b;
+    rgba[i * 4 + 3] = opacity;
+  });
+
+  return rgba;
+}
+
+// ============================================
+// GENERATION
+// ============================================
+
+/**
+ * Read an optional numeric parameter
+ * Missing values (undefined, null or "") fall back; anything else must be a
+ * finite number within the bounds.
+ * @throws {Error} If the value is not a number or out of bounds
+ */
+function readNumber(
+  name,
+  value,
+  fallback,
+  { min = -Infinity, max = Infinity } = {},
+) {
+  if (value === undefined || value === null || value === "") return fallback;
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  if (number < min) {
+    throw new Error(`${name} must be at least ${min}, got ${value}`);
+  }
+  if (number > max) {
+    throw new Error(`${name} must be at most ${max}, got ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Normalize /api/generate parameters
+ * @returns {{startTime:Date, durationSeconds:number, stepSeconds:number, totalFrames:number, metric:string, resolutionDeg:number, minElevationDeg:number}}
+ * @throws {Error} If a parameter is invalid (sent back as a 400)
+ */
+function resolveGenerateOptions(body = {}, config = {}) {
+  const durationSeconds = readNumber(
+    "duration_seconds",
+    body.duration_seconds,
+    600,
+    { min: 0 },
+  );
+  const stepSeconds = readNumber("step_seconds", body.step_seconds, 10, {
+    min: 1,
+  });
+  const startTime = body.start_time ? new Date(body.start_time) : new Date();
+  if (isNaN(startTime.getTime())) {
+    throw new Error(`Invalid start_time: ${body.start_time}`);
+  }
+
+  const metric = body.metric || config.metric || DEFAULTS.metric;
+  if (!METRICS[metric]) {
+    throw new Error(`Unknown metric: ${metric}`);
+  }
+
+  const totalFrames = Math.floor(durationSeconds / stepSeconds) + 1;
+  if (totalFrames > LIMITS.maxFrames) {
+    throw new Error(
+      `Too many frames (${totalFrames}); the limit is ${LIMITS.maxFrames}`,
+    );
+  }
+
+  const resolutionDeg = readNumber(
+    "resolution_deg",
+    body.resolution_deg ?? config.resolution_deg,
+    DEFAULTS.resolutionDeg,
+    { min: LIMITS.minResolutionDeg, max: 90 },
+  );
+  const minElevationDeg = readNumber(
+    "min_elevation_deg",
+    body.min_elevation_deg ?? config.min_elevation_deg,
+    DEFAULTS.minElevationDeg,
+    { min: -90, max: 90 },
+  );
+
+  return {
+    startTime,
+    durationSeconds,
+    stepSeconds,
+    totalFrames,
+    metric,
+    resolutionDeg,
+    minElevationDeg,
+  };
+}
+
+/**
+ * Set up a run: grid, metric and the color scale shared by all its frames
+ * @param {Array<Object>} records - Parsed satellite records
+ * @param {Object} options - Output of resolveGenerateOptions
+ * @returns {Object} Prepared run for generateHeatmapFrames / describeLegend
+ */
+function prepareHeatmapRun(records, options) {
+  const metric = METRICS[options.metric];
+  const grid = buildGrid(options.resolutionDeg);
+  const minElevationRad = options.minElevationDeg * DEG_TO_RAD;
+
+  const range = metric.range({
+    ...altitudeBounds(records, options.startTime),
+    minElevationRad,
+    minElevationDeg: options.minElevationDeg,
+    durationSeconds: options.durationSeconds,
+    sampleValues: () =>
+      evaluateGrid(
+        grid,
+        propagateAll(records, options.startTime),
+        metric,
+        minElevationRad,
+      ),
+  });
+
+  return { records, options, metric, grid, minElevationRad, range };
+}
+
+/**
+ * Legend for a prepared run: what the colors mean and the value scale
+ * @returns {{metric:string, label:string, units:string, min:number, max:number, gradient:Array<{position:number, color:string}>, min_elevation_deg:number}}
+ *   gradient runs from min to max value
+ */
+function describeLegend(prepared) {
+  const { metric, range, options } = prepared;
+  const gradient = COLOR_STOPS.map(([position, [r, g, b]]) => ({
+    position: metric.invert ? 1 - position : position,
+    color: `rgb(${r}, ${g}, ${b})`,
+  })).sort((a, b) => a.position - b.position);
+
+  return {
+    metric: options.metric,
+    label: metric.label,
+    units: metric.units,
+    min: range[0],
+    max: range[1],
+    gradient,
+    min_elevation_deg: options.minElevationDeg,
+    // Cells with no satellite above the mask are left transparent, except for
+    // metrics that turn them into values of their own (coverage gap)
+    transparent_below_mask: !metric.finalize,
+  };
+}
+
+/**
+ * Generate heatmap frames one time step at a time
+ * Yields to the event loop between frames so the server stays responsive.
+ * @param {Object} prepared - Output of prepareHeatmapRun
+ * @param {Object} hooks
+ * @param {Function} hooks.onFrame - ({index, total, filename, timestamp, png, grid}) for each frame
+ * @param {Function} hooks.isCancelled - Return true to stop early
+ * @returns {Promise<{framesGenerated:number, cancelled:boolean}>}
+ */
+async function generateHeatmapFrames(prepared, hooks = {}) {
+  const { records, options, metric, grid, minElevationRad, range } = prepared;
+  const metricState = {};
+
+  for (let i = 0; i < options.totalFrames; i++) {
+    if (hooks.isCancelled && hooks.isCancelled()) {
+      return { framesGenerated: i, cancelled: true };
+    }
+
+    const elapsedSeconds = i * options.stepSeconds;
+    const time = new Date(options.startTime.getTime() + elapsedSeconds * 1000);
+    const positions = propagateAll(records, time);
+    let values = evaluateGrid(grid, positions, metric, minElevationRad);
+    if (metric.finalize) {
+      values = metric.finalize(values, metricState, { elapsedSeconds });
+    }
+    const rgba = colorizeGrid(values, range, metric, DEFAULTS.opacity);
+    const index = i + 1;
+
+    if (hooks.onFrame) {
+      hooks.onFrame({
+        index,
+        total: options.totalFrames,
+        filename: `heatmap_${String(index).padStart(4, "0")}.png`,
+        timestamp: time.toISOString(),
+        png: encodePng(grid.width, grid.height, rgba),
+        grid: encodeValueGrid(values, grid, options.metric, metric),
+      });
+    }
+
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  return { framesGenerated: options.totalFrames, cancelled: false };
+}
+
+module.exports = {
+  LIMITS,
+  METRICS,
+  parseSatellites,
+  resolveGenerateOptions,
+  prepareHeatmapRun,
+  describeLegend,
+  generateHeatmapFrames,
+  colorizeGrid,
+  encodeValueGrid,
+  encodePng,
+};
@@ -0,0 +1,381 @@
+// ============================================
+// HEATMAP JOB MANAGER
+// Runs heatmap_client.py jobs one at a time, with their own directories,
+// a state machine and a timeout
+// ============================================
+
+const { spawn } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Job states:
+ *   queued → running → done | failed | cancelled
+ *   queued → cancelled
+ * A job that hits its timeout is stopped and marked failed.
+ */
+const JOB_STATES = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  DONE: "done",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+const FINISHED_STATES = new Set([
+  JOB_STATES.DONE,
+  JOB_STATES.FAILED,
+  JOB_STATES.CANCELLED,
+]);
+
+// Jobs share server.js's single heatmap run and /ws/frames stream, so a
+// second running job would cancel or mix into the first
+const MAX_CONCURRENT = 1;
+
+const DEFAULTS = {
+  timeoutMs: 30 * 60 * 1000,
+  maxHistory: 100, // Finished jobs kept (with their directories)
+};
+
+/**
+ * Error with an HTTP status for the job routes
+ */
+function jobError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * A whole, positive number of seconds, or the fallback when not given
+ * @throws {Error} status 400 for anything else
+ */
+function readSeconds(name, value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+
+  const seconds = Number(value);
+  if (!Number.isInteger(seconds) || seconds <= 0) {
+    throw jobError(
+      400,
+      `${name} must be a positive whole number of seconds, got ${value}`,
+    );
+  }
+  return seconds;
+}
+
+/**
+ * Stop a child process (and its children on Windows)
+ */
+function killProcess(child) {
+  if (process.platform === "win32") {
+    const killer = spawn("taskkill", [
+      "/pid",
+      child.pid.toString(),
+      "/T",
+      "/F",
+    ]);
+    killer.on("error", (error) => {
+      console.error("[Jobs] taskkill error:", error);
+    });
+  } else {
+    child.kill("SIGTERM");
+  }
+}
+
+/**
+ * Count frame images written by a job
+ */
+function countFrames(outputDir) {
+  try {
+    return fs.readdirSync(outputDir).filter((file) => file.endsWith(".png"))
+      .length;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Create a job manager
+ * @param {Object} options
+ * @param {string} options.jobsDir - Parent directory for per-job directories
+ * @param {string} options.scriptPath - heatmap_client.py
+ * @param {string} options.serverUrl - Heatmap server the client talks to
+ * @param {number} options.timeoutMs - Per-job time limit
+ */
+function createJobManager(options) {
+  const config = { ...DEFAULTS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined) config[key] = value;
+  });
+  const jobs = new Map(); // id -> job (insertion order = creation order)
+  const processes = new Map(); // id -> ChildProcess
+
+  /**
+   * Public view of a job (no process handles)
+   */
+  function serializeJob(job) {
+    const framesWritten = countFrames(job.outputDir);
+    return {
+      id: job.id,
+      state: job.state,
+      created_at: job.createdAt,
+      started_at: job.startedAt,
+      finished_at: job.finishedAt,
+      pid: job.pid,
+      exit_code: job.exitCode,
+      signal: job.signal,
+      error: job.error,
+      duration_seconds: job.duration,
+      step_seconds: job.step,
+      satellite_count: job.satelliteCount,
+      output_dir: job.outputDir,
+      frames_written: framesWritten,
+      expected_frames: job.expectedFrames,
+      progress:
+        job.expectedFrames > 0
+          ? Math.min(1, framesWritten / job.expectedFrames)
+          : 0,
+    };
+  }
+
+  /**
+   * Move a job to a finished state and start the next queued job
+   */
+  function finishJob(job, state, details = {}) {
+    if (FINISHED_STATES.has(job.state)) return;
+
+    Object.assign(job, details, {
+      state,
+      finishedAt: new Date().toISOString(),
+    });
+    clearTimeout(job.timer);
+    job.timer = null;
+    processes.delete(job.id);
+
+    console.log(
+      `[Jobs] ${job.id} ${state}` + (job.error ? `: ${job.error}` : ""),
+    );
+    pruneHistory();
+    startQueuedJobs();
+  }
+
+  /**
+   * Forget the oldest finished jobs beyond the history limit and delete
+   * their directories
+   */
+  function pruneHistory() {
+    const finished = [...jobs.values()].filter((job) =>
+      FINISHED_STATES.has(job.state),
+    );
+    finished
+      .slice(0, Math.max(0, finished.length - config.maxHistory))
+      .forEach((job) => {
+        jobs.delete(job.id);
+        try {
+          fs.rmSync(job.workDir, { recursive: true, force: true });
+        } catch (error) {
+          console.warn(
+            `[Jobs] Could not delete ${job.workDir}: ${error.message}`,
+          );
+        }
+      });
+  }
+
+  /**
+   * Spawn heatmap_client.py for a queued job
+   */
+  function runJob(job) {
+    const pythonCmd = process.platform === "win32" ? "python" : "python3";
+    const args = [
+      config.scriptPath,
+      "--server",
+      config.serverUrl,
+      "--satellite-file",
+      job.satelliteFile,
+      "--output",
+      job.outputDir,
+      "--duration",
+      job.duration.toString(),
+      "--step",
+      job.step.toString(),
+    ];
+
+    job.state = JOB_STATES.RUNNING;
+    job.startedAt = new Date().toISOString();
+
+    const child = spawn(pythonCmd, args, {
+      cwd: job.workDir,
+      stdio: ["ignore", "pipe", "pipe"],
+      env: {
+        ...process.env,
+        PYTHONIOENCODING: "utf-8",
+      },
+    });
+    job.pid = child.pid || null;
+    processes.set(job.id, child);
+    console.log(`[Jobs] ${job.id} running (PID ${job.pid})`);
+
+    child.stdout.on("data", (data) => {
+      console.log(`[Jobs] [${job.id}] ${data.toString().trimEnd()}`);
+    });
+    child.stderr.on("data", (data) => {
+      console.error(`[Jobs] [${job.id}] ${data.toString().trimEnd()}`);
+    });
+
+    child.on("error", (error) => {
+      finishJob(job, JOB_STATES.FAILED, { error: error.message });
+    });
+
+    child.on("exit", (code, signal) => {
+      const details = { exitCode: code, signal };
+      if (code === 0) {
+        finishJob(job, JOB_STATES.DONE, details);
+      } else {
+        finishJob(job, JOB_STATES.FAILED, {
+          ...details,
+          error: `heatmap_client.py exited with ${signal || `code ${code}`}`,
+        });
+      }
+    });
+
+    job.timer = setTimeout(() => {
+      killProcess(child);
+      finishJob(job, JOB_STATES.FAILED, {
+        error: `Timed out after ${Math.round(config.timeoutMs / 1000)}s`,
+      });
+    }, config.timeoutMs);
+  }
+
+  /**
+   * Start queued jobs while below the concurrency limit
+   */
+  function startQueuedJobs() {
+    for (const job of jobs.values()) {
+      if (processes.size >= MAX_CONCURRENT) return;
+      if (job.state === JOB_STATES.QUEUED) runJob(job);
+    }
+  }
+
+  /**
+   * Queue a heatmap_client.py run
+   * @param {Object} request - { satelliteData, duration, step }
+   * @returns {Object} Serialized job
+   * @throws {Error} status 400 if duration or step is invalid
+   */
+  function createJob({ satelliteData, duration, step }) {
+    const durationSeconds = readSeconds("duration", duration, 600);
+    const stepSeconds = readSeconds("step", step, 10);
+
+    const id = crypto.randomUUID();
+    const workDir = path.join(config.jobsDir, id);
+    const outputDir = path.join(workDir, "output");
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const satelliteFile = path.join(workDir, "satellites.json");
+    fs.writeFileSync(satelliteFile, JSON.stringify(satelliteData, null, 2));
+
+    const job = {
+      id,
+      state: JOB_STATES.QUEUED,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      pid: null,
+      exitCode: null,
+      signal: null,
+      error: null,
+      duration: durationSeconds,
+      step: stepSeconds,
+      expectedFrames: Math.floor(durationSeconds / stepSeconds) + 1,
+      satelliteCount: Array.isArray(satelliteData.satellites)
+        ? satelliteData.satellites.length
+        : 0,
+      workDir,
+      outputDir,
+      satelliteFile,
+      timer: null,
+    };
+
+    jobs.set(id, job);
+    console.log(`[Jobs] ${id} queued (${job.satelliteCount} satellites)`);
+    startQueuedJobs();
+    return serializeJob(job);
+  }
+
+  /**
+   * Look up a job
+   * @returns {Object|null} Serialized job
+   */
+  function getJob(id) {
+    const job = jobs.get(id);
+    return job ? serializeJob(job) : null;
+  }
+
+  /**
+   * All known jobs, newest first
+   */
+  function listJobs() {
+    return [...jobs.values()].reverse().map(serializeJob);
+  }
+
+  /**
+   * Find a job by its process ID (for callers that only know the PID)
+   */
+  function findJobByPid(pid) {
+    const job = [...jobs.values()].find(
+      (candidate) => candidate.pid === Number(pid),
+    );
+    return job ? job.id : null;
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @returns {Object|null} Serialized job, or null if unknown
+   */
+  function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (FINISHED_STATES.has(job.state)) return serializeJob(job);
+
+    const child = processes.get(id);
+    if (child) killProcess(child);
+    finishJob(job, JOB_STATES.CANCELLED);
+    return serializeJob(job);
+  }
+
+  /**
+   * Delete the frames a job has written
+   * @returns {{deletedCount:number, errors:Array<Object>}|null} null if unknown
+   */
+  function clearJobOutput(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    let deletedCount = 0;
+    const errors = [];
+    if (fs.existsSync(job.outputDir)) {
+      fs.readdirSync(job.outputDir).forEach((file) => {
+        try {
+          fs.unlinkSync(path.join(job.outputDir, file));
+          deletedCount++;
+        } catch (error) {
+          errors.push({ file, error: error.message });
+        }
+      });
+    }
+
+    return { deletedCount, errors };
+  }
+
+  return {
+    createJob,
+    getJob,
+    listJobs,
+    findJobByPid,
+    cancelJob,
+    clearJobOutput,
+  };
+}
+
+module.exports = { JOB_STATES, createJobManager };
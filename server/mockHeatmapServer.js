@@ -0,0 +1,385 @@
+// ============================================
+// MOCK HEATMAP SERVER
+// Offline stand-in for the upstream heatmap server. Speaks the protocol
+// server.js proxies to (POST /api/initialize, POST /api/generate,
+// WebSocket /ws/frames) with synthetic, deterministic frames.
+//
+//   npm run mock:heatmap
+//   HEATMAP_SERVER_URL=http://localhost:1235 npm start
+// ============================================
+
+const express = require("express");
+const http = require("http");
+const WebSocket = require("ws");
+const {
+  METRICS,
+  resolveGenerateOptions,
+  describeLegend,
+  colorizeGrid,
+  encodeValueGrid,
+  encodePng,
+} = require("./heatmapEngine");
+
+const DEG_TO_RAD = Math.PI / 180;
+const OPACITY = 200;
+
+/**
+ * Options (environment variables when run from the command line):
+ *   port         MOCK_HEATMAP_PORT    Port to listen on
+ *   frames       MOCK_FRAMES          Frames per run (default: duration / step + 1)
+ *   delayMs      MOCK_FRAME_DELAY_MS  Delay between frames
+ *   resolutionDeg MOCK_RESOLUTION_DEG Grid cell size
+ *   fail         MOCK_FAIL            Inject an error: initialize | generate | frame
+ *   failAt       MOCK_FAIL_AT         Frame that fails with fail=frame (default: middle)
+ *   dropAfter    MOCK_DROP_AFTER      Drop /ws/frames connections after N frames (once per run)
+ */
+const DEFAULTS = {
+  port: 1235,
+  frames: null,
+  delayMs: 200,
+  resolutionDeg: 4,
+  fail: null,
+  failAt: null,
+  dropAfter: null,
+};
+
+/**
+ * Read options from MOCK_* environment variables
+ */
+function optionsFromEnv(env = process.env) {
+  const number = (value) =>
+    value === undefined || value === "" ? undefined : Number(value);
+  return {
+    port: number(env.MOCK_HEATMAP_PORT),
+    frames: number(env.MOCK_FRAMES),
+    delayMs: number(env.MOCK_FRAME_DELAY_MS),
+    resolutionDeg: number(env.MOCK_RESOLUTION_DEG),
+    fail: env.MOCK_FAIL || undefined,
+    failAt: number(env.MOCK_FAIL_AT),
+    dropAfter: number(env.MOCK_DROP_AFTER),
+  };
+}
+
+/**
+ * Value range of the synthetic field for each metric
+ */
+function syntheticRange(metricKey, options) {
+  switch (metricKey) {
+    case "visible_count":
+      return [0, 12];
+    case "max_elevation":
+      return [options.minElevationDeg, 90];
+    case "coverage_gap":
+      return [0, Math.max(1, options.durationSeconds / 60)];
+    default:
+      return [1.8, 8.5]; // latency, ms
+  }
+}
+
+/**
+ * Synthetic values for one frame
+ * Two coverage lobes drift east by one cell per frame; cells outside them
+ * have no value (null) except for coverage_gap, which has a value everywhere.
+ * The same run parameters always give the same frames.
+ */
+function syntheticValues(grid, frameNumber, metricKey, range) {
+  const [low, high] = range;
+  const metric = METRICS[metricKey];
+  const values = new Array(grid.width * grid.height);
+  const shift = frameNumber * grid.resolutionDeg * DEG_TO_RAD;
+
+  for (let row = 0; row < grid.height; row++) {
+    const lat = (-90 + (row + 0.5) * grid.resolutionDeg) * DEG_TO_RAD;
+    for (let col = 0; col < grid.width; col++) {
+      const lon = (-180 + (col + 0.5) * grid.resolutionDeg) * DEG_TO_RAD;
+      // 0..1, peaking at the lobe centres
+      const strength =
+        Math.cos(lat) * (0.5 + 0.5 * Math.cos(2 * (lon - shift)));
+
+      let value;
+      if (metric.finalize) {
+        value = low + (1 - strength) * (high - low);
+      } else if (strength < 0.2) {
+        value = null;
+      } else {
+        const t = metric.invert ? 1 - strength : strength;
+        value = low + t * (high - low);
+        if (metricKey === "visible_count") value = Math.round(value);
+      }
+      values[row * grid.width + col] = value;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Create (but do not start) a mock heatmap server
+ * @param {Object} options - See DEFAULTS
+ * @returns {{app:Object, server:http.Server, listen:Function, close:Function}}
+ */
+function createMockHeatmapServer(options = {}) {
+  const config = { ...DEFAULTS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined) config[key] = value;
+  });
+
+  const app = express();
+  const server = http.createServer(app);
+  const wss = new WebSocket.Server({ server, path: "/ws/frames" });
+
+  const state = {
+    satelliteCount: 0,
+    config: {},
+    run: null, // { id, messages, done, cancelled, dropped, timer }
+  };
+  let runCounter = 0;
+
+  app.use(express.json({ limit: "10mb" }));
+
+  /**
+   * Record a message on the run and send it to every connected client
+   */
+  function publish(run, message) {
+    run.messages.push(message);
+    const payload = JSON.stringify(message);
+    wss.clients.forEach((client) => {
+      if (client.readyState !== WebSocket.OPEN) return;
+      client.send(payload);
+      if (message.type === "frame") dropIfDue(run, client, message.index);
+    });
+  }
+
+  /**
+   * Drop a connection abruptly (no close frame) once per run
+   */
+  function dropIfDue(run, client, frameNumber) {
+    if (!config.dropAfter || run.dropped || frameNumber < config.dropAfter) {
+      return;
+    }
+    run.dropped = true;
+    console.log(`[MockHeatmap] Dropping connection after frame ${frameNumber}`);
+    client.terminate();
+  }
+
+  /**
+   * Cancel the current run (superseded by a new initialize/generate, or
+   * stopped by a client's cancel message)
+   */
+  function cancelRun() {
+    if (state.run && !state.run.done) {
+      state.run.cancelled = true;
+      clearTimeout(state.run.timer);
+    }
+  }
+
+  /**
+   * Stream a run's frames, one every delayMs
+   */
+  function streamRun(run, prepared) {
+    const { options, grid, range } = prepared;
+    const metric = METRICS[options.metric];
+    const total = config.frames || options.totalFrames;
+    const failAt =
+      config.fail === "frame" ? config.failAt || Math.ceil(total / 2) : null;
+
+    publish(run, {
+      type: "status",
+      data: { status: `Generating ${total} mock frames...` },
+    });
+
+    const sendFrame = (index) => {
+      if (run.cancelled) return;
+
+      if (index === failAt) {
+        publish(run, {
+          type: "error",
+          error: `Injected failure at frame ${index}`,
+        });
+        run.done = true;
+        return;
+      }
+
+      const values = syntheticValues(grid, index - 1, options.metric, range);
+      const time = new Date(
+        options.startTime.getTime() + (index - 1) * options.stepSeconds * 1000,
+      );
+      publish(run, {
+        type: "frame",
+        index,
+        total,
+        filename: `heatmap_${String(index).padStart(4, "0")}.png`,
+        timestamp: time.toISOString(),
+        data: encodePng(
+          grid.width,
+          grid.height,
+          colorizeGrid(values, range, metric, OPACITY),
+        ).toString("base64"),
+        grid: encodeValueGrid(values, grid, options.metric, metric),
+      });
+
+      if (index < total) {
+        run.timer = setTimeout(() => sendFrame(index + 1), config.delayMs);
+      } else {
+        publish(run, { type: "complete", total_frames: total });
+        run.done = true;
+        console.log(`[MockHeatmap] Run ${run.id} complete: ${total} frames`);
+      }
+    };
+
+    run.timer = setTimeout(() => sendFrame(1), config.delayMs);
+  }
+
+  app.post("/api/initialize", (req, res) => {
+    if (config.fail === "initialize") {
+      return res.status(500).json({ error: "Injected initialize failure" });
+    }
+
+    const { satellites, config: runConfig } = req.body || {};
+    if (!Array.isArray(satellites) || satellites.length === 0) {
+      return res.status(400).json({ error: "satellites array is required" });
+    }
+
+    cancelRun();
+    state.satelliteCount = satellites.length;
+    state.config = runConfig || {};
+    state.run = null;
+
+    console.log(
+      `[MockHeatmap] Initialized with ${satellites.length} satellites`,
+    );
+    res.json({
+      success: true,
+      satellite_count: satellites.length,
+      skipped: [],
+    });
+  });
+
+  app.post("/api/generate", (req, res) => {
+    if (config.fail === "generate") {
+      return res.status(500).json({ error: "Injected generate failure" });
+    }
+    if (state.satelliteCount === 0) {
+      return res
+        .status(400)
+        .json({ error: "Not initialized: POST /api/initialize first" });
+    }
+
+    let options;
+    try {
+      options = resolveGenerateOptions(req.body || {}, state.config);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const grid = {
+      width: Math.round(360 / config.resolutionDeg),
+      height: Math.round(180 / config.resolutionDeg),
+      resolutionDeg: config.resolutionDeg,
+    };
+    const range = syntheticRange(options.metric, options);
+    const prepared = {
+      options,
+      grid,
+      range,
+      metric: METRICS[options.metric],
+    };
+
+    cancelRun();
+    const run = {
+      id: ++runCounter,
+      messages: [],
+      done: false,
+      cancelled: false,
+      dropped: false,
+      timer: null,
+    };
+    state.run = run;
+
+    const total = config.frames || options.totalFrames;
+    console.log(
+      `[MockHeatmap] Run ${run.id}: ${total} frames, metric ${options.metric}`,
+    );
+    res.json({
+      success: true,
+      total_frames: total,
+      metric: options.metric,
+      start_time: options.startTime.toISOString(),
+      legend: describeLegend(prepared),
+    });
+
+    streamRun(run, prepared);
+  });
+
+  // Replay the current run to new connections, then stream live frames
+  wss.on("connection", (clientWs) => {
+    const run = state.run;
+    if (run && !run.cancelled) {
+      run.messages.forEach((message) => {
+        clientWs.send(JSON.stringify(message));
+      });
+    } else {
+      clientWs.send(
+        JSON.stringify({
+          type: "status",
+          data: { status: "Connected, waiting for generation" },
+        }),
+      );
+    }
+    clientWs.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        return;
+      }
+      if (message && message.type === "cancel") cancelRun();
+    });
+    clientWs.on("error", (error) => {
+      console.error("[MockHeatmap] Client connection error:", error.message);
+    });
+  });
+
+  return {
+    app,
+    server,
+    /**
+     * Start listening
+     * @returns {Promise<number>} Port
+     */
+    listen(port = config.port) {
+      return new Promise((resolve) => {
+        server.listen(port, () => resolve(server.address().port));
+      });
+    },
+    /**
+     * Stop the current run and close all connections
+     */
+    close() {
+      cancelRun();
+      wss.clients.forEach((client) => client.terminate());
+      return new Promise((resolve) => {
+        wss.close(() => server.close(() => resolve()));
+      });
+    },
+  };
+}
+
+if (require.main === module) {
+  const options = optionsFromEnv();
+  const mock = createMockHeatmapServer(options);
+  mock.listen().then((port) => {
+    console.log(`✓ Mock heatmap server running on http://localhost:${port}`);
+    console.log(
+      `✓ Start the app with HEATMAP_SERVER_URL=http://localhost:${port} npm start`,
+    );
+    const injected = Object.entries(options)
+      .filter(([key, value]) => value !== undefined && key !== "port")
+      .map(([key, value]) => `${key}=${value}`);
+    if (injected.length > 0) {
+      console.log(`✓ Options: ${injected.join(", ")}`);
+    }
+  });
+}
+
+module.exports = { createMockHeatmapServer, optionsFromEnv };
@@ -0,0 +1,296 @@
+// ============================================
+// TLE CACHE
+// Fetches CelesTrak TLE groups on the server, caches them on disk with
+// ETag / Last-Modified revalidation and falls back to a local snapshot
+//
+//   npm run tle:snapshot [group ...]   write data/tle-snapshot/
+//                                      (default: every selectable group)
+//
+// No snapshot data ships with the repo; without a snapshot run, a group
+// that was never cached is unavailable while CelesTrak is unreachable
+// ============================================
+
+const fs = require("fs");
+const path = require("path");
+
+const CELESTRAK_URL = "https://celestrak.org/NORAD/elements/gp.php";
+const GROUP_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+// Groups the client's source selector offers (SATELLITE_SOURCES in
+// js/modules/constants.js); each gets a snapshot file
+const SNAPSHOT_GROUPS = [
+  "active",
+  "starlink",
+  "oneweb",
+  "gps-ops",
+  "galileo",
+  "geo",
+  "stations",
+  "weather",
+  "amateur",
+];
+
+const DEFAULTS = {
+  upstreamUrl: CELESTRAK_URL,
+  maxAgeMs: 60 * 60 * 1000, // Serve from disk without revalidating for 1 hour
+  timeoutMs: 15000,
+};
+
+/**
+ * Error with an HTTP status for the /api/tle route
+ */
+function tleError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * True if the text contains at least one TLE line pair
+ */
+function looksLikeTLE(text) {
+  return /^1 .+\r?\n2 /m.test(text);
+}
+
+/**
+ * Lines of a TLE text whose checksum digit does not match
+ * (sum of the digits, minus signs count 1, modulo 10)
+ */
+function badChecksumLines(text) {
+  return text.split(/\r?\n/).filter((line) => {
+    if (!/^[12] /.test(line) || line.length < 69) return false;
+    let sum = 0;
+    for (const char of line.slice(0, 68)) {
+      if (char >= "0" && char <= "9") sum += Number(char);
+      else if (char === "-") sum += 1;
+    }
+    return sum % 10 !== Number(line[68]);
+  });
+}
+
+/**
+ * Newest element set epoch in a TLE text as an ISO string, or null
+ * (line 1 columns 19-32: two-digit year, day of year with fraction)
+ */
+function newestEpoch(text) {
+  let newest = null;
+  text.split(/\r?\n/).forEach((line) => {
+    const match = /^1 .{16}(\d{2})(\d{3}\.\d+)/.exec(line);
+    if (!match) return;
+    const twoDigitYear = Number(match[1]);
+    const year = twoDigitYear < 57 ? 2000 + twoDigitYear : 1900 + twoDigitYear;
+    const time =
+      Date.UTC(year, 0, 1) + (Number(match[2]) - 1) * 24 * 60 * 60 * 1000;
+    if (newest === null || time > newest) newest = time;
+  });
+  return newest === null ? null : new Date(newest).toISOString();
+}
+
+/**
+ * Fetch a URL with a time limit
+ */
+async function fetchWithTimeout(url, options, timeoutMs) {
+  const fetch = (await import("node-fetch")).default;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Create a TLE cache
+ * @param {Object} options
+ * @param {string} options.cacheDir - Where fetched groups are stored
+ * @param {string} options.snapshotDir - <group>.tle fallbacks written by tle:snapshot
+ * @param {string} options.upstreamUrl - CelesTrak gp.php URL
+ * @param {number} options.maxAgeMs - Age after which a cached group is revalidated
+ * @param {number} options.timeoutMs - Upstream request time limit
+ */
+function createTleCache(options) {
+  const config = { ...DEFAULTS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined) config[key] = value;
+  });
+  const inFlight = new Map(); // group -> Promise, so concurrent requests share one fetch
+
+  const dataPath = (group) => path.join(config.cacheDir, `${group}.tle`);
+  const metaPath = (group) => path.join(config.cacheDir, `${group}.json`);
+
+  /**
+   * Cached text and validators for a group, or null
+   */
+  function readCache(group) {
+    try {
+      return {
+        text: fs.readFileSync(dataPath(group), "utf8"),
+        ...JSON.parse(fs.readFileSync(metaPath(group), "utf8")),
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store a group's text and validators
+   */
+  function writeCache(group, entry) {
+    fs.mkdirSync(config.cacheDir, { recursive: true });
+    fs.writeFileSync(dataPath(group), entry.text);
+    fs.writeFileSync(
+      metaPath(group),
+      JSON.stringify({
+        etag: entry.etag,
+        lastModified: entry.lastModified,
+        fetchedAt: entry.fetchedAt,
+      }),
+    );
+  }
+
+  /**
+   * Snapshot for a group, or null
+   * fetchedAt is the newest TLE epoch, since file times change on checkout
+   */
+  function readSnapshot(group) {
+    const file = path.join(config.snapshotDir, `${group}.tle`);
+    try {
+      const text = fs.readFileSync(file, "utf8");
+      return {
+        text,
+        fetchedAt: newestEpoch(text) || fs.statSync(file).mtime.toISOString(),
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a group from CelesTrak, revalidating against the cached copy
+   */
+  async function fetchGroup(group, cached) {
+    const headers = {};
+    if (cached && cached.etag) headers["If-None-Match"] = cached.etag;
+    if (cached && cached.lastModified) {
+      headers["If-Modified-Since"] = cached.lastModified;
+    }
+
+    const url = `${config.upstreamUrl}?GROUP=${encodeURIComponent(group)}&FORMAT=tle`;
+    const response = await fetchWithTimeout(url, { headers }, config.timeoutMs);
+
+    if (response.status === 304 && cached) {
+      const entry = { ...cached, fetchedAt: new Date().toISOString() };
+      writeCache(group, entry);
+      return { ...entry, source: "revalidated" };
+    }
+    if (!response.ok) {
+      throw new Error(`CelesTrak responded ${response.status}`);
+    }
+
+    // CelesTrak answers unknown groups with 200 and a plain-text message
+    const text = await response.text();
+    if (!looksLikeTLE(text)) {
+      throw new Error(`CelesTrak returned no TLEs: ${text.slice(0, 80)}`);
+    }
+
+    const entry = {
+      text,
+      etag: response.headers.get("etag"),
+      lastModified: response.headers.get("last-modified"),
+      fetchedAt: new Date().toISOString(),
+    };
+    writeCache(group, entry);
+    return { ...entry, source: "fresh" };
+  }
+
+  /**
+   * Resolve a group: fresh cache, then CelesTrak, then stale cache, then snapshot
+   */
+  async function resolveGroup(group) {
+    const cached = readCache(group);
+    if (cached && Date.now() - Date.parse(cached.fetchedAt) < config.maxAgeMs) {
+      return { ...cached, source: "cache" };
+    }
+
+    try {
+      return await fetchGroup(group, cached);
+    } catch (error) {
+      console.warn(`[TLE] Fetching ${group} failed: ${error.message}`);
+    }
+
+    if (cached) {
+      console.warn(`[TLE] Serving stale cached ${group}`);
+      return { ...cached, source: "stale" };
+    }
+
+    const snapshot = readSnapshot(group);
+    if (snapshot) {
+      console.warn(`[TLE] Serving snapshot for ${group}`);
+      return { ...snapshot, source: "snapshot" };
+    }
+
+    throw tleError(502, `TLE data for ${group} is unavailable`);
+  }
+
+  /**
+   * TLE text for a CelesTrak group
+   * @param {string} group - CelesTrak GROUP name (e.g. "active", "starlink")
+   * @returns {Promise<{text:string, source:string, fetchedAt:string}>}
+   *   source: cache | revalidated | fresh | stale | snapshot
+   */
+  function getGroup(group) {
+    if (!GROUP_PATTERN.test(group)) {
+      return Promise.reject(tleError(400, `Invalid group: ${group}`));
+    }
+
+    if (!inFlight.has(group)) {
+      inFlight.set(
+        group,
+        resolveGroup(group).finally(() => inFlight.delete(group)),
+      );
+    }
+    return inFlight.get(group);
+  }
+
+  return { getGroup };
+}
+
+/**
+ * Write the snapshot files from CelesTrak
+ */
+async function updateSnapshots(snapshotDir, groups) {
+  fs.mkdirSync(snapshotDir, { recursive: true });
+  for (const group of groups) {
+    const response = await fetchWithTimeout(
+      `${CELESTRAK_URL}?GROUP=${encodeURIComponent(group)}&FORMAT=tle`,
+      {},
+      DEFAULTS.timeoutMs,
+    );
+    const text = await response.text();
+    if (!response.ok || !looksLikeTLE(text)) {
+      throw new Error(`Could not fetch ${group} (${response.status})`);
+    }
+    const badLines = badChecksumLines(text);
+    if (badLines.length > 0) {
+      throw new Error(
+        `${group} has ${badLines.length} lines with bad checksums, e.g. ${badLines[0]}`,
+      );
+    }
+    fs.writeFileSync(path.join(snapshotDir, `${group}.tle`), text);
+    console.log(`✓ Updated snapshot for ${group}`);
+  }
+}
+
+if (require.main === module) {
+  const groups = process.argv.slice(2);
+  updateSnapshots(
+    path.join(__dirname, "..", "data", "tle-snapshot"),
+    groups.length > 0 ? groups : SNAPSHOT_GROUPS,
+  ).catch((error) => {
+    console.error(`✗ ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { createTleCache };